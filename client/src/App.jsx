@@ -7,6 +7,9 @@ import Footer from './components/common/Footer';
 import Home from './pages/Home';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import VerifyEmail from './pages/auth/VerifyEmail';
 import ContestList from './pages/contest/ContestList';
 import ContestDetails from './pages/contest/ContestDetails';
 import MCQSection from './pages/contest/MCQSection';
@@ -14,10 +17,13 @@ import CodingSection from './pages/contest/CodingSection';
 import UserDashboard from './pages/dashboard/UserDashboard';
 import Leaderboard from './pages/leaderboard/Leaderboard';
 import Certificate from './pages/certificate/Certificate';
+import VerifyCertificate from './pages/certificate/VerifyCertificate';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import CreateContest from './pages/admin/CreateContest';
 import ManageMCQ from './pages/admin/ManageMCQ';
 import ManageCodingProblems from './pages/admin/ManageCodingProblems';
+import ManageQuestionBanks from './pages/admin/ManageQuestionBanks';
+import ManageUsers from './pages/admin/ManageUsers';
 import Loader from './components/common/Loader';
 
 // Protected Route Component
@@ -109,9 +115,13 @@ function App() {
           <Route path="/" element={<Layout><Home /></Layout>} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
           <Route path="/contests" element={<Layout><ContestList /></Layout>} />
           <Route path="/contest/:id" element={<Layout><ContestDetails /></Layout>} />
           <Route path="/leaderboard/:contestId" element={<Layout><Leaderboard /></Layout>} />
+          <Route path="/verify/:certificateId" element={<Layout><VerifyCertificate /></Layout>} />
 
           {/* Protected Routes */}
           <Route
@@ -144,7 +154,7 @@ function App() {
 
           {/* Certificate Route */}
           <Route
-            path="/certificate/:resultId"
+            path="/certificate/:contestId"
             element={
               <ProtectedRoute>
                 <Layout><Certificate /></Layout>
@@ -198,6 +208,33 @@ function App() {
             }
           />
 
+          <Route
+            path="/admin/question-banks"
+            element={
+              <AdminRoute>
+                <Layout><ManageQuestionBanks /></Layout>
+              </AdminRoute>
+            }
+          />
+
+          <Route
+            path="/admin/question-banks/:bankId"
+            element={
+              <AdminRoute>
+                <Layout><ManageMCQ /></Layout>
+              </AdminRoute>
+            }
+          />
+
+          <Route
+            path="/admin/users"
+            element={
+              <AdminRoute>
+                <Layout><ManageUsers /></Layout>
+              </AdminRoute>
+            }
+          />
+
           {/* Catch all */}
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
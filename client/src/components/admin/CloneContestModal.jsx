@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { Copy, X } from 'lucide-react';
+
+const ONE_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// datetime-local wants local time without a zone
+const toLocalInput = (date) => {
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const CloneContestModal = ({ contest, onClose, onCloned }) => {
+  const [title, setTitle] = useState(`${contest.title} (Copy)`);
+  const [startTime, setStartTime] = useState(toLocalInput(new Date(contest.startTime).getTime() + ONE_WEEK));
+  const [includeQuestions, setIncludeQuestions] = useState(true);
+  const [cloning, setCloning] = useState(false);
+
+  const length = new Date(contest.endTime) - new Date(contest.startTime);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCloning(true);
+    try {
+      const data = await adminService.cloneContest(contest._id, {
+        title,
+        startTime: new Date(startTime).toISOString(),
+        includeQuestions
+      });
+      toast.success(data.message);
+      onCloned(data.contest);
+    } catch (error) {
+      console.error('Error cloning contest:', error);
+      toast.error(error.response?.data?.message || 'Failed to clone contest');
+      setCloning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4">
+      <form onSubmit={handleSubmit} className="card w-full max-w-lg space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Copy className="w-5 h-5 text-primary-400" />
+            Clone Contest
+          </h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Title</label>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="input-field"
+            required
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Start Time</label>
+          <input
+            type="datetime-local"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            className="input-field"
+            required
+          />
+          {startTime && (
+            <p className="text-xs text-gray-500 mt-1">
+              Ends {new Date(new Date(startTime).getTime() + length).toLocaleString()}
+            </p>
+          )}
+        </div>
+
+        <label className="flex items-center gap-3 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={includeQuestions}
+            onChange={(e) => setIncludeQuestions(e.target.checked)}
+            className="w-5 h-5 rounded border-gray-600 text-primary-500 focus:ring-primary-500"
+          />
+          Copy MCQs and coding problems
+        </label>
+
+        <p className="text-sm text-gray-400">
+          The copy is an unpublished draft with no participants.
+        </p>
+
+        <div className="flex justify-end gap-4 pt-4 border-t border-dark-700">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="submit" disabled={cloning} className="btn-primary">
+            <Copy className="w-5 h-5 mr-2" />
+            {cloning ? 'Cloning...' : 'Clone'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CloneContestModal;
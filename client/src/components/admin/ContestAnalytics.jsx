@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { Check } from 'lucide-react';
+
+const SCORE_TABS = [
+  { key: 'total', label: 'Total' },
+  { key: 'mcq', label: 'MCQ' },
+  { key: 'coding', label: 'Coding' }
+];
+
+const VERDICT_COLORS = {
+  ACCEPTED: 'bg-green-500',
+  PENDING: 'bg-yellow-500',
+  INTERNAL_ERROR: 'bg-orange-500'
+};
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const formatMinutes = (minutes) => (minutes === null ? '—' : `${minutes} min`);
+
+// Vertical bars scaled to the tallest one.
+// bars: [{ label, value, title }], or [{ label, value, accepted, title }] when stacked
+const ColumnChart = ({ bars, stacked = false }) => {
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40 border-b border-dark-600">
+        {bars.map((bar, index) => (
+          <div key={index} className="flex-1 h-full flex flex-col justify-end" title={bar.title}>
+            {bar.value > 0 && (
+              <span className="text-xs text-gray-400 text-center mb-1">{bar.value}</span>
+            )}
+            <div
+              className={`w-full rounded-t flex flex-col justify-end overflow-hidden ${stacked ? 'bg-dark-500' : 'bg-primary-500'}`}
+              style={{ height: `${(bar.value / max) * 100}%` }}
+            >
+              {stacked && (
+                <div className="w-full bg-green-500" style={{ height: `${(bar.accepted / (bar.value || 1)) * 100}%` }} />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {bars.map((bar, index) => (
+          <span key={index} className="flex-1 text-[10px] text-gray-500 text-center truncate">{bar.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const HorizontalBar = ({ label, value, max, detail, color = 'bg-primary-500' }) => (
+  <div>
+    <div className="flex justify-between text-sm mb-1">
+      <span className="text-gray-300 truncate mr-2">{label}</span>
+      <span className="text-gray-400 whitespace-nowrap">{detail ?? value}</span>
+    </div>
+    <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
+      <div className={`h-full rounded-full ${color}`} style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }} />
+    </div>
+  </div>
+);
+
+const ContestAnalytics = ({ contestId }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [scoreTab, setScoreTab] = useState('total');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    adminService.getContestAnalytics(contestId)
+      .then(data => {
+        if (!cancelled) setAnalytics(data.analytics);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load analytics');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contestId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return <p className="text-gray-400 text-center py-12">Analytics unavailable</p>;
+  }
+
+  const { scoreDistribution, mcqs, coding, funnel } = analytics;
+  const registered = funnel[0].count;
+  const totalVerdicts = coding.verdicts.reduce((sum, verdict) => sum + verdict.count, 0);
+  const maxLanguage = Math.max(0, ...coding.languages.map(language => language.submissions));
+
+  return (
+    <div className="space-y-8">
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          ['Registered', analytics.participants],
+          ['Finished', analytics.finished],
+          ['Average Score', analytics.averageScore],
+          ['Median Score', analytics.medianScore ?? '—'],
+          ['Median Solve Time', formatMinutes(coding.medianSolveMinutes)]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-dark-700/50 rounded-lg p-4">
+            <p className="text-gray-400 text-sm mb-1">{label}</p>
+            <p className="text-2xl font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Score distribution */}
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">Score Distribution</h3>
+            <div className="flex gap-1">
+              {SCORE_TABS.map(tab => (
+                <button
+                  key={tab.key}
+                  onClick={() => setScoreTab(tab.key)}
+                  className={`px-3 py-1 rounded text-sm ${scoreTab === tab.key ? 'bg-primary-500 text-white' : 'bg-dark-700 text-gray-400 hover:text-white'}`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <ColumnChart
+            bars={scoreDistribution[scoreTab].map(bin => ({
+              label: bin.from,
+              value: bin.count,
+              title: `${bin.from} – ${bin.to}: ${bin.count}`
+            }))}
+          />
+        </div>
+
+        {/* Drop-off funnel */}
+        <div>
+          <h3 className="font-semibold mb-4">Participation Funnel</h3>
+          <div className="space-y-3">
+            {funnel.map(step => (
+              <HorizontalBar
+                key={step.stage}
+                label={step.stage}
+                value={step.count}
+                max={registered}
+                detail={`${step.count}${registered ? ` (${percent(step.count / registered)})` : ''}`}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Coding problems */}
+      {coding.problems.length > 0 && (
+        <div>
+          <h3 className="font-semibold mb-1">Problems</h3>
+          <p className="text-gray-500 text-sm mb-4">Submissions over the contest, accepted in green</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {coding.problems.map((problem, index) => (
+              <div key={problem.problemId} className="bg-dark-700/50 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="font-semibold truncate">
+                    {String.fromCharCode(65 + index)}. {problem.title}
+                  </p>
+                  <span className="text-sm text-gray-400 whitespace-nowrap">
+                    {percent(problem.acceptanceRate)} accepted
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 gap-2 text-sm mb-4">
+                  <div>
+                    <p className="text-gray-500">Attempted</p>
+                    <p className="font-semibold">{problem.attempters}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Solved</p>
+                    <p className="font-semibold text-green-400">{problem.solvers}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Median solve</p>
+                    <p className="font-semibold">{formatMinutes(problem.medianSolveMinutes)}</p>
+                  </div>
+                </div>
+                {problem.timeline.length > 0 ? (
+                  <ColumnChart
+                    stacked
+                    bars={problem.timeline.map(bucket => ({
+                      label: new Date(bucket.from).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+                      value: bucket.submissions,
+                      accepted: bucket.accepted,
+                      title: `${bucket.accepted} of ${bucket.submissions} accepted`
+                    }))}
+                  />
+                ) : (
+                  <p className="text-gray-500 text-sm text-center py-6">No submissions</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Languages and verdicts */}
+      {totalVerdicts > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div>
+            <h3 className="font-semibold mb-4">Languages</h3>
+            <div className="space-y-3">
+              {coding.languages.map(language => (
+                <HorizontalBar
+                  key={language.language}
+                  label={language.language}
+                  value={language.submissions}
+                  max={maxLanguage}
+                  detail={`${language.submissions} (${language.accepted} accepted)`}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-semibold mb-4">Verdicts</h3>
+            <div className="space-y-3">
+              {coding.verdicts.map(verdict => (
+                <HorizontalBar
+                  key={verdict.verdict}
+                  label={verdict.verdict.replace(/_/g, ' ')}
+                  value={verdict.count}
+                  max={totalVerdicts}
+                  detail={`${verdict.count} (${percent(verdict.count / totalVerdicts)})`}
+                  color={VERDICT_COLORS[verdict.verdict] || 'bg-red-500'}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* MCQs */}
+      {mcqs.length > 0 && (
+        <div>
+          <h3 className="font-semibold mb-4">MCQ Breakdown</h3>
+          <div className="space-y-4">
+            {mcqs.map((mcq, index) => {
+              const maxPicks = Math.max(0, ...mcq.options.map(option => option.picks));
+              return (
+                <div key={mcq.questionId} className="bg-dark-700/50 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-4 mb-3">
+                    <p className="text-sm">
+                      <span className="text-gray-500 mr-2">Q{index + 1}.</span>
+                      {mcq.question}
+                    </p>
+                    <span className="text-sm whitespace-nowrap">
+                      <span className={mcq.correctRate >= 0.5 ? 'text-green-400' : 'text-red-400'}>
+                        {percent(mcq.correctRate)} correct
+                      </span>
+                      <span className="text-gray-500"> · {mcq.answered}/{mcq.shown} answered</span>
+                    </span>
+                  </div>
+                  {mcq.options.length > 0 ? (
+                    <div className="space-y-2">
+                      {mcq.options.map((option, optionIndex) => (
+                        <HorizontalBar
+                          key={optionIndex}
+                          label={
+                            <span className="flex items-center gap-1">
+                              {option.isCorrect && <Check className="w-3 h-3 text-green-400" />}
+                              {option.text}
+                            </span>
+                          }
+                          value={option.picks}
+                          max={maxPicks}
+                          color={option.isCorrect ? 'bg-green-500' : 'bg-dark-500'}
+                        />
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-gray-500 text-sm">
+                      Numeric answer · average marks {mcq.averageMarks ?? '—'}
+                    </p>
+                  )}
+                  {mcq.skipped > 0 && (
+                    <p className="text-gray-500 text-xs mt-2">{mcq.skipped} skipped</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContestAnalytics;
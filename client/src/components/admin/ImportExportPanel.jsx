@@ -0,0 +1,112 @@
+import { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Upload, Download, AlertTriangle, X } from 'lucide-react';
+import { downloadFile } from '../../utils/downloadFile';
+
+// Import button, export buttons and the per-row error report of a failed import.
+// onImport(file) resolves with the server response; exports: [{ label, filename, onExport }]
+const ImportExportPanel = ({ title, accept, hint, onImport, onImported, exports = [] }) => {
+  const fileInput = useRef(null);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again after fixing it
+    if (!file) return;
+
+    setImporting(true);
+    setReport(null);
+    try {
+      const data = await onImport(file);
+      toast.success(data.message);
+      onImported?.(data);
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.message || 'Import failed');
+      if (data?.errors?.length > 0) {
+        setReport({ file: file.name, message: data.message, errors: data.errors });
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async ({ filename, onExport }) => {
+    try {
+      downloadFile(await onExport(), filename);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error('Export failed');
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-bold">{title}</h2>
+          {hint && <p className="text-sm text-gray-400 mt-1">{hint}</p>}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <input
+            ref={fileInput}
+            type="file"
+            accept={accept}
+            onChange={handleFile}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInput.current.click()}
+            disabled={importing}
+            className="btn-secondary"
+          >
+            <Upload className="w-5 h-5 mr-2" />
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+          {exports.map(option => (
+            <button
+              key={option.label}
+              onClick={() => handleExport(option)}
+              className="btn-secondary"
+            >
+              <Download className="w-5 h-5 mr-2" />
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {report && (
+        <div className="mt-6 p-4 rounded-lg bg-red-500/10 border border-red-500/30">
+          <div className="flex items-start justify-between mb-3">
+            <p className="flex items-center gap-2 text-red-400 font-semibold">
+              <AlertTriangle className="w-5 h-5" />
+              {report.file}: {report.message}
+            </p>
+            <button onClick={() => setReport(null)} className="text-gray-400 hover:text-white">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-sm">
+              <tbody>
+                {report.errors.map((error, index) => (
+                  <tr key={index} className="border-b border-dark-700 last:border-0">
+                    <td className="py-2 pr-4 text-gray-400 whitespace-nowrap align-top">
+                      {error.row !== undefined ? `Row ${error.row}` : error.package}
+                    </td>
+                    <td className="py-2 text-gray-300">{error.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportExportPanel;
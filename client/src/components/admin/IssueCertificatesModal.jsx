@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import certificateService from '../../services/certificateService';
+import toast from 'react-hot-toast';
+import { Award, Download, X } from 'lucide-react';
+
+// Bulk-issue certificates for an ended contest and list the ones already issued
+const IssueCertificatesModal = ({ contest, onClose }) => {
+  const [certificates, setCertificates] = useState([]);
+  const [scope, setScope] = useState('TOP');
+  const [top, setTop] = useState(3);
+  const [issuing, setIssuing] = useState(false);
+
+  useEffect(() => {
+    adminService.getContestCertificates(contest._id)
+      .then(data => setCertificates(data.certificates))
+      .catch(() => toast.error('Failed to load certificates'));
+  }, [contest._id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIssuing(true);
+    try {
+      const data = await adminService.issueCertificates(contest._id, scope === 'TOP' ? top : null);
+      toast.success(data.message);
+      const refreshed = await adminService.getContestCertificates(contest._id);
+      setCertificates(refreshed.certificates);
+    } catch (error) {
+      console.error('Error issuing certificates:', error);
+      toast.error(error.response?.data?.message || 'Failed to issue certificates');
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4">
+      <div className="card w-full max-w-2xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Award className="w-5 h-5 text-primary-400" />
+            Certificates: {contest.title}
+          </h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-4 pb-4 border-b border-dark-700">
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="radio"
+              checked={scope === 'TOP'}
+              onChange={() => setScope('TOP')}
+              className="text-primary-500 focus:ring-primary-500"
+            />
+            Top
+            <input
+              type="number"
+              min="1"
+              value={top}
+              onChange={(e) => setTop(e.target.value)}
+              onFocus={() => setScope('TOP')}
+              className="input-field w-20 py-1"
+              required={scope === 'TOP'}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="radio"
+              checked={scope === 'ALL'}
+              onChange={() => setScope('ALL')}
+              className="text-primary-500 focus:ring-primary-500"
+            />
+            All participants
+          </label>
+          <button type="submit" disabled={issuing} className="btn-primary ml-auto">
+            <Award className="w-5 h-5 mr-2" />
+            {issuing ? 'Issuing...' : 'Issue'}
+          </button>
+          <p className="w-full text-xs text-gray-500">
+            Ties share a rank, so the top {scope === 'TOP' ? top : 'N'} can include more people.
+            Certificates already issued are kept unless the rank or score changed.
+          </p>
+        </form>
+
+        <div className="overflow-y-auto mt-4">
+          {certificates.length === 0 ? (
+            <p className="text-gray-400 text-center py-8">No certificates issued yet</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-dark-700">
+                  <th className="text-left py-2 px-3 text-gray-400 font-semibold">Rank</th>
+                  <th className="text-left py-2 px-3 text-gray-400 font-semibold">Name</th>
+                  <th className="text-left py-2 px-3 text-gray-400 font-semibold">Certificate ID</th>
+                  <th className="py-2 px-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {certificates.map(certificate => (
+                  <tr key={certificate.certificateId} className="border-b border-dark-700">
+                    <td className="py-2 px-3 font-semibold">{certificate.rank}</td>
+                    <td className="py-2 px-3 text-white">{certificate.userName}</td>
+                    <td className="py-2 px-3 font-mono text-xs text-gray-400">{certificate.certificateId}</td>
+                    <td className="py-2 px-3 text-right">
+                      <a
+                        href={certificateService.getPdfUrl(certificate.certificateId)}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="inline-flex p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="View PDF"
+                      >
+                        <Download className="w-4 h-4 text-primary-400" />
+                      </a>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IssueCertificatesModal;
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { RefreshCw, ArrowRight } from 'lucide-react';
+
+const POLL_INTERVAL = 2000; // ms
+
+const VERDICT_COLORS = {
+  ACCEPTED: 'text-green-400',
+  PENDING: 'text-yellow-400',
+  INTERNAL_ERROR: 'text-orange-400'
+};
+
+const verdictClass = (verdict) => VERDICT_COLORS[verdict] || 'text-red-400';
+
+const scopeLabel = (rejudge) => {
+  if (rejudge.scope === 'CONTEST') return 'Whole contest';
+  if (rejudge.scope === 'PROBLEM') return `Problem: ${rejudge.problemId?.title || 'deleted'}`;
+  return `Submission ${rejudge.submissionId}`;
+};
+
+const RejudgePanel = ({ contestId, activeRejudgeId, onSelect }) => {
+  const [rejudges, setRejudges] = useState([]);
+  const [report, setReport] = useState(null);
+  const [submissionId, setSubmissionId] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    adminService.getRejudges(contestId)
+      .then(data => setRejudges(data.rejudges))
+      .catch(() => toast.error('Failed to load rejudges'));
+  }, [contestId, activeRejudgeId]);
+
+  // Poll the selected rejudge until every job has finished
+  useEffect(() => {
+    if (!activeRejudgeId) {
+      setReport(null);
+      return;
+    }
+
+    let timer = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const data = await adminService.getRejudgeReport(activeRejudgeId);
+        if (cancelled) return;
+        setReport(data);
+        if (!data.progress.finished) {
+          timer = setTimeout(load, POLL_INTERVAL);
+        }
+      } catch (error) {
+        if (!cancelled) toast.error('Failed to load rejudge progress');
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeRejudgeId]);
+
+  const handleRejudgeSubmission = async (e) => {
+    e.preventDefault();
+    if (!submissionId.trim()) return;
+
+    setStarting(true);
+    try {
+      const data = await adminService.rejudgeSubmission(submissionId.trim());
+      toast.success(data.message);
+      setSubmissionId('');
+      onSelect(data.rejudge._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start rejudge');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const progress = report?.progress;
+  const done = progress ? progress.completed + progress.failed : 0;
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <RefreshCw className="w-5 h-5 text-primary-400" />
+        Rejudges
+      </h2>
+
+      <form onSubmit={handleRejudgeSubmission} className="flex gap-3 mb-6">
+        <input
+          type="text"
+          value={submissionId}
+          onChange={(e) => setSubmissionId(e.target.value)}
+          className="input-field font-mono text-sm"
+          placeholder="Submission ID"
+        />
+        <button type="submit" disabled={starting} className="btn-secondary whitespace-nowrap">
+          Rejudge Submission
+        </button>
+      </form>
+
+      {rejudges.length === 0 ? (
+        <p className="text-gray-400 text-sm">No rejudges yet</p>
+      ) : (
+        <div className="space-y-2 mb-6">
+          {rejudges.map(rejudge => (
+            <button
+              key={rejudge._id}
+              onClick={() => onSelect(rejudge._id)}
+              className={`w-full flex items-center justify-between p-3 rounded-lg border text-left text-sm transition-colors ${
+                rejudge._id === activeRejudgeId
+                  ? 'border-primary-500 bg-primary-500/10'
+                  : 'border-dark-600 bg-dark-700/50 hover:border-dark-500'
+              }`}
+            >
+              <span>{scopeLabel(rejudge)}</span>
+              <span className="text-gray-400">
+                {rejudge.totalSubmissions} submission(s) · {new Date(rejudge.createdAt).toLocaleString()}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {report && (
+        <div className="border-t border-dark-600 pt-4">
+          <div className="flex items-center justify-between text-sm mb-2">
+            <span className="text-gray-300">
+              {progress.finished ? 'Finished' : 'Rejudging...'} {done}/{progress.total}
+            </span>
+            <span className="text-gray-400">
+              {report.rejudge.skippedSubmissions > 0 && `${report.rejudge.skippedSubmissions} pending skipped · `}
+              {progress.failed > 0 && <span className="text-orange-400">{progress.failed} failed · </span>}
+              {report.changes.length} changed
+            </span>
+          </div>
+          <div className="w-full h-2 bg-dark-700 rounded-full overflow-hidden mb-4">
+            <div
+              className="h-full bg-primary-500 transition-all"
+              style={{ width: `${progress.total ? (done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+
+          {report.changes.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-dark-600">
+                    <th className="py-2 pr-4">Participant</th>
+                    <th className="py-2 pr-4">Problem</th>
+                    <th className="py-2 pr-4">Verdict</th>
+                    <th className="py-2">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.changes.map(change => (
+                    <tr key={change.submissionId} className="border-b border-dark-700">
+                      <td className="py-2 pr-4">{change.user?.name || 'Unknown'}</td>
+                      <td className="py-2 pr-4">{change.problem?.title || 'Deleted problem'}</td>
+                      <td className="py-2 pr-4">
+                        <span className={verdictClass(change.previousVerdict)}>{change.previousVerdict}</span>
+                        <ArrowRight className="w-3 h-3 inline mx-2 text-gray-500" />
+                        <span className={verdictClass(change.verdict)}>{change.verdict}</span>
+                      </td>
+                      <td className="py-2">
+                        {change.previousScore}
+                        <ArrowRight className="w-3 h-3 inline mx-2 text-gray-500" />
+                        {change.score}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RejudgePanel;
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { History, X } from 'lucide-react';
+
+// A user's profile summary and every contest they entered, newest first
+const UserHistoryModal = ({ userId, onClose }) => {
+  const navigate = useNavigate();
+  const [details, setDetails] = useState(null);
+
+  useEffect(() => {
+    adminService.getUserDetails(userId)
+      .then(setDetails)
+      .catch(() => {
+        toast.error('Failed to load user');
+        onClose();
+      });
+  }, [userId]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4">
+      <div className="card w-full max-w-3xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <History className="w-5 h-5 text-primary-400" />
+            {details ? details.user.name : 'Contest History'}
+          </h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!details ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-500"></div>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+              <div>
+                <p className="text-gray-400">Email</p>
+                <p className="truncate">{details.user.email}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Rating</p>
+                <p>{details.user.rating} <span className="text-gray-500">(max {details.user.maxRating})</span></p>
+              </div>
+              <div>
+                <p className="text-gray-400">Submissions</p>
+                <p>{details.submissionCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Joined</p>
+                <p>{new Date(details.user.createdAt).toLocaleDateString()}</p>
+              </div>
+            </div>
+
+            <div className="overflow-y-auto">
+              {details.history.length === 0 ? (
+                <p className="text-gray-400 text-center py-8">No contests entered yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-dark-700">
+                      <th className="text-left py-2 px-3 text-gray-400 font-semibold">Contest</th>
+                      <th className="text-left py-2 px-3 text-gray-400 font-semibold">Status</th>
+                      <th className="text-right py-2 px-3 text-gray-400 font-semibold">Score</th>
+                      <th className="text-right py-2 px-3 text-gray-400 font-semibold">Rank</th>
+                      <th className="text-right py-2 px-3 text-gray-400 font-semibold">Rating</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {details.history.map(entry => (
+                      <tr
+                        key={entry._id}
+                        onClick={() => navigate(`/leaderboard/${entry.contestId}`)}
+                        className="border-b border-dark-700 hover:bg-dark-700/30 cursor-pointer"
+                      >
+                        <td className="py-2 px-3">
+                          <p className="text-white">{entry.contest.title}</p>
+                          <p className="text-xs text-gray-500">{new Date(entry.contest.startTime).toLocaleDateString()}</p>
+                        </td>
+                        <td className="py-2 px-3 text-gray-300">{entry.status.replace('_', ' ')}</td>
+                        <td className="py-2 px-3 text-right font-semibold">{entry.totalScore}</td>
+                        <td className="py-2 px-3 text-right">{entry.rank ?? '—'}</td>
+                        <td className="py-2 px-3 text-right">
+                          {entry.ratingDelta === null ? (
+                            <span className="text-gray-500">—</span>
+                          ) : (
+                            <span className={entry.ratingDelta >= 0 ? 'text-green-400' : 'text-red-400'}>
+                              {entry.ratingDelta >= 0 ? '+' : ''}{entry.ratingDelta}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserHistoryModal;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { Ban, Clock, X } from 'lucide-react';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// datetime-local wants local time without a zone
+const toLocalInput = (date) => {
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Suspend (status SUSPENDED) or ban (status BANNED) a user, with a reason they are shown
+const UserStatusModal = ({ user, status, onClose, onUpdated }) => {
+  const [suspendedUntil, setSuspendedUntil] = useState(toLocalInput(Date.now() + 7 * ONE_DAY));
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const banning = status === 'BANNED';
+  const Icon = banning ? Ban : Clock;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = await adminService.updateUserStatus(user._id, {
+        status,
+        suspendedUntil: banning ? undefined : new Date(suspendedUntil).toISOString(),
+        reason
+      });
+      toast.success(data.message);
+      onUpdated(data.user);
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update user');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4">
+      <form onSubmit={handleSubmit} className="card w-full max-w-lg space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Icon className={`w-5 h-5 ${banning ? 'text-red-400' : 'text-yellow-400'}`} />
+            {banning ? 'Ban' : 'Suspend'} {user.name}
+          </h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!banning && (
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Suspended Until</label>
+            <input
+              type="datetime-local"
+              value={suspendedUntil}
+              min={toLocalInput(Date.now())}
+              onChange={(e) => setSuspendedUntil(e.target.value)}
+              className="input-field"
+              required
+            />
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Reason</label>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="input-field"
+            rows="3"
+            maxLength="500"
+            placeholder="Shown to the user when they try to sign in"
+          />
+        </div>
+
+        <p className="text-sm text-gray-400">
+          {banning
+            ? 'The user is signed out and cannot sign in until reinstated.'
+            : 'The user is signed out and can sign in again once the suspension ends.'}
+        </p>
+
+        <div className="flex justify-end gap-4 pt-4 border-t border-dark-700">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="btn-primary">
+            <Icon className="w-5 h-5 mr-2" />
+            {saving ? 'Saving...' : banning ? 'Ban User' : 'Suspend User'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default UserStatusModal;
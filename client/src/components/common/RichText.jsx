@@ -0,0 +1,60 @@
+// Renders question text with ```fenced code``` blocks and ![alt](url) images.
+// Everything else is plain text, so authored content can never inject HTML.
+const FENCE = /```([\w+#-]*)\n?([\s\S]*?)```/g;
+const IMAGE = /!\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
+
+const splitImages = (text, keyPrefix) => {
+  const parts = [];
+  let last = 0;
+  let match;
+
+  IMAGE.lastIndex = 0;
+  while ((match = IMAGE.exec(text)) !== null) {
+    if (match.index > last) {
+      parts.push(<span key={`${keyPrefix}-t${last}`}>{text.slice(last, match.index)}</span>);
+    }
+    parts.push(
+      <img
+        key={`${keyPrefix}-i${match.index}`}
+        src={match[2]}
+        alt={match[1]}
+        className="max-w-full max-h-80 rounded-lg my-2 block"
+      />
+    );
+    last = IMAGE.lastIndex;
+  }
+  if (last < text.length) {
+    parts.push(<span key={`${keyPrefix}-t${last}`}>{text.slice(last)}</span>);
+  }
+  return parts;
+};
+
+const RichText = ({ text = '', className = '' }) => {
+  const parts = [];
+  let last = 0;
+  let match;
+
+  FENCE.lastIndex = 0;
+  while ((match = FENCE.exec(text)) !== null) {
+    if (match.index > last) {
+      parts.push(...splitImages(text.slice(last, match.index), `p${last}`));
+    }
+    parts.push(
+      <pre
+        key={`c${match.index}`}
+        className="bg-dark-900 border border-dark-600 rounded-lg p-3 my-2 overflow-x-auto text-sm font-mono text-gray-200"
+      >
+        {match[1] && <div className="text-xs text-gray-500 mb-2">{match[1]}</div>}
+        <code>{match[2].replace(/\n$/, '')}</code>
+      </pre>
+    );
+    last = FENCE.lastIndex;
+  }
+  if (last < text.length) {
+    parts.push(...splitImages(text.slice(last), `p${last}`));
+  }
+
+  return <div className={`whitespace-pre-wrap ${className}`}>{parts}</div>;
+};
+
+export default RichText;
@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react';
+import teamService from '../../services/teamService';
+import toast from 'react-hot-toast';
+import { Users, Crown, Copy, Mail, LogOut, UserMinus, KeyRound } from 'lucide-react';
+
+// Create, join and manage the user's team in a team contest.
+// Teams can only change before the contest starts.
+const TeamPanel = ({ contest, userId, onChange }) => {
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [teamName, setTeamName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const isUpcoming = contest.status === 'UPCOMING';
+
+  useEffect(() => {
+    teamService.getMyTeam(contest._id)
+      .then(data => setTeam(data.team))
+      .catch(() => toast.error('Failed to load your team'))
+      .finally(() => setLoading(false));
+  }, [contest._id]);
+
+  // Runs a team action; registration changes refresh the contest too
+  const run = async (action, fallback, { refreshContest = false } = {}) => {
+    setBusy(true);
+    try {
+      const data = await action();
+      if (data.team !== undefined) setTeam(data.team);
+      toast.success(data.message);
+      if (refreshContest) onChange?.();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallback);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await run(() => teamService.createTeam(contest._id, teamName), 'Failed to create team', { refreshContest: true })) {
+      setTeamName('');
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (await run(() => teamService.joinTeam(joinCode), 'Failed to join team', { refreshContest: true })) {
+      setJoinCode('');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await run(() => teamService.inviteMember(team._id, inviteEmail), 'Failed to send invite')) {
+      setInviteEmail('');
+    }
+  };
+
+  const handleLeave = async () => {
+    const last = team.members.length === 1;
+    if (!window.confirm(last ? 'You are the last member. Leave and delete the team?' : `Leave ${team.name}?`)) return;
+
+    await run(async () => ({ ...await teamService.leaveTeam(team._id), team: null }), 'Failed to leave team', { refreshContest: true });
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from the team?`)) return;
+    await run(() => teamService.removeMember(team._id, member._id), 'Failed to remove member', { refreshContest: true });
+  };
+
+  const copyJoinCode = async () => {
+    try {
+      await navigator.clipboard.writeText(team.joinCode);
+      toast.success('Join code copied');
+    } catch {
+      toast.error('Could not copy the join code');
+    }
+  };
+
+  if (loading) return null;
+
+  if (!team) {
+    if (!isUpcoming) {
+      return (
+        <div className="bg-dark-800 p-4 rounded-lg border border-dark-700 mb-6 text-gray-400">
+          Teams were locked when the contest started.
+        </div>
+      );
+    }
+
+    return (
+      <div className="bg-dark-800 p-4 rounded-lg border border-dark-700 mb-6">
+        <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+          <Users className="w-5 h-5 text-primary-500" />
+          Team Contest
+        </h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Teams of up to {contest.maxTeamSize} share submissions and one place on the leaderboard.
+          Create a team or join one with its code.
+        </p>
+        <div className="grid md:grid-cols-2 gap-4">
+          <form onSubmit={handleCreate} className="space-y-3">
+            <label className="label">Team Name</label>
+            <input
+              type="text"
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              className="input-field"
+              placeholder="e.g. Null Pointers"
+              minLength={2}
+              maxLength={50}
+              required
+            />
+            <button type="submit" disabled={busy} className="btn-primary w-full">
+              Create Team
+            </button>
+          </form>
+          <form onSubmit={handleJoin} className="space-y-3">
+            <label className="label">Join Code</label>
+            <div className="relative">
+              <KeyRound className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
+              <input
+                type="text"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                className="input-field pl-10 font-mono tracking-widest"
+                placeholder="ABCD2345"
+                maxLength={8}
+                required
+              />
+            </div>
+            <button type="submit" disabled={busy} className="btn-secondary w-full">
+              Join Team
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-dark-800 p-4 rounded-lg border border-dark-700 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Users className="w-5 h-5 text-primary-500" />
+          {team.name}
+          <span className="text-sm text-gray-400 font-normal">
+            ({team.members.length}/{contest.maxTeamSize})
+          </span>
+        </h3>
+        {isUpcoming && (
+          <button onClick={handleLeave} disabled={busy} className="btn-secondary text-sm">
+            <LogOut className="w-4 h-4 mr-1" />
+            Leave
+          </button>
+        )}
+      </div>
+
+      <ul className="space-y-2 mb-4">
+        {team.members.map(member => (
+          <li key={member._id} className="flex items-center justify-between bg-dark-900 px-3 py-2 rounded-lg">
+            <div className="flex items-center gap-2">
+              {member._id === team.captain && <Crown className="w-4 h-4 text-yellow-400" />}
+              <span className="text-white">{member.name}</span>
+              {member._id === userId && <span className="text-gray-500 text-sm">(you)</span>}
+              {member.college && <span className="text-gray-500 text-sm">· {member.college}</span>}
+            </div>
+            {team.isCaptain && isUpcoming && member._id !== team.captain && (
+              <button
+                onClick={() => handleRemove(member)}
+                disabled={busy}
+                className="text-gray-400 hover:text-red-400"
+                title="Remove member"
+              >
+                <UserMinus className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isUpcoming && (
+        <div className="flex items-center gap-3 text-sm mb-4">
+          <span className="text-gray-400">Join code:</span>
+          <span className="font-mono tracking-widest text-white">{team.joinCode}</span>
+          <button onClick={copyJoinCode} className="text-gray-400 hover:text-white" title="Copy join code">
+            <Copy className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {team.isCaptain && isUpcoming && team.members.length < contest.maxTeamSize && (
+        <form onSubmit={handleInvite} className="flex gap-2">
+          <div className="relative flex-1">
+            <Mail className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              className="input-field pl-10"
+              placeholder="teammate@example.com"
+              required
+            />
+          </div>
+          <button type="submit" disabled={busy} className="btn-primary">
+            Invite
+          </button>
+        </form>
+      )}
+
+      {team.isCaptain && team.invites.length > 0 && (
+        <p className="text-gray-500 text-sm mt-3">
+          Pending invites: {team.invites.map(invite => invite.userId?.name || invite.userId?.email).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TeamPanel;
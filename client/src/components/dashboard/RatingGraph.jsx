@@ -0,0 +1,87 @@
+const WIDTH = 640;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+// Rating bands drawn behind the line, lowest first
+const BANDS = [
+  { from: 0, color: '#6b7280' },
+  { from: 1200, color: '#22c55e' },
+  { from: 1400, color: '#06b6d4' },
+  { from: 1600, color: '#3b82f6' },
+  { from: 1900, color: '#a855f7' },
+  { from: 2100, color: '#f59e0b' },
+  { from: 2400, color: '#ef4444' }
+];
+
+// Rating over time, one point per rated contest after the starting rating.
+// history: [{ contestTitle, rank, participants, oldRating, newRating, delta, ratedAt }]
+const RatingGraph = ({ history }) => {
+  if (history.length === 0) {
+    return <p className="text-gray-400 text-center py-12">Finish a rated contest to get a rating</p>;
+  }
+
+  const points = [
+    { rating: history[0].oldRating, label: 'Starting rating' },
+    ...history.map(change => ({
+      rating: change.newRating,
+      label: `${change.contestTitle}: rank ${change.rank} of ${change.participants}, ` +
+        `${change.delta >= 0 ? '+' : ''}${change.delta} → ${change.newRating}`
+    }))
+  ];
+
+  const ratings = points.map(point => point.rating);
+  const min = Math.floor((Math.min(...ratings) - 100) / 100) * 100;
+  const max = Math.ceil((Math.max(...ratings) + 100) / 100) * 100;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const y = (rating) => PADDING.top + ((max - rating) / (max - min)) * plotHeight;
+
+  const step = Math.max(100, Math.ceil((max - min) / 5 / 100) * 100);
+  const ticks = [];
+  for (let tick = min; tick <= max; tick += step) ticks.push(tick);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+      {BANDS.map((band, index) => {
+        const top = Math.min(max, BANDS[index + 1]?.from ?? max);
+        const bottom = Math.max(min, band.from);
+        if (top <= bottom) return null;
+        return (
+          <rect
+            key={band.from}
+            x={PADDING.left}
+            y={y(top)}
+            width={plotWidth}
+            height={y(bottom) - y(top)}
+            fill={band.color}
+            opacity="0.12"
+          />
+        );
+      })}
+
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#374151" strokeDasharray="4 4" />
+          <text x={PADDING.left - 8} y={y(tick) + 4} textAnchor="end" className="fill-gray-500 text-xs">{tick}</text>
+        </g>
+      ))}
+
+      <polyline
+        points={points.map((point, index) => `${x(index)},${y(point.rating)}`).join(' ')}
+        fill="none"
+        strokeWidth="2"
+        className="stroke-primary-500"
+      />
+
+      {points.map((point, index) => (
+        <circle key={index} cx={x(index)} cy={y(point.rating)} r="4" className="fill-primary-500">
+          <title>{point.label}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default RatingGraph;
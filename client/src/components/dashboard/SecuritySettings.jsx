@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authService, saveSession } from '../../services/authService';
+import toast from 'react-hot-toast';
+import { Lock, LogOut, Shield } from 'lucide-react';
+
+// Change password and sign out of other devices
+const SecuritySettings = () => {
+  const { logoutAll, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await authService.changePassword(formData);
+      // This device gets a new session; every other one is signed out
+      saveSession(response.data.token, response.data.user);
+      updateUser(response.data.user);
+      setFormData({ currentPassword: '', newPassword: '' });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+
+    const result = await logoutAll();
+    if (result.success) {
+      toast.success('Logged out of all devices');
+      navigate('/login');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold text-white mb-4 flex items-center gap-2">
+        <Shield className="w-6 h-6 text-primary-500" />
+        Security
+      </h2>
+      <div className="grid md:grid-cols-2 gap-8">
+        <form onSubmit={handleChangePassword} className="space-y-4">
+          <h3 className="text-lg font-semibold text-white">Change Password</h3>
+          {['currentPassword', 'newPassword'].map(name => (
+            <div key={name}>
+              <label className="label">{name === 'currentPassword' ? 'Current Password' : 'New Password'}</label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
+                <input
+                  type="password"
+                  name={name}
+                  value={formData[name]}
+                  onChange={handleChange}
+                  className="input-field pl-10"
+                  placeholder="••••••••"
+                  minLength={name === 'newPassword' ? 6 : undefined}
+                  required
+                />
+              </div>
+            </div>
+          ))}
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+
+        <div>
+          <h3 className="text-lg font-semibold text-white mb-2">Sessions</h3>
+          <p className="text-gray-400 text-sm mb-4">
+            Lost a device or signed in somewhere public? End every session at once.
+            Changing your password does this too, except on this device.
+          </p>
+          <button onClick={handleLogoutAll} className="btn-secondary">
+            <LogOut className="w-5 h-5 mr-2" />
+            Log out of all devices
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
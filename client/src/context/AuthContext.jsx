@@ -1,5 +1,8 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authService } from '../services/authService';
+import { authService, refreshSession, saveSession, clearSession, getTokenTtl } from '../services/authService';
+
+// Refresh this many seconds before the access token runs out
+const REFRESH_MARGIN = 60;
 
 const AuthContext = createContext();
 
@@ -16,24 +19,65 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
 
+  const endSession = () => {
+    clearSession();
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
+  const restoreSession = async () => {
+    try {
+      const { user: userData } = await refreshSession();
+      setUser(userData);
+      setIsAuthenticated(true);
+    } catch (error) {
+      endSession();
+    }
+  };
+
   useEffect(() => {
     const token = localStorage.getItem('token');
     const savedUser = localStorage.getItem('user');
     
-    if (token && savedUser) {
+    if (token && savedUser && getTokenTtl(token) > REFRESH_MARGIN) {
       setUser(JSON.parse(savedUser));
       setIsAuthenticated(true);
+      setLoading(false);
+    } else if (savedUser) {
+      // The access token ran out while the app was closed
+      restoreSession().finally(() => setLoading(false));
+    } else {
+      setLoading(false);
     }
-    setLoading(false);
   }, []);
 
+  // Refresh the access token shortly before it expires, for as long as the user stays signed in
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let timer;
+    let active = true;
+    const schedule = () => {
+      const ttl = getTokenTtl(localStorage.getItem('token'));
+      timer = setTimeout(async () => {
+        await restoreSession();
+        if (active) schedule();
+      }, Math.max(ttl - REFRESH_MARGIN, 0) * 1000);
+    };
+    schedule();
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [isAuthenticated]);
+
   const login = async (credentials) => {
     try {
       const response = await authService.login(credentials);
       const { token, user: userData } = response.data;
       
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
+      saveSession(token, userData);
       
       setUser(userData);
       setIsAuthenticated(true);
@@ -42,6 +86,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       return { 
         success: false, 
+        code: error.response?.data?.code,
         message: error.response?.data?.message || 'Login failed' 
       };
     }
@@ -50,10 +95,14 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authService.register(userData);
-      const { token, user: newUser } = response.data;
+      const { token, user: newUser, message } = response.data;
+
+      // The server holds back the session until the email is verified
+      if (!token) {
+        return { success: true, requiresVerification: true, message };
+      }
       
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(newUser));
+      saveSession(token, newUser);
       
       setUser(newUser);
       setIsAuthenticated(true);
@@ -67,11 +116,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    setUser(null);
-    setIsAuthenticated(false);
+  const logout = async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      // Signing out locally still ends the session for this tab
+    } finally {
+      endSession();
+    }
+  };
+
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll();
+      endSession();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to log out of all devices'
+      };
+    }
   };
 
   const updateUser = (userData) => {
@@ -86,6 +151,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
     updateUser,
     isAdmin: user?.role === 'ADMIN'
   };
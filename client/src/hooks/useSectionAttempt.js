@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import contestService from '../services/contestService';
+
+// Starts (or resumes) the user's attempt at a contest section and counts down
+// to the deadline the server computed, so a refresh never resets the clock.
+export const useSectionAttempt = (contestId, section, { onTimeUp, onError } = {}) => {
+  const [started, setStarted] = useState(false);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const deadlineRef = useRef(null);
+  const callbacksRef = useRef({ onTimeUp, onError });
+  callbacksRef.current = { onTimeUp, onError };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    contestService.startSection(contestId, section)
+      .then(data => {
+        if (cancelled) return;
+        const state = data.attempt.sections[section];
+        // Local deadline from the server's remaining time avoids clock skew
+        deadlineRef.current = Date.now() + state.remainingSeconds * 1000;
+        setTimeRemaining(state.remainingSeconds);
+        setStarted(true);
+      })
+      .catch(error => {
+        if (!cancelled) callbacksRef.current.onError?.(error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contestId, section]);
+
+  useEffect(() => {
+    if (!started) return;
+
+    const timer = setInterval(() => {
+      const remaining = Math.max(0, Math.floor((deadlineRef.current - Date.now()) / 1000));
+      setTimeRemaining(remaining);
+
+      if (remaining === 0) {
+        clearInterval(timer);
+        callbacksRef.current.onTimeUp?.();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [started]);
+
+  return { started, timeRemaining };
+};
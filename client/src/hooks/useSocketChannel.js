@@ -0,0 +1,15 @@
+import { useEffect, useRef } from 'react';
+import socketService from '../services/socketService';
+
+export const useSocketChannel = (channel, onEvent) => {
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useEffect(() => {
+    if (!channel) return;
+
+    return socketService.subscribe(channel, (event, data) => {
+      handlerRef.current(event, data);
+    });
+  }, [channel]);
+};
@@ -1,7 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import contestService from '../../services/contestService';
+import adminService from '../../services/adminService';
+import CloneContestModal from '../../components/admin/CloneContestModal';
+import ContestAnalytics from '../../components/admin/ContestAnalytics';
+import IssueCertificatesModal from '../../components/admin/IssueCertificatesModal';
 import toast from 'react-hot-toast';
 import { 
   Plus, 
@@ -13,7 +17,11 @@ import {
   Edit,
   Trash2,
   Eye,
-  BarChart3
+  BarChart3,
+  Library,
+  Copy,
+  PieChart,
+  Award
 } from 'lucide-react';
 
 const AdminDashboard = () => {
@@ -22,12 +30,11 @@ const AdminDashboard = () => {
   
   const [contests, setContests] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalContests: 0,
-    liveContests: 0,
-    totalParticipants: 0,
-    upcomingContests: 0
-  });
+  const [cloningContest, setCloningContest] = useState(null);
+  const [certificateContest, setCertificateContest] = useState(null);
+  const [analyticsContestId, setAnalyticsContestId] = useState('');
+  const analyticsRef = useRef(null);
+  const [stats, setStats] = useState(null);
 
   useEffect(() => {
     if (!isAdmin) {
@@ -40,17 +47,12 @@ const AdminDashboard = () => {
 
   const fetchContests = async () => {
     try {
-      const data = await contestService.getAllContests();
+      const [data, statsData] = await Promise.all([
+        adminService.getAllContests(), // includes unpublished drafts
+        adminService.getAdminStats()
+      ]);
       setContests(data.contests);
-      
-      // Calculate stats
-      const stats = {
-        totalContests: data.contests.length,
-        liveContests: data.contests.filter(c => c.status === 'LIVE').length,
-        upcomingContests: data.contests.filter(c => c.status === 'UPCOMING').length,
-        totalParticipants: data.contests.reduce((sum, c) => sum + (c.participants?.length || 0), 0)
-      };
-      setStats(stats);
+      setStats(statsData.stats);
       
       setLoading(false);
     } catch (error) {
@@ -75,6 +77,11 @@ const AdminDashboard = () => {
     }
   };
 
+  const showAnalytics = (contestId) => {
+    setAnalyticsContestId(contestId);
+    analyticsRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'LIVE':
@@ -121,7 +128,8 @@ const AdminDashboard = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-gray-400 text-sm mb-1">Total Contests</p>
-                <p className="text-3xl font-bold">{stats.totalContests}</p>
+                <p className="text-3xl font-bold">{stats.contests.total}</p>
+                <p className="text-xs text-gray-500 mt-1">{stats.contests.drafts} drafts, {stats.contests.ended} ended</p>
               </div>
               <div className="w-12 h-12 bg-primary-500/20 rounded-lg flex items-center justify-center">
                 <Trophy className="w-6 h-6 text-primary-400" />
@@ -133,7 +141,8 @@ const AdminDashboard = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-gray-400 text-sm mb-1">Live Contests</p>
-                <p className="text-3xl font-bold text-green-400">{stats.liveContests}</p>
+                <p className="text-3xl font-bold text-green-400">{stats.contests.live}</p>
+                <p className="text-xs text-gray-500 mt-1">{stats.submissions.lastDay} submissions in 24h</p>
               </div>
               <div className="w-12 h-12 bg-green-500/20 rounded-lg flex items-center justify-center">
                 <Calendar className="w-6 h-6 text-green-400" />
@@ -145,7 +154,8 @@ const AdminDashboard = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-gray-400 text-sm mb-1">Upcoming</p>
-                <p className="text-3xl font-bold text-blue-400">{stats.upcomingContests}</p>
+                <p className="text-3xl font-bold text-blue-400">{stats.contests.upcoming}</p>
+                <p className="text-xs text-gray-500 mt-1">{stats.submissions.pending} submissions judging</p>
               </div>
               <div className="w-12 h-12 bg-blue-500/20 rounded-lg flex items-center justify-center">
                 <Calendar className="w-6 h-6 text-blue-400" />
@@ -153,17 +163,20 @@ const AdminDashboard = () => {
             </div>
           </div>
 
-          <div className="card">
+          <button onClick={() => navigate('/admin/users')} className="card text-left hover:border-purple-500 transition-colors">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-gray-400 text-sm mb-1">Total Participants</p>
-                <p className="text-3xl font-bold text-purple-400">{stats.totalParticipants}</p>
+                <p className="text-gray-400 text-sm mb-1">Users</p>
+                <p className="text-3xl font-bold text-purple-400">{stats.users.total}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {stats.users.newThisWeek} new this week, {stats.participations} contest entries
+                </p>
               </div>
               <div className="w-12 h-12 bg-purple-500/20 rounded-lg flex items-center justify-center">
                 <Users className="w-6 h-6 text-purple-400" />
               </div>
             </div>
-          </div>
+          </button>
         </div>
 
         {/* Contests Table */}
@@ -210,6 +223,9 @@ const AdminDashboard = () => {
                         <span className={`badge border ${getStatusColor(contest.status)}`}>
                           {contest.status}
                         </span>
+                        {!contest.isPublished && (
+                          <span className="badge border border-gray-500/50 text-gray-400 ml-2">DRAFT</span>
+                        )}
                       </td>
                       <td className="py-4 px-4 text-gray-300">
                         {new Date(contest.startTime).toLocaleDateString()}
@@ -266,6 +282,24 @@ const AdminDashboard = () => {
                             <BarChart3 className="w-4 h-4 text-green-400" />
                           </button>
 
+                          <button
+                            onClick={() => showAnalytics(contest._id)}
+                            className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                            title="Analytics"
+                          >
+                            <PieChart className="w-4 h-4 text-pink-400" />
+                          </button>
+
+                          {contest.status === 'ENDED' && (
+                            <button
+                              onClick={() => setCertificateContest(contest)}
+                              className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                              title="Certificates"
+                            >
+                              <Award className="w-4 h-4 text-primary-400" />
+                            </button>
+                          )}
+
                           <button
                             onClick={() => navigate(`/admin/contest/mcq/${contest._id}`)}
                             className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
@@ -290,6 +324,14 @@ const AdminDashboard = () => {
                             <Edit className="w-4 h-4 text-yellow-400" />
                           </button>
 
+                          <button
+                            onClick={() => setCloningContest(contest)}
+                            className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                            title="Clone"
+                          >
+                            <Copy className="w-4 h-4 text-cyan-400" />
+                          </button>
+
                           <button
                             onClick={() => handleDeleteContest(contest._id)}
                             className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
@@ -307,8 +349,38 @@ const AdminDashboard = () => {
           )}
         </div>
 
+        {/* Contest Analytics */}
+        {contests.length > 0 && (
+          <div ref={analyticsRef} className="card mt-8 scroll-mt-24">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+              <h2 className="text-xl font-bold flex items-center gap-2">
+                <PieChart className="w-5 h-5 text-pink-400" />
+                Contest Analytics
+              </h2>
+              <select
+                value={analyticsContestId}
+                onChange={(e) => setAnalyticsContestId(e.target.value)}
+                className="input-field md:w-80"
+              >
+                <option value="">Select a contest</option>
+                {contests.map(contest => (
+                  <option key={contest._id} value={contest._id}>{contest.title}</option>
+                ))}
+              </select>
+            </div>
+
+            {analyticsContestId ? (
+              <ContestAnalytics contestId={analyticsContestId} />
+            ) : (
+              <p className="text-gray-400 text-center py-12">
+                Pick a contest to see score distributions, MCQ and problem breakdowns, and drop-off
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Quick Actions */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-8">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mt-8">
           <button
             onClick={() => navigate('/admin/contest/create')}
             className="card hover:border-primary-500 transition-colors text-left"
@@ -347,8 +419,41 @@ const AdminDashboard = () => {
             <h3 className="text-lg font-bold mb-2">Add Coding Problems</h3>
             <p className="text-gray-400 text-sm">Create coding challenges with test cases</p>
           </button>
+
+          <button
+            onClick={() => navigate('/admin/question-banks')}
+            className="card hover:border-blue-500 transition-colors text-left"
+          >
+            <Library className="w-8 h-8 text-blue-400 mb-3" />
+            <h3 className="text-lg font-bold mb-2">Question Banks</h3>
+            <p className="text-gray-400 text-sm">Reusable MCQs drawn at random per participant</p>
+          </button>
+
+          <button
+            onClick={() => navigate('/admin/users')}
+            className="card hover:border-purple-500 transition-colors text-left"
+          >
+            <Users className="w-8 h-8 text-purple-400 mb-3" />
+            <h3 className="text-lg font-bold mb-2">Manage Users</h3>
+            <p className="text-gray-400 text-sm">Promote admins, suspend or ban accounts</p>
+          </button>
         </div>
       </div>
+
+      {cloningContest && (
+        <CloneContestModal
+          contest={cloningContest}
+          onClose={() => setCloningContest(null)}
+          onCloned={(contest) => navigate(`/admin/contest/edit/${contest._id}`)}
+        />
+      )}
+
+      {certificateContest && (
+        <IssueCertificatesModal
+          contest={certificateContest}
+          onClose={() => setCertificateContest(null)}
+        />
+      )}
     </div>
   );
 };
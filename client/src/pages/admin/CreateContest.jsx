@@ -4,7 +4,7 @@ import { useAuth } from '../../context/AuthContext';
 import adminService from '../../services/adminService';
 import contestService from '../../services/contestService';
 import toast from 'react-hot-toast';
-import { Save, X, Plus, Trash2, Calendar } from 'lucide-react';
+import { Save, X, Plus, Trash2, Calendar, LayoutTemplate } from 'lucide-react';
 
 const CreateContest = () => {
   const navigate = useNavigate();
@@ -19,6 +19,11 @@ const CreateContest = () => {
     endTime: '',
     duration: 120,
     maxParticipants: '',
+    participationMode: 'INDIVIDUAL',
+    maxTeamSize: 3,
+    scoringMode: 'POINTS',
+    penaltyMinutes: 20,
+    freezeTime: '',
     sections: {
       mcq: {
         enabled: true,
@@ -31,10 +36,13 @@ const CreateContest = () => {
     },
     rules: ['No cheating allowed', 'Complete all questions within time limit'],
     prizes: ['1st Prize: Certificate + Goodies', '2nd Prize: Certificate', '3rd Prize: Certificate'],
+    isRated: true,
     isPublished: false
   });
 
   const [loading, setLoading] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
 
   useEffect(() => {
     if (!isAdmin) {
@@ -46,8 +54,71 @@ const CreateContest = () => {
     if (isEditMode) {
       loadContest();
     }
+    loadTemplates();
   }, [contestId, isAdmin]);
 
+  const loadTemplates = async () => {
+    try {
+      const data = await adminService.getContestTemplates();
+      setTemplates(data.templates);
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  // Fill everything but the dates from a saved layout
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const template = templates.find(t => t._id === id);
+    if (!template) return;
+
+    const { layout } = template;
+    setFormData(prev => ({
+      ...prev,
+      title: layout.title || prev.title,
+      description: layout.description || prev.description,
+      duration: layout.duration,
+      maxParticipants: layout.maxParticipants || '',
+      participationMode: layout.participationMode || 'INDIVIDUAL',
+      maxTeamSize: layout.maxTeamSize ?? 3,
+      scoringMode: layout.scoringMode || 'POINTS',
+      penaltyMinutes: layout.penaltyMinutes ?? 20,
+      sections: layout.sections,
+      rules: layout.rules,
+      prizes: layout.prizes,
+      isRated: layout.isRated ?? true
+    }));
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(t => t._id === templateId);
+    if (!template || !window.confirm(`Delete template "${template.name}"?`)) return;
+
+    try {
+      await adminService.deleteContestTemplate(template._id);
+      toast.success('Template deleted');
+      setTemplateId('');
+      loadTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      toast.error('Failed to delete template');
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    const name = window.prompt('Template name', formData.title);
+    if (!name?.trim()) return;
+
+    try {
+      await adminService.createContestTemplate({ name: name.trim(), layout: buildContestData() });
+      toast.success('Template saved');
+      loadTemplates();
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
   const loadContest = async () => {
     try {
       setLoading(true);
@@ -67,9 +138,15 @@ const CreateContest = () => {
         endTime: formatDateTime(contest.endTime),
         duration: contest.duration,
         maxParticipants: contest.maxParticipants || '',
+        participationMode: contest.participationMode || 'INDIVIDUAL',
+        maxTeamSize: contest.maxTeamSize ?? 3,
+        scoringMode: contest.scoringMode || 'POINTS',
+        penaltyMinutes: contest.penaltyMinutes ?? 20,
+        freezeTime: contest.freezeTime ? formatDateTime(contest.freezeTime) : '',
         sections: contest.sections,
         rules: contest.rules,
         prizes: contest.prizes,
+        isRated: contest.isRated ?? true,
         isPublished: contest.isPublished
       });
       setLoading(false);
@@ -134,6 +211,30 @@ const CreateContest = () => {
     }));
   };
 
+  // Keeps section settings the form doesn't edit, such as durations and draw rules
+  const buildContestData = () => ({
+    ...formData,
+    maxParticipants: formData.maxParticipants ? parseInt(formData.maxParticipants) : undefined,
+    maxTeamSize: parseInt(formData.maxTeamSize) || 3,
+    duration: parseInt(formData.duration),
+    penaltyMinutes: parseInt(formData.penaltyMinutes) || 0,
+    freezeTime: formData.freezeTime || null,
+    sections: {
+      mcq: {
+        ...formData.sections.mcq,
+        enabled: formData.sections.mcq.enabled,
+        totalMarks: parseInt(formData.sections.mcq.totalMarks)
+      },
+      coding: {
+        ...formData.sections.coding,
+        enabled: formData.sections.coding.enabled,
+        totalMarks: parseInt(formData.sections.coding.totalMarks)
+      }
+    },
+    rules: formData.rules.filter(r => r.trim()),
+    prizes: formData.prizes.filter(p => p.trim())
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -166,23 +267,7 @@ const CreateContest = () => {
     setLoading(true);
 
     try {
-      const contestData = {
-        ...formData,
-        maxParticipants: formData.maxParticipants ? parseInt(formData.maxParticipants) : undefined,
-        duration: parseInt(formData.duration),
-        sections: {
-          mcq: {
-            enabled: formData.sections.mcq.enabled,
-            totalMarks: parseInt(formData.sections.mcq.totalMarks)
-          },
-          coding: {
-            enabled: formData.sections.coding.enabled,
-            totalMarks: parseInt(formData.sections.coding.totalMarks)
-          }
-        },
-        rules: formData.rules.filter(r => r.trim()),
-        prizes: formData.prizes.filter(p => p.trim())
-      };
+      const contestData = buildContestData();
 
       if (isEditMode) {
         await adminService.updateContest(contestId, contestData);
@@ -211,13 +296,23 @@ const CreateContest = () => {
             <p className="text-gray-400">{isEditMode ? 'Update contest details' : 'Fill in the details to create a new contest'}</p>
           </div>
           
-          <button
-            onClick={() => navigate('/admin/dashboard')}
-            className="btn-secondary"
-          >
-            <X className="w-5 h-5 mr-2" />
-            Cancel
-          </button>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              className="btn-secondary"
+            >
+              <LayoutTemplate className="w-5 h-5 mr-2" />
+              Save as Template
+            </button>
+            <button
+              onClick={() => navigate('/admin/dashboard')}
+              className="btn-secondary"
+            >
+              <X className="w-5 h-5 mr-2" />
+              Cancel
+            </button>
+          </div>
         </div>
 
         {loading && isEditMode ? (
@@ -226,6 +321,35 @@ const CreateContest = () => {
           </div>
         ) : (
           <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Template */}
+          {!isEditMode && templates.length > 0 && (
+            <div className="card">
+              <h2 className="text-xl font-bold mb-4">Start from a Template</h2>
+              <div className="flex gap-2">
+                <select
+                  value={templateId}
+                  onChange={(e) => applyTemplate(e.target.value)}
+                  className="input-field flex-1"
+                >
+                  <option value="">Blank contest</option>
+                  {templates.map(template => (
+                    <option key={template._id} value={template._id}>{template.name}</option>
+                  ))}
+                </select>
+                {templateId && (
+                  <button
+                    type="button"
+                    onClick={handleDeleteTemplate}
+                    className="p-2 hover:bg-dark-600 rounded-lg transition-colors text-red-400"
+                    title="Delete template"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Basic Information */}
           <div className="card">
             <h2 className="text-xl font-bold mb-4">Basic Information</h2>
@@ -322,6 +446,95 @@ const CreateContest = () => {
                   />
                 </div>
               </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Participation
+                  </label>
+                  <select
+                    name="participationMode"
+                    value={formData.participationMode}
+                    onChange={handleChange}
+                    className="input-field"
+                  >
+                    <option value="INDIVIDUAL">Individual</option>
+                    <option value="TEAM">Teams (shared submissions and standings)</option>
+                  </select>
+                  {formData.participationMode === 'TEAM' && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Team contests are never rated. Max participants counts people, not teams.
+                    </p>
+                  )}
+                </div>
+
+                {formData.participationMode === 'TEAM' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Max Team Size
+                    </label>
+                    <input
+                      type="number"
+                      name="maxTeamSize"
+                      value={formData.maxTeamSize}
+                      onChange={handleChange}
+                      className="input-field"
+                      min="2"
+                      max="10"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Scoring Mode
+                  </label>
+                  <select
+                    name="scoringMode"
+                    value={formData.scoringMode}
+                    onChange={handleChange}
+                    className="input-field"
+                  >
+                    <option value="POINTS">Points (score, then time taken)</option>
+                    <option value="ICPC">ICPC (problems solved, then penalty)</option>
+                    <option value="IOI">IOI (best score per subtask)</option>
+                  </select>
+                </div>
+
+                {formData.scoringMode === 'ICPC' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Penalty per Wrong Attempt (minutes)
+                    </label>
+                    <input
+                      type="number"
+                      name="penaltyMinutes"
+                      value={formData.penaltyMinutes}
+                      onChange={handleChange}
+                      className="input-field"
+                      min="0"
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Freeze Leaderboard At (optional)
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="freezeTime"
+                    value={formData.freezeTime}
+                    onChange={handleChange}
+                    className="input-field"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Public standings stop updating here and are revealed after the contest.
+                  </p>
+                </div>
+              </div>
             </div>
           </div>
 
@@ -485,6 +698,20 @@ const CreateContest = () => {
                 <p className="text-sm text-gray-400">Make this contest visible to users</p>
               </div>
             </label>
+
+            <label className="flex items-center gap-3 cursor-pointer mt-4">
+              <input
+                type="checkbox"
+                name="isRated"
+                checked={formData.isRated}
+                onChange={handleChange}
+                className="w-5 h-5 rounded border-gray-600 text-primary-500 focus:ring-primary-500"
+              />
+              <div>
+                <p className="font-semibold">Rated Contest</p>
+                <p className="text-sm text-gray-400">Update participants' ratings from the final standings</p>
+              </div>
+            </label>
           </div>
 
           {/* Submit Button */}
@@ -3,8 +3,34 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import adminService from '../../services/adminService';
 import codingService from '../../services/codingService';
+import RejudgePanel from '../../components/admin/RejudgePanel';
+import ImportExportPanel from '../../components/admin/ImportExportPanel';
+import { downloadFile } from '../../utils/downloadFile';
 import toast from 'react-hot-toast';
-import { Save, X, Plus, Trash2, Edit, ArrowLeft, Code } from 'lucide-react';
+import { Save, X, Plus, Trash2, Edit, ArrowLeft, Code, RefreshCw, Download } from 'lucide-react';
+
+const CHECKER_MODES = [
+  { value: 'EXACT', label: 'Exact match', hint: 'Output must match exactly (trailing whitespace ignored)' },
+  { value: 'TOKEN', label: 'Token / whitespace-insensitive', hint: 'Compares whitespace-separated tokens' },
+  { value: 'CASE_INSENSITIVE', label: 'Case-insensitive', hint: 'Compares tokens ignoring letter case' },
+  { value: 'FLOAT', label: 'Floating point', hint: 'Numbers match within the absolute or relative epsilon' },
+  { value: 'UNORDERED_LINES', label: 'Unordered lines', hint: 'Same lines in any order' },
+  { value: 'CUSTOM', label: 'Custom checker', hint: 'Your program decides the verdict' }
+];
+
+const CHECKER_LANGUAGES = [
+  { id: 71, name: 'Python' },
+  { id: 54, name: 'C++' },
+  { id: 63, name: 'JavaScript' }
+];
+
+const DEFAULT_CHECKER = {
+  mode: 'EXACT',
+  absoluteEpsilon: 1e-6,
+  relativeEpsilon: 1e-6,
+  sourceCode: '',
+  languageId: 71
+};
 
 const ManageCodingProblems = () => {
   const { contestId } = useParams();
@@ -15,6 +41,7 @@ const ManageCodingProblems = () => {
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingProblem, setEditingProblem] = useState(null);
+  const [activeRejudgeId, setActiveRejudgeId] = useState(null);
   
   const [formData, setFormData] = useState({
     contestId: contestId,
@@ -27,10 +54,12 @@ const ManageCodingProblems = () => {
     testcases: [{ input: '', output: '', points: 10, isHidden: false }],
     score: 100,
     difficulty: 'MEDIUM',
-    timeLimit: 2000,
+    timeLimit: 2,
     memoryLimit: 256,
     tags: [],
-    order: 1
+    order: 1,
+    checker: DEFAULT_CHECKER,
+    subtasks: []
   });
 
   useEffect(() => {
@@ -66,10 +95,12 @@ const ManageCodingProblems = () => {
       testcases: [{ input: '', output: '', points: 10, isHidden: false }],
       score: 100,
       difficulty: 'MEDIUM',
-      timeLimit: 2000,
+      timeLimit: 2,
       memoryLimit: 256,
       tags: [],
-      order: problems.length + 1
+      order: problems.length + 1,
+      checker: DEFAULT_CHECKER,
+      subtasks: []
     });
     setEditingProblem(null);
     setShowForm(false);
@@ -90,7 +121,13 @@ const ManageCodingProblems = () => {
       timeLimit: problem.timeLimit,
       memoryLimit: problem.memoryLimit,
       tags: problem.tags || [],
-      order: problem.order
+      order: problem.order,
+      checker: { ...DEFAULT_CHECKER, ...problem.checker },
+      subtasks: (problem.subtasks || []).map(st => ({
+        name: st.name,
+        score: st.score,
+        dependencies: (st.dependencies || []).join(', ')
+      }))
     });
     setEditingProblem(problem);
     setShowForm(true);
@@ -163,6 +200,73 @@ const ManageCodingProblems = () => {
     }));
   };
 
+  const handleRejudgeProblem = async (problem) => {
+    if (!window.confirm(`Rejudge every submission for "${problem.title}" against the current testcases?`)) return;
+
+    try {
+      const data = await adminService.rejudgeProblem(problem._id);
+      toast.success(data.message);
+      setActiveRejudgeId(data.rejudge._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start rejudge');
+    }
+  };
+
+  const handleExportProblem = async (problem) => {
+    try {
+      downloadFile(await adminService.exportCodingProblem(problem._id), `${problem.title}.zip`);
+    } catch (error) {
+      console.error('Error exporting problem:', error);
+      toast.error('Failed to export problem');
+    }
+  };
+
+  const handleRejudgeContest = async () => {
+    if (!window.confirm('Rejudge every submission in this contest against the current testcases?')) return;
+
+    try {
+      const data = await adminService.rejudgeContest(contestId);
+      toast.success(data.message);
+      setActiveRejudgeId(data.rejudge._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start rejudge');
+    }
+  };
+
+  const handleSubtaskChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      subtasks: prev.subtasks.map((st, i) =>
+        i === index ? { ...st, [field]: value } : st
+      )
+    }));
+  };
+
+  const addSubtask = () => {
+    setFormData(prev => ({
+      ...prev,
+      subtasks: [...prev.subtasks, { name: `Subtask ${prev.subtasks.length + 1}`, score: 0, dependencies: '' }]
+    }));
+  };
+
+  const removeSubtask = (index) => {
+    setFormData(prev => {
+      const removed = prev.subtasks[index].name;
+      return {
+        ...prev,
+        subtasks: prev.subtasks.filter((_, i) => i !== index),
+        testcases: prev.testcases.map(tc => tc.subtask === removed ? { ...tc, subtask: null } : tc)
+      };
+    });
+  };
+
+  const handleCheckerChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      checker: { ...prev.checker, [field]: value }
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -184,16 +288,37 @@ const ManageCodingProblems = () => {
       return;
     }
 
+    if (formData.subtasks.length > 0 && validTestcases.some(tc => !tc.subtask)) {
+      toast.error('Assign every testcase to a subtask');
+      return;
+    }
+
+    if (formData.checker.mode === 'CUSTOM' && !formData.checker.sourceCode.trim()) {
+      toast.error('Custom checker source code is required');
+      return;
+    }
+
     try {
       const problemData = {
         ...formData,
+        checker: {
+          ...formData.checker,
+          absoluteEpsilon: parseFloat(formData.checker.absoluteEpsilon),
+          relativeEpsilon: parseFloat(formData.checker.relativeEpsilon),
+          languageId: parseInt(formData.checker.languageId)
+        },
         examples: validExamples,
         testcases: validTestcases.map(tc => ({
           ...tc,
           points: parseInt(tc.points)
         })),
+        subtasks: formData.subtasks.map(st => ({
+          name: st.name.trim(),
+          score: parseFloat(st.score),
+          dependencies: st.dependencies.split(',').map(dep => dep.trim()).filter(Boolean)
+        })),
         score: parseInt(formData.score),
-        timeLimit: parseInt(formData.timeLimit),
+        timeLimit: parseFloat(formData.timeLimit),
         memoryLimit: parseInt(formData.memoryLimit)
       };
 
@@ -239,24 +364,53 @@ const ManageCodingProblems = () => {
             </div>
           </div>
           
-          <button
-            onClick={() => setShowForm(!showForm)}
-            className="btn-primary"
-          >
-            {showForm ? (
-              <>
-                <X className="w-5 h-5 mr-2" />
-                Cancel
-              </>
-            ) : (
-              <>
-                <Plus className="w-5 h-5 mr-2" />
-                Add Problem
-              </>
-            )}
-          </button>
+          <div className="flex gap-3">
+            <button
+              onClick={handleRejudgeContest}
+              className="btn-secondary"
+              disabled={problems.length === 0}
+            >
+              <RefreshCw className="w-5 h-5 mr-2" />
+              Rejudge Contest
+            </button>
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="btn-primary"
+            >
+              {showForm ? (
+                <>
+                  <X className="w-5 h-5 mr-2" />
+                  Cancel
+                </>
+              ) : (
+                <>
+                  <Plus className="w-5 h-5 mr-2" />
+                  Add Problem
+                </>
+              )}
+            </button>
+          </div>
         </div>
 
+        <RejudgePanel
+          contestId={contestId}
+          activeRejudgeId={activeRejudgeId}
+          onSelect={setActiveRejudgeId}
+        />
+
+        <ImportExportPanel
+          title="Problem Packages"
+          accept=".zip"
+          hint="Zip with problem.json, statement.md and tests/01.in + 01.ans (or Polygon's tests/01 + 01.a); one folder per problem"
+          onImport={(file) => adminService.importCodingProblems(file, contestId)}
+          onImported={fetchProblems}
+          exports={problems.length > 0 ? [{
+            label: 'Export All',
+            filename: 'problems.zip',
+            onExport: () => adminService.exportCodingProblems(contestId)
+          }] : []}
+        />
+
         {/* Problem Form */}
         {showForm && (
           <div className="card mb-8">
@@ -475,22 +629,181 @@ const ManageCodingProblems = () => {
                           />
                         </div>
 
-                        <div>
-                          <label className="block text-xs text-gray-400 mb-1">Points</label>
-                          <input
-                            type="number"
-                            value={testcase.points}
-                            onChange={(e) => handleTestcaseChange(index, 'points', e.target.value)}
-                            className="input-field"
-                            min="0"
-                          />
-                        </div>
+                        {formData.subtasks.length > 0 ? (
+                          <div>
+                            <label className="block text-xs text-gray-400 mb-1">Subtask</label>
+                            <select
+                              value={testcase.subtask || ''}
+                              onChange={(e) => handleTestcaseChange(index, 'subtask', e.target.value || null)}
+                              className="input-field"
+                            >
+                              <option value="">Select subtask</option>
+                              {formData.subtasks.map(st => (
+                                <option key={st.name} value={st.name}>{st.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ) : (
+                          <div>
+                            <label className="block text-xs text-gray-400 mb-1">Points</label>
+                            <input
+                              type="number"
+                              value={testcase.points}
+                              onChange={(e) => handleTestcaseChange(index, 'points', e.target.value)}
+                              className="input-field"
+                              min="0"
+                            />
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))}
                 </div>
               </div>
 
+              {/* Subtasks */}
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <label className="block text-sm font-medium text-gray-300">
+                    Subtasks (optional, all testcases of a subtask must pass to score it)
+                  </label>
+                  <button
+                    type="button"
+                    onClick={addSubtask}
+                    className="text-sm text-primary-400 hover:text-primary-300"
+                  >
+                    + Add Subtask
+                  </button>
+                </div>
+
+                {formData.subtasks.length > 0 && (
+                  <div className="space-y-3">
+                    {formData.subtasks.map((subtask, index) => (
+                      <div key={index} className="p-4 bg-dark-700/50 rounded-lg border border-dark-600">
+                        <div className="grid grid-cols-1 md:grid-cols-[1fr_8rem_1fr_auto] gap-3 items-end">
+                          <div>
+                            <label className="block text-xs text-gray-400 mb-1">Name</label>
+                            <input
+                              type="text"
+                              value={subtask.name}
+                              onChange={(e) => handleSubtaskChange(index, 'name', e.target.value)}
+                              className="input-field"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-gray-400 mb-1">Score</label>
+                            <input
+                              type="number"
+                              value={subtask.score}
+                              onChange={(e) => handleSubtaskChange(index, 'score', e.target.value)}
+                              className="input-field"
+                              min="0"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-gray-400 mb-1">Depends on (comma-separated)</label>
+                            <input
+                              type="text"
+                              value={subtask.dependencies}
+                              onChange={(e) => handleSubtaskChange(index, 'dependencies', e.target.value)}
+                              className="input-field"
+                              placeholder="Subtask 1"
+                            />
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => removeSubtask(index)}
+                            className="p-2 text-red-400 hover:text-red-300"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Output Checker */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-3">
+                  Output Comparison
+                </label>
+                <div className="p-4 bg-dark-700/50 rounded-lg border border-dark-600 space-y-4">
+                  <div>
+                    <select
+                      value={formData.checker.mode}
+                      onChange={(e) => handleCheckerChange('mode', e.target.value)}
+                      className="input-field"
+                    >
+                      {CHECKER_MODES.map(mode => (
+                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {CHECKER_MODES.find(mode => mode.value === formData.checker.mode)?.hint}
+                    </p>
+                  </div>
+
+                  {formData.checker.mode === 'FLOAT' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-xs text-gray-400 mb-1">Absolute Epsilon</label>
+                        <input
+                          type="number"
+                          value={formData.checker.absoluteEpsilon}
+                          onChange={(e) => handleCheckerChange('absoluteEpsilon', e.target.value)}
+                          className="input-field"
+                          min="0"
+                          step="any"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-400 mb-1">Relative Epsilon</label>
+                        <input
+                          type="number"
+                          value={formData.checker.relativeEpsilon}
+                          onChange={(e) => handleCheckerChange('relativeEpsilon', e.target.value)}
+                          className="input-field"
+                          min="0"
+                          step="any"
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {formData.checker.mode === 'CUSTOM' && (
+                    <div className="space-y-3">
+                      <div>
+                        <label className="block text-xs text-gray-400 mb-1">Checker Language</label>
+                        <select
+                          value={formData.checker.languageId}
+                          onChange={(e) => handleCheckerChange('languageId', e.target.value)}
+                          className="input-field"
+                        >
+                          {CHECKER_LANGUAGES.map(lang => (
+                            <option key={lang.id} value={lang.id}>{lang.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-400 mb-1">Checker Source</label>
+                        <textarea
+                          value={formData.checker.sourceCode}
+                          onChange={(e) => handleCheckerChange('sourceCode', e.target.value)}
+                          rows="8"
+                          className="input-field resize-none font-mono text-sm"
+                          placeholder={'import json, sys\ndata = json.load(sys.stdin)\nprint("AC" if data["output"].split() == data["expected"].split() else "WA")'}
+                        />
+                        <p className="text-xs text-gray-400 mt-1">
+                          Reads {'{"input", "expected", "output"}'} as JSON on stdin and prints <code>AC</code>, <code>WA</code> or <code>PARTIAL 0.5</code>, optionally followed by a message.
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+
               {/* Settings */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                 <div>
@@ -524,14 +837,15 @@ const ManageCodingProblems = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Time Limit (ms)
+                    Time Limit (s)
                   </label>
                   <input
                     type="number"
                     value={formData.timeLimit}
                     onChange={(e) => setFormData({ ...formData, timeLimit: e.target.value })}
                     className="input-field"
-                    min="100"
+                    min="0.5"
+                    step="0.5"
                   />
                 </div>
 
@@ -599,6 +913,20 @@ const ManageCodingProblems = () => {
                     </div>
                     
                     <div className="flex gap-2 ml-4">
+                      <button
+                        onClick={() => handleRejudgeProblem(problem)}
+                        className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="Rejudge all submissions"
+                      >
+                        <RefreshCw className="w-4 h-4 text-yellow-400" />
+                      </button>
+                      <button
+                        onClick={() => handleExportProblem(problem)}
+                        className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="Export package"
+                      >
+                        <Download className="w-4 h-4 text-green-400" />
+                      </button>
                       <button
                         onClick={() => handleEdit(problem)}
                         className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
@@ -618,7 +946,7 @@ const ManageCodingProblems = () => {
                     <span>Score: <span className="text-primary-400 font-semibold">{problem.score}</span></span>
                     <span>Examples: <span className="text-white">{problem.examples?.length || 0}</span></span>
                     <span>Testcases: <span className="text-white">{problem.testcases?.length || 0}</span></span>
-                    <span>Time: <span className="text-white">{problem.timeLimit}ms</span></span>
+                    <span>Time: <span className="text-white">{problem.timeLimit}s</span></span>
                     <span>Memory: <span className="text-white">{problem.memoryLimit}MB</span></span>
                     {problem.submissionCount > 0 && (
                       <span>Acceptance: <span className="text-green-400">
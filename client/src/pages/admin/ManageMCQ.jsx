@@ -3,28 +3,73 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import adminService from '../../services/adminService';
 import mcqService from '../../services/mcqService';
+import contestService from '../../services/contestService';
 import toast from 'react-hot-toast';
-import { Save, X, Plus, Trash2, CheckCircle, Edit, ArrowLeft } from 'lucide-react';
+import RichText from '../../components/common/RichText';
+import ImportExportPanel from '../../components/admin/ImportExportPanel';
+import { Save, X, Plus, Trash2, CheckCircle, Edit, ArrowLeft, Shuffle } from 'lucide-react';
 
+const QUESTION_TYPES = [
+  { value: 'SINGLE', label: 'Single choice' },
+  { value: 'MULTIPLE', label: 'Multiple choice' },
+  { value: 'TRUE_FALSE', label: 'True / False' },
+  { value: 'NUMERIC', label: 'Numeric answer' },
+  { value: 'INTEGER', label: 'Integer answer' }
+];
+
+const NUMERIC_TYPES = ['NUMERIC', 'INTEGER'];
+
+const CATEGORIES = [
+  { value: 'GENERAL', label: 'General' },
+  { value: 'TECHNICAL', label: 'Technical' },
+  { value: 'APTITUDE', label: 'Aptitude' },
+  { value: 'LOGICAL', label: 'Logical' },
+  { value: 'VERBAL', label: 'Verbal' }
+];
+
+const DIFFICULTIES = [
+  { value: 'EASY', label: 'Easy' },
+  { value: 'MEDIUM', label: 'Medium' },
+  { value: 'HARD', label: 'Hard' }
+];
+
+const blankOptions = () => [
+  { text: '', isCorrect: false },
+  { text: '', isCorrect: false },
+  { text: '', isCorrect: false },
+  { text: '', isCorrect: false }
+];
+
+const TRUE_FALSE_OPTIONS = [
+  { text: 'True', isCorrect: true },
+  { text: 'False', isCorrect: false }
+];
+
+// Manages a contest's own questions, or a question bank's when opened from /admin/question-banks/:bankId
 const ManageMCQ = () => {
-  const { contestId } = useParams();
+  const { contestId, bankId } = useParams();
   const navigate = useNavigate();
   const { isAdmin } = useAuth();
+  const owner = bankId ? { bankId } : { contestId };
 
   const [mcqs, setMcqs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingMcq, setEditingMcq] = useState(null);
+  const [bank, setBank] = useState(null);
+  const [banks, setBanks] = useState([]);
+  const [randomization, setRandomization] = useState({ shuffle: false, drawRules: [] });
+  const [savingRandomization, setSavingRandomization] = useState(false);
   
   const [formData, setFormData] = useState({
-    contestId: contestId,
+    ...owner,
+    type: 'SINGLE',
     question: '',
-    options: [
-      { text: '', isCorrect: false },
-      { text: '', isCorrect: false },
-      { text: '', isCorrect: false },
-      { text: '', isCorrect: false }
-    ],
+    options: blankOptions(),
+    numericAnswer: '',
+    tolerance: 0,
+    partialCredit: false,
+    wrongOptionPenalty: 0,
     marks: 4,
     negativeMarks: 1,
     difficulty: 'MEDIUM',
@@ -39,12 +84,19 @@ const ManageMCQ = () => {
       return;
     }
     fetchMCQs();
-  }, [contestId, isAdmin]);
+    if (!bankId) fetchRandomization();
+  }, [contestId, bankId, isAdmin]);
 
   const fetchMCQs = async () => {
     try {
-      const data = await mcqService.getMCQsByContest(contestId);
-      setMcqs(data.mcqs);
+      if (bankId) {
+        const data = await adminService.getQuestionBank(bankId);
+        setBank(data.bank);
+        setMcqs(data.mcqs);
+      } else {
+        const data = await mcqService.getMCQsByContest(contestId);
+        setMcqs(data.mcqs);
+      }
       setLoading(false);
     } catch (error) {
       console.error('Error fetching MCQs:', error);
@@ -53,16 +105,84 @@ const ManageMCQ = () => {
     }
   };
 
+  const fetchRandomization = async () => {
+    try {
+      const [contestData, bankData] = await Promise.all([
+        contestService.getContestById(contestId),
+        adminService.getQuestionBanks()
+      ]);
+      const mcqSection = contestData.contest.sections?.mcq || {};
+      setRandomization({
+        shuffle: mcqSection.shuffle || false,
+        drawRules: (mcqSection.drawRules || []).map(rule => ({
+          bankId: rule.bankId,
+          category: rule.category || '',
+          difficulty: rule.difficulty || '',
+          count: rule.count
+        }))
+      });
+      setBanks(bankData.banks);
+    } catch (error) {
+      console.error('Error fetching randomization settings:', error);
+    }
+  };
+
+  const handleRuleChange = (index, field, value) => {
+    setRandomization(prev => ({
+      ...prev,
+      drawRules: prev.drawRules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    }));
+  };
+
+  const addRule = () => {
+    if (banks.length === 0) {
+      toast.error('Create a question bank first');
+      return;
+    }
+    setRandomization(prev => ({
+      ...prev,
+      drawRules: [...prev.drawRules, { bankId: banks[0]._id, category: '', difficulty: '', count: 1 }]
+    }));
+  };
+
+  const removeRule = (index) => {
+    setRandomization(prev => ({
+      ...prev,
+      drawRules: prev.drawRules.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSaveRandomization = async () => {
+    setSavingRandomization(true);
+    try {
+      await adminService.updateMCQRandomization(contestId, {
+        shuffle: randomization.shuffle,
+        drawRules: randomization.drawRules.map(rule => ({
+          bankId: rule.bankId,
+          category: rule.category || null,
+          difficulty: rule.difficulty || null,
+          count: parseInt(rule.count, 10)
+        }))
+      });
+      toast.success('Randomization settings saved');
+    } catch (error) {
+      console.error('Error saving randomization settings:', error);
+      toast.error(error.response?.data?.message || 'Failed to save randomization settings');
+    } finally {
+      setSavingRandomization(false);
+    }
+  };
+
   const resetForm = () => {
     setFormData({
-      contestId: contestId,
+      ...owner,
+      type: 'SINGLE',
       question: '',
-      options: [
-        { text: '', isCorrect: false },
-        { text: '', isCorrect: false },
-        { text: '', isCorrect: false },
-        { text: '', isCorrect: false }
-      ],
+      options: blankOptions(),
+      numericAnswer: '',
+      tolerance: 0,
+      partialCredit: false,
+      wrongOptionPenalty: 0,
       marks: 4,
       negativeMarks: 1,
       difficulty: 'MEDIUM',
@@ -75,9 +195,14 @@ const ManageMCQ = () => {
 
   const handleEdit = (mcq) => {
     setFormData({
-      contestId: contestId,
+      ...owner,
+      type: mcq.type || 'SINGLE',
       question: mcq.question,
-      options: mcq.options,
+      options: mcq.options.length > 0 ? mcq.options : blankOptions(),
+      numericAnswer: mcq.numericAnswer ?? '',
+      tolerance: mcq.tolerance || 0,
+      partialCredit: mcq.partialCredit || false,
+      wrongOptionPenalty: mcq.wrongOptionPenalty || 0,
       marks: mcq.marks,
       negativeMarks: mcq.negativeMarks,
       difficulty: mcq.difficulty,
@@ -101,11 +226,23 @@ const ManageMCQ = () => {
     }
   };
 
+  const handleTypeChange = (type) => {
+    setFormData(prev => ({
+      ...prev,
+      type,
+      options: type === 'TRUE_FALSE'
+        ? TRUE_FALSE_OPTIONS
+        : prev.type === 'TRUE_FALSE' ? blankOptions() : prev.options
+    }));
+  };
+
   const handleOptionChange = (index, field, value) => {
+    // Single-answer types keep exactly one option marked correct
+    const single = field === 'isCorrect' && value && formData.type !== 'MULTIPLE';
     setFormData(prev => ({
       ...prev,
       options: prev.options.map((opt, i) => 
-        i === index ? { ...opt, [field]: value } : opt
+        i === index ? { ...opt, [field]: value } : single ? { ...opt, isCorrect: false } : opt
       )
     }));
   };
@@ -137,22 +274,37 @@ const ManageMCQ = () => {
       return;
     }
 
-    const filledOptions = formData.options.filter(opt => opt.text.trim());
-    if (filledOptions.length < 2) {
-      toast.error('At least 2 options are required');
-      return;
-    }
+    const isNumeric = NUMERIC_TYPES.includes(formData.type);
 
-    const correctOptions = formData.options.filter(opt => opt.isCorrect);
-    if (correctOptions.length === 0) {
-      toast.error('At least one correct answer is required');
-      return;
+    if (isNumeric) {
+      if (formData.numericAnswer === '' || Number.isNaN(Number(formData.numericAnswer))) {
+        toast.error('Enter the correct numeric answer');
+        return;
+      }
+      if (formData.type === 'INTEGER' && !Number.isInteger(Number(formData.numericAnswer))) {
+        toast.error('Integer questions need a whole number answer');
+        return;
+      }
+    } else {
+      const filledOptions = formData.options.filter(opt => opt.text.trim());
+      if (filledOptions.length < 2) {
+        toast.error('At least 2 options are required');
+        return;
+      }
+
+      const correctOptions = filledOptions.filter(opt => opt.isCorrect);
+      if (correctOptions.length === 0) {
+        toast.error('At least one correct answer is required');
+        return;
+      }
     }
 
     try {
       const mcqData = {
         ...formData,
-        options: formData.options.filter(opt => opt.text.trim())
+        options: isNumeric ? [] : formData.options.filter(opt => opt.text.trim()),
+        numericAnswer: isNumeric ? Number(formData.numericAnswer) : null,
+        tolerance: isNumeric ? Number(formData.tolerance) || 0 : 0
       };
 
       if (editingMcq) {
@@ -186,13 +338,13 @@ const ManageMCQ = () => {
         <div className="flex items-center justify-between mb-8">
           <div className="flex items-center gap-4">
             <button
-              onClick={() => navigate('/admin/dashboard')}
+              onClick={() => navigate(bankId ? '/admin/question-banks' : '/admin/dashboard')}
               className="text-gray-400 hover:text-white"
             >
               <ArrowLeft className="w-6 h-6" />
             </button>
             <div>
-              <h1 className="text-3xl font-bold mb-2">Manage MCQs</h1>
+              <h1 className="text-3xl font-bold mb-2">{bankId ? bank?.name : 'Manage MCQs'}</h1>
               <p className="text-gray-400">{mcqs.length} questions created</p>
             </div>
           </div>
@@ -223,6 +375,22 @@ const ManageMCQ = () => {
             </h2>
             
             <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Type */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Question Type
+                </label>
+                <select
+                  value={formData.type}
+                  onChange={(e) => handleTypeChange(e.target.value)}
+                  className="input-field"
+                >
+                  {QUESTION_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+
               {/* Question */}
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -231,61 +399,131 @@ const ManageMCQ = () => {
                 <textarea
                   value={formData.question}
                   onChange={(e) => setFormData({ ...formData, question: e.target.value })}
-                  rows="3"
-                  className="input-field resize-none"
+                  rows="5"
+                  className="input-field resize-none font-mono text-sm"
                   placeholder="Enter your question here..."
                   required
                 />
+                <p className="text-xs text-gray-500 mt-1">
+                  Wrap code in ```language fences and add images with ![description](https://...)
+                </p>
               </div>
 
-              {/* Options */}
-              <div>
-                <div className="flex items-center justify-between mb-3">
-                  <label className="block text-sm font-medium text-gray-300">
-                    Options * (Check correct answers)
-                  </label>
-                  <button
-                    type="button"
-                    onClick={addOption}
-                    className="text-sm text-primary-400 hover:text-primary-300"
-                  >
-                    + Add Option
-                  </button>
+              {/* Numeric Answer */}
+              {NUMERIC_TYPES.includes(formData.type) && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Correct Answer *
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.numericAnswer}
+                      onChange={(e) => setFormData({ ...formData, numericAnswer: e.target.value })}
+                      className="input-field"
+                      step={formData.type === 'INTEGER' ? '1' : 'any'}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Tolerance (±)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.tolerance}
+                      onChange={(e) => setFormData({ ...formData, tolerance: e.target.value })}
+                      className="input-field"
+                      min="0"
+                      step="any"
+                    />
+                  </div>
                 </div>
-                
-                <div className="space-y-3">
-                  {formData.options.map((option, index) => (
-                    <div key={index} className="flex gap-3 items-start">
-                      <div className="flex items-center pt-3">
-                        <input
-                          type="checkbox"
-                          checked={option.isCorrect}
-                          onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
-                          className="w-5 h-5 rounded border-gray-600 text-green-500 focus:ring-green-500"
+              )}
+
+              {/* Options */}
+              {!NUMERIC_TYPES.includes(formData.type) && (
+                <div>
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Options * (Check {formData.type === 'MULTIPLE' ? 'correct answers' : 'the correct answer'})
+                    </label>
+                    {formData.type !== 'TRUE_FALSE' && (
+                      <button
+                        type="button"
+                        onClick={addOption}
+                        className="text-sm text-primary-400 hover:text-primary-300"
+                      >
+                        + Add Option
+                      </button>
+                    )}
+                  </div>
+                  
+                  <div className="space-y-3">
+                    {formData.options.map((option, index) => (
+                      <div key={index} className="flex gap-3 items-start">
+                        <div className="flex items-center pt-3">
+                          <input
+                            type="checkbox"
+                            checked={option.isCorrect}
+                            onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
+                            className="w-5 h-5 rounded border-gray-600 text-green-500 focus:ring-green-500"
+                          />
+                        </div>
+                        
+                        <textarea
+                          value={option.text}
+                          onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
+                          className="input-field flex-1 resize-y font-mono text-sm"
+                          rows="1"
+                          placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                          disabled={formData.type === 'TRUE_FALSE'}
                         />
+                        
+                        {formData.options.length > 2 && formData.type !== 'TRUE_FALSE' && (
+                          <button
+                            type="button"
+                            onClick={() => removeOption(index)}
+                            className="p-2 hover:bg-dark-600 rounded-lg transition-colors text-red-400 mt-2"
+                          >
+                            <Trash2 className="w-5 h-5" />
+                          </button>
+                        )}
                       </div>
-                      
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Partial Credit */}
+              {formData.type === 'MULTIPLE' && (
+                <div className="p-4 bg-dark-700/50 rounded-lg border border-dark-600 space-y-3">
+                  <label className="flex items-center gap-3 text-sm text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.partialCredit}
+                      onChange={(e) => setFormData({ ...formData, partialCredit: e.target.checked })}
+                      className="w-5 h-5 rounded border-gray-600 text-primary-500 focus:ring-primary-500"
+                    />
+                    Award partial credit for each correct option picked
+                  </label>
+                  {formData.partialCredit && (
+                    <div className="max-w-xs">
+                      <label className="block text-xs text-gray-400 mb-1">
+                        Penalty per wrong option picked
+                      </label>
                       <input
-                        type="text"
-                        value={option.text}
-                        onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
-                        className="input-field flex-1"
-                        placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                        type="number"
+                        value={formData.wrongOptionPenalty}
+                        onChange={(e) => setFormData({ ...formData, wrongOptionPenalty: parseFloat(e.target.value) || 0 })}
+                        className="input-field"
+                        min="0"
+                        step="0.5"
                       />
-                      
-                      {formData.options.length > 2 && (
-                        <button
-                          type="button"
-                          onClick={() => removeOption(index)}
-                          className="p-2 hover:bg-dark-600 rounded-lg transition-colors text-red-400 mt-2"
-                        >
-                          <Trash2 className="w-5 h-5" />
-                        </button>
-                      )}
                     </div>
-                  ))}
+                  )}
                 </div>
-              </div>
+              )}
 
               {/* Marks & Settings */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
@@ -327,9 +565,9 @@ const ManageMCQ = () => {
                     onChange={(e) => setFormData({ ...formData, difficulty: e.target.value })}
                     className="input-field"
                   >
-                    <option value="EASY">Easy</option>
-                    <option value="MEDIUM">Medium</option>
-                    <option value="HARD">Hard</option>
+                    {DIFFICULTIES.map(difficulty => (
+                      <option key={difficulty.value} value={difficulty.value}>{difficulty.label}</option>
+                    ))}
                   </select>
                 </div>
 
@@ -342,10 +580,9 @@ const ManageMCQ = () => {
                     onChange={(e) => setFormData({ ...formData, category: e.target.value })}
                     className="input-field"
                   >
-                    <option value="GENERAL">General</option>
-                    <option value="TECHNICAL">Technical</option>
-                    <option value="APTITUDE">Aptitude</option>
-                    <option value="REASONING">Reasoning</option>
+                    {CATEGORIES.map(category => (
+                      <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
                   </select>
                 </div>
               </div>
@@ -368,6 +605,111 @@ const ManageMCQ = () => {
           </div>
         )}
 
+        <ImportExportPanel
+          title="Bulk Import / Export"
+          accept=".csv,.json"
+          hint="CSV columns: type, question, option1..optionN, correct (e.g. A;C), numericAnswer, tolerance, marks, negativeMarks, difficulty, category"
+          onImport={(file) => adminService.importMCQs(file, owner)}
+          onImported={fetchMCQs}
+          exports={mcqs.length > 0 ? [
+            { label: 'CSV', filename: 'mcqs.csv', onExport: () => adminService.exportMCQs(owner, 'csv') },
+            { label: 'JSON', filename: 'mcqs.json', onExport: () => adminService.exportMCQs(owner, 'json') }
+          ] : []}
+        />
+
+        {/* Randomization */}
+        {!bankId && (
+          <div className="card mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold flex items-center gap-2">
+                <Shuffle className="w-5 h-5 text-primary-400" />
+                Randomization
+              </h2>
+              <button
+                onClick={handleSaveRandomization}
+                disabled={savingRandomization}
+                className="btn-primary"
+              >
+                <Save className="w-5 h-5 mr-2" />
+                {savingRandomization ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+
+            <label className="flex items-center gap-3 text-sm text-gray-300 mb-4">
+              <input
+                type="checkbox"
+                checked={randomization.shuffle}
+                onChange={(e) => setRandomization({ ...randomization, shuffle: e.target.checked })}
+                className="w-5 h-5 rounded border-gray-600 text-primary-500 focus:ring-primary-500"
+              />
+              Shuffle question and option order for each participant
+            </label>
+
+            <div className="flex items-center justify-between mb-3">
+              <p className="text-sm text-gray-400">
+                Each participant also gets their own draw from these question banks
+              </p>
+              <button
+                type="button"
+                onClick={addRule}
+                className="text-sm text-primary-400 hover:text-primary-300"
+              >
+                + Add Draw Rule
+              </button>
+            </div>
+
+            <div className="space-y-3">
+              {randomization.drawRules.map((rule, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                  <input
+                    type="number"
+                    value={rule.count}
+                    onChange={(e) => handleRuleChange(index, 'count', e.target.value)}
+                    className="input-field md:col-span-2"
+                    min="1"
+                  />
+                  <select
+                    value={rule.difficulty}
+                    onChange={(e) => handleRuleChange(index, 'difficulty', e.target.value)}
+                    className="input-field md:col-span-3"
+                  >
+                    <option value="">Any difficulty</option>
+                    {DIFFICULTIES.map(difficulty => (
+                      <option key={difficulty.value} value={difficulty.value}>{difficulty.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.category}
+                    onChange={(e) => handleRuleChange(index, 'category', e.target.value)}
+                    className="input-field md:col-span-3"
+                  >
+                    <option value="">Any category</option>
+                    {CATEGORIES.map(category => (
+                      <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.bankId}
+                    onChange={(e) => handleRuleChange(index, 'bankId', e.target.value)}
+                    className="input-field md:col-span-3"
+                  >
+                    {banks.map(b => (
+                      <option key={b._id} value={b._id}>{b.name} ({b.questionCount})</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => removeRule(index)}
+                    className="p-2 hover:bg-dark-600 rounded-lg transition-colors text-red-400 justify-self-start"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* MCQ List */}
         <div className="card">
           <h2 className="text-xl font-bold mb-6">All MCQs</h2>
@@ -394,8 +736,11 @@ const ManageMCQ = () => {
                           {mcq.difficulty}
                         </span>
                         <span className="badge-info text-xs">{mcq.category}</span>
+                        <span className="badge-secondary text-xs">
+                          {QUESTION_TYPES.find(t => t.value === (mcq.type || 'SINGLE'))?.label}
+                        </span>
                       </div>
-                      <p className="text-lg text-gray-200 mb-3">{mcq.question}</p>
+                      <RichText text={mcq.question} className="text-lg text-gray-200 mb-3" />
                     </div>
                     
                     <div className="flex gap-2 ml-4">
@@ -414,6 +759,13 @@ const ManageMCQ = () => {
                     </div>
                   </div>
 
+                  {NUMERIC_TYPES.includes(mcq.type) && (
+                    <div className="p-2 rounded bg-green-500/10 border border-green-500/30 text-gray-300">
+                      Answer: <span className="font-mono text-green-400">{mcq.numericAnswer}</span>
+                      {mcq.tolerance > 0 && <span className="text-gray-400"> (± {mcq.tolerance})</span>}
+                    </div>
+                  )}
+
                   {/* Options */}
                   <div className="space-y-2">
                     {mcq.options.map((option, optIndex) => (
@@ -430,7 +782,7 @@ const ManageMCQ = () => {
                           <span className="font-semibold text-primary-400 mr-2">
                             {String.fromCharCode(65 + optIndex)}.
                           </span>
-                          {option.text}
+                          <RichText text={option.text} className="inline" />
                         </span>
                       </div>
                     ))}
@@ -442,6 +794,9 @@ const ManageMCQ = () => {
                     {mcq.negativeMarks > 0 && (
                       <span>Negative: <span className="text-red-400 font-semibold">-{mcq.negativeMarks}</span></span>
                     )}
+                    {mcq.type === 'MULTIPLE' && mcq.partialCredit && (
+                      <span>Partial credit{mcq.wrongOptionPenalty > 0 && `, -${mcq.wrongOptionPenalty} per wrong option`}</span>
+                    )}
                     <span>Order: {mcq.order}</span>
                   </div>
                 </div>
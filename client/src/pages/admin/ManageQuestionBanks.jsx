@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import adminService from '../../services/adminService';
+import toast from 'react-hot-toast';
+import { Save, X, Plus, Trash2, Edit, ArrowLeft, Library, FileQuestion } from 'lucide-react';
+
+const ManageQuestionBanks = () => {
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+
+  const [banks, setBanks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingBank, setEditingBank] = useState(null);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+
+  useEffect(() => {
+    if (!isAdmin) {
+      toast.error('Access denied');
+      navigate('/');
+      return;
+    }
+    fetchBanks();
+  }, [isAdmin]);
+
+  const fetchBanks = async () => {
+    try {
+      const data = await adminService.getQuestionBanks();
+      setBanks(data.banks);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching question banks:', error);
+      toast.error('Failed to load question banks');
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({ name: '', description: '' });
+    setEditingBank(null);
+    setShowForm(false);
+  };
+
+  const handleEdit = (bank) => {
+    setFormData({ name: bank.name, description: bank.description || '' });
+    setEditingBank(bank);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (bank) => {
+    if (!window.confirm(`Delete "${bank.name}" and its ${bank.questionCount} questions? Contests stop drawing from it.`)) return;
+
+    try {
+      await adminService.deleteQuestionBank(bank._id);
+      toast.success('Question bank deleted successfully');
+      fetchBanks();
+    } catch (error) {
+      console.error('Error deleting question bank:', error);
+      toast.error('Failed to delete question bank');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Bank name is required');
+      return;
+    }
+
+    try {
+      if (editingBank) {
+        await adminService.updateQuestionBank(editingBank._id, formData);
+        toast.success('Question bank updated successfully');
+      } else {
+        await adminService.createQuestionBank(formData);
+        toast.success('Question bank created successfully');
+      }
+
+      resetForm();
+      fetchBanks();
+    } catch (error) {
+      console.error('Error saving question bank:', error);
+      toast.error(error.response?.data?.message || 'Failed to save question bank');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/admin/dashboard')}
+              className="text-gray-400 hover:text-white"
+            >
+              <ArrowLeft className="w-6 h-6" />
+            </button>
+            <div>
+              <h1 className="text-3xl font-bold mb-2">Question Banks</h1>
+              <p className="text-gray-400">Reusable questions that contests draw from</p>
+            </div>
+          </div>
+
+          <button
+            onClick={() => (showForm ? resetForm() : setShowForm(true))}
+            className="btn-primary"
+          >
+            {showForm ? (
+              <>
+                <X className="w-5 h-5 mr-2" />
+                Cancel
+              </>
+            ) : (
+              <>
+                <Plus className="w-5 h-5 mr-2" />
+                New Bank
+              </>
+            )}
+          </button>
+        </div>
+
+        {/* Bank Form */}
+        {showForm && (
+          <div className="card mb-8">
+            <h2 className="text-xl font-bold mb-6">
+              {editingBank ? 'Edit Question Bank' : 'Create Question Bank'}
+            </h2>
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className="input-field"
+                  placeholder="e.g. Placement Aptitude"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Description
+                </label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  rows="3"
+                  className="input-field resize-none"
+                />
+              </div>
+
+              <div className="flex justify-end gap-4 pt-4 border-t border-dark-700">
+                <button type="button" onClick={resetForm} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  <Save className="w-5 h-5 mr-2" />
+                  {editingBank ? 'Update Bank' : 'Create Bank'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Bank List */}
+        <div className="card">
+          <h2 className="text-xl font-bold mb-6">All Banks</h2>
+
+          {banks.length === 0 ? (
+            <div className="text-center py-12">
+              <Library className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+              <p className="text-gray-400">No question banks yet</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {banks.map((bank) => (
+                <div key={bank._id} className="p-4 bg-dark-700/50 rounded-lg border border-dark-600">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-3 mb-1">
+                        <h3 className="text-lg font-semibold text-white">{bank.name}</h3>
+                        <span className="badge-primary text-xs">{bank.questionCount} questions</span>
+                      </div>
+                      {bank.description && (
+                        <p className="text-sm text-gray-400 mb-3">{bank.description}</p>
+                      )}
+                      <div className="flex flex-wrap gap-2">
+                        {bank.breakdown.map(group => (
+                          <span key={`${group.category}-${group.difficulty}`} className="badge-info text-xs">
+                            {group.count} {group.difficulty} {group.category}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="flex gap-2 ml-4">
+                      <button
+                        onClick={() => navigate(`/admin/question-banks/${bank._id}`)}
+                        className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="Manage Questions"
+                      >
+                        <FileQuestion className="w-4 h-4 text-purple-400" />
+                      </button>
+                      <button
+                        onClick={() => handleEdit(bank)}
+                        className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4 text-blue-400" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(bank)}
+                        className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-400" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageQuestionBanks;
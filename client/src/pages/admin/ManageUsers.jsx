@@ -0,0 +1,330 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import adminService from '../../services/adminService';
+import UserStatusModal from '../../components/admin/UserStatusModal';
+import UserHistoryModal from '../../components/admin/UserHistoryModal';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  Users,
+  Search,
+  History,
+  Shield,
+  ShieldOff,
+  Clock,
+  Ban,
+  UserCheck,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+
+const isSuspended = (user) => user.status === 'SUSPENDED' && new Date(user.suspendedUntil) > new Date();
+
+const StatusBadge = ({ user }) => {
+  if (user.status === 'BANNED') {
+    return <span className="badge border border-red-500/50 text-red-400" title={user.statusReason}>BANNED</span>;
+  }
+  if (isSuspended(user)) {
+    return (
+      <span className="badge border border-yellow-500/50 text-yellow-400" title={user.statusReason}>
+        SUSPENDED until {new Date(user.suspendedUntil).toLocaleDateString()}
+      </span>
+    );
+  }
+  return <span className="badge border border-green-500/50 text-green-400">ACTIVE</span>;
+};
+
+const ManageUsers = () => {
+  const navigate = useNavigate();
+  const { user: currentUser, isAdmin } = useAuth();
+  const currentUserId = currentUser?.id || currentUser?._id;
+
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ pages: 1, count: 0 });
+  const [moderating, setModerating] = useState(null); // { user, status }
+  const [historyUserId, setHistoryUserId] = useState(null);
+
+  useEffect(() => {
+    if (!isAdmin) {
+      toast.error('Access denied');
+      navigate('/');
+      return;
+    }
+    fetchUsers();
+  }, [isAdmin, page, filters]);
+
+  // Search once typing pauses, from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      updateFilter('search', searchInput.trim());
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const fetchUsers = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries({ ...filters, page }).filter(([, value]) => value));
+      const data = await adminService.getAllUsers(params);
+      setUsers(data.users);
+      setPagination({ pages: data.pages, count: data.count });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => (prev[key] === value ? prev : { ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(user => (user._id === updated._id ? { ...user, ...updated } : user)));
+  };
+
+  const handleRoleChange = async (user) => {
+    const role = user.role === 'ADMIN' ? 'USER' : 'ADMIN';
+    const prompt = role === 'ADMIN'
+      ? `Make ${user.name} an admin? They will be able to manage every contest and user.`
+      : `Remove admin rights from ${user.name}?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      const data = await adminService.updateUserRole(user._id, role);
+      toast.success(data.message);
+      replaceUser(data.user);
+    } catch (error) {
+      console.error('Error updating role:', error);
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    }
+  };
+
+  const handleReinstate = async (user) => {
+    if (!window.confirm(`Reinstate ${user.name}?`)) return;
+
+    try {
+      const data = await adminService.updateUserStatus(user._id, { status: 'ACTIVE' });
+      toast.success(data.message);
+      replaceUser(data.user);
+    } catch (error) {
+      console.error('Error reinstating user:', error);
+      toast.error(error.response?.data?.message || 'Failed to reinstate user');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900 py-8">
+      <div className="container mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <button onClick={() => navigate('/admin')} className="p-2 hover:bg-dark-700 rounded-lg transition-colors">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-3xl font-bold mb-2 flex items-center gap-3">
+              <Users className="w-8 h-8 text-primary-400" />
+              Users
+            </h1>
+            <p className="text-gray-400">Promote admins, suspend or ban accounts, and review contest history</p>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-4 mb-4">
+          <div className="relative flex-1 max-w-md">
+            <Search className="w-5 h-5 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="input-field pl-10"
+              placeholder="Search by name, email or college"
+            />
+          </div>
+          <select
+            value={filters.role}
+            onChange={(e) => updateFilter('role', e.target.value)}
+            className="input-field md:w-40"
+          >
+            <option value="">All roles</option>
+            <option value="USER">Users</option>
+            <option value="ADMIN">Admins</option>
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="input-field md:w-44"
+          >
+            <option value="">All statuses</option>
+            <option value="ACTIVE">Active</option>
+            <option value="SUSPENDED">Suspended</option>
+            <option value="BANNED">Banned</option>
+          </select>
+        </div>
+
+        {/* Users Table */}
+        <div className="card">
+          {users.length === 0 ? (
+            <p className="text-gray-400 text-center py-12">No users match these filters</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-dark-700">
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">User</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">Role</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">Status</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">Rating</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">Contests</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-semibold">Joined</th>
+                    <th className="text-right py-3 px-4 text-gray-400 font-semibold">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((user) => {
+                    const isSelf = user._id === currentUserId;
+                    const restricted = user.status === 'BANNED' || isSuspended(user);
+
+                    return (
+                      <tr key={user._id} className="border-b border-dark-700 hover:bg-dark-700/30">
+                        <td className="py-4 px-4">
+                          <p className="font-semibold text-white">
+                            {user.name}
+                            {isSelf && <span className="text-gray-500 font-normal ml-2">(you)</span>}
+                          </p>
+                          <p className="text-sm text-gray-400">{user.email}</p>
+                          {user.college && <p className="text-xs text-gray-500">{user.college}</p>}
+                        </td>
+                        <td className="py-4 px-4">
+                          <span className={user.role === 'ADMIN' ? 'badge-primary' : 'badge border border-gray-500/50 text-gray-400'}>{user.role}</span>
+                        </td>
+                        <td className="py-4 px-4">
+                          <StatusBadge user={user} />
+                        </td>
+                        <td className="py-4 px-4 text-gray-300">
+                          {user.ratedContests > 0 ? user.rating : '—'}
+                        </td>
+                        <td className="py-4 px-4 text-gray-300">{user.contestCount}</td>
+                        <td className="py-4 px-4 text-gray-300">{new Date(user.createdAt).toLocaleDateString()}</td>
+                        <td className="py-4 px-4">
+                          <div className="flex items-center justify-end gap-2">
+                            <button
+                              onClick={() => setHistoryUserId(user._id)}
+                              className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                              title="Contest History"
+                            >
+                              <History className="w-4 h-4 text-blue-400" />
+                            </button>
+
+                            {!isSelf && (
+                              <>
+                                {!restricted && (
+                                  <button
+                                    onClick={() => handleRoleChange(user)}
+                                    className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                                    title={user.role === 'ADMIN' ? 'Demote to User' : 'Promote to Admin'}
+                                  >
+                                    {user.role === 'ADMIN'
+                                      ? <ShieldOff className="w-4 h-4 text-orange-400" />
+                                      : <Shield className="w-4 h-4 text-purple-400" />}
+                                  </button>
+                                )}
+
+                                {restricted ? (
+                                  <button
+                                    onClick={() => handleReinstate(user)}
+                                    className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                                    title="Reinstate"
+                                  >
+                                    <UserCheck className="w-4 h-4 text-green-400" />
+                                  </button>
+                                ) : user.role !== 'ADMIN' && (
+                                  <>
+                                    <button
+                                      onClick={() => setModerating({ user, status: 'SUSPENDED' })}
+                                      className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                                      title="Suspend"
+                                    >
+                                      <Clock className="w-4 h-4 text-yellow-400" />
+                                    </button>
+                                    <button
+                                      onClick={() => setModerating({ user, status: 'BANNED' })}
+                                      className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                                      title="Ban"
+                                    >
+                                      <Ban className="w-4 h-4 text-red-400" />
+                                    </button>
+                                  </>
+                                )}
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+            <span>{pagination.count} users</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary px-3 py-2"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>Page {page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-secondary px-3 py-2"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {moderating && (
+        <UserStatusModal
+          user={moderating.user}
+          status={moderating.status}
+          onClose={() => setModerating(null)}
+          onUpdated={(updated) => {
+            replaceUser(updated);
+            setModerating(null);
+          }}
+        />
+      )}
+
+      {historyUserId && (
+        <UserHistoryModal userId={historyUserId} onClose={() => setHistoryUserId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default ManageUsers;
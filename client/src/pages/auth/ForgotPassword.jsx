@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../../services/authService';
+import { Mail, KeyRound, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12 bg-gradient-to-br from-dark-950 via-dark-900 to-dark-950">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="inline-block bg-gradient-to-br from-primary-500 to-primary-600 p-3 rounded-2xl mb-4">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold gradient-text mb-2">Forgot Password</h2>
+          <p className="text-gray-400">We'll email you a link to reset it</p>
+        </div>
+
+        <div className="card">
+          {sent ? (
+            <p className="text-gray-300 text-center">
+              If an account exists for <span className="text-white font-semibold">{email}</span>,
+              a reset link is on its way. The link works once and expires in an hour.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="label">Email Address</label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input-field pl-10"
+                    placeholder="your@email.com"
+                    required
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary py-3 text-lg font-semibold"
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/login" className="inline-flex items-center gap-2 text-primary-500 hover:text-primary-400 font-semibold">
+              <ArrowLeft className="w-4 h-4" />
+              Back to login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
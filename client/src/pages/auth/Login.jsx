@@ -1,7 +1,8 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Mail, Lock, Eye, EyeOff, LogIn } from 'lucide-react';
+import { authService } from '../../services/authService';
+import { Mail, Lock, Eye, EyeOff, LogIn, Send } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Login = () => {
@@ -11,6 +12,8 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [unverified, setUnverified] = useState(false);
+  const [resending, setResending] = useState(false);
 
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -32,12 +35,25 @@ const Login = () => {
       toast.success('Login successful!');
       navigate('/dashboard');
     } else {
+      setUnverified(result.code === 'EMAIL_NOT_VERIFIED');
       toast.error(result.message || 'Login failed');
     }
 
     setLoading(false);
   };
 
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await authService.resendVerification(formData.email);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center px-4 py-12 bg-gradient-to-br from-dark-950 via-dark-900 to-dark-950">
       <div className="max-w-md w-full">
@@ -72,7 +88,12 @@ const Login = () => {
 
             {/* Password */}
             <div>
-              <label className="label">Password</label>
+              <div className="flex items-center justify-between">
+                <label className="label">Password</label>
+                <Link to="/forgot-password" className="text-sm text-primary-500 hover:text-primary-400">
+                  Forgot password?
+                </Link>
+              </div>
               <div className="relative">
                 <Lock className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
                 <input
@@ -104,6 +125,23 @@ const Login = () => {
             </button>
           </form>
 
+          {unverified && (
+            <div className="mt-6 p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-sm">
+              <p className="text-yellow-400 mb-3">
+                Your email is not verified yet. Check your inbox for the verification link.
+              </p>
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="btn-secondary w-full"
+              >
+                <Send className="w-4 h-4 mr-2" />
+                {resending ? 'Sending...' : 'Resend verification email'}
+              </button>
+            </div>
+          )}
+
           {/* Register Link */}
           <div className="mt-6 text-center">
             <p className="text-gray-400">
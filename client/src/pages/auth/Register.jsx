@@ -31,8 +31,11 @@ const Register = () => {
 
     const result = await register(formData);
 
-    if (result.success) {
-      toast.success('Registration successful!');
+    if (result.requiresVerification) {
+      toast.success(result.message, { duration: 6000 });
+      navigate('/login');
+    } else if (result.success) {
+      toast.success('Registration successful! Check your email to verify your account.');
       navigate('/dashboard');
     } else {
       toast.error(result.message || 'Registration failed');
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { authService } from '../../services/authService';
+import { Lock, Eye, EyeOff, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authService.resetPassword(token, formData.password);
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12 bg-gradient-to-br from-dark-950 via-dark-900 to-dark-950">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="inline-block bg-gradient-to-br from-primary-500 to-primary-600 p-3 rounded-2xl mb-4">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold gradient-text mb-2">Reset Password</h2>
+          <p className="text-gray-400">Choose a new password for your account</p>
+        </div>
+
+        <div className="card">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {['password', 'confirmPassword'].map(name => (
+              <div key={name}>
+                <label className="label">{name === 'password' ? 'New Password' : 'Confirm Password'}</label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-3.5 w-5 h-5 text-gray-500" />
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    name={name}
+                    value={formData[name]}
+                    onChange={handleChange}
+                    className="input-field pl-10 pr-10"
+                    placeholder="••••••••"
+                    minLength={6}
+                    required
+                  />
+                  {name === 'password' && (
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-3.5 text-gray-500 hover:text-gray-300"
+                    >
+                      {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary py-3 text-lg font-semibold"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <p className="text-gray-400">
+              Link expired?{' '}
+              <Link to="/forgot-password" className="text-primary-500 hover:text-primary-400 font-semibold">
+                Request a new one
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/authService';
+import Loader from '../../components/common/Loader';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  // Tokens are single-use, so only send it once even if the effect re-runs
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch(error => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token]);
+
+  // The saved session may load after the request starts
+  useEffect(() => {
+    if (status === 'verified' && user && !user.isVerified) {
+      updateUser({ ...user, isVerified: true });
+    }
+  }, [status, user]);
+
+  if (status === 'loading') {
+    return <Loader fullScreen />;
+  }
+
+  const verified = status === 'verified';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12 bg-gradient-to-br from-dark-950 via-dark-900 to-dark-950">
+      <div className="max-w-md w-full card text-center">
+        {verified ? (
+          <CheckCircle className="w-16 h-16 text-green-400 mx-auto mb-4" />
+        ) : (
+          <XCircle className="w-16 h-16 text-red-400 mx-auto mb-4" />
+        )}
+        <h2 className="text-2xl font-bold text-white mb-2">
+          {verified ? 'Email Verified' : 'Verification Failed'}
+        </h2>
+        <p className="text-gray-400 mb-6">{message}</p>
+        {!verified && (
+          <p className="text-gray-500 text-sm mb-6">
+            You can request a new link from the login page or your dashboard.
+          </p>
+        )}
+        <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary">
+          {isAuthenticated ? 'Go to Dashboard' : 'Go to Login'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,51 +1,45 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../context/AuthContext';
-import axios from 'axios';
+import leaderboardService from '../../services/leaderboardService';
+import certificateService from '../../services/certificateService';
+import Loader from '../../components/common/Loader';
 import toast from 'react-hot-toast';
-import { Award, Download, Share2, ArrowLeft } from 'lucide-react';
-import { API_BASE_URL } from '../../utils/constants';
+import { Award, Download, Share2, ArrowLeft, ShieldCheck } from 'lucide-react';
 
 const Certificate = () => {
-  const { resultId } = useParams();
+  const { contestId } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [certificate, setCertificate] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  const generateCertificate = async (contestId) => {
-    setLoading(true);
-    try {
-      const token = localStorage.getItem('token');
-      const response = await axios.post(
-        `${API_BASE_URL}/leaderboard/${contestId}/certificate`,
-        {},
-        {
-          headers: {
-            Authorization: `Bearer ${token}`
-          }
-        }
-      );
-      setCertificate(response.data.certificate);
-      toast.success('Certificate generated successfully!');
-    } catch (error) {
-      console.error('Error generating certificate:', error);
-      toast.error(error.response?.data?.message || 'Failed to generate certificate');
-    } finally {
-      setLoading(false);
-    }
-  };
-
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Issues the certificate on first visit; later visits get the same one back
+  useEffect(() => {
+    const generateCertificate = async () => {
+      try {
+        const data = await leaderboardService.generateCertificate(contestId);
+        setCertificate(data.certificate);
+      } catch (error) {
+        console.error('Error generating certificate:', error);
+        setError(error.response?.data?.message || 'Failed to generate certificate');
+      } finally {
+        setLoading(false);
+      }
+    };
+    generateCertificate();
+  }, [contestId]);
+
+  // Shares the public verification page, which anyone can open
   const handleShare = () => {
     if (navigator.share) {
       navigator.share({
         title: 'My Certificate',
         text: `I earned ${certificate.rank}${getRankSuffix(certificate.rank)} rank in ${certificate.contestTitle}!`,
-        url: window.location.href
+        url: certificate.verifyUrl
       });
     } else {
-      navigator.clipboard.writeText(window.location.href);
-      toast.success('Certificate link copied to clipboard!');
+      navigator.clipboard.writeText(certificate.verifyUrl);
+      toast.success('Verification link copied to clipboard!');
     }
   };
 
@@ -63,14 +57,18 @@ const Certificate = () => {
     return 'text-primary-400';
   };
 
+  if (loading) {
+    return <Loader fullScreen />;
+  }
+
   if (!certificate) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900 py-16">
         <div className="container mx-auto px-4 max-w-4xl text-center">
           <Award className="w-24 h-24 text-primary-400 mx-auto mb-8" />
-          <h1 className="text-4xl font-bold mb-4">Certificate Not Generated</h1>
+          <h1 className="text-4xl font-bold mb-4">Certificate Not Available</h1>
           <p className="text-gray-400 mb-8">
-            Complete the contest to generate your certificate
+            {error || 'Complete the contest to generate your certificate'}
           </p>
           <button onClick={() => navigate('/contests')} className="btn-primary">
             View Contests
@@ -99,17 +97,24 @@ const Certificate = () => {
               Share
             </button>
             <button
-              onClick={() => window.print()}
+              onClick={() => navigate(`/verify/${certificate.certificateId}`)}
+              className="btn-secondary"
+            >
+              <ShieldCheck className="w-5 h-5 mr-2" />
+              Verify
+            </button>
+            <a
+              href={certificateService.getPdfUrl(certificate.certificateId, { download: true })}
               className="btn-primary"
             >
               <Download className="w-5 h-5 mr-2" />
-              Download
-            </button>
+              Download PDF
+            </a>
           </div>
         </div>
 
         {/* Certificate */}
-        <div className="bg-white rounded-lg p-12 shadow-2xl print:shadow-none relative overflow-hidden">
+        <div className="bg-white rounded-lg p-12 shadow-2xl relative overflow-hidden">
           {/* Decorative Elements */}
           <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-primary-500 via-orange-400 to-yellow-400"></div>
           <div className="absolute bottom-0 left-0 w-full h-2 bg-gradient-to-r from-yellow-400 via-orange-400 to-primary-500"></div>
@@ -139,6 +144,11 @@ const Certificate = () => {
                 {certificate.userName}
               </h2>
               <div className="w-64 h-1 bg-gradient-to-r from-transparent via-primary-400 to-transparent mx-auto"></div>
+              {certificate.memberNames?.length > 0 && (
+                <p className="text-gray-600 mt-3">
+                  Team members: {certificate.memberNames.join(', ')}
+                </p>
+              )}
             </div>
 
             {/* Achievement Details */}
@@ -159,7 +169,7 @@ const Certificate = () => {
                 </span>
               </div>
               <p className="text-lg text-gray-600">
-                with a score of <span className="font-bold text-primary-600">{certificate.score}</span> points
+                of {certificate.participants} with <span className="font-bold text-primary-600">{certificate.scoreLabel}</span>
               </p>
             </div>
 
@@ -168,7 +178,9 @@ const Certificate = () => {
               <div className="flex justify-between items-end">
                 <div className="text-left">
                   <p className="text-sm text-gray-500 mb-1">Issue Date</p>
-                  <p className="text-lg font-semibold text-gray-700">{certificate.issueDate}</p>
+                  <p className="text-lg font-semibold text-gray-700">
+                    {new Date(certificate.issuedAt).toLocaleDateString()}
+                  </p>
                 </div>
                 
                 <div className="text-center">
@@ -178,7 +190,7 @@ const Certificate = () => {
                 
                 <div className="text-right">
                   <p className="text-sm text-gray-500 mb-1">Certificate ID</p>
-                  <p className="text-lg font-mono font-semibold text-gray-700">
+                  <p className="text-sm font-mono font-semibold text-gray-700">
                     {certificate.certificateId}
                   </p>
                 </div>
@@ -193,7 +205,7 @@ const Certificate = () => {
         </div>
 
         {/* Actions */}
-        <div className="text-center mt-8 print:hidden">
+        <div className="text-center mt-8">
           <p className="text-gray-400 mb-4">
             Congratulations on your achievement! Share it with your friends and on social media.
           </p>
@@ -213,17 +225,6 @@ const Certificate = () => {
           </div>
         </div>
       </div>
-
-      <style jsx>{`
-        @media print {
-          body {
-            background: white !important;
-          }
-          .print\\:hidden {
-            display: none !important;
-          }
-        }
-      `}</style>
     </div>
   );
 };
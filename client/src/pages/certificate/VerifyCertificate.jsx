@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import certificateService from '../../services/certificateService';
+import Loader from '../../components/common/Loader';
+import { ShieldCheck, ShieldX, ShieldAlert, Download } from 'lucide-react';
+
+// Public page the certificate QR code points to
+const VerifyCertificate = () => {
+  const { certificateId } = useParams();
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    certificateService.verifyCertificate(certificateId)
+      .then(setVerification)
+      .catch(() => setVerification({ valid: false, message: 'Could not reach the verification service' }))
+      .finally(() => setLoading(false));
+  }, [certificateId]);
+
+  if (loading) {
+    return <Loader fullScreen />;
+  }
+
+  const { valid, reason, message, certificate } = verification;
+  const Icon = valid ? ShieldCheck : reason === 'REVOKED' ? ShieldAlert : ShieldX;
+  const color = valid ? 'text-green-400' : reason === 'REVOKED' ? 'text-yellow-400' : 'text-red-400';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900 py-16">
+      <div className="container mx-auto px-4 max-w-2xl">
+        <div className="card text-center">
+          <Icon className={`w-20 h-20 mx-auto mb-4 ${color}`} />
+          <h1 className={`text-3xl font-bold mb-2 ${color}`}>
+            {valid ? 'Verified Certificate' : reason === 'REVOKED' ? 'Certificate Replaced' : 'Not Verified'}
+          </h1>
+          <p className="text-gray-400 mb-2">{message}</p>
+          <p className="font-mono text-sm text-gray-500 mb-8 break-all">{certificateId}</p>
+
+          {certificate && (
+            <div className="text-left bg-dark-700/50 rounded-lg p-6 space-y-3 mb-6">
+              <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Awarded to</span>
+                <span className="font-semibold text-white text-right">{certificate.userName}</span>
+              </div>
+              {certificate.memberNames?.length > 0 && (
+                <div className="flex justify-between gap-4">
+                  <span className="text-gray-400">Team members</span>
+                  <span className="font-semibold text-white text-right">{certificate.memberNames.join(', ')}</span>
+                </div>
+              )}
+              <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Contest</span>
+                <Link to={`/leaderboard/${certificate.contestId}`} className="font-semibold text-primary-400 hover:underline text-right">
+                  {certificate.contestTitle}
+                </Link>
+              </div>
+              <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Rank</span>
+                <span className="font-semibold text-white">
+                  {certificate.rank ?? '—'} of {certificate.participants}
+                </span>
+              </div>
+              <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Result</span>
+                <span className="font-semibold text-white text-right">{certificate.scoreLabel}</span>
+              </div>
+              <div className="flex justify-between gap-4">
+                <span className="text-gray-400">Issued</span>
+                <span className="font-semibold text-white">{new Date(certificate.issuedAt).toLocaleDateString()}</span>
+              </div>
+            </div>
+          )}
+
+          {valid && (
+            <a href={certificateService.getPdfUrl(certificateId)} target="_blank" rel="noreferrer" className="btn-primary inline-flex">
+              <Download className="w-5 h-5 mr-2" />
+              View PDF
+            </a>
+          )}
+
+          {reason === 'REVOKED' && certificate.replacedBy && (
+            <Link to={`/verify/${certificate.replacedBy}`} className="btn-secondary inline-flex">
+              View Current Certificate
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -1,7 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import codingService from '../../services/codingService';
+import contestService from '../../services/contestService';
+import socketService from '../../services/socketService';
+import { useSocketChannel } from '../../hooks/useSocketChannel';
+import { useSectionAttempt } from '../../hooks/useSectionAttempt';
 import Editor from '@monaco-editor/react';
 import toast from 'react-hot-toast';
 import { 
@@ -28,6 +32,9 @@ const LANGUAGE_OPTIONS = [
   { id: 73, name: 'Rust', monaco: 'rust', template: 'fn main() {\n    // Your code here\n}' }
 ];
 
+// How often a pending submission is looked up in case its verdict event was lost
+const VERDICT_CHECK_INTERVAL = 15000; // ms
+
 const CodingSection = () => {
   const { contestId } = useParams();
   const navigate = useNavigate();
@@ -45,10 +52,43 @@ const CodingSection = () => {
   const [activeTab, setActiveTab] = useState('description'); // description, submissions
   const [submissions, setSubmissions] = useState([]);
   const [testResults, setTestResults] = useState(null);
+  const pendingSubmissionRef = useRef(null);
+  const judgedSubmissionsRef = useRef(new Set());
+  const userId = user?.id || user?._id;
+
+  const leaveSection = (message) => {
+    toast(message);
+    navigate(`/contest/${contestId}`);
+  };
+
+  const { started, timeRemaining } = useSectionAttempt(contestId, 'coding', {
+    onTimeUp: () => leaveSection('Time is up! Your coding section has been submitted.'),
+    onError: (error) => leaveSection(error.response?.data?.message || 'Failed to start coding section')
+  });
 
   useEffect(() => {
-    fetchProblems();
-  }, [contestId]);
+    if (started) {
+      fetchProblems();
+    }
+  }, [contestId, started]);
+
+  const handleFinish = async () => {
+    if (!window.confirm('Finish the coding section? You will not be able to submit again.')) return;
+
+    try {
+      await contestService.finishSection(contestId, 'coding');
+      leaveSection('Coding section submitted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to finish section');
+    }
+  };
+
+  const formatTime = (seconds) => {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  };
 
   useEffect(() => {
     if (problems.length > 0) {
@@ -122,6 +162,79 @@ const CodingSection = () => {
     }
   };
 
+  const finishSubmission = async (submissionId) => {
+    pendingSubmissionRef.current = null;
+
+    try {
+      const data = await codingService.getSubmissionById(submissionId);
+      const submission = data.submission;
+      setTestResults(submission);
+
+      if (submission.verdict === 'ACCEPTED') {
+        toast.success(`Accepted! Score: ${submission.score}`);
+      } else {
+        toast.error(`${submission.verdict.replace(/_/g, ' ')}`);
+      }
+
+      // Refresh submissions
+      fetchSubmissions(submission.problemId._id);
+    } catch (error) {
+      console.error('Error fetching verdict:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Verdicts are pushed over the socket instead of polled
+  useSocketChannel(userId ? `user:${userId}` : null, (event, data) => {
+    const submissionId = data.submissionId?.toString();
+
+    if (submissionId !== pendingSubmissionRef.current) {
+      if (event === 'submission:verdict') {
+        judgedSubmissionsRef.current.add(submissionId);
+      }
+      return;
+    }
+
+    if (event === 'submission:progress') {
+      setTestResults(prev => prev && ({
+        ...prev,
+        testcasesJudged: data.testcasesJudged,
+        totalTestcases: data.totalTestcases
+      }));
+    } else if (event === 'submission:verdict') {
+      finishSubmission(submissionId);
+    }
+  });
+
+  // A verdict pushed while the socket was down never arrives, so look the
+  // submission up when the socket reopens and every so often while judging
+  const checkPendingSubmission = async () => {
+    const submissionId = pendingSubmissionRef.current;
+    if (!submissionId) return;
+
+    try {
+      const data = await codingService.getSubmissionById(submissionId);
+      if (data.submission.verdict !== 'PENDING' && pendingSubmissionRef.current === submissionId) {
+        finishSubmission(submissionId);
+      }
+    } catch (error) {
+      console.error('Error checking submission:', error);
+    }
+  };
+
+  const checkPendingRef = useRef(checkPendingSubmission);
+  checkPendingRef.current = checkPendingSubmission;
+
+  useEffect(() => socketService.onOpen(() => checkPendingRef.current()), []);
+
+  useEffect(() => {
+    if (!submitting) return;
+
+    const interval = setInterval(() => checkPendingRef.current(), VERDICT_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [submitting]);
+
   const handleSubmit = async () => {
     if (!code.trim()) {
       toast.error('Please write some code first');
@@ -136,23 +249,23 @@ const CodingSection = () => {
       const response = await codingService.submitCode(contestId, {
         problemId: problem._id,
         sourceCode: code,
+        language: selectedLanguage.monaco,
         languageId: selectedLanguage.id
       });
 
-      setTestResults(response.submission);
-      
-      if (response.submission.verdict === 'ACCEPTED') {
-        toast.success(`Accepted! Score: ${response.submission.score}`);
+      const submissionId = response.submission.id;
+      setTestResults({ ...response.submission, testcasesJudged: 0 });
+      fetchSubmissions(problem._id);
+
+      // The verdict may have been pushed before the HTTP response arrived
+      if (judgedSubmissionsRef.current.has(submissionId)) {
+        finishSubmission(submissionId);
       } else {
-        toast.error(`${response.submission.verdict.replace(/_/g, ' ')}`);
+        pendingSubmissionRef.current = submissionId;
       }
-
-      // Refresh submissions
-      fetchSubmissions(problem._id);
     } catch (error) {
       console.error('Error submitting code:', error);
       toast.error(error.response?.data?.message || 'Failed to submit code');
-    } finally {
       setSubmitting(false);
     }
   };
@@ -199,6 +312,13 @@ const CodingSection = () => {
           </div>
 
           <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2 font-mono">
+              <Clock className={`w-4 h-4 ${timeRemaining < 300 ? 'text-red-500' : 'text-primary-500'}`} />
+              <span className={timeRemaining < 300 ? 'text-red-500' : 'text-white'}>
+                {formatTime(timeRemaining)}
+              </span>
+            </div>
+
             <div className="text-sm text-gray-400">
               Score: <span className="text-primary-400 font-semibold">{problem.score}</span>
             </div>
@@ -230,6 +350,14 @@ const CodingSection = () => {
               {submitting ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
               Submit
             </button>
+
+            <button
+              onClick={handleFinish}
+              className="btn-secondary"
+            >
+              <CheckCircle className="w-4 h-4 mr-2" />
+              Finish
+            </button>
           </div>
         </div>
 
@@ -392,6 +520,7 @@ const CodingSection = () => {
                           {sub.verdict.replace(/_/g, ' ')}
                         </span>
                         <span className="text-gray-400 text-sm">
+                          {sub.teamId && sub.userId?.name && `${sub.userId.name} · `}
                           {new Date(sub.createdAt).toLocaleTimeString()}
                         </span>
                       </div>
@@ -403,6 +532,20 @@ const CodingSection = () => {
                           <span>Tests: <span className="text-white">{sub.testcasesPassed}/{sub.totalTestcases}</span></span>
                         )}
                       </div>
+                      {sub.subtaskResults?.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {sub.subtaskResults.map(subtask => (
+                            <span
+                              key={subtask.name}
+                              className={`text-xs px-2 py-1 rounded ${
+                                subtask.passed ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'
+                              }`}
+                            >
+                              {subtask.name}: {subtask.score}/{subtask.maxScore}
+                            </span>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
@@ -448,10 +591,18 @@ const CodingSection = () => {
                 {testResults ? (
                   <div className="space-y-2">
                     <div className={`font-semibold ${
-                      testResults.verdict === 'ACCEPTED' ? 'text-green-400' : 'text-red-400'
+                      testResults.verdict === 'ACCEPTED' ? 'text-green-400' :
+                      testResults.verdict === 'PENDING' ? 'text-yellow-400' :
+                      'text-red-400'
                     }`}>
-                      {testResults.verdict.replace(/_/g, ' ')}
+                      {testResults.verdict === 'PENDING' && <Loader className="w-4 h-4 inline mr-1 animate-spin" />}
+                      {testResults.verdict === 'PENDING' ? 'Judging...' : testResults.verdict.replace(/_/g, ' ')}
                     </div>
+                    {testResults.verdict === 'PENDING' && (
+                      <div className="text-gray-400 text-xs">
+                        Testcases Judged: {testResults.testcasesJudged || 0}/{testResults.totalTestcases}
+                      </div>
+                    )}
                     <div className="text-gray-400 text-xs">
                       Testcases Passed: {testResults.testcasesPassed}/{testResults.totalTestcases}
                     </div>
@@ -463,6 +614,20 @@ const CodingSection = () => {
                         Execution Time: {testResults.executionTime}ms
                       </div>
                     )}
+                    {testResults.subtaskResults?.length > 0 && (
+                      <div className="space-y-1 pt-1">
+                        {testResults.subtaskResults.map(subtask => (
+                          <div key={subtask.name} className="flex items-center justify-between text-xs">
+                            <span className={subtask.passed ? 'text-green-400' : 'text-red-400'}>
+                              {subtask.passed ? <CheckCircle className="w-3 h-3 inline mr-1" /> : <XCircle className="w-3 h-3 inline mr-1" />}
+                              {subtask.name}
+                              <span className="text-gray-500 ml-1">({subtask.testcasesPassed}/{subtask.totalTestcases})</span>
+                            </span>
+                            <span className="text-gray-400">{subtask.score}/{subtask.maxScore}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     {testResults.errorMessage && (
                       <pre className="text-red-400 text-xs mt-2 whitespace-pre-wrap">
                         {testResults.errorMessage}
@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import contestService from '../../services/contestService';
+import { useSocketChannel } from '../../hooks/useSocketChannel';
 import { useAuth } from '../../context/AuthContext';
 import Loader from '../../components/common/Loader';
+import TeamPanel from '../../components/contest/TeamPanel';
 import { Calendar, Clock, Users, Award, FileText, Code2, CheckCircle } from 'lucide-react';
 import { formatDate } from '../../utils/formatTime';
 import toast from 'react-hot-toast';
@@ -19,6 +21,13 @@ const ContestDetails = () => {
     fetchContestDetails();
   }, [id]);
 
+  // Status flips (UPCOMING -> LIVE -> ENDED) are pushed by the server
+  useSocketChannel(`contest:${id}`, (event, data) => {
+    if (event === 'contest:status') {
+      setContest(prev => prev && { ...prev, status: data.status });
+    }
+  });
+
   const fetchContestDetails = async () => {
     try {
       const data = await contestService.getContestById(id);
@@ -87,6 +96,7 @@ const ContestDetails = () => {
 
   const isLive = contest.status === 'LIVE';
   const isEnded = contest.status === 'ENDED';
+  const isTeamContest = contest.participationMode === 'TEAM';
 
   // Debug logging
   console.log('Registration Debug:', {
@@ -137,7 +147,10 @@ const ContestDetails = () => {
               <Users className="w-6 h-6 text-primary-500" />
               <div>
                 <div className="text-sm text-gray-400">Participants</div>
-                <div className="text-white font-semibold">{contest.participants?.length || 0} registered</div>
+                <div className="text-white font-semibold">
+                  {contest.participants?.length || 0} registered
+                  {isTeamContest && <span className="text-gray-400 font-normal"> · teams of up to {contest.maxTeamSize}</span>}
+                </div>
               </div>
             </div>
             <div className="flex items-center gap-3 bg-dark-800 p-4 rounded-lg">
@@ -189,9 +202,14 @@ const ContestDetails = () => {
             )}
           </div>
 
+          {/* Team contests register through a team */}
+          {isTeamContest && isAuthenticated && !isEnded && (
+            <TeamPanel contest={contest} userId={userId} onChange={fetchContestDetails} />
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-4">
-            {!isRegistered && !isEnded && (
+            {!isRegistered && !isEnded && !isTeamContest && (
               <button
                 onClick={handleRegister}
                 disabled={registering}
@@ -201,11 +219,20 @@ const ContestDetails = () => {
               </button>
             )}
             
+            {!isAuthenticated && !isEnded && isTeamContest && (
+              <button
+                onClick={handleRegister}
+                className="btn-primary flex-1 py-3 text-lg font-semibold"
+              >
+                Login to Join a Team
+              </button>
+            )}
+
             {isRegistered && !isEnded && (
               <div className="flex-1 flex items-center gap-4">
                 <div className="flex items-center gap-2 text-green-400">
                   <CheckCircle className="w-5 h-5" />
-                  <span className="font-semibold">Registered</span>
+                  <span className="font-semibold">{isTeamContest ? 'Registered with your team' : 'Registered'}</span>
                 </div>
                 {isLive && (
                   <button
@@ -226,6 +253,16 @@ const ContestDetails = () => {
                 View Leaderboard
               </button>
             )}
+
+            {isEnded && isRegistered && (
+              <button
+                onClick={() => navigate(`/certificate/${id}`)}
+                className="btn-secondary flex-1 py-3 text-lg font-semibold"
+              >
+                <Award className="w-5 h-5 mr-2 inline" />
+                Get Certificate
+              </button>
+            )}
           </div>
         </div>
 
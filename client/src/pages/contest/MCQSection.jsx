@@ -1,9 +1,15 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import mcqService from '../../services/mcqService';
+import { useSectionAttempt } from '../../hooks/useSectionAttempt';
+import RichText from '../../components/common/RichText';
 import toast from 'react-hot-toast';
-import { Clock, ChevronLeft, ChevronRight, Flag, CheckCircle, Circle } from 'lucide-react';
+import { Clock, ChevronLeft, ChevronRight, Flag, CheckCircle, Circle, Cloud, CloudOff } from 'lucide-react';
+
+const AUTOSAVE_DELAY = 1000; // ms after the last change
+const AUTOSAVE_MIN_GAP = 5000; // ms between saves, well under the server's per-user limit
+const AUTOSAVE_INTERVAL = 30000; // ms, keeps time per question current
 
 const MCQSection = () => {
   const { contestId } = useParams();
@@ -12,44 +18,60 @@ const MCQSection = () => {
   
   const [mcqs, setMcqs] = useState([]);
   const [currentQuestion, setCurrentQuestion] = useState(0);
-  const [answers, setAnswers] = useState({});
-  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [answers, setAnswers] = useState({}); // mcqId -> selected option indices
+  const [values, setValues] = useState({}); // mcqId -> typed number, for numeric questions
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [flagged, setFlagged] = useState(new Set());
   const [contestInfo, setContestInfo] = useState(null);
+  const [saveState, setSaveState] = useState(null); // saving, saved, error
+  const lastSaveRef = useRef(0);
+  const questionTimesRef = useRef({}); // mcqId -> seconds spent
+  const questionStartRef = useRef(Date.now());
+  const restoredRef = useRef(false);
 
-  useEffect(() => {
-    fetchMCQs();
-  }, [contestId]);
+  const { started, timeRemaining } = useSectionAttempt(contestId, 'mcq', {
+    onTimeUp: () => handleSubmit(),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to start MCQ section');
+      navigate(`/contest/${contestId}`);
+    }
+  });
 
   useEffect(() => {
-    if (timeRemaining === null) return;
-
-    const timer = setInterval(() => {
-      setTimeRemaining(prev => {
-        if (prev <= 1) {
-          handleSubmit();
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => clearInterval(timer);
-  }, [timeRemaining]);
+    if (started) {
+      fetchMCQs();
+    }
+  }, [contestId, started]);
 
   const fetchMCQs = async () => {
     try {
       const data = await mcqService.getMCQsByContest(contestId);
       setMcqs(data.mcqs);
       setContestInfo(data.contest);
-      
-      // Set timer based on contest duration
-      if (data.contest && data.contest.duration) {
-        setTimeRemaining(data.contest.duration * 60); // Convert to seconds
+
+      // Resume from the server-side draft
+      if (data.draft) {
+        const restored = {};
+        const restoredValues = {};
+        data.draft.answers.forEach(answer => {
+          questionTimesRef.current[answer.questionId] = answer.timeTaken || 0;
+          if (answer.selectedOptions.length > 0) {
+            restored[answer.questionId] = answer.selectedOptions;
+          }
+          if (answer.value !== null && answer.value !== undefined) {
+            restoredValues[answer.questionId] = String(answer.value);
+          }
+        });
+        setAnswers(restored);
+        setValues(restoredValues);
+        setFlagged(new Set(
+          data.mcqs
+            .map((mcq, index) => (data.draft.flagged.includes(mcq._id) ? index : null))
+            .filter(index => index !== null)
+        ));
       }
-      
+      restoredRef.current = true;
       setLoading(false);
     } catch (error) {
       console.error('Error fetching MCQs:', error);
@@ -58,16 +80,80 @@ const MCQSection = () => {
     }
   };
 
+  // Add the time spent on the question being left
+  const recordQuestionTime = (mcqId) => {
+    if (!mcqId) return;
+    const now = Date.now();
+    questionTimesRef.current[mcqId] = (questionTimesRef.current[mcqId] || 0) +
+      Math.round((now - questionStartRef.current) / 1000);
+    questionStartRef.current = now;
+  };
+
+  useEffect(() => {
+    questionStartRef.current = Date.now();
+    const mcqId = mcqs[currentQuestion]?._id;
+    return () => recordQuestionTime(mcqId);
+  }, [currentQuestion, mcqs]);
+
+  const isAnswered = (mcqId) =>
+    (answers[mcqId]?.length || 0) > 0 || (values[mcqId] ?? '') !== '';
+
+  const buildAnswers = () => {
+    recordQuestionTime(mcqs[currentQuestion]?._id);
+    const ids = new Set([...Object.keys(answers), ...Object.keys(values), ...Object.keys(questionTimesRef.current)]);
+    return [...ids].map(mcqId => {
+      const value = (values[mcqId] ?? '') === '' ? null : Number(values[mcqId]);
+      return {
+        questionId: mcqId,
+        selectedOptions: answers[mcqId] || [],
+        value: Number.isFinite(value) ? value : null,
+        timeTaken: questionTimesRef.current[mcqId] || 0
+      };
+    });
+  };
+
+  const saveDraft = async () => {
+    if (!restoredRef.current || submitting) return;
+
+    lastSaveRef.current = Date.now();
+    setSaveState('saving');
+    try {
+      await mcqService.saveDraft(contestId, {
+        answers: buildAnswers(),
+        flagged: [...flagged].map(index => mcqs[index]?._id).filter(Boolean)
+      });
+      setSaveState('saved');
+    } catch (error) {
+      setSaveState('error');
+    }
+  };
+
+  // Save shortly after every change, but no more than once per AUTOSAVE_MIN_GAP,
+  // and periodically for time tracking
+  useEffect(() => {
+    if (!restoredRef.current) return;
+    const wait = Math.max(AUTOSAVE_DELAY, lastSaveRef.current + AUTOSAVE_MIN_GAP - Date.now());
+    const timer = setTimeout(saveDraft, wait);
+    return () => clearTimeout(timer);
+  }, [answers, values, flagged]);
+
+  const saveDraftRef = useRef(saveDraft);
+  saveDraftRef.current = saveDraft;
+
+  useEffect(() => {
+    if (!started) return;
+    const timer = setInterval(() => {
+      if (Date.now() - lastSaveRef.current >= AUTOSAVE_MIN_GAP) saveDraftRef.current();
+    }, AUTOSAVE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [started]);
+
   const handleOptionSelect = (mcqId, optionIndex) => {
     const mcq = mcqs.find(m => m._id === mcqId);
     
     if (!mcq || !mcq.options) return;
     
-    // Determine if multiple answers based on options (since correctAnswers might be hidden)
-    const correctCount = mcq.options.filter(opt => opt.isCorrect).length;
-    const isMultipleAnswer = correctCount > 1;
-    
-    if (isMultipleAnswer) {
+    if (mcq.type === 'MULTIPLE') {
       // Multiple correct answers - toggle selection
       setAnswers(prev => {
         const current = prev[mcqId] || [];
@@ -86,7 +172,7 @@ const MCQSection = () => {
   const handleSubmit = async () => {
     if (submitting) return;
 
-    const unanswered = mcqs.filter(mcq => !answers[mcq._id] || answers[mcq._id].length === 0);
+    const unanswered = mcqs.filter(mcq => !isAnswered(mcq._id));
     
     if (unanswered.length > 0 && timeRemaining > 0) {
       const confirm = window.confirm(
@@ -98,12 +184,7 @@ const MCQSection = () => {
     setSubmitting(true);
 
     try {
-      const formattedAnswers = Object.keys(answers).map(mcqId => ({
-        mcqId,
-        selectedOptions: answers[mcqId]
-      }));
-
-      const response = await mcqService.submitMCQAnswers(contestId, formattedAnswers);
+      const response = await mcqService.submitMCQAnswers(contestId, buildAnswers());
       
       toast.success('MCQ section submitted successfully!');
       navigate(`/contest/${contestId}/result`);
@@ -168,9 +249,10 @@ const MCQSection = () => {
     );
   }
 
-  // Determine if multiple answers based on options (since correctAnswers is hidden)
-  const isMultipleAnswer = currentMCQ.options.filter(opt => opt.isCorrect).length > 1;
+  const isMultipleAnswer = currentMCQ.type === 'MULTIPLE';
+  const isNumeric = currentMCQ.type === 'NUMERIC' || currentMCQ.type === 'INTEGER';
   const selectedOptions = answers[currentMCQ._id] || [];
+  const answeredCount = mcqs.filter(mcq => isAnswered(mcq._id)).length;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900">
@@ -184,6 +266,22 @@ const MCQSection = () => {
             </div>
             
             <div className="flex items-center gap-6">
+              {saveState && (
+                <div className="flex items-center gap-2 text-sm text-gray-400">
+                  {saveState === 'error' ? (
+                    <>
+                      <CloudOff className="w-4 h-4 text-red-400" />
+                      <span className="text-red-400">Not saved</span>
+                    </>
+                  ) : (
+                    <>
+                      <Cloud className="w-4 h-4" />
+                      <span>{saveState === 'saving' ? 'Saving...' : 'Saved'}</span>
+                    </>
+                  )}
+                </div>
+              )}
+
               <div className="flex items-center gap-2 text-lg font-mono">
                 <Clock className={`w-5 h-5 ${timeRemaining < 300 ? 'text-red-500' : 'text-primary-500'}`} />
                 <span className={timeRemaining < 300 ? 'text-red-500' : 'text-white'}>
@@ -232,17 +330,36 @@ const MCQSection = () => {
 
               {/* Question Text */}
               <div className="mb-6">
-                <p className="text-lg text-gray-200 leading-relaxed whitespace-pre-wrap">
-                  {currentMCQ.question}
-                </p>
+                <RichText
+                  text={currentMCQ.question}
+                  className="text-lg text-gray-200 leading-relaxed"
+                />
                 
                 {isMultipleAnswer && (
                   <p className="text-sm text-primary-400 mt-2">
-                    (Multiple answers possible - select all that apply)
+                    (Multiple answers possible - select all that apply
+                    {currentMCQ.partialCredit && ', partial credit for each correct option'})
+                  </p>
+                )}
+                {isNumeric && (
+                  <p className="text-sm text-primary-400 mt-2">
+                    (Enter {currentMCQ.type === 'INTEGER' ? 'a whole number' : 'a number'})
                   </p>
                 )}
               </div>
 
+              {/* Numeric Answer */}
+              {isNumeric && (
+                <input
+                  type="number"
+                  step={currentMCQ.type === 'INTEGER' ? '1' : 'any'}
+                  value={values[currentMCQ._id] ?? ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, [currentMCQ._id]: e.target.value }))}
+                  className="input-field text-lg font-mono max-w-xs"
+                  placeholder="Your answer"
+                />
+              )}
+
               {/* Options */}
               <div className="space-y-3">
                 {currentMCQ.options.map((option, index) => {
@@ -267,7 +384,7 @@ const MCQSection = () => {
                         </div>
                         <div className="flex-1">
                           <span className="font-semibold text-primary-400 mr-2">{optionLabel}.</span>
-                          <span className="text-gray-200">{option.text}</span>
+                          <RichText text={option.text} className="inline text-gray-200" />
                         </div>
                       </div>
                     </button>
@@ -317,7 +434,7 @@ const MCQSection = () => {
               
               <div className="grid grid-cols-5 gap-2 mb-6">
                 {mcqs.map((mcq, index) => {
-                  const isAnswered = answers[mcq._id] && answers[mcq._id].length > 0;
+                  const answered = isAnswered(mcq._id);
                   const isFlagged = flagged.has(index);
                   const isCurrent = index === currentQuestion;
 
@@ -328,7 +445,7 @@ const MCQSection = () => {
                       className={`aspect-square rounded-lg text-sm font-semibold transition-all relative ${
                         isCurrent
                           ? 'bg-primary-500 text-white scale-110'
-                          : isAnswered
+                          : answered
                           ? 'bg-green-500/20 text-green-400 border border-green-500/50'
                           : 'bg-dark-700 text-gray-400 hover:bg-dark-600'
                       }`}
@@ -346,11 +463,11 @@ const MCQSection = () => {
               <div className="space-y-2 text-sm">
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-6 rounded bg-green-500/20 border border-green-500/50"></div>
-                  <span className="text-gray-400">Answered ({Object.keys(answers).length})</span>
+                  <span className="text-gray-400">Answered ({answeredCount})</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-6 rounded bg-dark-700"></div>
-                  <span className="text-gray-400">Not Answered ({mcqs.length - Object.keys(answers).length})</span>
+                  <span className="text-gray-400">Not Answered ({mcqs.length - answeredCount})</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-6 rounded bg-dark-700 relative">
@@ -1,20 +1,86 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import contestService from '../../services/contestService';
+import ratingService from '../../services/ratingService';
+import certificateService from '../../services/certificateService';
+import teamService from '../../services/teamService';
 import ContestCard from '../../components/contest/ContestCard';
+import RatingGraph from '../../components/dashboard/RatingGraph';
+import SecuritySettings from '../../components/dashboard/SecuritySettings';
 import Loader from '../../components/common/Loader';
-import { User, Trophy, Target, Calendar } from 'lucide-react';
+import { authService } from '../../services/authService';
+import { User, Trophy, Target, Calendar, TrendingUp, Award, Download, MailWarning, Users } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const UserDashboard = () => {
   const { user } = useAuth();
   const [myContests, setMyContests] = useState([]);
+  const [rating, setRating] = useState(null);
+  const [certificates, setCertificates] = useState([]);
+  const [invites, setInvites] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [resending, setResending] = useState(false);
 
   useEffect(() => {
     fetchMyContests();
+    fetchRating();
+    fetchCertificates();
+    fetchInvites();
   }, []);
 
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      const response = await authService.resendVerification(user.email);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const fetchCertificates = async () => {
+    try {
+      const data = await certificateService.getMyCertificates();
+      setCertificates(data.certificates);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const fetchInvites = async () => {
+    try {
+      const data = await teamService.getMyInvites();
+      setInvites(data.invites);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const handleInvite = async (invite, accept) => {
+    try {
+      const data = accept
+        ? await teamService.acceptInvite(invite.teamId)
+        : await teamService.declineInvite(invite.teamId);
+      toast.success(data.message);
+      setInvites(prev => prev.filter(item => item.teamId !== invite.teamId));
+      if (accept) fetchMyContests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to answer invite');
+    }
+  };
+
+  const fetchRating = async () => {
+    try {
+      const data = await ratingService.getMyRatingHistory();
+      setRating(data);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
   const fetchMyContests = async () => {
     try {
       const data = await contestService.getMyContests();
@@ -34,6 +100,50 @@ const UserDashboard = () => {
   return (
     <div className="min-h-screen bg-dark-950 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Sessions saved before verification existed have no isVerified, so only false counts */}
+        {user?.isVerified === false && (
+          <div className="card mb-6 flex flex-col sm:flex-row sm:items-center gap-4 border border-yellow-500/30">
+            <MailWarning className="w-6 h-6 text-yellow-400 shrink-0" />
+            <p className="flex-1 text-gray-300">
+              Please verify your email address. We sent a link to <span className="text-white">{user.email}</span>.
+            </p>
+            <button onClick={handleResendVerification} disabled={resending} className="btn-secondary">
+              {resending ? 'Sending...' : 'Resend email'}
+            </button>
+          </div>
+        )}
+
+        {/* Team Invites */}
+        {invites.length > 0 && (
+          <div className="card mb-6">
+            <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
+              <Users className="w-5 h-5 text-primary-500" />
+              Team Invites
+            </h2>
+            <div className="divide-y divide-dark-700">
+              {invites.map((invite) => (
+                <div key={invite.teamId} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3">
+                  <div className="min-w-0">
+                    <p className="text-white font-semibold">{invite.teamName}</p>
+                    <p className="text-gray-400 text-sm">
+                      <Link to={`/contest/${invite.contest._id}`} className="hover:text-white">{invite.contest.title}</Link>
+                      {' · '}invited by {invite.captain?.name} · {invite.memberCount}/{invite.contest.maxTeamSize} members
+                    </p>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button onClick={() => handleInvite(invite, true)} className="btn-primary">
+                      Accept
+                    </button>
+                    <button onClick={() => handleInvite(invite, false)} className="btn-secondary">
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Profile Header */}
         <div className="card mb-8">
           <div className="flex items-center gap-6">
@@ -55,7 +165,7 @@ const UserDashboard = () => {
         </div>
 
         {/* Stats Grid */}
-        <div className="grid md:grid-cols-3 gap-6 mb-8">
+        <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <div className="card">
             <div className="flex items-center gap-4">
               <div className="bg-primary-500/10 p-4 rounded-xl">
@@ -91,8 +201,69 @@ const UserDashboard = () => {
               </div>
             </div>
           </div>
+
+          <div className="card">
+            <div className="flex items-center gap-4">
+              <div className="bg-primary-500/10 p-4 rounded-xl">
+                <TrendingUp className="w-8 h-8 text-primary-500" />
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-white">
+                  {rating?.user?.ratedContests > 0 ? rating.user.rating : 'Unrated'}
+                </div>
+                <div className="text-gray-400 text-sm">
+                  Rating{rating?.user?.ratedContests > 0 && ` (max ${rating.user.maxRating})`}
+                </div>
+              </div>
+            </div>
+          </div>
         </div>
 
+        {/* Rating History */}
+        {rating && (
+          <div className="card mb-8">
+            <h2 className="text-2xl font-bold text-white mb-4">Rating History</h2>
+            <RatingGraph history={rating.history} />
+          </div>
+        )}
+
+        {/* Certificates */}
+        {certificates.length > 0 && (
+          <div className="card mb-8">
+            <h2 className="text-2xl font-bold text-white mb-4">Certificates</h2>
+            <div className="divide-y divide-dark-700">
+              {certificates.map((certificate) => (
+                <div key={certificate.certificateId} className="flex items-center justify-between gap-4 py-3">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <Award className="w-6 h-6 text-primary-500 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-white font-semibold truncate">{certificate.contestTitle}</p>
+                      <p className="text-gray-400 text-sm">
+                        {certificate.memberNames && `${certificate.userName} · `}
+                        Rank {certificate.rank} of {certificate.participants} · {certificate.scoreLabel}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3 flex-shrink-0">
+                    <Link to={`/verify/${certificate.certificateId}`} className="text-sm text-gray-400 hover:text-white">
+                      Verify
+                    </Link>
+                    <a
+                      href={certificateService.getPdfUrl(certificate.certificateId, { download: true })}
+                      className="p-2 hover:bg-dark-700 rounded-lg transition-colors"
+                      title="Download PDF"
+                    >
+                      <Download className="w-4 h-4 text-primary-400" />
+                    </a>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <SecuritySettings />
+
         {/* My Contests */}
         <div>
           <h2 className="text-2xl font-bold text-white mb-6">My Contests</h2>
@@ -1,25 +1,81 @@
 import { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import leaderboardService from '../../services/leaderboardService';
+import { useSocketChannel } from '../../hooks/useSocketChannel';
+import { useAuth } from '../../context/AuthContext';
 import Loader from '../../components/common/Loader';
-import { Trophy, Medal, Award, TrendingUp } from 'lucide-react';
+import { Trophy, Medal, Award, TrendingUp, ArrowUp, ArrowDown, Snowflake, Eye, EyeOff, SkipForward, FastForward, Search, ChevronLeft, ChevronRight } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Leaderboard = () => {
   const { contestId } = useParams();
+  const { isAdmin } = useAuth();
   const [leaderboard, setLeaderboard] = useState([]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [rankChanges, setRankChanges] = useState({});
+  const [board, setBoard] = useState({ scoringMode: 'POINTS', problems: [], startTime: null });
+  // Admins watch the live board by default and can switch to what the public sees
+  const [liveView, setLiveView] = useState(isAdmin);
+  const [revealed, setRevealed] = useState(null);
+  const [resolving, setResolving] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ pages: 1, count: 0, total: 0 });
+
+  useEffect(() => {
+    setLiveView(isAdmin);
+  }, [isAdmin]);
 
   useEffect(() => {
-    fetchLeaderboard();
     fetchStats();
   }, [contestId]);
 
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [contestId, liveView, page, search]);
+
+  // Search once typing pauses, from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Follow the resolver down the board
+  useEffect(() => {
+    if (revealed) {
+      document.getElementById(`row-${revealed.resultId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [revealed]);
+
+  // Live updates pushed by the server
+  useSocketChannel(liveView ? `admin:contest:${contestId}` : `contest:${contestId}`, (event, data) => {
+    if (event === 'leaderboard:update') {
+      // The push carries the whole board; refetch just the page on screen
+      fetchLeaderboard();
+      setRevealed(data.revealed || null);
+      setRankChanges(Object.fromEntries(
+        data.changes
+          .filter(change => change.from !== null)
+          .map(change => [change.resultId, change.from - change.to])
+      ));
+      fetchStats();
+    } else if (event === 'contest:status') {
+      fetchStats();
+    }
+  });
+
   const fetchLeaderboard = async () => {
     try {
-      const data = await leaderboardService.getLeaderboard(contestId);
-      setLeaderboard(data.leaderboard);
+      const params = { page, search: search || undefined };
+      const data = liveView
+        ? await leaderboardService.getLiveLeaderboard(contestId, params)
+        : await leaderboardService.getLeaderboard(contestId, params);
+      applyBoard(data);
     } catch (error) {
       toast.error('Failed to fetch leaderboard');
       console.error(error);
@@ -28,6 +84,35 @@ const Leaderboard = () => {
     }
   };
 
+  const applyBoard = (data) => {
+    setLeaderboard(data.leaderboard);
+    setPagination({ pages: data.pages || 1, count: data.count, total: data.total });
+    setBoard({
+      scoringMode: data.scoringMode || 'POINTS',
+      problems: data.problems || [],
+      startTime: data.startTime,
+      endTime: data.endTime,
+      freezeTime: data.freezeTime,
+      frozen: data.frozen
+    });
+  };
+
+  const handleResolve = async (all = false) => {
+    if (all && !window.confirm('Reveal every remaining result and unfreeze the leaderboard?')) return;
+
+    setResolving(true);
+    try {
+      const data = await leaderboardService.resolveLeaderboard(contestId, { all });
+      if (data.done) toast.success(data.message);
+      await fetchLeaderboard();
+      setRevealed(data.revealed);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve leaderboard');
+    } finally {
+      setResolving(false);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       const data = await leaderboardService.getContestStats(contestId);
@@ -50,6 +135,65 @@ const Leaderboard = () => {
     }
   };
 
+  const problemLabel = (index) => String.fromCharCode(65 + index);
+
+  const findSubmission = (entry, problem) =>
+    entry.codingSubmissions?.find(submission => String(submission.problemId) === String(problem._id));
+
+  // Minutes from the participant's coding start, or the contest start, to the first accept
+  const acceptMinute = (entry, submission) => {
+    const start = entry.sections?.coding?.startedAt || board.startTime;
+    return Math.max(0, Math.floor((new Date(submission.firstAcceptedAt) - new Date(start)) / 60000));
+  };
+
+  const isRevealed = (entry, problem) =>
+    revealed && String(revealed.resultId) === String(entry._id) && String(revealed.problemId) === String(problem._id);
+
+  // Attempts made after the freeze, shown as "?" until the resolver opens them
+  const renderPending = (submission) => (
+    <div className="font-semibold text-yellow-400">
+      ?
+      <div className="text-xs font-normal text-gray-400">
+        {submission.wrongAttempts > 0 ? `${submission.wrongAttempts} + ${submission.pending}` : submission.pending}
+      </div>
+    </div>
+  );
+
+  const renderICPCCell = (entry, problem) => {
+    const submission = findSubmission(entry, problem);
+    if (!submission) return <span className="text-gray-600">·</span>;
+    if (submission.pending) return renderPending(submission);
+
+    if (submission.solved) {
+      return (
+        <div className="font-semibold text-green-400">
+          {submission.wrongAttempts > 0 ? `+${submission.wrongAttempts}` : '+'}
+          <div className="text-xs font-normal text-gray-400">{acceptMinute(entry, submission)}</div>
+        </div>
+      );
+    }
+    return (
+      <span className="font-semibold text-red-400">
+        {submission.wrongAttempts > 0 ? `-${submission.wrongAttempts}` : '-'}
+      </span>
+    );
+  };
+
+  const renderScoreCell = (entry, problem) => {
+    const submission = findSubmission(entry, problem);
+    if (!submission) return <span className="text-gray-600">·</span>;
+    if (submission.pending) return renderPending(submission);
+
+    const score = submission.subtaskScores?.length > 0
+      ? submission.subtaskScores.reduce((sum, subtask) => sum + subtask.score, 0)
+      : submission.score;
+    return <span className={submission.solved ? 'text-green-400' : 'text-gray-300'}>{score}</span>;
+  };
+
+  const { scoringMode, problems } = board;
+  const showProblems = (scoringMode !== 'POINTS' || board.frozen) && problems.length > 0;
+  const canResolve = isAdmin && !liveView && board.frozen && new Date() >= new Date(board.endTime);
+
   if (loading) {
     return <Loader fullScreen />;
   }
@@ -63,6 +207,45 @@ const Leaderboard = () => {
           {stats && <p className="text-gray-400">{stats.contestTitle}</p>}
         </div>
 
+        {board.freezeTime && (
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            {board.frozen ? (
+              <p className="flex items-center gap-2 text-blue-300">
+                <Snowflake className="w-5 h-5" />
+                Standings frozen at {new Date(board.freezeTime).toLocaleTimeString()}. Later attempts show as pending.
+              </p>
+            ) : liveView ? (
+              <p className="flex items-center gap-2 text-gray-400">
+                <Eye className="w-5 h-5" />
+                Live standings, including attempts after the freeze.
+              </p>
+            ) : (
+              <span />
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              {canResolve && (
+                <>
+                  <button onClick={() => handleResolve()} disabled={resolving} className="btn-primary">
+                    <SkipForward className="w-5 h-5 mr-2" />
+                    Reveal Next
+                  </button>
+                  <button onClick={() => handleResolve(true)} disabled={resolving} className="btn-secondary">
+                    <FastForward className="w-5 h-5 mr-2" />
+                    Reveal All
+                  </button>
+                </>
+              )}
+              {isAdmin && (
+                <button onClick={() => setLiveView(!liveView)} className="btn-secondary">
+                  {liveView ? <EyeOff className="w-5 h-5 mr-2" /> : <Eye className="w-5 h-5 mr-2" />}
+                  {liveView ? 'Public View' : 'Live View'}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Stats */}
         {stats && (
           <div className="grid md:grid-cols-3 gap-6 mb-8">
@@ -81,11 +264,22 @@ const Leaderboard = () => {
           </div>
         )}
 
+        <div className="relative mb-4 max-w-md">
+          <Search className="w-5 h-5 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="input-field pl-10"
+            placeholder="Search by name, team or college"
+          />
+        </div>
+
         {/* Leaderboard Table */}
         <div className="card overflow-hidden">
           {leaderboard.length === 0 ? (
             <div className="text-center py-12">
-              <p className="text-gray-400 text-lg">No submissions yet</p>
+              <p className="text-gray-400 text-lg">{search ? 'No participants match your search' : 'No submissions yet'}</p>
             </div>
           ) : (
             <div className="overflow-x-auto">
@@ -94,16 +288,37 @@ const Leaderboard = () => {
                   <tr>
                     <th className="px-6 py-4 text-left text-sm font-semibold text-gray-300">Rank</th>
                     <th className="px-6 py-4 text-left text-sm font-semibold text-gray-300">Participant</th>
-                    <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">MCQ Score</th>
-                    <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Coding Score</th>
-                    <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Total Score</th>
-                    <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Time Taken</th>
+                    {scoringMode === 'ICPC' ? (
+                      <>
+                        <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Solved</th>
+                        <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Penalty</th>
+                      </>
+                    ) : (
+                      <>
+                        <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">MCQ Score</th>
+                        <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Coding Score</th>
+                        <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Total Score</th>
+                      </>
+                    )}
+                    {scoringMode === 'POINTS' && (
+                      <th className="px-6 py-4 text-center text-sm font-semibold text-gray-300">Time Taken</th>
+                    )}
+                    {showProblems && problems.map((problem, index) => (
+                      <th
+                        key={problem._id}
+                        title={problem.title}
+                        className="px-3 py-4 text-center text-sm font-semibold text-gray-300"
+                      >
+                        {problemLabel(index)}
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-dark-800">
                   {leaderboard.map((entry, index) => (
                     <tr 
                       key={entry._id} 
+                      id={`row-${entry._id}`}
                       className={`hover:bg-dark-800 transition-colors ${
                         entry.rank <= 3 ? 'bg-primary-500/5' : ''
                       }`}
@@ -111,22 +326,62 @@ const Leaderboard = () => {
                       <td className="px-6 py-4">
                         <div className="flex items-center gap-3">
                           {getRankIcon(entry.rank)}
+                          {rankChanges[entry._id] > 0 && (
+                            <span className="flex items-center text-xs text-green-400">
+                              <ArrowUp className="w-3 h-3" />{rankChanges[entry._id]}
+                            </span>
+                          )}
+                          {rankChanges[entry._id] < 0 && (
+                            <span className="flex items-center text-xs text-red-400">
+                              <ArrowDown className="w-3 h-3" />{-rankChanges[entry._id]}
+                            </span>
+                          )}
                         </div>
                       </td>
                       <td className="px-6 py-4">
-                        <div>
-                          <div className="font-semibold text-white">{entry.userId?.name}</div>
-                          <div className="text-sm text-gray-400">{entry.userId?.college}</div>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 text-center text-gray-300">{entry.mcqScore || 0}</td>
-                      <td className="px-6 py-4 text-center text-gray-300">{entry.codingScore || 0}</td>
-                      <td className="px-6 py-4 text-center">
-                        <span className="font-bold text-primary-500">{entry.totalScore}</span>
-                      </td>
-                      <td className="px-6 py-4 text-center text-gray-400">
-                        {Math.floor(entry.timeTaken / 60)} mins
+                        {entry.teamId ? (
+                          <div>
+                            <div className="font-semibold text-white">{entry.teamId.name}</div>
+                            <div className="text-sm text-gray-400">
+                              {entry.teamId.members?.map(member => member.name).join(', ')}
+                            </div>
+                          </div>
+                        ) : (
+                          <div>
+                            <div className="font-semibold text-white">{entry.userId?.name}</div>
+                            <div className="text-sm text-gray-400">{entry.userId?.college}</div>
+                          </div>
+                        )}
                       </td>
+                      {scoringMode === 'ICPC' ? (
+                        <>
+                          <td className="px-6 py-4 text-center">
+                            <span className="font-bold text-primary-500">{entry.solvedCount || 0}</span>
+                          </td>
+                          <td className="px-6 py-4 text-center text-gray-400">{entry.penalty || 0}</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="px-6 py-4 text-center text-gray-300">{entry.mcqScore || 0}</td>
+                          <td className="px-6 py-4 text-center text-gray-300">{entry.codingScore || 0}</td>
+                          <td className="px-6 py-4 text-center">
+                            <span className="font-bold text-primary-500">{entry.totalScore}</span>
+                          </td>
+                        </>
+                      )}
+                      {scoringMode === 'POINTS' && (
+                        <td className="px-6 py-4 text-center text-gray-400">
+                          {Math.floor(entry.timeTaken / 60)} mins
+                        </td>
+                      )}
+                      {showProblems && problems.map(problem => (
+                        <td
+                          key={problem._id}
+                          className={`px-3 py-4 text-center ${isRevealed(entry, problem) ? 'bg-yellow-500/20' : ''}`}
+                        >
+                          {scoringMode === 'ICPC' ? renderICPCCell(entry, problem) : renderScoreCell(entry, problem)}
+                        </td>
+                      ))}
                     </tr>
                   ))}
                 </tbody>
@@ -134,6 +389,31 @@ const Leaderboard = () => {
             </div>
           )}
         </div>
+
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+            <span>
+              {pagination.count} of {pagination.total} participants
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary px-3 py-2"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>Page {page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-secondary px-3 py-2"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,11 @@ import api from './authService';
 
 const adminService = {
   // Contest Management
+  getAllContests: async () => {
+    const response = await api.get('/contests/all');
+    return response.data;
+  },
+
   createContest: async (contestData) => {
     const response = await api.post('/contests', contestData);
     return response.data;
@@ -17,6 +22,28 @@ const adminService = {
     return response.data;
   },
 
+  cloneContest: async (contestId, options) => {
+    const response = await api.post(`/contests/${contestId}/clone`, options);
+    return response.data;
+  },
+
+  // Contest Templates
+  getContestTemplates: async () => {
+    const response = await api.get('/contest-templates');
+    return response.data;
+  },
+
+  // templateData: { name, description } plus a contestId or a layout
+  createContestTemplate: async (templateData) => {
+    const response = await api.post('/contest-templates', templateData);
+    return response.data;
+  },
+
+  deleteContestTemplate: async (templateId) => {
+    const response = await api.delete(`/contest-templates/${templateId}`);
+    return response.data;
+  },
+
   // MCQ Management
   createMCQ: async (mcqData) => {
     const response = await api.post('/mcq', mcqData);
@@ -33,6 +60,53 @@ const adminService = {
     return response.data;
   },
 
+  // file: CSV or JSON; target: { contestId } or { bankId }
+  importMCQs: async (file, target) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(target).forEach(([key, value]) => formData.append(key, value));
+    const response = await api.post('/mcq/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  exportMCQs: async (target, format) => {
+    const response = await api.get('/mcq/export', { params: { ...target, format }, responseType: 'blob' });
+    return response.data;
+  },
+
+  updateMCQRandomization: async (contestId, settings) => {
+    const response = await api.put(`/mcq/contest/${contestId}/randomization`, settings);
+    return response.data;
+  },
+
+  // Question Banks
+  getQuestionBanks: async () => {
+    const response = await api.get('/question-banks');
+    return response.data;
+  },
+
+  getQuestionBank: async (bankId) => {
+    const response = await api.get(`/question-banks/${bankId}`);
+    return response.data;
+  },
+
+  createQuestionBank: async (bankData) => {
+    const response = await api.post('/question-banks', bankData);
+    return response.data;
+  },
+
+  updateQuestionBank: async (bankId, bankData) => {
+    const response = await api.put(`/question-banks/${bankId}`, bankData);
+    return response.data;
+  },
+
+  deleteQuestionBank: async (bankId) => {
+    const response = await api.delete(`/question-banks/${bankId}`);
+    return response.data;
+  },
+
   // Coding Problem Management
   createCodingProblem: async (problemData) => {
     const response = await api.post('/coding', problemData);
@@ -49,20 +123,95 @@ const adminService = {
     return response.data;
   },
 
+  importCodingProblems: async (file, contestId) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('contestId', contestId);
+    const response = await api.post('/coding/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  exportCodingProblems: async (contestId) => {
+    const response = await api.get(`/coding/contest/${contestId}/export`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  exportCodingProblem: async (problemId) => {
+    const response = await api.get(`/coding/${problemId}/export`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Rejudging
+  rejudgeSubmission: async (submissionId) => {
+    const response = await api.post(`/submissions/rejudges/submission/${submissionId}`);
+    return response.data;
+  },
+
+  rejudgeProblem: async (problemId) => {
+    const response = await api.post(`/submissions/rejudges/problem/${problemId}`);
+    return response.data;
+  },
+
+  rejudgeContest: async (contestId) => {
+    const response = await api.post(`/submissions/rejudges/contest/${contestId}`);
+    return response.data;
+  },
+
+  getRejudges: async (contestId) => {
+    const response = await api.get(`/submissions/rejudges/contest/${contestId}`);
+    return response.data;
+  },
+
+  getRejudgeReport: async (rejudgeId) => {
+    const response = await api.get(`/submissions/rejudges/${rejudgeId}`);
+    return response.data;
+  },
+
+  // Certificates
+  getContestCertificates: async (contestId) => {
+    const response = await api.get(`/certificates/contest/${contestId}`);
+    return response.data;
+  },
+
+  // top: issue to ranks 1..top, or to every ranked participant when empty
+  issueCertificates: async (contestId, top) => {
+    const response = await api.post(`/certificates/contest/${contestId}`, { top });
+    return response.data;
+  },
+
   // Statistics
+  getContestAnalytics: async (contestId) => {
+    const response = await api.get(`/leaderboard/${contestId}/analytics`);
+    return response.data;
+  },
+
   getAdminStats: async () => {
     const response = await api.get('/admin/stats');
     return response.data;
   },
 
-  getAllUsers: async () => {
-    const response = await api.get('/admin/users');
+  // params: { page, limit, search, role, status }
+  getAllUsers: async (params) => {
+    const response = await api.get('/admin/users', { params });
+    return response.data;
+  },
+
+  getUserDetails: async (userId) => {
+    const response = await api.get(`/admin/users/${userId}`);
     return response.data;
   },
 
   updateUserRole: async (userId, role) => {
     const response = await api.put(`/admin/users/${userId}/role`, { role });
     return response.data;
+  },
+
+  // status: ACTIVE, SUSPENDED (with suspendedUntil) or BANNED
+  updateUserStatus: async (userId, { status, suspendedUntil, reason }) => {
+    const response = await api.put(`/admin/users/${userId}/status`, { status, suspendedUntil, reason });
+    return response.data;
   }
 };
 
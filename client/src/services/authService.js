@@ -1,13 +1,58 @@
 import axios from 'axios';
 import { API_BASE_URL } from '../utils/constants';
+import socketService from './socketService';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
+  withCredentials: true, // sends the httpOnly refresh cookie to /auth
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// Requests that must not trigger a refresh-and-retry on 401
+const NO_REFRESH = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshing = null;
+
+// The socket reads the token only when it connects, so every session change
+// reconnects it under the new identity.
+export const saveSession = (token, user) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('user', JSON.stringify(user));
+  socketService.reconnect();
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  socketService.reconnect();
+};
+
+// Swaps the refresh cookie for a new access token. Concurrent callers share
+// one request, since each refresh token can only be used once.
+export const refreshSession = () => {
+  refreshing ??= api.post('/auth/refresh')
+    .then(response => {
+      saveSession(response.data.token, response.data.user);
+      return response.data;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// Seconds until the access token expires, read from its payload
+export const getTokenTtl = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp - Date.now() / 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
 // Add token to requests
 api.interceptors.request.use(
   (config) => {
@@ -22,15 +67,28 @@ api.interceptors.request.use(
   }
 );
 
-// Handle responses and errors
+// Handle responses and errors: on 401 refresh once and retry, then give up
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || NO_REFRESH.includes(config.url)) {
+      return Promise.reject(error);
     }
+
+    if (!config._retried && localStorage.getItem('user')) {
+      config._retried = true;
+      try {
+        const { token } = await refreshSession();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to signing out
+      }
+    }
+
+    clearSession();
+    window.location.href = '/login';
     return Promise.reject(error);
   }
 );
@@ -39,7 +97,14 @@ export const authService = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
   getProfile: () => api.get('/auth/me'),
-  updateProfile: (data) => api.put('/auth/profile', data)
+  updateProfile: (data) => api.put('/auth/profile', data),
+  changePassword: (data) => api.put('/auth/password', data),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password })
 };
 
 export default api;
@@ -0,0 +1,20 @@
+import api from './authService';
+import { API_BASE_URL } from '../utils/constants';
+
+const certificateService = {
+  getMyCertificates: async () => {
+    const response = await api.get('/certificates/me');
+    return response.data;
+  },
+
+  verifyCertificate: async (certificateId) => {
+    const response = await api.get(`/certificates/verify/${certificateId}`);
+    return response.data;
+  },
+
+  // PDFs are public, so plain links work without the auth header
+  getPdfUrl: (certificateId, { download = false } = {}) =>
+    `${API_BASE_URL}/certificates/${certificateId}/pdf${download ? '?download=1' : ''}`
+};
+
+export default certificateService;
@@ -22,6 +22,22 @@ const contestService = {
     return response.data;
   },
   
+  // Participant attempt; remaining time comes from the server
+  getAttempt: async (id) => {
+    const response = await api.get(`/contests/${id}/attempt`);
+    return response.data;
+  },
+
+  startSection: async (id, section) => {
+    const response = await api.post(`/contests/${id}/sections/${section}/start`);
+    return response.data;
+  },
+
+  finishSection: async (id, section) => {
+    const response = await api.post(`/contests/${id}/sections/${section}/finish`);
+    return response.data;
+  },
+  
   // Admin routes
   createContest: async (data) => {
     const response = await api.post('/contests', data);
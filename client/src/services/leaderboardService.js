@@ -1,11 +1,22 @@
 import api from './authService';
 
 const leaderboardService = {
-  getLeaderboard: async (contestId) => {
-    const response = await api.get(`/leaderboard/${contestId}`);
+  // params: { page, limit, search }
+  getLeaderboard: async (contestId, params = {}) => {
+    const response = await api.get(`/leaderboard/${contestId}`, { params });
     return response.data;
   },
   
+  getLiveLeaderboard: async (contestId, params = {}) => {
+    const response = await api.get(`/leaderboard/${contestId}/live`, { params });
+    return response.data;
+  },
+
+  resolveLeaderboard: async (contestId, { all = false } = {}) => {
+    const response = await api.post(`/leaderboard/${contestId}/resolve`, { all });
+    return response.data;
+  },
+
   getUserRank: async (contestId) => {
     const response = await api.get(`/leaderboard/${contestId}/rank`);
     return response.data;
@@ -6,6 +6,11 @@ const mcqService = {
     return response.data;
   },
   
+  saveDraft: async (contestId, draft) => {
+    const response = await api.put('/mcq/draft', { contestId, ...draft });
+    return response.data;
+  },
+  
   submitMCQAnswers: async (contestId, answers) => {
     const response = await api.post('/mcq/submit', { contestId, answers });
     return response.data;
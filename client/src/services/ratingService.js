@@ -0,0 +1,21 @@
+import api from './authService';
+
+const ratingService = {
+  // params: { page, limit, search }
+  getRanking: async (params = {}) => {
+    const response = await api.get('/ratings', { params });
+    return response.data;
+  },
+
+  getMyRatingHistory: async () => {
+    const response = await api.get('/ratings/me');
+    return response.data;
+  },
+
+  getUserRatingHistory: async (userId) => {
+    const response = await api.get(`/ratings/users/${userId}`);
+    return response.data;
+  }
+};
+
+export default ratingService;
@@ -0,0 +1,104 @@
+import { WS_URL } from '../utils/constants';
+
+const RECONNECT_DELAY = 3000; // ms
+
+let socket = null;
+let reconnectTimer = null;
+const handlers = new Map(); // channel -> Set<handler>
+const openListeners = new Set();
+
+const send = (message) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const connect = () => {
+  const token = localStorage.getItem('token');
+  socket = new WebSocket(token ? `${WS_URL}?token=${encodeURIComponent(token)}` : WS_URL);
+
+  socket.onopen = () => {
+    // Restore subscriptions after a reconnect
+    handlers.forEach((_, channel) => send({ type: 'subscribe', channel }));
+    openListeners.forEach(listener => listener());
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    const channelHandlers = handlers.get(message.channel);
+    if (channelHandlers) {
+      channelHandlers.forEach(handler => handler(message.event, message.data));
+    }
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    if (handlers.size > 0 && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, RECONNECT_DELAY);
+    }
+  };
+};
+
+const socketService = {
+  // Returns an unsubscribe function
+  subscribe: (channel, handler) => {
+    if (!handlers.has(channel)) {
+      handlers.set(channel, new Set());
+    }
+    handlers.get(channel).add(handler);
+
+    if (!socket) {
+      connect();
+    } else {
+      send({ type: 'subscribe', channel });
+    }
+
+    return () => {
+      const channelHandlers = handlers.get(channel);
+      if (!channelHandlers) return;
+
+      channelHandlers.delete(handler);
+      if (channelHandlers.size === 0) {
+        handlers.delete(channel);
+        send({ type: 'unsubscribe', channel });
+      }
+
+      if (handlers.size === 0 && socket) {
+        socket.close();
+      }
+    };
+  },
+
+  // Called every time the socket (re)opens, so callers can catch up on
+  // events sent while it was down. Returns an unsubscribe function.
+  onOpen: (listener) => {
+    openListeners.add(listener);
+    return () => openListeners.delete(listener);
+  },
+
+  // Reconnect so the server sees the current token
+  reconnect: () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      socket = null;
+    }
+    if (handlers.size > 0) {
+      connect();
+    }
+  }
+};
+
+export default socketService;
@@ -0,0 +1,55 @@
+import api from './authService';
+
+const teamService = {
+  getMyTeam: async (contestId) => {
+    const response = await api.get(`/teams/contest/${contestId}/mine`);
+    return response.data;
+  },
+
+  getContestTeams: async (contestId) => {
+    const response = await api.get(`/teams/contest/${contestId}`);
+    return response.data;
+  },
+
+  createTeam: async (contestId, name) => {
+    const response = await api.post(`/teams/contest/${contestId}`, { name });
+    return response.data;
+  },
+
+  joinTeam: async (joinCode) => {
+    const response = await api.post('/teams/join', { joinCode });
+    return response.data;
+  },
+
+  inviteMember: async (teamId, email) => {
+    const response = await api.post(`/teams/${teamId}/invites`, { email });
+    return response.data;
+  },
+
+  getMyInvites: async () => {
+    const response = await api.get('/teams/invites');
+    return response.data;
+  },
+
+  acceptInvite: async (teamId) => {
+    const response = await api.post(`/teams/${teamId}/invites/accept`);
+    return response.data;
+  },
+
+  declineInvite: async (teamId) => {
+    const response = await api.post(`/teams/${teamId}/invites/decline`);
+    return response.data;
+  },
+
+  leaveTeam: async (teamId) => {
+    const response = await api.post(`/teams/${teamId}/leave`);
+    return response.data;
+  },
+
+  removeMember: async (teamId, userId) => {
+    const response = await api.delete(`/teams/${teamId}/members/${userId}`);
+    return response.data;
+  }
+};
+
+export default teamService;
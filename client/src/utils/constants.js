@@ -1,5 +1,7 @@
 export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+export const WS_URL = import.meta.env.VITE_WS_URL || API_BASE_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '/ws');
+
 export const CONTEST_STATUS = {
   UPCOMING: 'UPCOMING',
   LIVE: 'LIVE',
@@ -13,7 +15,8 @@ export const SUBMISSION_VERDICT = {
   TIME_LIMIT_EXCEEDED: 'TIME_LIMIT_EXCEEDED',
   MEMORY_LIMIT_EXCEEDED: 'MEMORY_LIMIT_EXCEEDED',
   RUNTIME_ERROR: 'RUNTIME_ERROR',
-  COMPILATION_ERROR: 'COMPILATION_ERROR'
+  COMPILATION_ERROR: 'COMPILATION_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
 export const LANGUAGES = [
@@ -1,7 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
+import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 
 // Import routes
@@ -11,9 +11,16 @@ import mcqRoutes from './routes/mcq.routes.js';
 import codingRoutes from './routes/coding.routes.js';
 import submissionRoutes from './routes/submission.routes.js';
 import leaderboardRoutes from './routes/leaderboard.routes.js';
+import questionBankRoutes from './routes/questionBank.routes.js';
+import contestTemplateRoutes from './routes/contestTemplate.routes.js';
+import ratingRoutes from './routes/rating.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import certificateRoutes from './routes/certificate.routes.js';
+import teamRoutes from './routes/team.routes.js';
 
 // Import middleware
 import { errorHandler } from './middlewares/error.middleware.js';
+import { apiLimiter } from './middlewares/rateLimit.middleware.js';
 
 dotenv.config();
 
@@ -23,11 +30,7 @@ const app = express();
 app.use(helmet());
 
 // Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use('/api', limiter);
+app.use('/api', apiLimiter);
 
 // CORS
 app.use(cors({
@@ -38,6 +41,7 @@ app.use(cors({
 // Body parser
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -46,6 +50,12 @@ app.use('/api/mcq', mcqRoutes);
 app.use('/api/coding', codingRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/question-banks', questionBankRoutes);
+app.use('/api/contest-templates', contestTemplateRoutes);
+app.use('/api/ratings', ratingRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
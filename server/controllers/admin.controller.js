@@ -0,0 +1,340 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Contest from '../models/Contest.js';
+import Result from '../models/Result.js';
+import Submission from '../models/Submission.js';
+import RatingChange from '../models/RatingChange.js';
+import { revokeAllSessions } from '../services/session.service.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const ROLES = ['USER', 'ADMIN'];
+const STATUSES = ['ACTIVE', 'SUSPENDED', 'BANNED'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const USER_FIELDS = 'name email role college phone avatar isVerified totalScore rank rating maxRating ratedContests status suspendedUntil statusReason createdAt';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Find the target user of a moderation action, answering 400/404 itself
+const findTargetUser = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.userId).select(USER_FIELDS);
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+
+  // Admins cannot lock themselves out
+  if (user._id.equals(req.user._id)) {
+    res.status(400).json({ success: false, message: 'You cannot change your own account' });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Get platform statistics
+// @route   GET /api/admin/stats
+// @access  Private/Admin
+export const getAdminStats = async (req, res) => {
+  try {
+    const now = new Date();
+    const weekAgo = new Date(now - 7 * DAY);
+    const dayAgo = new Date(now - DAY);
+
+    const [
+      totalUsers,
+      admins,
+      newUsers,
+      suspended,
+      banned,
+      contestStatuses,
+      drafts,
+      totalSubmissions,
+      recentSubmissions,
+      acceptedSubmissions,
+      pendingSubmissions,
+      participations
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ role: 'ADMIN' }),
+      User.countDocuments({ createdAt: { $gte: weekAgo } }),
+      User.countDocuments({ status: 'SUSPENDED', suspendedUntil: { $gt: now } }),
+      User.countDocuments({ status: 'BANNED' }),
+      Contest.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Contest.countDocuments({ isPublished: false }),
+      Submission.countDocuments(),
+      Submission.countDocuments({ submittedAt: { $gte: dayAgo } }),
+      Submission.countDocuments({ verdict: 'ACCEPTED' }),
+      Submission.countDocuments({ verdict: 'PENDING' }),
+      Result.countDocuments()
+    ]);
+
+    const contests = Object.fromEntries(contestStatuses.map(({ _id, count }) => [_id, count]));
+
+    res.status(200).json({
+      success: true,
+      stats: {
+        users: {
+          total: totalUsers,
+          admins,
+          newThisWeek: newUsers,
+          suspended,
+          banned
+        },
+        contests: {
+          total: contestStatuses.reduce((sum, { count }) => sum + count, 0),
+          live: contests.LIVE || 0,
+          upcoming: contests.UPCOMING || 0,
+          ended: contests.ENDED || 0,
+          drafts
+        },
+        submissions: {
+          total: totalSubmissions,
+          lastDay: recentSubmissions,
+          accepted: acceptedSubmissions,
+          pending: pendingSubmissions
+        },
+        participations
+      }
+    });
+  } catch (error) {
+    console.error('Get admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching stats'
+    });
+  }
+};
+
+// @desc    Get users
+// @route   GET /api/admin/users?page=&limit=&search=&role=&status=
+// @access  Private/Admin
+export const getUsers = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+    const search = String(req.query.search || '').trim();
+    const { role, status } = req.query;
+    const now = new Date();
+
+    const conditions = [];
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({ $or: [{ name: pattern }, { email: pattern }, { college: pattern }] });
+    }
+    if (ROLES.includes(role)) {
+      conditions.push({ role });
+    }
+    // Suspensions lapse on their own, so status filters look at suspendedUntil
+    if (status === 'ACTIVE') {
+      conditions.push({ $or: [{ status: 'ACTIVE' }, { status: 'SUSPENDED', suspendedUntil: { $lte: now } }] });
+    } else if (status === 'SUSPENDED') {
+      conditions.push({ status: 'SUSPENDED', suspendedUntil: { $gt: now } });
+    } else if (status === 'BANNED') {
+      conditions.push({ status: 'BANNED' });
+    }
+    const query = conditions.length ? { $and: conditions } : {};
+
+    const [users, count] = await Promise.all([
+      User.aggregate([
+        { $match: query },
+        { $sort: { createdAt: -1, _id: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $addFields: { contestCount: { $size: { $ifNull: ['$contestsParticipated', []] } } } },
+        // Aggregates ignore select: false, so every secret is left out here
+        {
+          $project: {
+            password: 0,
+            contestsParticipated: 0,
+            emailVerificationToken: 0,
+            emailVerificationExpires: 0,
+            passwordResetToken: 0,
+            passwordResetExpires: 0,
+            tokenVersion: 0
+          }
+        }
+      ]),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count,
+      page,
+      pages: Math.max(1, Math.ceil(count / limit)),
+      users
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching users'
+    });
+  }
+};
+
+// @desc    Get a user with their contest history
+// @route   GET /api/admin/users/:userId
+// @access  Private/Admin
+export const getUserDetails = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select(USER_FIELDS)
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [results, ratingChanges, submissionCount] = await Promise.all([
+      Result.find({ userId })
+        .populate('contestId', 'title startTime endTime status')
+        .select('contestId mcqScore codingScore totalScore solvedCount rank status submittedAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      RatingChange.find({ userId }).select('contestId delta newRating').lean(),
+      Submission.countDocuments({ userId })
+    ]);
+
+    const ratings = new Map(ratingChanges.map(change => [change.contestId.toString(), change]));
+    const history = results
+      .filter(result => result.contestId)
+      .map(result => {
+        const change = ratings.get(result.contestId._id.toString());
+        return {
+          ...result,
+          contest: result.contestId,
+          contestId: result.contestId._id,
+          ratingDelta: change?.delta ?? null,
+          newRating: change?.newRating ?? null
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      user,
+      submissionCount,
+      history
+    });
+  } catch (error) {
+    console.error('Get user details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user'
+    });
+  }
+};
+
+// @desc    Promote or demote a user
+// @route   PUT /api/admin/users/:userId/role
+// @access  Private/Admin
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (role === 'ADMIN' && user.status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reinstate the user before promoting them'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: role === 'ADMIN' ? 'User promoted to admin' : 'Admin demoted to user',
+      user
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+};
+
+// @desc    Ban, suspend or reinstate a user
+// @route   PUT /api/admin/users/:userId/status
+// @access  Private/Admin
+export const updateUserStatus = async (req, res) => {
+  try {
+    const { status, suspendedUntil, reason = '' } = req.body;
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${STATUSES.join(', ')}`
+      });
+    }
+
+    const until = status === 'SUSPENDED' ? new Date(suspendedUntil) : null;
+    if (until && !(until > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspensions need a future end date'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === 'ADMIN' && status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Demote the admin before banning or suspending them'
+      });
+    }
+
+    user.status = status;
+    user.suspendedUntil = until;
+    user.statusReason = status === 'ACTIVE' ? '' : String(reason).slice(0, 500);
+    await user.save();
+
+    // Banned and suspended users are signed out of every device
+    if (status !== 'ACTIVE') {
+      await revokeAllSessions(user._id);
+    }
+
+    const messages = {
+      ACTIVE: 'User reinstated',
+      SUSPENDED: 'User suspended',
+      BANNED: 'User banned'
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[status],
+      user
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user status'
+    });
+  }
+};
@@ -1,6 +1,42 @@
 import bcrypt from 'bcryptjs';
-import User from '../models/User.js';
-import { generateToken } from '../utils/generateToken.js';
+import User, { hashToken, EMAIL_VERIFICATION_TTL_HOURS, PASSWORD_RESET_TTL_MINUTES } from '../models/User.js';
+import {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  clearRefreshCookie
+} from '../services/session.service.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../services/mail.service.js';
+
+// Unverified users may not log in when REQUIRE_EMAIL_VERIFICATION=true; admins are exempt
+const requiresVerification = (user) =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isVerified && user.role !== 'ADMIN';
+
+// Another email for the same token type waits this long
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// The user fields returned alongside an access token
+const toAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  college: user.college,
+  avatar: user.avatar,
+  isVerified: user.isVerified
+});
+
+const sentRecently = (expires, ttlMs) => Boolean(expires) && expires.getTime() - ttlMs > Date.now() - RESEND_COOLDOWN_MS;
+
+// Mail failures are logged rather than failing the request; the user can ask again
+const deliver = async (send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error('❌ Mail delivery error:', error.message);
+  }
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -31,28 +67,45 @@ export const register = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password: hashedPassword,
       college,
       phone
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await deliver(() => sendVerificationEmail(user, verificationToken, EMAIL_VERIFICATION_TTL_HOURS));
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      college: user.college,
+      isVerified: user.isVerified
+    };
+
+    // No session until the address is confirmed
+    if (requiresVerification(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Check your email to verify your account before logging in.',
+        requiresVerification: true,
+        user: userData
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const token = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your account.',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        college: user.college
-      }
+      user: userData
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -96,21 +149,30 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const block = user.getAccessBlock();
+    if (block) {
+      return res.status(403).json({
+        success: false,
+        message: block
+      });
+    }
+
+    if (requiresVerification(user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email before logging in'
+      });
+    }
+
+    // Start session
+    const token = await startSession(req, res, user);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        college: user.college,
-        avatar: user.avatar
-      }
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -177,3 +239,303 @@ export const updateProfile = async (req, res) => {
     });
   }
 };
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    // Matching and clearing the token in one update keeps it single-use
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+      { $set: { isVerified: true }, $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If that account exists and is unverified, a new verification email is on its way'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+emailVerificationExpires');
+    const ttl = EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+    if (!user || user.isVerified || sentRecently(user.emailVerificationExpires, ttl)) {
+      return res.status(200).json(response);
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await deliver(() => sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link is on its way'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+passwordResetExpires');
+    const ttl = PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+    if (!user || sentRecently(user.passwordResetExpires, ttl)) {
+      return res.status(200).json(response);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+    await deliver(() => sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+};
+
+// @desc    Set a new password with the emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // The reset link proves ownership of the address, so it verifies it too
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+      {
+        $set: { password: hashedPassword, isVerified: true },
+        $unset: {
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Whoever knew the old password loses their sessions
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+};
+
+// @desc    Exchange the refresh cookie for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh cookie)
+export const refreshToken = async (req, res) => {
+  try {
+    const { error, user, token } = await refreshSession(req, res);
+    if (error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  }
+};
+
+// @desc    Log out of this device
+// @route   POST /api/auth/logout
+// @access  Public (refresh cookie)
+export const logout = async (req, res) => {
+  try {
+    await endSession(req, res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Change password and sign out every other device
+// @route   PUT /api/auth/password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    // Not a 401: the session is fine, and the client treats 401 as an expired one
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        code: 'WRONG_PASSWORD',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Revoke everything, then give this device a fresh session
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const token = await startSession(req, res, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed. Other devices have been logged out.',
+      token,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+};
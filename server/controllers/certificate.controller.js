@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import Certificate from '../models/Certificate.js';
+import Contest from '../models/Contest.js';
+import Result from '../models/Result.js';
+import {
+  issueCertificates,
+  verifyCertificate,
+  createCertificatePdf,
+  getCertificateBlock,
+  getVerifyUrl
+} from '../services/certificate.service.js';
+
+// Fields anyone holding the ID may see
+const PUBLIC_FIELDS = 'certificateId userName memberNames contestTitle contestId rank participants score scoreLabel issuedAt revokedAt replacedBy';
+
+const toPublic = (certificate) => ({
+  certificateId: certificate.certificateId,
+  userName: certificate.userName,
+  memberNames: certificate.memberNames?.length ? certificate.memberNames : undefined,
+  contestId: certificate.contestId,
+  contestTitle: certificate.contestTitle,
+  rank: certificate.rank,
+  participants: certificate.participants,
+  score: certificate.score,
+  scoreLabel: certificate.scoreLabel,
+  issuedAt: certificate.issuedAt,
+  revokedAt: certificate.revokedAt,
+  replacedBy: certificate.replacedBy,
+  verifyUrl: getVerifyUrl(certificate.certificateId)
+});
+
+const VERIFY_MESSAGES = {
+  NOT_FOUND: 'No certificate with this ID was issued',
+  TAMPERED: 'This certificate failed its signature check',
+  REVOKED: 'This certificate was replaced after the results changed'
+};
+
+// @desc    Check that a certificate is authentic
+// @route   GET /api/certificates/verify/:certificateId
+// @access  Public
+export const verifyCertificateById = async (req, res) => {
+  try {
+    const { valid, reason, certificate } = await verifyCertificate(req.params.certificateId);
+
+    res.status(200).json({
+      success: true,
+      valid,
+      reason,
+      message: valid ? 'Certificate is authentic' : VERIFY_MESSAGES[reason],
+      certificate: certificate && toPublic(certificate)
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying certificate'
+    });
+  }
+};
+
+// @desc    Download a certificate as a PDF
+// @route   GET /api/certificates/:certificateId/pdf
+// @access  Public
+export const downloadCertificate = async (req, res) => {
+  try {
+    const { valid, reason, certificate } = await verifyCertificate(req.params.certificateId);
+
+    if (!valid) {
+      return res.status(reason === 'REVOKED' ? 410 : 404).json({
+        success: false,
+        message: VERIFY_MESSAGES[reason],
+        replacedBy: certificate?.replacedBy ?? null
+      });
+    }
+
+    const doc = await createCertificatePdf(certificate);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${certificate.certificateId}.pdf"`
+    });
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating certificate PDF'
+    });
+  }
+};
+
+// @desc    Get current user's certificates, including their teams'
+// @route   GET /api/certificates/me
+// @access  Private
+export const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      $or: [{ userId: req.user._id }, { memberIds: req.user._id }],
+      revokedAt: null
+    })
+      .select(PUBLIC_FIELDS)
+      .sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      certificates: certificates.map(toPublic)
+    });
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching certificates'
+    });
+  }
+};
+
+// @desc    Get a contest's current certificates
+// @route   GET /api/certificates/contest/:contestId
+// @access  Private/Admin
+export const getContestCertificates = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const certificates = await Certificate.find({ contestId: req.params.contestId, revokedAt: null })
+      .select(PUBLIC_FIELDS)
+      .sort({ rank: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      certificates: certificates.map(toPublic)
+    });
+  } catch (error) {
+    console.error('Get contest certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching certificates'
+    });
+  }
+};
+
+// @desc    Issue certificates to the top N participants, or to all with no top
+// @route   POST /api/certificates/contest/:contestId
+// @access  Private/Admin
+export const issueContestCertificates = async (req, res) => {
+  try {
+    const top = req.body.top == null || req.body.top === '' ? null : parseInt(req.body.top);
+    if (top !== null && !(top >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'top must be a positive number'
+      });
+    }
+
+    const contest = mongoose.isValidObjectId(req.params.contestId)
+      ? await Contest.findById(req.params.contestId).select('title endTime freezeTime unfrozenAt')
+      : null;
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const block = getCertificateBlock(contest);
+    if (block) {
+      return res.status(400).json({
+        success: false,
+        message: block
+      });
+    }
+
+    const { certificates, issued, unchanged } = await issueCertificates(contest, { top, issuedBy: req.user._id });
+
+    if (certificates.length) {
+      await Result.bulkWrite(certificates.map(certificate => ({
+        updateOne: {
+          filter: { _id: certificate.resultId },
+          update: { certificateGenerated: true, certificateUrl: getVerifyUrl(certificate.certificateId) }
+        }
+      })), { ordered: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Issued ${issued} certificates${unchanged ? `, ${unchanged} already up to date` : ''}`,
+      issued,
+      unchanged,
+      certificates: certificates.map(toPublic)
+    });
+  } catch (error) {
+    console.error('Issue certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing certificates'
+    });
+  }
+};
@@ -1,5 +1,12 @@
+import mongoose from 'mongoose';
 import CodingProblem from '../models/CodingProblem.js';
 import Contest from '../models/Contest.js';
+import {
+  readProblemPackages,
+  validateProblemPackages,
+  buildProblemsZip,
+  slugify
+} from '../services/problemPackage.service.js';
 
 // @desc    Get coding problems for a contest
 // @route   GET /api/coding/contest/:contestId
@@ -8,20 +15,9 @@ export const getCodingProblemsByContest = async (req, res) => {
   try {
     const { contestId } = req.params;
 
-    // Check if user is registered (skip for admin)
-    if (req.user.role !== 'ADMIN') {
-      const contest = await Contest.findById(contestId);
-      if (!contest.participants.includes(req.user._id)) {
-        return res.status(403).json({
-          success: false,
-          message: 'You are not registered for this contest'
-        });
-      }
-    }
-
     const problems = await CodingProblem.find({ contestId })
       .sort({ order: 1 })
-      .select(req.user.role === 'ADMIN' ? '' : '-testcases'); // Show testcases to admin
+      .select(req.user.role === 'ADMIN' ? '' : '-testcases -checker.sourceCode'); // Show testcases to admin
 
     res.status(200).json({
       success: true,
@@ -43,7 +39,7 @@ export const getCodingProblemsByContest = async (req, res) => {
 export const getCodingProblemById = async (req, res) => {
   try {
     const problem = await CodingProblem.findById(req.params.id)
-      .select('-testcases'); // Hide testcases
+      .select('-testcases -checker.sourceCode'); // Hide testcases
 
     if (!problem) {
       return res.status(404).json({
@@ -86,6 +82,12 @@ export const createCodingProblem = async (req, res) => {
     });
   } catch (error) {
     console.error('Create problem error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error creating problem'
@@ -93,11 +95,133 @@ export const createCodingProblem = async (req, res) => {
   }
 };
 
+// @desc    Import coding problems from a zip of problem packages (Admin)
+// @route   POST /api/coding/import
+// @access  Private/Admin
+export const importCodingProblems = async (req, res) => {
+  try {
+    const contest = mongoose.isValidObjectId(req.body.contestId) && await Contest.findById(req.body.contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    let packages;
+    try {
+      packages = readProblemPackages(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // All or nothing, so a half-imported contest never goes live
+    const existing = await CodingProblem.countDocuments({ contestId: contest._id });
+    const { documents, errors } = await validateProblemPackages(packages, contest._id, existing + 1);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${new Set(errors.map(e => e.package)).size} of ${packages.length} packages have errors; nothing was imported`,
+        errors
+      });
+    }
+
+    const problems = await CodingProblem.insertMany(documents);
+    await Contest.updateOne(
+      { _id: contest._id },
+      { $inc: { 'sections.coding.totalMarks': problems.reduce((total, problem) => total + problem.score, 0) } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${problems.length} problems imported`,
+      imported: problems.length,
+      problems: problems.map(problem => ({ _id: problem._id, title: problem.title, testcases: problem.testcases.length }))
+    });
+  } catch (error) {
+    console.error('Import problems error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing problems'
+    });
+  }
+};
+
+// @desc    Export all of a contest's coding problems as a zip (Admin)
+// @route   GET /api/coding/contest/:contestId/export
+// @access  Private/Admin
+export const exportContestProblems = async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).select('title');
+    const problems = contest ? await CodingProblem.find({ contestId: contest._id }).sort({ order: 1 }) : [];
+
+    if (problems.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: contest ? 'Contest has no coding problems' : 'Contest not found'
+      });
+    }
+
+    res.attachment(`${slugify(contest.title)}-problems.zip`);
+    res.status(200).send(buildProblemsZip(problems));
+  } catch (error) {
+    console.error('Export problems error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting problems'
+    });
+  }
+};
+
+// @desc    Export one coding problem as a package zip (Admin)
+// @route   GET /api/coding/:id/export
+// @access  Private/Admin
+export const exportCodingProblem = async (req, res) => {
+  try {
+    const problem = await CodingProblem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    res.attachment(`${slugify(problem.title)}.zip`);
+    res.status(200).send(buildProblemsZip([problem]));
+  } catch (error) {
+    console.error('Export problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting problem'
+    });
+  }
+};
+
 // @desc    Update coding problem (Admin)
 // @route   PUT /api/coding/:id
 // @access  Private/Admin
 export const updateCodingProblem = async (req, res) => {
   try {
+    // Update queries skip document middleware, so check subtasks here
+    if (req.body.subtasks || req.body.testcases) {
+      const existing = await CodingProblem.findById(req.params.id).select('subtasks testcases');
+      const subtaskError = existing && CodingProblem.validateSubtasks({
+        subtasks: req.body.subtasks || existing.subtasks,
+        testcases: req.body.testcases || existing.testcases
+      });
+
+      if (subtaskError) {
+        return res.status(400).json({
+          success: false,
+          message: subtaskError
+        });
+      }
+    }
+
     const problem = await CodingProblem.findByIdAndUpdate(
       req.params.id,
       req.body,
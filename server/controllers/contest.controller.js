@@ -1,5 +1,23 @@
 import Contest from '../models/Contest.js';
 import Result from '../models/Result.js';
+import Team from '../models/Team.js';
+import { getAttemptState, startSection as startAttemptSection, submitSection } from '../services/attempt.service.js';
+import { cloneContest as copyContest } from '../services/contestClone.service.js';
+import { rescoreContest } from '../services/scoring.service.js';
+import { scheduleLeaderboardRefresh } from '../services/leaderboard.service.js';
+import { findParticipantResult, isTeamContest } from '../services/team.service.js';
+
+// A freeze has to fall inside the contest to mean anything
+const getFreezeTimeError = ({ startTime, endTime, freezeTime }) => {
+  if (!freezeTime) return null;
+
+  const freeze = new Date(freezeTime);
+  if (Number.isNaN(freeze.getTime())) return 'Invalid freeze time';
+  if (freeze < new Date(startTime) || freeze > new Date(endTime)) {
+    return 'Freeze time must be between the start and end time';
+  }
+  return null;
+};
 
 // @desc    Get all contests
 // @route   GET /api/contests
@@ -31,6 +49,29 @@ export const getAllContests = async (req, res) => {
   }
 };
 
+// @desc    Get all contests including unpublished drafts (Admin)
+// @route   GET /api/contests/all
+// @access  Private/Admin
+export const getAllContestsAdmin = async (req, res) => {
+  try {
+    const contests = await Contest.find()
+      .sort({ startTime: -1 })
+      .populate('createdBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: contests.length,
+      contests
+    });
+  } catch (error) {
+    console.error('Get all contests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching contests'
+    });
+  }
+};
+
 // @desc    Get single contest
 // @route   GET /api/contests/:id
 // @access  Public
@@ -64,8 +105,18 @@ export const getContestById = async (req, res) => {
 // @access  Private/Admin
 export const createContest = async (req, res) => {
   try {
+    const { revealedCells, unfrozenAt, ...fields } = req.body; // managed by the resolver
+
+    const freezeError = getFreezeTimeError(fields);
+    if (freezeError) {
+      return res.status(400).json({
+        success: false,
+        message: freezeError
+      });
+    }
+
     const contestData = {
-      ...req.body,
+      ...fields,
       createdBy: req.user._id
     };
 
@@ -85,14 +136,69 @@ export const createContest = async (req, res) => {
   }
 };
 
+// Participants registered under one mode cannot be carried over to the other,
+// and a smaller team limit must still fit every existing team
+const getTeamSettingsError = async (contestId, previous, update) => {
+  const mode = update.participationMode;
+  if (mode && mode !== (previous.participationMode || 'INDIVIDUAL') &&
+    await Contest.exists({ _id: contestId, 'participants.0': { $exists: true } })) {
+    return 'Participation mode cannot change once participants have registered';
+  }
+
+  const maxTeamSize = parseInt(update.maxTeamSize);
+  if (maxTeamSize < (previous.maxTeamSize ?? 3) &&
+    await Team.exists({ contestId, [`members.${maxTeamSize}`]: { $exists: true } })) {
+    return `A registered team already has more than ${maxTeamSize} members`;
+  }
+
+  return null;
+};
+
 // @desc    Update contest
 // @route   PUT /api/contests/:id
 // @access  Private/Admin
 export const updateContest = async (req, res) => {
   try {
+    const previous = await Contest.findById(req.params.id)
+      .select('scoringMode penaltyMinutes startTime endTime freezeTime participationMode maxTeamSize')
+      .lean();
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const { revealedCells, unfrozenAt, ...update } = req.body; // managed by the resolver
+
+    const freezeError = getFreezeTimeError({ ...previous, ...update });
+    if (freezeError) {
+      return res.status(400).json({
+        success: false,
+        message: freezeError
+      });
+    }
+
+    const teamError = await getTeamSettingsError(req.params.id, previous, update);
+    if (teamError) {
+      return res.status(400).json({
+        success: false,
+        message: teamError
+      });
+    }
+
+    // A moved freeze starts the reveal over
+    const freezeMoved = update.freezeTime !== undefined &&
+      (previous.freezeTime?.getTime() ?? null) !== (update.freezeTime ? new Date(update.freezeTime).getTime() : null);
+    if (freezeMoved) {
+      update.revealedCells = [];
+      update.unfrozenAt = null;
+    }
+
     const contest = await Contest.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -103,6 +209,17 @@ export const updateContest = async (req, res) => {
       });
     }
 
+    // Existing results were scored under the old rules
+    if (
+      contest.scoringMode !== (previous.scoringMode || 'POINTS') ||
+      contest.penaltyMinutes !== (previous.penaltyMinutes ?? 20)
+    ) {
+      await rescoreContest(contest);
+      scheduleLeaderboardRefresh(contest._id);
+    } else if (freezeMoved) {
+      scheduleLeaderboardRefresh(contest._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Contest updated successfully',
@@ -144,6 +261,55 @@ export const deleteContest = async (req, res) => {
   }
 };
 
+// @desc    Clone a contest with its questions into an unpublished draft
+// @route   POST /api/contests/:id/clone
+// @access  Private/Admin
+export const cloneContest = async (req, res) => {
+  try {
+    const { title, startTime, includeQuestions = true } = req.body;
+
+    if (startTime && Number.isNaN(new Date(startTime).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time'
+      });
+    }
+
+    const source = await Contest.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const { contest, mcqCount, problemCount } = await copyContest(source, {
+      title,
+      startTime,
+      includeQuestions: includeQuestions !== false,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Contest cloned with ${mcqCount} MCQs and ${problemCount} coding problems`,
+      contest
+    });
+  } catch (error) {
+    console.error('Clone contest error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error cloning contest'
+    });
+  }
+};
+
 // @desc    Register for contest
 // @route   POST /api/contests/:id/register
 // @access  Private
@@ -158,6 +324,14 @@ export const registerForContest = async (req, res) => {
       });
     }
 
+    if (isTeamContest(contest)) {
+      return res.status(400).json({
+        success: false,
+        code: 'TEAM_REQUIRED',
+        message: 'This is a team contest. Create or join a team to register'
+      });
+    }
+
     // Check if already registered
     if (contest.participants.includes(req.user._id)) {
       return res.status(400).json({
@@ -223,3 +397,73 @@ export const getMyContests = async (req, res) => {
     });
   }
 };
+
+// @desc    Get the user's attempt with server-computed remaining time
+// @route   GET /api/contests/:contestId/attempt
+// @access  Private
+export const getAttempt = async (req, res) => {
+  try {
+    const result = await findParticipantResult(req.contest._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      attempt: getAttemptState(req.contest, result)
+    });
+  } catch (error) {
+    console.error('Get attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching attempt'
+    });
+  }
+};
+
+// @desc    Start the user's clock for a section
+// @route   POST /api/contests/:contestId/sections/:section/start
+// @access  Private
+export const startSection = async (req, res) => {
+  try {
+    const result = await startAttemptSection(req.contest, req.user._id, req.params.section);
+
+    res.status(200).json({
+      success: true,
+      attempt: getAttemptState(req.contest, result)
+    });
+  } catch (error) {
+    console.error('Start section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting section'
+    });
+  }
+};
+
+// @desc    Finish a section early; it cannot be reopened
+// @route   POST /api/contests/:contestId/sections/:section/finish
+// @access  Private
+export const finishSection = async (req, res) => {
+  try {
+    const result = await findParticipantResult(req.contest._id, req.user._id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No attempt found for this contest'
+      });
+    }
+
+    await submitSection(req.contest, result._id, req.params.section);
+    const updated = await Result.findById(result._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Section submitted',
+      attempt: getAttemptState(req.contest, updated)
+    });
+  } catch (error) {
+    console.error('Finish section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error finishing section'
+    });
+  }
+};
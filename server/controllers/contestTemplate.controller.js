@@ -0,0 +1,99 @@
+import ContestTemplate from '../models/ContestTemplate.js';
+import Contest from '../models/Contest.js';
+import { getContestLayout } from '../services/contestClone.service.js';
+
+// @desc    Get all contest templates
+// @route   GET /api/contest-templates
+// @access  Private/Admin
+export const getContestTemplates = async (req, res) => {
+  try {
+    const templates = await ContestTemplate.find()
+      .sort({ updatedAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    console.error('Get contest templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching templates'
+    });
+  }
+};
+
+// @desc    Save a contest layout as a template, from a contest or from the given layout
+// @route   POST /api/contest-templates
+// @access  Private/Admin
+export const createContestTemplate = async (req, res) => {
+  try {
+    const { name, description, contestId, layout } = req.body;
+
+    let source = null;
+    if (contestId) {
+      source = await Contest.findById(contestId);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+    }
+
+    const template = await ContestTemplate.create({
+      name,
+      description,
+      layout: source ? getContestLayout(source) : getContestLayout(layout || {}),
+      sourceContestId: source?._id || null,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create contest template error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving template'
+    });
+  }
+};
+
+// @desc    Delete contest template
+// @route   DELETE /api/contest-templates/:id
+// @access  Private/Admin
+export const deleteContestTemplate = async (req, res) => {
+  try {
+    const template = await ContestTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete contest template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting template'
+    });
+  }
+};
@@ -1,19 +1,78 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Result from '../models/Result.js';
 import Contest from '../models/Contest.js';
+import {
+  getLeaderboardSnapshot,
+  isFrozen,
+  revealNextCell,
+  refreshLeaderboard
+} from '../services/leaderboard.service.js';
+import { buildContestAnalytics } from '../services/analytics.service.js';
+import { issueCertificates, getCertificateBlock, getVerifyUrl } from '../services/certificate.service.js';
+import { findParticipantResult } from '../services/team.service.js';
 
-// @desc    Generate certificate for user
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const contestNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Contest not found'
+});
+
+// Page and search a cached board. Ranks stay board-wide; the ETag covers the
+// snapshot and the query, so unchanged pages revalidate with a bodyless 304.
+const sendBoard = (req, res, { board, etag }) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+  const search = String(req.query.search || '').trim().toLowerCase();
+
+  const query = crypto.createHash('sha1').update(`${page}:${limit}:${search}`).digest('hex').slice(0, 8);
+  const tag = `W/"${etag}-${query}"`;
+  res.set({ ETag: tag, 'Cache-Control': 'no-cache' });
+  if (req.headers['if-none-match'] === tag) {
+    return res.status(304).end();
+  }
+
+  const { leaderboard, ...meta } = board;
+  const matches = search
+    ? leaderboard.filter(entry =>
+      [
+        entry.userId?.name,
+        entry.userId?.college,
+        entry.teamId?.name,
+        ...(entry.teamId?.members || []).map(member => member.name)
+      ].some(value => value?.toLowerCase().includes(search))
+    )
+    : leaderboard;
+
+  res.status(200).json({
+    success: true,
+    count: matches.length,
+    total: leaderboard.length,
+    page,
+    pages: Math.max(1, Math.ceil(matches.length / limit)),
+    ...meta,
+    leaderboard: matches.slice((page - 1) * limit, page * limit)
+  });
+};
+
+// @desc    Issue (or fetch) the current user's certificate for a contest
 // @route   POST /api/leaderboard/:contestId/certificate
 // @access  Private
 export const generateCertificate = async (req, res) => {
   try {
     const { contestId } = req.params;
-    const userId = req.user._id;
+    if (!mongoose.isValidObjectId(contestId)) {
+      return contestNotFound(res);
+    }
 
-    const result = await Result.findOne({ contestId, userId })
-      .populate('contestId', 'title')
-      .populate('userId', 'name email');
+    const [result, contest] = await Promise.all([
+      findParticipantResult(contestId, req.user._id),
+      Contest.findById(contestId).select('title endTime freezeTime unfrozenAt')
+    ]);
 
-    if (!result) {
+    if (!result || !contest) {
       return res.status(404).json({
         success: false,
         message: 'Result not found'
@@ -27,25 +86,30 @@ export const generateCertificate = async (req, res) => {
       });
     }
 
-    // Simple certificate data (can be extended with PDF generation using pdfkit)
-    const certificateData = {
-      certificateId: `CERT-${contestId.slice(-6)}-${userId.toString().slice(-6)}`,
-      userName: result.userId.name,
-      contestTitle: result.contestId.title,
-      rank: result.rank,
-      score: result.totalScore,
-      issueDate: new Date().toLocaleDateString(),
-      certificateUrl: `${process.env.CLIENT_URL}/certificate/${result._id}`
-    };
+    const block = getCertificateBlock(contest);
+    if (block) {
+      return res.status(400).json({
+        success: false,
+        message: block
+      });
+    }
+
+    const { certificates: [certificate] } = await issueCertificates(contest, { resultIds: [result._id] });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Result not found on the final standings'
+      });
+    }
 
-    // Update result with certificate info
+    const verifyUrl = getVerifyUrl(certificate.certificateId);
     result.certificateGenerated = true;
-    result.certificateUrl = certificateData.certificateUrl;
+    result.certificateUrl = verifyUrl;
     await result.save();
 
     res.status(200).json({
       success: true,
-      certificate: certificateData
+      certificate: { ...certificate.toObject(), verifyUrl }
     });
   } catch (error) {
     console.error('Generate certificate error:', error);
@@ -57,51 +121,106 @@ export const generateCertificate = async (req, res) => {
 };
 
 // @desc    Get leaderboard for a contest
-// @route   GET /api/leaderboard/:contestId
+// @route   GET /api/leaderboard/:contestId?page=&limit=&search=
 // @access  Public
 export const getLeaderboard = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return contestNotFound(res);
+    }
+
+    const snapshot = await getLeaderboardSnapshot(req.params.contestId);
+    if (!snapshot) {
+      return contestNotFound(res);
+    }
+
+    sendBoard(req, res, snapshot);
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching leaderboard'
+    });
+  }
+};
+
+// @desc    Get the live leaderboard, ignoring any freeze
+// @route   GET /api/leaderboard/:contestId/live?page=&limit=&search=
+// @access  Private/Admin
+export const getLiveLeaderboard = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return contestNotFound(res);
+    }
+
+    const snapshot = await getLeaderboardSnapshot(req.params.contestId, { live: true });
+    if (!snapshot) {
+      return contestNotFound(res);
+    }
+
+    sendBoard(req, res, snapshot);
+  } catch (error) {
+    console.error('Get live leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching live leaderboard'
+    });
+  }
+};
+
+// @desc    Open the next frozen cell, or all of them with { all: true }
+// @route   POST /api/leaderboard/:contestId/resolve
+// @access  Private/Admin
+export const resolveLeaderboard = async (req, res) => {
   try {
     const { contestId } = req.params;
+    if (!mongoose.isValidObjectId(contestId)) {
+      return contestNotFound(res);
+    }
 
-    const results = await Result.find({ 
-      contestId,
-      status: { $in: ['SUBMITTED', 'EVALUATED'] }
-    })
-      .populate('userId', 'name email college avatar')
-      .sort({ totalScore: -1, timeTaken: 1 })
-      .lean();
-
-    // Assign ranks with tie-breaker
-    let currentRank = 1;
-    for (let i = 0; i < results.length; i++) {
-      if (i > 0) {
-        const prev = results[i - 1];
-        const curr = results[i];
-        
-        if (curr.totalScore === prev.totalScore && curr.timeTaken === prev.timeTaken) {
-          results[i].rank = results[i - 1].rank;
-        } else {
-          currentRank = i + 1;
-          results[i].rank = currentRank;
-        }
-      } else {
-        results[i].rank = currentRank;
-      }
+    const contest = await Contest.findById(contestId).select('endTime freezeTime unfrozenAt');
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
 
-      // Update rank in database
-      await Result.findByIdAndUpdate(results[i]._id, { rank: results[i].rank });
+    if (!contest.freezeTime || contest.unfrozenAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leaderboard is not frozen'
+      });
     }
 
+    if (new Date() < contest.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Standings can only be resolved after the contest ends'
+      });
+    }
+
+    let cell = null;
+    if (req.body.all) {
+      contest.unfrozenAt = new Date();
+      await contest.save();
+    } else {
+      cell = await revealNextCell(contest._id);
+    }
+
+    await refreshLeaderboard(contestId, { revealed: cell });
+
     res.status(200).json({
       success: true,
-      count: results.length,
-      leaderboard: results
+      message: cell ? 'Cell revealed' : 'Leaderboard unfrozen',
+      revealed: cell,
+      done: !cell
     });
   } catch (error) {
-    console.error('Get leaderboard error:', error);
+    console.error('Resolve leaderboard error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching leaderboard'
+      message: 'Server error resolving leaderboard'
     });
   }
 };
@@ -112,11 +231,15 @@ export const getLeaderboard = async (req, res) => {
 export const getUserRank = async (req, res) => {
   try {
     const { contestId } = req.params;
+    if (!mongoose.isValidObjectId(contestId)) {
+      return contestNotFound(res);
+    }
 
-    const result = await Result.findOne({
-      userId: req.user._id,
-      contestId
-    }).populate('userId', 'name email');
+    const result = await findParticipantResult(contestId, req.user._id);
+    await result?.populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'teamId', select: 'name' }
+    ]);
 
     if (!result) {
       return res.status(404).json({
@@ -125,6 +248,18 @@ export const getUserRank = async (req, res) => {
       });
     }
 
+    // While standings are frozen participants get their public rank
+    const contest = await Contest.findById(contestId).select('freezeTime unfrozenAt').lean();
+    if (isFrozen(contest) && req.user.role !== 'ADMIN') {
+      const { board } = await getLeaderboardSnapshot(contestId);
+      const entry = board.leaderboard.find(e => e._id.toString() === result._id.toString());
+
+      return res.status(200).json({
+        success: true,
+        result: { ...result.toObject(), rank: entry?.rank ?? null }
+      });
+    }
+
     res.status(200).json({
       success: true,
       result
@@ -144,6 +279,9 @@ export const getUserRank = async (req, res) => {
 export const getContestStats = async (req, res) => {
   try {
     const { contestId } = req.params;
+    if (!mongoose.isValidObjectId(contestId)) {
+      return contestNotFound(res);
+    }
 
     const contest = await Contest.findById(contestId);
     if (!contest) {
@@ -159,17 +297,31 @@ export const getContestStats = async (req, res) => {
       status: { $in: ['SUBMITTED', 'EVALUATED'] }
     });
 
-    const avgScore = await Result.aggregate([
-      { $match: { contestId: contest._id, status: { $in: ['SUBMITTED', 'EVALUATED'] } } },
-      { $group: { _id: null, avgScore: { $avg: '$totalScore' } } }
-    ]);
+    // While frozen the average comes from the public board, so it hides
+    // the same results the standings do
+    const frozen = isFrozen(contest);
+    let averageScore;
+    if (frozen) {
+      const { board } = await getLeaderboardSnapshot(contestId);
+      const finished = board.leaderboard.filter(entry => ['SUBMITTED', 'EVALUATED'].includes(entry.status));
+      averageScore = finished.length > 0
+        ? finished.reduce((sum, entry) => sum + entry.totalScore, 0) / finished.length
+        : 0;
+    } else {
+      const avgScore = await Result.aggregate([
+        { $match: { contestId: contest._id, status: { $in: ['SUBMITTED', 'EVALUATED'] } } },
+        { $group: { _id: null, avgScore: { $avg: '$totalScore' } } }
+      ]);
+      averageScore = avgScore[0]?.avgScore || 0;
+    }
 
     res.status(200).json({
       success: true,
       stats: {
         totalParticipants,
         submitted,
-        averageScore: avgScore[0]?.avgScore || 0,
+        averageScore,
+        frozen,
         contestTitle: contest.title
       }
     });
@@ -181,3 +333,35 @@ export const getContestStats = async (req, res) => {
     });
   }
 };
+
+// @desc    Get detailed contest analytics
+// @route   GET /api/leaderboard/:contestId/analytics
+// @access  Private/Admin
+export const getContestAnalytics = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return contestNotFound(res);
+    }
+
+    const contest = await Contest.findById(req.params.contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const analytics = await buildContestAnalytics(contest);
+
+    res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching analytics'
+    });
+  }
+};
@@ -1,6 +1,27 @@
+import mongoose from 'mongoose';
 import MCQ from '../models/MCQ.js';
 import Result from '../models/Result.js';
 import Contest from '../models/Contest.js';
+import QuestionBank from '../models/QuestionBank.js';
+import { scheduleLeaderboardRefresh } from '../services/leaderboard.service.js';
+import { submitSection } from '../services/attempt.service.js';
+import { getResultFilter, findParticipantResult } from '../services/team.service.js';
+import { getParticipantMCQs, usesQuestionSet } from '../services/questionSet.service.js';
+import { MAX_IMPORT_ROWS, parseMCQFile, validateMCQRows, exportMCQs as serializeMCQs } from '../services/mcqTransfer.service.js';
+import { slugify } from '../services/problemPackage.service.js';
+
+// @desc    Resolve the contest or question bank an import/export targets
+const findMCQOwner = async ({ contestId, bankId }) => {
+  if (bankId && mongoose.isValidObjectId(bankId)) {
+    const bank = await QuestionBank.findById(bankId).select('name');
+    return bank && { owner: { bankId: bank._id }, name: bank.name };
+  }
+  if (contestId && mongoose.isValidObjectId(contestId)) {
+    const contest = await Contest.findById(contestId).select('title');
+    return contest && { owner: { contestId: contest._id }, name: contest.title, contest };
+  }
+  return null;
+};
 
 // @desc    Get MCQs for a contest
 // @route   GET /api/mcq/contest/:contestId
@@ -9,25 +30,16 @@ export const getMCQsByContest = async (req, res) => {
   try {
     const { contestId } = req.params;
 
-    // Check if user is registered (skip for admin)
-    if (req.user.role !== 'ADMIN') {
-      const contest = await Contest.findById(contestId);
-      if (!contest.participants.includes(req.user._id)) {
-        return res.status(403).json({
-          success: false,
-          message: 'You are not registered for this contest'
-        });
-      }
-    }
-
-    const mcqs = await MCQ.find({ contestId })
-      .sort({ order: 1 })
-      .select(req.user.role === 'ADMIN' ? '' : '-correctAnswers -explanation'); // Show answers to admin
+    // Admins see the contest's own questions with answers; participants get their drawn set
+    const mcqs = req.user.role === 'ADMIN'
+      ? await MCQ.find({ contestId }).sort({ order: 1 })
+      : await getParticipantMCQs(req.contest, req.result);
 
     res.status(200).json({
       success: true,
       count: mcqs.length,
-      mcqs
+      mcqs,
+      draft: req.result?.mcqDraft || null // restores answers after a reload
     });
   } catch (error) {
     console.error('Get MCQs error:', error);
@@ -38,56 +50,98 @@ export const getMCQsByContest = async (req, res) => {
   }
 };
 
-// @desc    Submit MCQ answers
-// @route   POST /api/mcq/submit
+// @desc    Autosave draft MCQ answers, flags and time per question
+// @route   PUT /api/mcq/draft
 // @access  Private
-export const submitMCQAnswers = async (req, res) => {
+export const saveMCQDraft = async (req, res) => {
   try {
-    const { contestId, answers } = req.body; // answers: [{ questionId, selectedOptions, timeTaken }]
+    const { answers = [], flagged = [] } = req.body; // answers: [{ questionId, selectedOptions, value, timeTaken }]
+    const contestId = req.contest._id;
 
-    let totalScore = 0;
-    const mcqAnswers = [];
+    // Keep only questions from this contest, or from the user's drawn set
+    const ids = [...answers.map(a => a.questionId), ...flagged].filter(id => mongoose.isValidObjectId(id));
+    const known = new Set(usesQuestionSet(req.contest)
+      ? (req.result?.mcqSet || []).map(entry => entry.questionId.toString())
+      : (await MCQ.find({ _id: { $in: ids }, contestId }).select('_id')).map(m => m._id.toString())
+    );
 
-    for (const answer of answers) {
-      const mcq = await MCQ.findById(answer.questionId);
-      
-      if (!mcq) continue;
+    const mcqDraft = {
+      answers: answers
+        .filter(a => known.has(String(a.questionId)))
+        .map(a => ({
+          questionId: a.questionId,
+          selectedOptions: (a.selectedOptions || []).filter(Number.isInteger),
+          value: typeof a.value === 'number' && Number.isFinite(a.value) ? a.value : null,
+          timeTaken: Math.max(0, Number(a.timeTaken) || 0)
+        })),
+      flagged: flagged.filter(id => known.has(String(id))),
+      savedAt: new Date()
+    };
 
-      const isCorrect = JSON.stringify(answer.selectedOptions.sort()) === 
-                        JSON.stringify(mcq.correctAnswers.sort());
+    // A submitted section is locked, so a late autosave cannot overwrite it.
+    // Teammates share one draft; the latest save wins.
+    const result = await Result.findOneAndUpdate(
+      { ...await getResultFilter(contestId, req.user._id), 'sections.mcq.submittedAt': null },
+      { mcqDraft },
+      { new: true }
+    ).select('mcqDraft');
 
-      let marksAwarded = 0;
-      if (isCorrect) {
-        marksAwarded = mcq.marks;
-      } else if (answer.selectedOptions.length > 0) {
-        marksAwarded = -mcq.negativeMarks;
-      }
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        code: 'SECTION_SUBMITTED',
+        message: 'You have already submitted the MCQ section'
+      });
+    }
 
-      totalScore += marksAwarded;
+    res.status(200).json({
+      success: true,
+      savedAt: result.mcqDraft.savedAt
+    });
+  } catch (error) {
+    console.error('Save MCQ draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving answers'
+    });
+  }
+};
 
-      mcqAnswers.push({
-        questionId: answer.questionId,
-        selectedOptions: answer.selectedOptions,
-        isCorrect,
-        marksAwarded,
-        timeTaken: answer.timeTaken || 0
+// @desc    Submit MCQ answers
+// @route   POST /api/mcq/submit
+// @access  Private
+export const submitMCQAnswers = async (req, res) => {
+  try {
+    const { answers } = req.body; // answers: [{ questionId, selectedOptions, value, timeTaken }], defaults to the draft
+    const contestId = req.contest._id;
+
+    const existing = req.result || await findParticipantResult(contestId, req.user._id);
+    if (!existing) {
+      return res.status(403).json({
+        success: false,
+        code: 'SECTION_NOT_STARTED',
+        message: 'Start the MCQ section first'
       });
     }
 
-    // Update result
-    const result = await Result.findOneAndUpdate(
-      { userId: req.user._id, contestId },
-      {
-        mcqScore: totalScore,
-        mcqAnswers
-      },
-      { new: true, upsert: true }
-    );
+    const submitted = await submitSection(req.contest, existing._id, 'mcq', new Date(), {
+      answers: Array.isArray(answers) ? answers : null
+    });
+    if (!submitted) {
+      return res.status(409).json({
+        success: false,
+        code: 'SECTION_SUBMITTED',
+        message: 'You have already submitted the MCQ section'
+      });
+    }
+
+    const result = await Result.findById(existing._id);
+    scheduleLeaderboardRefresh(contestId);
 
     res.status(200).json({
       success: true,
       message: 'MCQ answers submitted successfully',
-      score: totalScore,
+      score: result.mcqScore,
       result
     });
   } catch (error) {
@@ -99,15 +153,188 @@ export const submitMCQAnswers = async (req, res) => {
   }
 };
 
+// @desc    Set the question bank draw rules and shuffling for a contest (Admin)
+// @route   PUT /api/mcq/contest/:contestId/randomization
+// @access  Private/Admin
+export const updateMCQRandomization = async (req, res) => {
+  try {
+    const { drawRules = [], shuffle = false } = req.body; // drawRules: [{ bankId, category, difficulty, count }]
+
+    if (!Array.isArray(drawRules)) {
+      return res.status(400).json({
+        success: false,
+        message: 'drawRules must be an array'
+      });
+    }
+
+    const contest = await Contest.findById(req.params.contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    // Each rule needs enough questions in its bank to fill every participant's set
+    for (const rule of drawRules) {
+      if (!mongoose.isValidObjectId(rule.bankId) || !(await QuestionBank.exists({ _id: rule.bankId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every draw rule needs an existing question bank'
+        });
+      }
+
+      const filter = { bankId: rule.bankId };
+      if (rule.category) filter.category = rule.category;
+      if (rule.difficulty) filter.difficulty = rule.difficulty;
+      const available = await MCQ.countDocuments(filter);
+
+      if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > available) {
+        return res.status(400).json({
+          success: false,
+          message: `Draw rule asks for ${rule.count} ${[rule.difficulty, rule.category].filter(Boolean).join(' ') || 'any'} questions but the bank has ${available}`
+        });
+      }
+    }
+
+    contest.sections.mcq.drawRules = drawRules.map(({ bankId, category, difficulty, count }) => ({
+      bankId,
+      category: category || null,
+      difficulty: difficulty || null,
+      count
+    }));
+    contest.sections.mcq.shuffle = Boolean(shuffle);
+    await contest.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Randomization settings saved',
+      drawRules: contest.sections.mcq.drawRules,
+      shuffle: contest.sections.mcq.shuffle
+    });
+  } catch (error) {
+    console.error('Update MCQ randomization error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving randomization settings'
+    });
+  }
+};
+
+// @desc    Bulk import MCQs from CSV or JSON into a contest or question bank (Admin)
+// @route   POST /api/mcq/import
+// @access  Private/Admin
+export const importMCQs = async (req, res) => {
+  try {
+    const target = await findMCQOwner(req.body);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest or question bank not found'
+      });
+    }
+
+    const format = /\.json$/i.test(req.file.originalname) ? 'json' : 'csv';
+    let rows;
+    try {
+      rows = parseMCQFile(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read ${format.toUpperCase()} file: ${error.message}`
+      });
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import between 1 and ${MAX_IMPORT_ROWS} questions at a time`
+      });
+    }
+
+    // All or nothing, so a half-imported contest never goes live
+    const { documents, errors } = await validateMCQRows(rows, target.owner);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} of ${rows.length} rows have errors; nothing was imported`,
+        errors
+      });
+    }
+
+    const mcqs = await MCQ.insertMany(documents);
+
+    if (target.contest) {
+      await Contest.updateOne(
+        { _id: target.contest._id },
+        { $inc: { 'sections.mcq.totalMarks': mcqs.reduce((total, mcq) => total + mcq.marks, 0) } }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${mcqs.length} questions imported`,
+      imported: mcqs.length
+    });
+  } catch (error) {
+    console.error('Import MCQs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing MCQs'
+    });
+  }
+};
+
+// @desc    Export a contest's or question bank's MCQs as CSV or JSON (Admin)
+// @route   GET /api/mcq/export?contestId=|bankId=&format=csv|json
+// @access  Private/Admin
+export const exportMCQs = async (req, res) => {
+  try {
+    const target = await findMCQOwner(req.query);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest or question bank not found'
+      });
+    }
+
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const mcqs = await MCQ.find(target.owner).sort({ order: 1, createdAt: 1 });
+
+    res.attachment(`${slugify(target.name)}-mcqs.${format}`);
+    res.type(format === 'json' ? 'application/json' : 'text/csv');
+    res.status(200).send(serializeMCQs(mcqs, format));
+  } catch (error) {
+    console.error('Export MCQs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting MCQs'
+    });
+  }
+};
+
 // @desc    Create MCQ (Admin)
 // @route   POST /api/mcq
 // @access  Private/Admin
 export const createMCQ = async (req, res) => {
   try {
+    if (req.body.bankId && !(await QuestionBank.exists({ _id: req.body.bankId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
     const mcq = await MCQ.create(req.body);
 
-    // Update contest total marks
-    const contest = await Contest.findById(mcq.contestId);
+    // Update contest total marks; bank questions have no contest yet
+    const contest = mcq.contestId && await Contest.findById(mcq.contestId);
     if (contest) {
       contest.sections.mcq.totalMarks += mcq.marks;
       await contest.save();
@@ -120,6 +347,12 @@ export const createMCQ = async (req, res) => {
     });
   } catch (error) {
     console.error('Create MCQ error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error creating MCQ'
@@ -132,11 +365,7 @@ export const createMCQ = async (req, res) => {
 // @access  Private/Admin
 export const updateMCQ = async (req, res) => {
   try {
-    const mcq = await MCQ.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const mcq = await MCQ.findById(req.params.id);
 
     if (!mcq) {
       return res.status(404).json({
@@ -145,6 +374,10 @@ export const updateMCQ = async (req, res) => {
       });
     }
 
+    // Saved through the document so correctAnswers is derived and validated
+    mcq.set(req.body);
+    await mcq.save();
+
     res.status(200).json({
       success: true,
       message: 'MCQ updated successfully',
@@ -152,6 +385,12 @@ export const updateMCQ = async (req, res) => {
     });
   } catch (error) {
     console.error('Update MCQ error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error updating MCQ'
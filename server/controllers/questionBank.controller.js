@@ -0,0 +1,181 @@
+import QuestionBank from '../models/QuestionBank.js';
+import MCQ from '../models/MCQ.js';
+import Contest from '../models/Contest.js';
+
+// @desc    Get all question banks with question counts per category and difficulty
+// @route   GET /api/question-banks
+// @access  Private/Admin
+export const getQuestionBanks = async (req, res) => {
+  try {
+    const banks = await QuestionBank.find()
+      .sort({ name: 1 })
+      .populate('createdBy', 'name email');
+
+    const counts = await MCQ.aggregate([
+      { $match: { bankId: { $in: banks.map(bank => bank._id) } } },
+      { $group: { _id: { bankId: '$bankId', category: '$category', difficulty: '$difficulty' }, count: { $sum: 1 } } }
+    ]);
+
+    const breakdown = {};
+    for (const { _id, count } of counts) {
+      (breakdown[_id.bankId.toString()] ||= []).push({ category: _id.category, difficulty: _id.difficulty, count });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: banks.length,
+      banks: banks.map(bank => {
+        const groups = breakdown[bank._id.toString()] || [];
+        return {
+          ...bank.toObject(),
+          questionCount: groups.reduce((total, group) => total + group.count, 0),
+          breakdown: groups
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get question banks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching question banks'
+    });
+  }
+};
+
+// @desc    Get a question bank with its questions
+// @route   GET /api/question-banks/:id
+// @access  Private/Admin
+export const getQuestionBankById = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findById(req.params.id);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    const query = { bankId: bank._id };
+    if (req.query.category) query.category = req.query.category;
+    if (req.query.difficulty) query.difficulty = req.query.difficulty;
+
+    const mcqs = await MCQ.find(query).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      bank,
+      count: mcqs.length,
+      mcqs
+    });
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching question bank'
+    });
+  }
+};
+
+// @desc    Create question bank
+// @route   POST /api/question-banks
+// @access  Private/Admin
+export const createQuestionBank = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const bank = await QuestionBank.create({
+      name,
+      description,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question bank created successfully',
+      bank
+    });
+  } catch (error) {
+    console.error('Create question bank error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating question bank'
+    });
+  }
+};
+
+// @desc    Update question bank
+// @route   PUT /api/question-banks/:id
+// @access  Private/Admin
+export const updateQuestionBank = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (description !== undefined) update.description = description;
+
+    const bank = await QuestionBank.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Question bank updated successfully',
+      bank
+    });
+  } catch (error) {
+    console.error('Update question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating question bank'
+    });
+  }
+};
+
+// @desc    Delete question bank, its questions and any draw rules using it
+// @route   DELETE /api/question-banks/:id
+// @access  Private/Admin
+export const deleteQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findByIdAndDelete(req.params.id);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    // Sets already drawn keep their question ids; those questions just stop showing
+    await MCQ.deleteMany({ bankId: bank._id });
+    await Contest.updateMany(
+      { 'sections.mcq.drawRules.bankId': bank._id },
+      { $pull: { 'sections.mcq.drawRules': { bankId: bank._id } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Question bank deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting question bank'
+    });
+  }
+};
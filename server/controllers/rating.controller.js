@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RatingChange from '../models/RatingChange.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Load a user's public rating profile and contest-by-contest history
+const getRatingProfile = async (userId) => {
+  const user = await User.findById(userId).select('name college avatar rating maxRating ratedContests');
+  if (!user) return null;
+
+  const history = await RatingChange.find({ userId })
+    .select('contestId contestTitle rank participants oldRating newRating delta ratedAt')
+    .sort({ ratedAt: 1 });
+
+  return { user, history };
+};
+
+// @desc    Get the global rating ranking
+// @route   GET /api/ratings?page=&limit=&search=
+// @access  Public
+export const getRatingRanking = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+    const search = String(req.query.search || '').trim();
+
+    // Only users who finished a rated contest have a meaningful rating
+    const rated = { role: 'USER', ratedContests: { $gt: 0 } };
+    const query = { ...rated };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { college: pattern }];
+    }
+
+    const [users, count] = await Promise.all([
+      User.find(query)
+        .select('name college avatar rating maxRating ratedContests')
+        .sort({ rating: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    // Ranks are global even when searching; equal ratings share one.
+    // One pass counts, for each rating on the page, the rated users above it.
+    const ratings = [...new Set(users.map(user => user.rating))];
+    const [above = {}] = ratings.length === 0 ? [] : await User.aggregate([
+      { $match: { ...rated, rating: { $gt: Math.min(...ratings) } } },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(ratings.map((rating, index) => [
+            `r${index}`,
+            { $sum: { $cond: [{ $gt: ['$rating', rating] }, 1, 0] } }
+          ]))
+        }
+      }
+    ]);
+    for (const user of users) {
+      user.rank = 1 + (above[`r${ratings.indexOf(user.rating)}`] || 0);
+    }
+
+    res.status(200).json({
+      success: true,
+      count,
+      page,
+      pages: Math.max(1, Math.ceil(count / limit)),
+      users
+    });
+  } catch (error) {
+    console.error('Get rating ranking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ratings'
+    });
+  }
+};
+
+// @desc    Get current user's rating history
+// @route   GET /api/ratings/me
+// @access  Private
+export const getMyRatingHistory = async (req, res) => {
+  try {
+    const profile = await getRatingProfile(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      ...profile
+    });
+  } catch (error) {
+    console.error('Get my rating history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rating history'
+    });
+  }
+};
+
+// @desc    Get a user's rating history
+// @route   GET /api/ratings/users/:userId
+// @access  Public
+export const getUserRatingHistory = async (req, res) => {
+  try {
+    const profile = mongoose.isValidObjectId(req.params.userId)
+      ? await getRatingProfile(req.params.userId)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...profile
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rating history'
+    });
+  }
+};
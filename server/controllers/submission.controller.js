@@ -1,8 +1,14 @@
 import Submission from '../models/Submission.js';
 import CodingProblem from '../models/CodingProblem.js';
-import Result from '../models/Result.js';
+import Contest from '../models/Contest.js';
+import Rejudge from '../models/Rejudge.js';
+import Team from '../models/Team.js';
 import { LANGUAGE_MAP } from '../config/judge0.js';
-import { submitToJudge0, mapStatusToVerdict } from '../services/judge0.service.js';
+import { executeCode } from '../services/executor.service.js';
+import { enqueueSubmission } from '../services/judgeQueue.service.js';
+import { getProblemLimits } from '../services/judging.service.js';
+import { startRejudge, getRejudgeReport } from '../services/rejudge.service.js';
+import { findUserTeam } from '../services/team.service.js';
 
 // @desc    Test run code (without saving)
 // @route   POST /api/submissions/test
@@ -18,14 +24,18 @@ export const testRunCode = async (req, res) => {
       });
     }
 
+    // Use the problem's limits when running against one
+    const problem = problemId ? await CodingProblem.findById(problemId).select('timeLimit memoryLimit') : null;
+
     // Run code with custom input
     try {
-      const result = await submitToJudge0(
+      const result = await executeCode({
         sourceCode,
         languageId,
-        input || '',
-        '' // No expected output for test run
-      );
+        stdin: input || '',
+        expectedOutput: null, // No expected output for test run
+        ...(problem ? getProblemLimits(problem) : {})
+      });
 
       res.status(200).json({
         success: true,
@@ -56,7 +66,8 @@ export const testRunCode = async (req, res) => {
 // @access  Private
 export const submitCode = async (req, res) => {
   try {
-    const { contestId, problemId, sourceCode, language } = req.body;
+    const { problemId, sourceCode, language } = req.body;
+    const contestId = req.contest._id;
 
     if (!sourceCode || !language) {
       return res.status(400).json({
@@ -82,10 +93,11 @@ export const submitCode = async (req, res) => {
       });
     }
 
-    // Create submission record
+    // Create submission record; judging happens in the background worker
     const submission = await Submission.create({
       userId: req.user._id,
       contestId,
+      teamId: req.result?.teamId ?? null, // counts toward the team's result in team contests
       problemId,
       sourceCode,
       language,
@@ -93,109 +105,24 @@ export const submitCode = async (req, res) => {
       totalTestcases: problem.testcases.length
     });
 
-    // Run code against testcases
-    let passedCount = 0;
-    let totalScore = 0;
-    const testcaseResults = [];
-
-    for (const testcase of problem.testcases) {
-      try {
-        const result = await submitToJudge0(
-          sourceCode,
-          languageId,
-          testcase.input,
-          testcase.output
-        );
-
-        const verdict = mapStatusToVerdict(result.status.id);
-        const passed = verdict === 'ACCEPTED';
-
-        if (passed) {
-          passedCount++;
-          totalScore += testcase.points;
-        }
-
-        testcaseResults.push({
-          testcaseId: testcase._id,
-          passed,
-          executionTime: result.time ? parseFloat(result.time) * 1000 : 0,
-          memoryUsed: result.memory || 0,
-          error: result.stderr || result.compile_output || null
-        });
-
-        // Break on first failure for hidden testcases (optional)
-        if (!passed && testcase.hidden) {
-          submission.verdict = verdict;
-          break;
-        }
-      } catch (error) {
-        console.error('Testcase execution error:', error);
-        testcaseResults.push({
-          testcaseId: testcase._id,
-          passed: false,
-          error: 'Execution failed'
-        });
-      }
-    }
-
-    // Calculate final verdict
-    let finalVerdict = 'ACCEPTED';
-    if (passedCount < problem.testcases.length) {
-      finalVerdict = testcaseResults[passedCount]?.error?.includes('time') 
-        ? 'TIME_LIMIT_EXCEEDED' 
-        : 'WRONG_ANSWER';
-    }
-
-    // Update submission
-    submission.verdict = finalVerdict;
-    submission.score = totalScore;
-    submission.testcasesPassed = passedCount;
-    submission.testcaseResults = testcaseResults;
-    await submission.save();
-
-    // Update problem stats
-    problem.submissionCount++;
-    if (finalVerdict === 'ACCEPTED') {
-      problem.acceptedCount++;
-    }
-    await problem.save();
-
-    // Update result
-    const result = await Result.findOne({ userId: req.user._id, contestId });
-    if (result) {
-      const problemIndex = result.codingSubmissions.findIndex(
-        s => s.problemId.toString() === problemId
-      );
-
-      if (problemIndex >= 0) {
-        // Update existing
-        if (totalScore > result.codingSubmissions[problemIndex].score) {
-          result.codingSubmissions[problemIndex].score = totalScore;
-          result.codingSubmissions[problemIndex].bestSubmission = submission._id;
-        }
-        result.codingSubmissions[problemIndex].attempts++;
-        result.codingSubmissions[problemIndex].solved = finalVerdict === 'ACCEPTED';
-      } else {
-        // Add new
-        result.codingSubmissions.push({
-          problemId,
-          bestSubmission: submission._id,
-          score: totalScore,
-          attempts: 1,
-          solved: finalVerdict === 'ACCEPTED'
-        });
-      }
-
-      // Recalculate total coding score
-      result.codingScore = result.codingSubmissions.reduce((sum, s) => sum + s.score, 0);
-      result.totalScore = result.mcqScore + result.codingScore;
+    try {
+      await enqueueSubmission(submission._id);
+    } catch (error) {
+      // Without a job nothing would ever judge it, so drop the submission
+      console.error('Enqueue submission error:', error);
+      await Submission.deleteOne({ _id: submission._id }).catch(deleteError => {
+        console.error('Delete unqueued submission error:', deleteError);
+      });
 
-      await result.save();
+      return res.status(500).json({
+        success: false,
+        message: 'Could not queue your submission for judging, please submit again'
+      });
     }
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'Code submitted successfully',
+      message: 'Code submitted successfully, judging in progress',
       submission: {
         id: submission._id,
         verdict: submission.verdict,
@@ -218,10 +145,16 @@ export const submitCode = async (req, res) => {
 // @access  Private
 export const getSubmissionsByProblem = async (req, res) => {
   try {
+    // Teammates see each other's submissions
+    const problem = await CodingProblem.findById(req.params.problemId).select('contestId');
+    const team = problem && await findUserTeam(problem.contestId, req.user._id);
+
     const submissions = await Submission.find({
-      userId: req.user._id,
+      ...(team ? { teamId: team._id } : { userId: req.user._id }),
       problemId: req.params.problemId
-    }).sort({ submittedAt: -1 });
+    })
+      .populate('userId', 'name')
+      .sort({ submittedAt: -1 });
 
     res.status(200).json({
       success: true,
@@ -253,8 +186,11 @@ export const getSubmissionById = async (req, res) => {
       });
     }
 
-    // Only owner or admin can view
-    if (submission.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'ADMIN') {
+    // Only owner, their teammates or admin can view
+    const isOwner = submission.userId._id.toString() === req.user._id.toString();
+    const isTeammate = !isOwner && submission.teamId &&
+      await Team.exists({ _id: submission.teamId, members: req.user._id });
+    if (!isOwner && !isTeammate && req.user.role !== 'ADMIN') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this submission'
@@ -273,3 +209,165 @@ export const getSubmissionById = async (req, res) => {
     });
   }
 };
+
+// @desc    Rejudge a single submission
+// @route   POST /api/submissions/rejudges/submission/:submissionId
+// @access  Private/Admin
+export const rejudgeSubmission = async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId).select('contestId problemId verdict');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.verdict === 'PENDING') {
+      return res.status(409).json({
+        success: false,
+        message: 'Submission is still being judged'
+      });
+    }
+
+    const rejudge = await startRejudge({
+      scope: 'SUBMISSION',
+      contestId: submission.contestId,
+      problemId: submission.problemId,
+      submissionId: submission._id,
+      requestedBy: req.user._id,
+      filter: { _id: submission._id }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Rejudge queued',
+      rejudge
+    });
+  } catch (error) {
+    console.error('Rejudge submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting rejudge'
+    });
+  }
+};
+
+// @desc    Rejudge every submission for a problem
+// @route   POST /api/submissions/rejudges/problem/:problemId
+// @access  Private/Admin
+export const rejudgeProblem = async (req, res) => {
+  try {
+    const problem = await CodingProblem.findById(req.params.problemId).select('contestId');
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    const rejudge = await startRejudge({
+      scope: 'PROBLEM',
+      contestId: problem.contestId,
+      problemId: problem._id,
+      requestedBy: req.user._id,
+      filter: { problemId: problem._id }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Rejudging ${rejudge.totalSubmissions} submission(s)`,
+      rejudge
+    });
+  } catch (error) {
+    console.error('Rejudge problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting rejudge'
+    });
+  }
+};
+
+// @desc    Rejudge every submission in a contest
+// @route   POST /api/submissions/rejudges/contest/:contestId
+// @access  Private/Admin
+export const rejudgeContest = async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).select('_id');
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const rejudge = await startRejudge({
+      scope: 'CONTEST',
+      contestId: contest._id,
+      requestedBy: req.user._id,
+      filter: { contestId: contest._id }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Rejudging ${rejudge.totalSubmissions} submission(s)`,
+      rejudge
+    });
+  } catch (error) {
+    console.error('Rejudge contest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting rejudge'
+    });
+  }
+};
+
+// @desc    List rejudges for a contest
+// @route   GET /api/submissions/rejudges/contest/:contestId
+// @access  Private/Admin
+export const getRejudgesByContest = async (req, res) => {
+  try {
+    const rejudges = await Rejudge.find({ contestId: req.params.contestId })
+      .populate('problemId', 'title')
+      .populate('requestedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rejudges.length,
+      rejudges
+    });
+  } catch (error) {
+    console.error('Get rejudges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rejudges'
+    });
+  }
+};
+
+// @desc    Get rejudge progress and changed verdicts
+// @route   GET /api/submissions/rejudges/:id
+// @access  Private/Admin
+export const getRejudgeById = async (req, res) => {
+  try {
+    const report = await getRejudgeReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejudge not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Get rejudge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rejudge'
+    });
+  }
+};
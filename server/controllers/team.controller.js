@@ -0,0 +1,457 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Contest from '../models/Contest.js';
+import {
+  getTeamLock,
+  findUserTeam,
+  createTeam,
+  addMember,
+  removeMember
+} from '../services/team.service.js';
+
+const CONTEST_FIELDS = 'title participationMode maxTeamSize maxParticipants startTime participants';
+
+const TEAM_POPULATE = [
+  { path: 'members', select: 'name email college' },
+  { path: 'invites.userId', select: 'name email' }
+];
+
+// Members see the join code; only the captain sees pending invites
+const toTeamView = (team, userId) => {
+  const isMember = team.members.some(member => (member._id || member).equals(userId));
+  const isCaptain = team.captain.equals(userId);
+
+  return {
+    _id: team._id,
+    name: team.name,
+    contestId: team.contestId,
+    captain: team.captain,
+    members: team.members,
+    joinCode: isMember ? team.joinCode : undefined,
+    invites: isCaptain ? team.invites : [],
+    isCaptain
+  };
+};
+
+const loadContest = (contestId) => mongoose.isValidObjectId(contestId)
+  ? Contest.findById(contestId).select(CONTEST_FIELDS)
+  : null;
+
+const loadTeam = async (teamId) => {
+  if (!mongoose.isValidObjectId(teamId)) return null;
+  const team = await Team.findById(teamId);
+  const contest = team && await loadContest(team.contestId);
+  return contest ? { team, contest } : null;
+};
+
+// Why the user cannot join a team in this contest, or null when they can
+const getJoinError = (contest, userId) => {
+  const lock = getTeamLock(contest);
+  if (lock) return lock;
+  if (contest.participants.some(id => id.equals(userId))) {
+    return 'Already registered for this contest';
+  }
+  if (contest.maxParticipants && contest.participants.length >= contest.maxParticipants) {
+    return 'Contest is full';
+  }
+  return null;
+};
+
+const notFound = (res, message = 'Team not found') => res.status(404).json({
+  success: false,
+  message
+});
+
+const sendTeam = async (res, team, userId, message, status = 200) => {
+  await team.populate(TEAM_POPULATE);
+  res.status(status).json({
+    success: true,
+    message,
+    team: toTeamView(team, userId)
+  });
+};
+
+// @desc    Get the current user's team for a contest
+// @route   GET /api/teams/contest/:contestId/mine
+// @access  Private
+export const getMyTeam = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return notFound(res, 'Contest not found');
+    }
+
+    const team = await findUserTeam(req.params.contestId, req.user._id);
+    if (!team) {
+      return res.status(200).json({
+        success: true,
+        team: null
+      });
+    }
+
+    await sendTeam(res, team, req.user._id);
+  } catch (error) {
+    console.error('Get my team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching team'
+    });
+  }
+};
+
+// @desc    Get every team in a contest
+// @route   GET /api/teams/contest/:contestId
+// @access  Private/Admin
+export const getContestTeams = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.contestId)) {
+      return notFound(res, 'Contest not found');
+    }
+
+    const teams = await Team.find({ contestId: req.params.contestId })
+      .populate('members', 'name email college')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: teams.length,
+      teams
+    });
+  } catch (error) {
+    console.error('Get contest teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching teams'
+    });
+  }
+};
+
+// @desc    Create a team and register it for a contest
+// @route   POST /api/teams/contest/:contestId
+// @access  Private
+export const createContestTeam = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team name is required'
+      });
+    }
+
+    const contest = await loadContest(req.params.contestId);
+    if (!contest) {
+      return notFound(res, 'Contest not found');
+    }
+
+    const joinError = getJoinError(contest, req.user._id);
+    if (joinError) {
+      return res.status(400).json({
+        success: false,
+        message: joinError
+      });
+    }
+
+    const team = await createTeam(contest, req.user._id, name);
+
+    await sendTeam(res, team, req.user._id, 'Team created and registered', 201);
+  } catch (error) {
+    console.error('Create team error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team with this name already exists in this contest'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating team'
+    });
+  }
+};
+
+// @desc    Join a team with its join code
+// @route   POST /api/teams/join
+// @access  Private
+export const joinTeam = async (req, res) => {
+  try {
+    const joinCode = String(req.body.joinCode || '').trim().toUpperCase();
+    const team = joinCode && await Team.findOne({ joinCode });
+    const contest = team && await loadContest(team.contestId);
+    if (!contest) {
+      return notFound(res, 'No team has this join code');
+    }
+
+    const joinError = getJoinError(contest, req.user._id);
+    if (joinError) {
+      return res.status(400).json({
+        success: false,
+        message: joinError
+      });
+    }
+
+    const updated = await addMember(team, contest, req.user._id);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `Team is full (max ${contest.maxTeamSize} members)`
+      });
+    }
+
+    await sendTeam(res, updated, req.user._id, `Joined ${updated.name}`);
+  } catch (error) {
+    console.error('Join team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining team'
+    });
+  }
+};
+
+// @desc    Invite a user to the team by email
+// @route   POST /api/teams/:teamId/invites
+// @access  Private (team captain)
+export const inviteToTeam = async (req, res) => {
+  try {
+    const loaded = await loadTeam(req.params.teamId);
+    if (!loaded) return notFound(res);
+    const { team, contest } = loaded;
+
+    if (!team.captain.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can invite members'
+      });
+    }
+
+    const lock = getTeamLock(contest);
+    if (lock) {
+      return res.status(400).json({
+        success: false,
+        message: lock
+      });
+    }
+
+    if (team.members.length >= contest.maxTeamSize) {
+      return res.status(400).json({
+        success: false,
+        message: `Team is full (max ${contest.maxTeamSize} members)`
+      });
+    }
+
+    const invitee = await User.findOne({ email: String(req.body.email || '').toLowerCase().trim() }).select('_id');
+    if (!invitee) {
+      return notFound(res, 'No user with this email');
+    }
+    if (contest.participants.some(id => id.equals(invitee._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already registered for the contest'
+      });
+    }
+
+    const updated = await Team.findOneAndUpdate(
+      { _id: team._id, 'invites.userId': { $ne: invitee._id } },
+      { $push: { invites: { userId: invitee._id, invitedBy: req.user._id } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user has already been invited'
+      });
+    }
+
+    await sendTeam(res, updated, req.user._id, 'Invite sent');
+  } catch (error) {
+    console.error('Invite to team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending invite'
+    });
+  }
+};
+
+// @desc    Get the current user's pending team invites
+// @route   GET /api/teams/invites
+// @access  Private
+export const getMyInvites = async (req, res) => {
+  try {
+    const teams = await Team.find({ 'invites.userId': req.user._id })
+      .select('name contestId members captain invites')
+      .populate('contestId', 'title startTime maxTeamSize')
+      .populate('captain', 'name');
+
+    // Invites to contests that already started can no longer be accepted
+    const now = new Date();
+    const invites = teams
+      .filter(team => team.contestId && team.contestId.startTime > now)
+      .map(team => ({
+        teamId: team._id,
+        teamName: team.name,
+        contest: team.contestId,
+        captain: team.captain,
+        memberCount: team.members.length,
+        invitedAt: team.invites.find(invite => invite.userId.equals(req.user._id))?.invitedAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      invites
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invites'
+    });
+  }
+};
+
+// @desc    Accept a team invite
+// @route   POST /api/teams/:teamId/invites/accept
+// @access  Private
+export const acceptInvite = async (req, res) => {
+  try {
+    const loaded = await loadTeam(req.params.teamId);
+    if (!loaded) return notFound(res);
+    const { team, contest } = loaded;
+
+    if (!team.invites.some(invite => invite.userId.equals(req.user._id))) {
+      return notFound(res, 'Invite not found');
+    }
+
+    const joinError = getJoinError(contest, req.user._id);
+    if (joinError) {
+      return res.status(400).json({
+        success: false,
+        message: joinError
+      });
+    }
+
+    const updated = await addMember(team, contest, req.user._id);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `Team is full (max ${contest.maxTeamSize} members)`
+      });
+    }
+
+    await sendTeam(res, updated, req.user._id, `Joined ${updated.name}`);
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting invite'
+    });
+  }
+};
+
+// @desc    Decline a team invite
+// @route   POST /api/teams/:teamId/invites/decline
+// @access  Private
+export const declineInvite = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.teamId)) return notFound(res);
+
+    await Team.updateOne({ _id: req.params.teamId }, { $pull: { invites: { userId: req.user._id } } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite declined'
+    });
+  } catch (error) {
+    console.error('Decline invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining invite'
+    });
+  }
+};
+
+// @desc    Leave a team; the last member leaving deletes it
+// @route   POST /api/teams/:teamId/leave
+// @access  Private
+export const leaveTeam = async (req, res) => {
+  try {
+    const loaded = await loadTeam(req.params.teamId);
+    if (!loaded || !loaded.team.members.some(id => id.equals(req.user._id))) {
+      return notFound(res);
+    }
+
+    const lock = getTeamLock(loaded.contest);
+    if (lock) {
+      return res.status(400).json({
+        success: false,
+        message: lock
+      });
+    }
+
+    const remaining = await removeMember(loaded.team, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: remaining ? `Left ${remaining.name}` : 'Left and deleted the team'
+    });
+  } catch (error) {
+    console.error('Leave team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error leaving team'
+    });
+  }
+};
+
+// @desc    Remove a member from the team
+// @route   DELETE /api/teams/:teamId/members/:userId
+// @access  Private (team captain)
+export const removeTeamMember = async (req, res) => {
+  try {
+    const loaded = await loadTeam(req.params.teamId);
+    if (!loaded) return notFound(res);
+    const { team, contest } = loaded;
+
+    if (!team.captain.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can remove members'
+      });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return notFound(res, 'Member not found');
+    }
+    if (team.captain.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave the team instead of removing yourself'
+      });
+    }
+    if (!team.members.some(id => id.equals(req.params.userId))) {
+      return notFound(res, 'Member not found');
+    }
+
+    const lock = getTeamLock(contest);
+    if (lock) {
+      return res.status(400).json({
+        success: false,
+        message: lock
+      });
+    }
+
+    const updated = await removeMember(team, req.params.userId);
+    await sendTeam(res, updated, req.user._id, 'Member removed');
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing member'
+    });
+  }
+};
@@ -22,6 +22,23 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Logout-all, password changes and bans bump tokenVersion
+      if (decoded.tv !== req.user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again'
+        });
+      }
+
+      // Banned and suspended users lose access to existing sessions too
+      const block = req.user.getAccessBlock();
+      if (block) {
+        return res.status(401).json({
+          success: false,
+          message: block
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
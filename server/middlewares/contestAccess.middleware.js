@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import Contest from '../models/Contest.js';
+import CodingProblem from '../models/CodingProblem.js';
+import { SECTIONS, getSectionDeadline } from '../services/attempt.service.js';
+import { findParticipantResult } from '../services/team.service.js';
+
+const deny = (res, status, code, message) => res.status(status).json({
+  success: false,
+  code,
+  message
+});
+
+// @desc    Guard participant routes of a contest
+// Resolves the contest from params.contestId, body.contestId or the problem
+// being accessed, then checks that the problem belongs to it, the user is
+// registered, the contest is running and the user's section is still open.
+// Attaches req.contest, req.problem (when one is given) and req.result, which
+// in team contests is the team's shared result.
+// Admins skip the registration, time window and section checks.
+//
+// options.section       'mcq' | 'coding', checks that section's window
+// options.sectionParam  route param holding the section instead
+// options.started       require the user to have started the section (default true)
+// options.problemParam  route param holding a problem id (default: body.problemId)
+export const contestAccess = ({ section = null, sectionParam = null, started = true, problemParam = null } = {}) => async (req, res, next) => {
+  try {
+    const sectionName = section || (sectionParam ? req.params[sectionParam] : null);
+    if (sectionParam && !SECTIONS.includes(sectionName)) {
+      return deny(res, 400, 'INVALID_SECTION', `Unknown section: ${sectionName}`);
+    }
+
+    const contestId = req.params.contestId || req.body?.contestId || null;
+    const problemId = (problemParam ? req.params[problemParam] : req.body?.problemId) || null;
+
+    if (!contestId && !problemId) {
+      return deny(res, 400, 'CONTEST_REQUIRED', 'Contest or problem is required');
+    }
+
+    for (const id of [contestId, problemId]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return deny(res, 400, 'INVALID_ID', `Invalid id: ${id}`);
+      }
+    }
+
+    let problem = null;
+    if (problemId) {
+      problem = await CodingProblem.findById(problemId).select('contestId');
+      if (!problem) {
+        return deny(res, 404, 'PROBLEM_NOT_FOUND', 'Problem not found');
+      }
+      if (contestId && problem.contestId.toString() !== contestId.toString()) {
+        return deny(res, 400, 'PROBLEM_NOT_IN_CONTEST', 'Problem does not belong to this contest');
+      }
+    }
+
+    const contest = await Contest.findById(contestId || problem.contestId);
+    if (!contest) {
+      return deny(res, 404, 'CONTEST_NOT_FOUND', 'Contest not found');
+    }
+
+    req.contest = contest;
+    req.problem = problem;
+
+    if (req.user.role === 'ADMIN') {
+      return next();
+    }
+
+    if (!contest.participants.some(id => id.equals(req.user._id))) {
+      return deny(res, 403, 'NOT_REGISTERED', 'You are not registered for this contest');
+    }
+
+    // The time window decides; status is only flipped by the minute cron
+    const now = new Date();
+    if (!contest.isPublished || now < contest.startTime) {
+      return deny(res, 403, 'CONTEST_NOT_STARTED', 'Contest has not started yet');
+    }
+    if (now >= contest.endTime || contest.status === 'ENDED') {
+      return deny(res, 403, 'CONTEST_ENDED', 'Contest has ended');
+    }
+
+    req.result = await findParticipantResult(contest._id, req.user._id);
+
+    if (sectionName) {
+      const label = sectionName.toUpperCase();
+      if (!contest.sections[sectionName]?.enabled) {
+        return deny(res, 403, 'SECTION_DISABLED', `The ${label} section is not part of this contest`);
+      }
+
+      const window = req.result?.sections?.[sectionName];
+      if (window?.submittedAt) {
+        return deny(res, 409, 'SECTION_SUBMITTED', `You have already submitted the ${label} section`);
+      }
+      if (started && !window?.startedAt) {
+        return deny(res, 403, 'SECTION_NOT_STARTED', `Start the ${label} section first`);
+      }
+      if (window?.startedAt && now >= getSectionDeadline(contest, window.startedAt, sectionName)) {
+        return deny(res, 403, 'SECTION_TIME_UP', `Your time for the ${label} section is up`);
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Contest access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking contest access'
+    });
+  }
+};
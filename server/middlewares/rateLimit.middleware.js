@@ -0,0 +1,23 @@
+import rateLimit from 'express-rate-limit';
+
+// Draft autosaves are limited per user instead: contestants at a venue often
+// share one IP and would use up its budget within minutes
+const isDraftSave = (req) => req.method === 'PUT' && req.originalUrl.split('?')[0] === '/api/mcq/draft';
+
+// @desc    Limit each IP to 100 API requests per 15 minutes
+export const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  skip: isDraftSave
+});
+
+// @desc    Limit MCQ draft saves per user; use after protect
+export const draftLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Saving too often, please wait a moment'
+  }
+});
@@ -0,0 +1,31 @@
+import multer from 'multer';
+
+const MAX_UPLOAD_SIZE = 20 * 1024 * 1024; // 20 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+});
+
+// @desc    Accept one file in memory as req.file; upload errors become 400s
+export const singleFile = (field = 'file') => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`
+          : error.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload a file in the "${field}" field`
+      });
+    }
+
+    next();
+  });
+};
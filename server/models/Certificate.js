@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// A certificate issued for one contest result. The certificate ID ends in an
+// HMAC of the fields printed on it, so a record edited after issue no longer
+// verifies.
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Result',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true // the team name in team contests
+  },
+  // Team contests only: everyone the certificate names, captain first
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  memberIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  memberNames: [{
+    type: String
+  }],
+  contestTitle: {
+    type: String,
+    required: true
+  },
+  rank: {
+    type: Number,
+    default: null
+  },
+  participants: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  scoreLabel: {
+    type: String,
+    default: '' // e.g. "320 points" or "5 problems solved, 212 penalty minutes"
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // self-issued by the participant
+  },
+  // Set when a rejudge changes the rank or score and a new certificate replaces this one
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+certificateSchema.index({ resultId: 1, revokedAt: 1 });
+certificateSchema.index({ contestId: 1, rank: 1 });
+certificateSchema.index({ userId: 1, issuedAt: -1 });
+certificateSchema.index({ memberIds: 1, issuedAt: -1 });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
@@ -47,13 +47,65 @@ const codingProblemSchema = new mongoose.Schema({
     points: {
       type: Number,
       default: 10
+    },
+    subtask: {
+      type: String, // name of the subtask this testcase belongs to
+      default: null
     }
   }],
+  // IOI-style groups: a subtask scores only when all of its testcases and
+  // all of the subtasks it depends on pass. Testcase points are ignored then.
+  subtasks: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    dependencies: [{
+      type: String // subtask names
+    }]
+  }],
   score: {
     type: Number,
     required: true,
     default: 100
   },
+  checker: {
+    mode: {
+      type: String,
+      enum: ['EXACT', 'TOKEN', 'CASE_INSENSITIVE', 'FLOAT', 'UNORDERED_LINES', 'CUSTOM'],
+      default: 'EXACT'
+    },
+    absoluteEpsilon: {
+      type: Number,
+      default: 1e-6
+    },
+    relativeEpsilon: {
+      type: Number,
+      default: 1e-6
+    },
+    // Custom checker program, reads {"input","expected","output"} JSON on stdin
+    // and prints AC, WA or "PARTIAL <0..1>" followed by an optional message
+    sourceCode: {
+      type: String,
+      required: [
+        function() { return this.checker?.mode === 'CUSTOM'; },
+        'Custom checker source code is required'
+      ]
+    },
+    languageId: {
+      type: Number,
+      required: [
+        function() { return this.checker?.mode === 'CUSTOM'; },
+        'Custom checker language is required'
+      ]
+    }
+  },
   difficulty: {
     type: String,
     enum: ['EASY', 'MEDIUM', 'HARD'],
@@ -89,6 +141,60 @@ const codingProblemSchema = new mongoose.Schema({
 // Indexes
 codingProblemSchema.index({ contestId: 1, order: 1 });
 
+// @desc    Check subtask names, testcase references and dependency cycles
+// Returns an error message, or null when the layout is valid.
+codingProblemSchema.statics.validateSubtasks = function({ subtasks = [], testcases = [] }) {
+  const names = new Set();
+  for (const subtask of subtasks) {
+    if (names.has(subtask.name)) {
+      return `Duplicate subtask name "${subtask.name}"`;
+    }
+    names.add(subtask.name);
+  }
+
+  for (const subtask of subtasks) {
+    const unknown = (subtask.dependencies || []).find(name => !names.has(name));
+    if (unknown) {
+      return `Subtask "${subtask.name}" depends on unknown subtask "${unknown}"`;
+    }
+  }
+
+  const orphan = testcases.find(tc => tc.subtask && !names.has(tc.subtask));
+  if (orphan) {
+    return `Testcase references unknown subtask "${orphan.subtask}"`;
+  }
+
+  // Depth-first search for dependency cycles
+  const byName = new Map(subtasks.map(st => [st.name, st]));
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const visit = (name) => {
+    if (state.get(name) === 'done') return null;
+    if (state.get(name) === 'visiting') return `Subtask dependencies form a cycle at "${name}"`;
+
+    state.set(name, 'visiting');
+    for (const dependency of byName.get(name).dependencies || []) {
+      const error = visit(dependency);
+      if (error) return error;
+    }
+    state.set(name, 'done');
+    return null;
+  };
+
+  for (const name of names) {
+    const error = visit(name);
+    if (error) return error;
+  }
+  return null;
+};
+
+codingProblemSchema.pre('validate', function(next) {
+  const error = this.constructor.validateSubtasks(this);
+  if (error) {
+    this.invalidate('subtasks', error);
+  }
+  next();
+});
+
 // Virtual for acceptance rate
 codingProblemSchema.virtual('acceptanceRate').get(function() {
   if (this.submissionCount === 0) return 0;
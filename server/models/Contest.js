@@ -38,6 +38,34 @@ const contestSchema = new mongoose.Schema({
       totalMarks: {
         type: Number,
         default: 0
+      },
+      // Extra questions drawn per participant from question banks
+      drawRules: [{
+        bankId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'QuestionBank',
+          required: true
+        },
+        category: {
+          type: String,
+          enum: ['GENERAL', 'APTITUDE', 'TECHNICAL', 'LOGICAL', 'VERBAL', null],
+          default: null // any
+        },
+        difficulty: {
+          type: String,
+          enum: ['EASY', 'MEDIUM', 'HARD', null],
+          default: null // any
+        },
+        count: {
+          type: Number,
+          required: true,
+          min: 1
+        }
+      }],
+      // Shuffle question and option order per participant
+      shuffle: {
+        type: Boolean,
+        default: false
       }
     },
     coding: {
@@ -55,12 +83,54 @@ const contestSchema = new mongoose.Schema({
       }
     }
   },
+  // POINTS: total score, then time. ICPC: problems solved, then penalty minutes.
+  // IOI: best score per subtask summed across submissions, no penalty.
+  scoringMode: {
+    type: String,
+    enum: ['POINTS', 'ICPC', 'IOI'],
+    default: 'POINTS'
+  },
+  penaltyMinutes: {
+    type: Number, // ICPC penalty per wrong attempt before the first accept
+    default: 20,
+    min: 0
+  },
+  // Public standings stop at freezeTime; submissions after it show as pending
+  // until the resolver opens them one cell at a time after the contest.
+  freezeTime: {
+    type: Date,
+    default: null
+  },
+  revealedCells: [{
+    _id: false,
+    resultId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Result'
+    },
+    problemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CodingProblem'
+    }
+  }],
+  unfrozenAt: {
+    type: Date,
+    default: null
+  },
   rules: [{
     type: String
   }],
   prizes: [{
     type: String
   }],
+  // Rated contests change participants' ratings once they end
+  isRated: {
+    type: Boolean,
+    default: true
+  },
+  ratedAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['UPCOMING', 'LIVE', 'ENDED'],
@@ -70,6 +140,18 @@ const contestSchema = new mongoose.Schema({
     type: Number,
     default: null // null means unlimited
   },
+  // TEAM contests register teams; members share one result
+  participationMode: {
+    type: String,
+    enum: ['INDIVIDUAL', 'TEAM'],
+    default: 'INDIVIDUAL'
+  },
+  maxTeamSize: {
+    type: Number,
+    default: 3,
+    min: 2,
+    max: 10
+  },
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// A reusable contest layout: settings only, no dates, participants or questions
+const contestTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  layout: {
+    title: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    duration: {
+      type: Number, // in minutes
+      default: 120
+    },
+    maxParticipants: {
+      type: Number,
+      default: null
+    },
+    scoringMode: {
+      type: String,
+      enum: ['POINTS', 'ICPC', 'IOI'],
+      default: 'POINTS'
+    },
+    penaltyMinutes: {
+      type: Number,
+      default: 20,
+      min: 0
+    },
+    isRated: {
+      type: Boolean,
+      default: true
+    },
+    participationMode: {
+      type: String,
+      enum: ['INDIVIDUAL', 'TEAM'],
+      default: 'INDIVIDUAL'
+    },
+    maxTeamSize: {
+      type: Number,
+      default: 3,
+      min: 2,
+      max: 10
+    },
+    sections: {
+      mcq: {
+        enabled: { type: Boolean, default: true },
+        duration: { type: Number, default: 30 },
+        totalMarks: { type: Number, default: 0 },
+        drawRules: [{
+          _id: false,
+          bankId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestionBank' },
+          category: { type: String, default: null },
+          difficulty: { type: String, default: null },
+          count: { type: Number, min: 1 }
+        }],
+        shuffle: { type: Boolean, default: false }
+      },
+      coding: {
+        enabled: { type: Boolean, default: true },
+        duration: { type: Number, default: 120 },
+        totalMarks: { type: Number, default: 0 }
+      }
+    },
+    rules: [{
+      type: String
+    }],
+    prizes: [{
+      type: String
+    }]
+  },
+  sourceContestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+contestTemplateSchema.index({ name: 1 });
+
+const ContestTemplate = mongoose.model('ContestTemplate', contestTemplateSchema);
+
+export default ContestTemplate;
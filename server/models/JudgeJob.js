@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const judgeJobSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+    default: 'QUEUED'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the job re-runs an already judged submission
+  rejudgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rejudge',
+    default: null
+  },
+  previousVerdict: {
+    type: String,
+    default: null
+  },
+  previousScore: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+judgeJobSchema.index({ status: 1, runAt: 1 });
+judgeJobSchema.index({ submissionId: 1 });
+judgeJobSchema.index({ rejudgeId: 1 });
+
+const JudgeJob = mongoose.model('JudgeJob', judgeJobSchema);
+
+export default JudgeJob;
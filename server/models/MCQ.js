@@ -1,13 +1,25 @@
 import mongoose from 'mongoose';
 
+// A question belongs to a contest, or to a question bank that contests draw from
 const mcqSchema = new mongoose.Schema({
   contestId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contest',
-    required: true
+    default: null
   },
-  question: {
+  bankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank',
+    default: null
+  },
+  // SINGLE, MULTIPLE and TRUE_FALSE pick options; NUMERIC and INTEGER take a number
+  type: {
     type: String,
+    enum: ['SINGLE', 'MULTIPLE', 'TRUE_FALSE', 'NUMERIC', 'INTEGER'],
+    default: 'SINGLE'
+  },
+  question: {
+    type: String, // supports ```fenced code``` and ![alt](url) images
     required: [true, 'Question is required'],
     trim: true
   },
@@ -22,8 +34,28 @@ const mcqSchema = new mongoose.Schema({
     }
   }],
   correctAnswers: [{
-    type: Number // indices of correct options
+    type: Number // indices of correct options, derived from options.isCorrect
   }],
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  tolerance: {
+    type: Number, // accepted absolute difference from numericAnswer
+    default: 0,
+    min: 0
+  },
+  // MULTIPLE only: marks in proportion to correct options picked, minus a
+  // penalty per wrong option, never below -negativeMarks
+  partialCredit: {
+    type: Boolean,
+    default: false
+  },
+  wrongOptionPenalty: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   marks: {
     type: Number,
     required: true,
@@ -57,6 +89,45 @@ const mcqSchema = new mongoose.Schema({
 
 // Indexes
 mcqSchema.index({ contestId: 1, order: 1 });
+mcqSchema.index({ bankId: 1, category: 1, difficulty: 1 });
+
+export const CHOICE_TYPES = ['SINGLE', 'MULTIPLE', 'TRUE_FALSE'];
+
+// Keep correctAnswers in sync with the options and check each type's answer
+mcqSchema.pre('validate', function(next) {
+  if (!this.contestId === !this.bankId) {
+    this.invalidate('contestId', 'A question belongs to either a contest or a question bank');
+  }
+
+  if (!CHOICE_TYPES.includes(this.type)) {
+    this.options = [];
+    this.correctAnswers = [];
+    if (typeof this.numericAnswer !== 'number') {
+      this.invalidate('numericAnswer', 'Numeric questions need an answer');
+    } else if (this.type === 'INTEGER' && !Number.isInteger(this.numericAnswer)) {
+      this.invalidate('numericAnswer', 'Integer questions need a whole number answer');
+    }
+    return next();
+  }
+
+  if (this.type === 'TRUE_FALSE' && this.options.length !== 2) {
+    this.invalidate('options', 'True/false questions have exactly two options');
+  } else if (this.options.length < 2) {
+    this.invalidate('options', 'At least 2 options are required');
+  }
+
+  this.correctAnswers = this.options
+    .map((option, index) => (option.isCorrect ? index : null))
+    .filter(index => index !== null);
+
+  if (this.correctAnswers.length === 0) {
+    this.invalidate('options', 'At least one correct option is required');
+  } else if (this.type !== 'MULTIPLE' && this.correctAnswers.length > 1) {
+    this.invalidate('options', 'Only one option can be correct for this question type');
+  }
+
+  next();
+});
 
 const MCQ = mongoose.model('MCQ', mcqSchema);
 
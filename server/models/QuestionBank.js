@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const questionBankSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+questionBankSchema.index({ name: 1 });
+
+const QuestionBank = mongoose.model('QuestionBank', questionBankSchema);
+
+export default QuestionBank;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One user's rating change from one rated contest
+const ratingChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  contestTitle: {
+    type: String,
+    default: ''
+  },
+  rank: {
+    type: Number,
+    required: true
+  },
+  participants: {
+    type: Number,
+    required: true
+  },
+  oldRating: {
+    type: Number,
+    required: true
+  },
+  newRating: {
+    type: Number,
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ratingChangeSchema.index({ userId: 1, contestId: 1 }, { unique: true });
+ratingChangeSchema.index({ userId: 1, ratedAt: 1 });
+
+const RatingChange = mongoose.model('RatingChange', ratingChangeSchema);
+
+export default RatingChange;
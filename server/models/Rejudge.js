@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const rejudgeSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['SUBMISSION', 'PROBLEM', 'CONTEST'],
+    required: true
+  },
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  problemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CodingProblem',
+    default: null
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totalSubmissions: {
+    type: Number,
+    default: 0
+  },
+  skippedSubmissions: {
+    type: Number, // still pending their first judging
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rejudgeSchema.index({ contestId: 1, createdAt: -1 });
+
+const Rejudge = mongoose.model('Rejudge', rejudgeSchema);
+
+export default Rejudge;
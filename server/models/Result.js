@@ -1,11 +1,17 @@
 import mongoose from 'mongoose';
 
 const resultSchema = new mongoose.Schema({
+  // In team contests this is the team captain and the result is shared by the team
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
   contestId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contest',
@@ -21,10 +27,41 @@ const resultSchema = new mongoose.Schema({
       ref: 'MCQ'
     },
     selectedOptions: [Number],
+    value: Number, // numeric questions
     isCorrect: Boolean,
     marksAwarded: Number,
     timeTaken: Number // in seconds
   }],
+  // The participant's own questions when the contest draws or shuffles them.
+  // optionOrder[i] is the original index of the option shown at position i.
+  mcqSet: [{
+    _id: false,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MCQ'
+    },
+    optionOrder: [Number]
+  }],
+  // Work in progress, autosaved until the MCQ section is submitted
+  mcqDraft: {
+    answers: [{
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MCQ'
+      },
+      selectedOptions: [Number],
+      value: Number, // numeric questions
+      timeTaken: Number // in seconds
+    }],
+    flagged: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MCQ'
+    }],
+    savedAt: {
+      type: Date,
+      default: null
+    }
+  },
   codingScore: {
     type: Number,
     default: 0
@@ -40,8 +77,30 @@ const resultSchema = new mongoose.Schema({
     },
     score: Number,
     attempts: Number,
-    solved: Boolean
+    solved: Boolean,
+    firstAcceptedAt: {
+      type: Date,
+      default: null
+    },
+    wrongAttempts: {
+      type: Number, // judged non-accepted attempts before the first accept
+      default: 0
+    },
+    // Best score per subtask over all submissions, for IOI scoring
+    subtaskScores: [{
+      _id: false,
+      name: String,
+      score: Number
+    }]
   }],
+  solvedCount: {
+    type: Number,
+    default: 0
+  },
+  penalty: {
+    type: Number, // ICPC penalty in minutes
+    default: 0
+  },
   totalScore: {
     type: Number,
     default: 0
@@ -62,6 +121,17 @@ const resultSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Per-section attempt window; a submitted section is closed for this user
+  sections: {
+    mcq: {
+      startedAt: { type: Date, default: null },
+      submittedAt: { type: Date, default: null }
+    },
+    coding: {
+      startedAt: { type: Date, default: null },
+      submittedAt: { type: Date, default: null }
+    }
+  },
   status: {
     type: String,
     enum: ['IN_PROGRESS', 'SUBMITTED', 'EVALUATED'],
@@ -81,7 +151,12 @@ const resultSchema = new mongoose.Schema({
 
 // Compound index for unique user-contest combination
 resultSchema.index({ userId: 1, contestId: 1 }, { unique: true });
+resultSchema.index(
+  { teamId: 1, contestId: 1 },
+  { unique: true, partialFilterExpression: { teamId: { $type: 'objectId' } } }
+);
 resultSchema.index({ contestId: 1, totalScore: -1, timeTaken: 1 });
+resultSchema.index({ contestId: 1, solvedCount: -1, penalty: 1 });
 
 const Result = mongoose.model('Result', resultSchema);
 
@@ -11,6 +11,12 @@ const submissionSchema = new mongoose.Schema({
     ref: 'Contest',
     required: true
   },
+  // Set in team contests; the submission counts toward the team's result
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
   problemId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CodingProblem',
@@ -31,7 +37,7 @@ const submissionSchema = new mongoose.Schema({
   },
   verdict: {
     type: String,
-    enum: ['PENDING', 'ACCEPTED', 'WRONG_ANSWER', 'TIME_LIMIT_EXCEEDED', 'MEMORY_LIMIT_EXCEEDED', 'RUNTIME_ERROR', 'COMPILATION_ERROR'],
+    enum: ['PENDING', 'ACCEPTED', 'WRONG_ANSWER', 'TIME_LIMIT_EXCEEDED', 'MEMORY_LIMIT_EXCEEDED', 'RUNTIME_ERROR', 'COMPILATION_ERROR', 'INTERNAL_ERROR'],
     default: 'PENDING'
   },
   score: {
@@ -61,10 +67,22 @@ const submissionSchema = new mongoose.Schema({
   testcaseResults: [{
     testcaseId: mongoose.Schema.Types.ObjectId,
     passed: Boolean,
+    verdict: String,
+    statusId: Number,
+    score: Number,
+    checkerMessage: String,
     executionTime: Number,
     memoryUsed: Number,
     error: String
   }],
+  subtaskResults: [{
+    name: String,
+    score: Number,
+    maxScore: Number,
+    passed: Boolean,
+    testcasesPassed: Number,
+    totalTestcases: Number
+  }],
   submittedAt: {
     type: Date,
     default: Date.now
@@ -76,6 +94,7 @@ const submissionSchema = new mongoose.Schema({
 // Indexes
 submissionSchema.index({ userId: 1, contestId: 1, problemId: 1 });
 submissionSchema.index({ contestId: 1, verdict: 1 });
+submissionSchema.index({ teamId: 1, problemId: 1 }, { partialFilterExpression: { teamId: { $type: 'objectId' } } });
 
 const Submission = mongoose.model('Submission', submissionSchema);
 
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A team entered in one team-mode contest. Members join with the join code or
+// by accepting the captain's invite, and are fixed once the contest starts.
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    minlength: 2,
+    maxlength: 50
+  },
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  joinCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invites: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+teamSchema.index({ contestId: 1, members: 1 });
+teamSchema.index({ contestId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+teamSchema.index({ 'invites.userId': 1 });
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
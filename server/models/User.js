@@ -1,5 +1,9 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
+export const EMAIL_VERIFICATION_TTL_HOURS = 24;
+export const PASSWORD_RESET_TTL_MINUTES = 60;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -42,6 +46,28 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only SHA-256 hashes of emailed tokens are stored; each is cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Part of every access token; incrementing it signs the user out everywhere
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   contestsParticipated: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contest'
@@ -53,6 +79,35 @@ const userSchema = new mongoose.Schema({
   rank: {
     type: Number,
     default: null
+  },
+  // Codeforces-style rating, updated when a rated contest ends
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  maxRating: {
+    type: Number,
+    default: 1500
+  },
+  ratedContests: {
+    type: Number,
+    default: 0
+  },
+  // Moderation: banned users stay locked out until reinstated, suspended
+  // users until suspendedUntil passes
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'SUSPENDED', 'BANNED'],
+    default: 'ACTIVE'
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+    default: ''
   }
 }, {
   timestamps: true
@@ -61,6 +116,40 @@ const userSchema = new mongoose.Schema({
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ ratedContests: 1, rating: -1 });
+userSchema.index({ status: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Store a fresh verification token and return the raw value for the email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Store a fresh reset token, replacing any earlier one, and return the raw value
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Why the account may not sign in right now, or null when it may
+userSchema.methods.getAccessBlock = function(now = new Date()) {
+  const reason = this.statusReason ? `: ${this.statusReason}` : '';
+  if (this.status === 'BANNED') {
+    return `Your account has been banned${reason}`;
+  }
+  if (this.status === 'SUSPENDED' && this.suspendedUntil > now) {
+    return `Your account is suspended until ${this.suspendedUntil.toISOString()}${reason}`;
+  }
+  return null;
+};
 
 const User = mongoose.model('User', userSchema);
 
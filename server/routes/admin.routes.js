@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getAdminStats,
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  updateUserStatus
+} from '../controllers/admin.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+
+const router = express.Router();
+
+router.get('/stats', protect, adminOnly, getAdminStats);
+router.get('/users', protect, adminOnly, getUsers);
+router.get('/users/:userId', protect, adminOnly, getUserDetails);
+router.put('/users/:userId/role', protect, adminOnly, updateUserRole);
+router.put('/users/:userId/status', protect, adminOnly, updateUserStatus);
+
+export default router;
@@ -1,12 +1,33 @@
 import express from 'express';
-import { register, login, getMe, updateProfile } from '../controllers/auth.controller.js';
+import {
+  register,
+  login,
+  getMe,
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  changePassword
+} from '../controllers/auth.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
+router.put('/password', protect, changePassword);
 
 export default router;
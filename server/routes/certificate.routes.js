@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  verifyCertificateById,
+  downloadCertificate,
+  getMyCertificates,
+  getContestCertificates,
+  issueContestCertificates
+} from '../controllers/certificate.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+
+const router = express.Router();
+
+router.get('/me', protect, getMyCertificates);
+router.get('/verify/:certificateId', verifyCertificateById);
+router.get('/contest/:contestId', protect, adminOnly, getContestCertificates);
+router.post('/contest/:contestId', protect, adminOnly, issueContestCertificates);
+router.get('/:certificateId/pdf', downloadCertificate);
+
+export default router;
@@ -4,15 +4,23 @@ import {
   getCodingProblemById,
   createCodingProblem,
   updateCodingProblem,
-  deleteCodingProblem
+  deleteCodingProblem,
+  importCodingProblems,
+  exportContestProblems,
+  exportCodingProblem
 } from '../controllers/coding.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
 import { adminOnly } from '../middlewares/admin.middleware.js';
+import { contestAccess } from '../middlewares/contestAccess.middleware.js';
+import { singleFile } from '../middlewares/upload.middleware.js';
 
 const router = express.Router();
 
-router.get('/contest/:contestId', protect, getCodingProblemsByContest);
-router.get('/:id', protect, getCodingProblemById);
+router.get('/contest/:contestId', protect, contestAccess({ section: 'coding' }), getCodingProblemsByContest);
+router.get('/contest/:contestId/export', protect, adminOnly, exportContestProblems);
+router.get('/:id/export', protect, adminOnly, exportCodingProblem);
+router.get('/:id', protect, contestAccess({ section: 'coding', problemParam: 'id' }), getCodingProblemById);
+router.post('/import', protect, adminOnly, singleFile('file'), importCodingProblems);
 router.post('/', protect, adminOnly, createCodingProblem);
 router.put('/:id', protect, adminOnly, updateCodingProblem);
 router.delete('/:id', protect, adminOnly, deleteCodingProblem);
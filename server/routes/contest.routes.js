@@ -1,24 +1,37 @@
 import express from 'express';
 import {
   getAllContests,
+  getAllContestsAdmin,
   getContestById,
   createContest,
   updateContest,
   deleteContest,
+  cloneContest,
   registerForContest,
-  getMyContests
+  getMyContests,
+  getAttempt,
+  startSection,
+  finishSection
 } from '../controllers/contest.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
 import { adminOnly } from '../middlewares/admin.middleware.js';
+import { contestAccess } from '../middlewares/contestAccess.middleware.js';
 
 const router = express.Router();
 
 router.get('/', getAllContests);
 router.get('/my-contests', protect, getMyContests);
+router.get('/all', protect, adminOnly, getAllContestsAdmin);
 router.get('/:id', getContestById);
 router.post('/', protect, adminOnly, createContest);
 router.put('/:id', protect, adminOnly, updateContest);
 router.delete('/:id', protect, adminOnly, deleteContest);
+router.post('/:id/clone', protect, adminOnly, cloneContest);
 router.post('/:id/register', protect, registerForContest);
 
+// Participant attempt
+router.get('/:contestId/attempt', protect, contestAccess(), getAttempt);
+router.post('/:contestId/sections/:section/start', protect, contestAccess({ sectionParam: 'section', started: false }), startSection);
+router.post('/:contestId/sections/:section/finish', protect, contestAccess({ sectionParam: 'section' }), finishSection);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getContestTemplates,
+  createContestTemplate,
+  deleteContestTemplate
+} from '../controllers/contestTemplate.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, adminOnly, getContestTemplates);
+router.post('/', protect, adminOnly, createContestTemplate);
+router.delete('/:id', protect, adminOnly, deleteContestTemplate);
+
+export default router;
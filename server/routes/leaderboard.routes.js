@@ -1,17 +1,24 @@
 import express from 'express';
 import {
   getLeaderboard,
+  getLiveLeaderboard,
+  resolveLeaderboard,
   getUserRank,
   getContestStats,
+  getContestAnalytics,
   generateCertificate
 } from '../controllers/leaderboard.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
 
 const router = express.Router();
 
 router.get('/:contestId', getLeaderboard);
+router.get('/:contestId/live', protect, adminOnly, getLiveLeaderboard);
+router.post('/:contestId/resolve', protect, adminOnly, resolveLeaderboard);
 router.get('/:contestId/rank', protect, getUserRank);
 router.get('/:contestId/stats', getContestStats);
+router.get('/:contestId/analytics', protect, adminOnly, getContestAnalytics);
 router.post('/:contestId/certificate', protect, generateCertificate);
 
 export default router;
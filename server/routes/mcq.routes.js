@@ -2,17 +2,28 @@ import express from 'express';
 import {
   getMCQsByContest,
   submitMCQAnswers,
+  saveMCQDraft,
+  updateMCQRandomization,
+  importMCQs,
+  exportMCQs,
   createMCQ,
   updateMCQ,
   deleteMCQ
 } from '../controllers/mcq.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
 import { adminOnly } from '../middlewares/admin.middleware.js';
+import { contestAccess } from '../middlewares/contestAccess.middleware.js';
+import { singleFile } from '../middlewares/upload.middleware.js';
+import { draftLimiter } from '../middlewares/rateLimit.middleware.js';
 
 const router = express.Router();
 
-router.get('/contest/:contestId', protect, getMCQsByContest);
-router.post('/submit', protect, submitMCQAnswers);
+router.get('/contest/:contestId', protect, contestAccess({ section: 'mcq' }), getMCQsByContest);
+router.get('/export', protect, adminOnly, exportMCQs);
+router.post('/import', protect, adminOnly, singleFile('file'), importMCQs);
+router.put('/contest/:contestId/randomization', protect, adminOnly, updateMCQRandomization);
+router.put('/draft', protect, draftLimiter, contestAccess({ section: 'mcq' }), saveMCQDraft);
+router.post('/submit', protect, contestAccess({ section: 'mcq' }), submitMCQAnswers);
 router.post('/', protect, adminOnly, createMCQ);
 router.put('/:id', protect, adminOnly, updateMCQ);
 router.delete('/:id', protect, adminOnly, deleteMCQ);
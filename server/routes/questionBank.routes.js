@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getQuestionBanks,
+  getQuestionBankById,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank
+} from '../controllers/questionBank.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, adminOnly, getQuestionBanks);
+router.get('/:id', protect, adminOnly, getQuestionBankById);
+router.post('/', protect, adminOnly, createQuestionBank);
+router.put('/:id', protect, adminOnly, updateQuestionBank);
+router.delete('/:id', protect, adminOnly, deleteQuestionBank);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getRatingRanking,
+  getMyRatingHistory,
+  getUserRatingHistory
+} from '../controllers/rating.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', getRatingRanking);
+router.get('/me', protect, getMyRatingHistory);
+router.get('/users/:userId', getUserRatingHistory);
+
+export default router;
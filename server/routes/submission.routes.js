@@ -3,15 +3,30 @@ import {
   submitCode,
   getSubmissionsByProblem,
   getSubmissionById,
-  testRunCode
+  testRunCode,
+  rejudgeSubmission,
+  rejudgeProblem,
+  rejudgeContest,
+  getRejudgesByContest,
+  getRejudgeById
 } from '../controllers/submission.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+import { contestAccess } from '../middlewares/contestAccess.middleware.js';
 
 const router = express.Router();
 
-router.post('/', protect, submitCode);
-router.post('/test', protect, testRunCode);
+router.post('/', protect, contestAccess({ section: 'coding' }), submitCode);
+router.post('/test', protect, contestAccess({ section: 'coding' }), testRunCode);
 router.get('/problem/:problemId', protect, getSubmissionsByProblem);
+
+// Rejudges (admin)
+router.post('/rejudges/submission/:submissionId', protect, adminOnly, rejudgeSubmission);
+router.post('/rejudges/problem/:problemId', protect, adminOnly, rejudgeProblem);
+router.post('/rejudges/contest/:contestId', protect, adminOnly, rejudgeContest);
+router.get('/rejudges/contest/:contestId', protect, adminOnly, getRejudgesByContest);
+router.get('/rejudges/:id', protect, adminOnly, getRejudgeById);
+
 router.get('/:id', protect, getSubmissionById);
 
 export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getMyTeam,
+  getContestTeams,
+  createContestTeam,
+  joinTeam,
+  inviteToTeam,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  leaveTeam,
+  removeTeamMember
+} from '../controllers/team.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { adminOnly } from '../middlewares/admin.middleware.js';
+
+const router = express.Router();
+
+router.get('/invites', protect, getMyInvites);
+router.post('/join', protect, joinTeam);
+router.get('/contest/:contestId/mine', protect, getMyTeam);
+router.get('/contest/:contestId', protect, adminOnly, getContestTeams);
+router.post('/contest/:contestId', protect, createContestTeam);
+router.post('/:teamId/invites', protect, inviteToTeam);
+router.post('/:teamId/invites/accept', protect, acceptInvite);
+router.post('/:teamId/invites/decline', protect, declineInvite);
+router.post('/:teamId/leave', protect, leaveTeam);
+router.delete('/:teamId/members/:userId', protect, removeTeamMember);
+
+export default router;
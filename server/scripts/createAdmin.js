@@ -17,6 +17,7 @@ const userSchema = new mongoose.Schema({
     role: { type: String, default: 'USER' },
     college: String,
     phone: String,
+    isVerified: { type: Boolean, default: false },
     contestsRegistered: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }],
     contestsCompleted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contest' }]
 }, { timestamps: true });
@@ -54,7 +55,8 @@ async function createAdmin() {
                 password: hashedPassword,
                 role: 'ADMIN',
                 college: 'Koding Kulture',
-                phone: ''
+                phone: '',
+                isVerified: true
             });
 
             console.log('✅ Admin user created successfully!');
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import CodingProblem from '../models/CodingProblem.js';
+import { MAX_TIME_LIMIT } from '../services/judging.service.js';
+
+dotenv.config();
+
+// Problems saved while the admin form took milliseconds hold values like 2000.
+// Judging already reads those as milliseconds; this rewrites them in seconds
+// so the form shows the real limit.
+async function migrateTimeLimits() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const result = await CodingProblem.updateMany(
+            { timeLimit: { $gt: MAX_TIME_LIMIT } },
+            [{ $set: { timeLimit: { $min: [{ $divide: ['$timeLimit', 1000] }, MAX_TIME_LIMIT] } } }]
+        );
+
+        console.log(`✅ Converted ${result.modifiedCount} time limits from milliseconds to seconds`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+migrateTimeLimits();
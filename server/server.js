@@ -4,6 +4,8 @@ dotenv.config();
 import app from './app.js';
 import connectDB from './config/db.js';
 import { startCronJobs } from './utils/cronJobs.js';
+import { startJudgeWorker } from './services/judgeQueue.service.js';
+import { attachRealtime } from './services/realtime.service.js';
 
 const PORT = process.env.PORT || 5000;
 
@@ -13,8 +15,11 @@ connectDB();
 // Start cron jobs
 startCronJobs();
 
+// Start judge worker
+startJudgeWorker();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
   ╔═══════════════════════════════════════╗
   ║   🚀 Contest Platform Server          ║
@@ -25,6 +30,9 @@ app.listen(PORT, () => {
   `);
 });
 
+// WebSocket channel for live verdicts, leaderboards and contest status
+attachRealtime(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('❌ Unhandled Rejection:', err);
@@ -0,0 +1,286 @@
+import Result from '../models/Result.js';
+import MCQ from '../models/MCQ.js';
+import CodingProblem from '../models/CodingProblem.js';
+import Submission from '../models/Submission.js';
+
+const FINISHED_STATUSES = ['SUBMITTED', 'EVALUATED'];
+const HISTOGRAM_BINS = 10;
+const TIMELINE_BUCKETS = 12;
+const QUESTION_PREVIEW_LENGTH = 120;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const ratio = (part, whole) => (whole > 0 ? round(part / whole, 4) : 0);
+
+// @desc    Equal-width histogram over [min, max]; the last bin includes max
+export const histogram = (values, min, max, bins = HISTOGRAM_BINS) => {
+  const upper = max > min ? max : min + 1;
+  const width = (upper - min) / bins;
+
+  const buckets = Array.from({ length: bins }, (_, index) => ({
+    from: round(min + index * width),
+    to: round(min + (index + 1) * width),
+    count: 0
+  }));
+  for (const value of values) {
+    const index = Math.min(bins - 1, Math.max(0, Math.floor((value - min) / width)));
+    buckets[index].count++;
+  }
+  return buckets;
+};
+
+// @desc    Histograms of total, MCQ and coding scores over finished results
+const buildScoreDistribution = (contest, finished) => {
+  const mcqMarks = contest.sections?.mcq?.totalMarks || 0;
+  const codingMarks = contest.sections?.coding?.totalMarks || 0;
+
+  const distribution = (field, marks) => {
+    const values = finished.map(result => result[field] || 0);
+    // Negative marking can push scores below zero
+    return histogram(values, Math.min(0, ...values), Math.max(marks, ...values));
+  };
+
+  return {
+    total: distribution('totalScore', mcqMarks + codingMarks),
+    mcq: distribution('mcqScore', mcqMarks),
+    coding: distribution('codingScore', codingMarks)
+  };
+};
+
+// @desc    Correctness and option picks per MCQ, including questions drawn from banks
+const buildMCQStats = async (contest, mcqSubmitted) => {
+  const match = { $match: { contestId: contest._id } };
+
+  const [answerStats, optionStats, setCounts] = await Promise.all([
+    Result.aggregate([
+      match,
+      { $unwind: '$mcqAnswers' },
+      {
+        $group: {
+          _id: '$mcqAnswers.questionId',
+          answered: { $sum: 1 },
+          correct: { $sum: { $cond: ['$mcqAnswers.isCorrect', 1, 0] } },
+          averageMarks: { $avg: '$mcqAnswers.marksAwarded' },
+          averageTime: { $avg: '$mcqAnswers.timeTaken' }
+        }
+      }
+    ]),
+    Result.aggregate([
+      match,
+      { $unwind: '$mcqAnswers' },
+      { $unwind: '$mcqAnswers.selectedOptions' },
+      {
+        $group: {
+          _id: { questionId: '$mcqAnswers.questionId', option: '$mcqAnswers.selectedOptions' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Result.aggregate([
+      match,
+      { $unwind: '$mcqSet' },
+      { $group: { _id: '$mcqSet.questionId', shown: { $sum: 1 } } }
+    ])
+  ]);
+
+  const answers = new Map(answerStats.map(stat => [stat._id.toString(), stat]));
+  const shown = new Map(setCounts.map(stat => [stat._id.toString(), stat.shown]));
+  const picks = new Map();
+  for (const { _id, count } of optionStats) {
+    picks.set(`${_id.questionId}:${_id.option}`, count);
+  }
+
+  const mcqs = await MCQ.find({
+    $or: [{ contestId: contest._id }, { _id: { $in: answerStats.map(stat => stat._id) } }]
+  })
+    .select('question type options category difficulty marks order')
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+
+  return mcqs.map(mcq => {
+    const id = mcq._id.toString();
+    const stat = answers.get(id) || { answered: 0, correct: 0, averageMarks: null, averageTime: null };
+    // Without per-participant sets everyone who submitted saw every contest question
+    const seen = setCounts.length > 0 ? shown.get(id) || 0 : mcqSubmitted;
+
+    return {
+      questionId: mcq._id,
+      question: mcq.question.length > QUESTION_PREVIEW_LENGTH
+        ? `${mcq.question.slice(0, QUESTION_PREVIEW_LENGTH)}…`
+        : mcq.question,
+      type: mcq.type,
+      category: mcq.category,
+      difficulty: mcq.difficulty,
+      marks: mcq.marks,
+      shown: seen,
+      answered: stat.answered,
+      skipped: Math.max(0, seen - stat.answered),
+      correct: stat.correct,
+      correctRate: ratio(stat.correct, stat.answered),
+      averageMarks: round(stat.averageMarks),
+      averageTime: round(stat.averageTime, 1),
+      options: (mcq.options || []).map((option, index) => ({
+        text: option.text,
+        isCorrect: option.isCorrect,
+        picks: picks.get(`${id}:${index}`) || 0
+      }))
+    };
+  });
+};
+
+// @desc    Per-problem attempts and accepts over time, solve times, languages and verdicts
+const buildCodingStats = async (contest, results) => {
+  const start = contest.startTime;
+  const length = Math.max(contest.endTime - contest.startTime, 60 * 1000);
+  const bucketSize = Math.ceil(length / TIMELINE_BUCKETS);
+  const match = { $match: { contestId: contest._id } };
+  const accepted = { $cond: [{ $eq: ['$verdict', 'ACCEPTED'] }, 1, 0] };
+
+  const [problems, totals, timeline, languages, verdicts] = await Promise.all([
+    CodingProblem.find({ contestId: contest._id }).select('title difficulty order').sort({ order: 1 }).lean(),
+    Submission.aggregate([
+      match,
+      {
+        $group: {
+          _id: '$problemId',
+          submissions: { $sum: 1 },
+          accepted: { $sum: accepted },
+          attempters: { $addToSet: '$userId' },
+          solvers: { $addToSet: { $cond: [{ $eq: ['$verdict', 'ACCEPTED'] }, '$userId', '$$REMOVE'] } }
+        }
+      },
+      { $project: { submissions: 1, accepted: 1, attempters: { $size: '$attempters' }, solvers: { $size: '$solvers' } } }
+    ]),
+    Submission.aggregate([
+      match,
+      {
+        $group: {
+          _id: {
+            problemId: '$problemId',
+            bucket: { $floor: { $divide: [{ $subtract: ['$submittedAt', start] }, bucketSize] } }
+          },
+          submissions: { $sum: 1 },
+          accepted: { $sum: accepted }
+        }
+      }
+    ]),
+    Submission.aggregate([
+      match,
+      { $group: { _id: '$language', submissions: { $sum: 1 }, accepted: { $sum: accepted } } },
+      { $sort: { submissions: -1 } }
+    ]),
+    Submission.aggregate([
+      match,
+      { $group: { _id: '$verdict', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  // Minutes from each solver's coding start, or the contest start, to their first accept
+  const solveTimes = new Map();
+  for (const result of results) {
+    const codingStart = result.sections?.coding?.startedAt || start;
+    for (const entry of result.codingSubmissions || []) {
+      if (!entry.solved || !entry.firstAcceptedAt) continue;
+      const id = entry.problemId.toString();
+      if (!solveTimes.has(id)) solveTimes.set(id, []);
+      solveTimes.get(id).push(Math.max(0, (entry.firstAcceptedAt - codingStart) / 60000));
+    }
+  }
+
+  const totalsByProblem = new Map(totals.map(total => [total._id.toString(), total]));
+  const timelineByProblem = new Map();
+  for (const { _id, submissions, accepted: acceptedCount } of timeline) {
+    // Late submissions, e.g. from an extended window, land in the last bucket
+    const bucket = Math.min(TIMELINE_BUCKETS - 1, Math.max(0, _id.bucket));
+    const id = _id.problemId.toString();
+    if (!timelineByProblem.has(id)) {
+      timelineByProblem.set(id, Array.from({ length: TIMELINE_BUCKETS }, (_, index) => ({
+        from: new Date(start.getTime() + index * bucketSize),
+        submissions: 0,
+        accepted: 0
+      })));
+    }
+    timelineByProblem.get(id)[bucket].submissions += submissions;
+    timelineByProblem.get(id)[bucket].accepted += acceptedCount;
+  }
+
+  return {
+    problems: problems.map(problem => {
+      const id = problem._id.toString();
+      const total = totalsByProblem.get(id) || { submissions: 0, accepted: 0, attempters: 0, solvers: 0 };
+      return {
+        problemId: problem._id,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        submissions: total.submissions,
+        accepted: total.accepted,
+        acceptanceRate: ratio(total.accepted, total.submissions),
+        attempters: total.attempters,
+        solvers: total.solvers,
+        medianSolveMinutes: round(median(solveTimes.get(id) || []), 1),
+        timeline: timelineByProblem.get(id) || []
+      };
+    }),
+    medianSolveMinutes: round(median([...solveTimes.values()].flat()), 1),
+    languages: languages.map(({ _id, submissions, accepted: acceptedCount }) => ({
+      language: _id,
+      submissions,
+      accepted: acceptedCount
+    })),
+    verdicts: verdicts.map(({ _id, count }) => ({ verdict: _id, count }))
+  };
+};
+
+// @desc    Detailed analytics for one contest
+export const buildContestAnalytics = async (contest) => {
+  const results = await Result.find({ contestId: contest._id })
+    .select('userId mcqScore codingScore totalScore status sections codingSubmissions')
+    .lean();
+  const finished = results.filter(result => FINISHED_STATUSES.includes(result.status));
+
+  const count = (predicate) => results.filter(predicate).length;
+  const mcqSubmitted = count(result => result.sections?.mcq?.submittedAt);
+
+  const [mcqs, coding, codingAttempters] = await Promise.all([
+    buildMCQStats(contest, mcqSubmitted),
+    buildCodingStats(contest, results),
+    Submission.distinct('userId', { contestId: contest._id })
+  ]);
+
+  // Where participants stop between registering and finishing
+  const funnel = [{ stage: 'Registered', count: contest.participants?.length || 0 }];
+  if (contest.sections?.mcq?.enabled) {
+    funnel.push(
+      { stage: 'Started MCQ', count: count(result => result.sections?.mcq?.startedAt) },
+      { stage: 'Submitted MCQ', count: mcqSubmitted }
+    );
+  }
+  if (contest.sections?.coding?.enabled) {
+    funnel.push(
+      { stage: 'Started coding', count: count(result => result.sections?.coding?.startedAt) },
+      { stage: 'Submitted code', count: codingAttempters.length },
+      { stage: 'Submitted coding', count: count(result => result.sections?.coding?.submittedAt) }
+    );
+  }
+  funnel.push({ stage: 'Finished', count: finished.length });
+
+  return {
+    contestTitle: contest.title,
+    participants: contest.participants?.length || 0,
+    finished: finished.length,
+    averageScore: round(finished.reduce((sum, result) => sum + result.totalScore, 0) / (finished.length || 1)),
+    medianScore: round(median(finished.map(result => result.totalScore))),
+    scoreDistribution: buildScoreDistribution(contest, finished),
+    mcqs,
+    coding,
+    funnel
+  };
+};
@@ -0,0 +1,164 @@
+import Result from '../models/Result.js';
+import { scheduleLeaderboardRefresh } from './leaderboard.service.js';
+import { gradeMCQAnswers } from './mcqGrading.service.js';
+import { ensureQuestionSet } from './questionSet.service.js';
+import { getResultFilter } from './team.service.js';
+
+export const SECTIONS = ['mcq', 'coding'];
+
+// @desc    When a user's section closes: its duration after they started, capped by the contest end
+export const getSectionDeadline = (contest, startedAt, section) => {
+  const sectionEnd = new Date(new Date(startedAt).getTime() + contest.sections[section].duration * 60 * 1000);
+  return sectionEnd < contest.endTime ? sectionEnd : new Date(contest.endTime);
+};
+
+// @desc    Server-side view of a user's attempt; remaining time is never trusted from the client
+export const getAttemptState = (contest, result, now = new Date()) => {
+  const sections = {};
+
+  for (const section of SECTIONS) {
+    const config = contest.sections[section];
+    if (!config?.enabled) continue;
+
+    const window = result?.sections?.[section] || {};
+    const deadline = window.startedAt ? getSectionDeadline(contest, window.startedAt, section) : null;
+
+    let status = 'NOT_STARTED';
+    if (window.submittedAt) status = 'SUBMITTED';
+    else if (deadline && now >= deadline) status = 'EXPIRED';
+    else if (window.startedAt) status = 'IN_PROGRESS';
+
+    sections[section] = {
+      status,
+      duration: config.duration,
+      startedAt: window.startedAt || null,
+      submittedAt: window.submittedAt || null,
+      deadline,
+      remainingSeconds: status === 'IN_PROGRESS' ? Math.floor((deadline - now) / 1000) : 0
+    };
+  }
+
+  return {
+    status: result?.status || 'IN_PROGRESS',
+    serverTime: now,
+    sections
+  };
+};
+
+// @desc    Record the user's start of a section; starting twice keeps the first start
+// In team contests the first member to start starts the clock for the team.
+export const startSection = async (contest, userId, section) => {
+  const now = new Date();
+  const filter = await getResultFilter(contest._id, userId);
+
+  // Older registrations may not have a result yet; team results exist from team creation
+  if (!filter.teamId) {
+    await Result.updateOne(
+      filter,
+      { $setOnInsert: { status: 'IN_PROGRESS' } },
+      { upsert: true }
+    );
+  }
+
+  await Result.updateOne(
+    { ...filter, [`sections.${section}.startedAt`]: null },
+    { $set: { [`sections.${section}.startedAt`]: now } }
+  );
+  await Result.updateOne(
+    { ...filter, startedAt: null },
+    { $set: { startedAt: now } }
+  );
+
+  return Result.findOne(filter);
+};
+
+// @desc    Mark the whole attempt submitted once no section can change any more
+// That is when every enabled section is submitted, or the contest is over.
+export const completeAttempt = async (contest, resultId, now = new Date()) => {
+  const result = await Result.findById(resultId);
+  if (!result || result.status !== 'IN_PROGRESS') return result;
+
+  const enabled = SECTIONS.filter(section => contest.sections[section]?.enabled);
+  const windows = enabled.map(section => result.sections?.[section] || {});
+  const allSubmitted = windows.every(window => window.submittedAt);
+  const contestOver = now >= contest.endTime;
+
+  if (!allSubmitted && !contestOver) return result;
+  if (!windows.some(window => window.startedAt)) return result; // never took part
+
+  result.status = 'SUBMITTED';
+  result.submittedAt = windows.reduce(
+    (latest, window) => (window.submittedAt && window.submittedAt > latest ? window.submittedAt : latest),
+    result.startedAt || now
+  );
+  result.timeTaken = windows.reduce((total, window) => {
+    if (!window.startedAt || !window.submittedAt) return total;
+    return total + Math.round((window.submittedAt - window.startedAt) / 1000);
+  }, 0);
+  await result.save();
+
+  scheduleLeaderboardRefresh(contest._id);
+  return result;
+};
+
+// @desc    Close a user's section; answers after this point are rejected
+// Closing the MCQ section grades the given answers, or the autosaved draft,
+// against the user's own question set when the contest randomizes.
+// The conditional update locks the section, so only the first close counts.
+// Returns false when the section was already closed by someone else.
+export const submitSection = async (contest, resultId, section, submittedAt = new Date(), { answers = null } = {}) => {
+  const set = { [`sections.${section}.submittedAt`]: submittedAt };
+
+  if (section === 'mcq') {
+    const result = await Result.findById(resultId).select('userId mcqDraft mcqSet');
+    const mcqSet = await ensureQuestionSet(contest, result);
+    const { score, mcqAnswers } = await gradeMCQAnswers(
+      contest._id,
+      answers || result.mcqDraft?.answers || [],
+      mcqSet
+    );
+
+    set.mcqScore = score;
+    set.mcqAnswers = mcqAnswers;
+    set.totalScore = { $add: [score, '$codingScore'] };
+  }
+
+  // Pipeline form so totalScore can read the stored codingScore
+  const update = await Result.updateOne(
+    { _id: resultId, [`sections.${section}.submittedAt`]: null },
+    [{ $set: set }]
+  );
+
+  await completeAttempt(contest, resultId);
+  return update.modifiedCount > 0;
+};
+
+// @desc    Auto-submit sections whose time ran out, even if the browser was closed
+export const closeExpiredAttempts = async () => {
+  const now = new Date();
+  const results = await Result.find({
+    status: 'IN_PROGRESS',
+    $or: SECTIONS.map(section => ({ [`sections.${section}.startedAt`]: { $ne: null } }))
+  }).populate('contestId', 'sections endTime');
+
+  let closed = 0;
+  for (const result of results) {
+    const contest = result.contestId;
+    if (!contest) continue;
+
+    for (const section of SECTIONS) {
+      const window = result.sections?.[section];
+      if (!contest.sections[section]?.enabled || !window?.startedAt || window.submittedAt) continue;
+
+      const deadline = getSectionDeadline(contest, window.startedAt, section);
+      if (now >= deadline && await submitSection(contest, result._id, section, deadline)) {
+        closed++;
+      }
+    }
+
+    // Contests that ended with no open section still need the attempt closed
+    await completeAttempt(contest, result._id, now);
+  }
+
+  return closed;
+};
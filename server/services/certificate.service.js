@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import Certificate from '../models/Certificate.js';
+import { getLeaderboardSnapshot, isFrozen } from './leaderboard.service.js';
+
+const PLATFORM_NAME = 'Contest Platform';
+const BRAND_COLOR = '#FF6B35';
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+
+const getSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+export const getVerifyUrl = (certificateId) => `${process.env.CLIENT_URL}/verify/${certificateId}`;
+
+// @desc    HMAC over everything printed on the certificate
+// Member names are only signed when present, so individual certificates
+// issued before team contests existed still verify.
+const sign = (serial, fields) => crypto
+  .createHmac('sha256', getSecret())
+  .update([
+    serial,
+    fields.userId,
+    fields.contestId,
+    fields.userName,
+    fields.contestTitle,
+    fields.rank,
+    fields.participants,
+    fields.score,
+    fields.scoreLabel,
+    new Date(fields.issuedAt).toISOString(),
+    ...(fields.memberNames?.length ? [fields.memberNames.join(',')] : [])
+  ].join('|'))
+  .digest('hex')
+  .slice(0, 16)
+  .toUpperCase();
+
+// Certificate IDs look like CERT-<serial>-<signature>
+const parseCertificateId = (certificateId) => /^CERT-([0-9A-F]{10})-([0-9A-F]{16})$/.exec(certificateId);
+
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+};
+
+const formatScore = (entry, scoringMode) => {
+  if (scoringMode === 'ICPC') {
+    const problems = entry.solvedCount === 1 ? 'problem' : 'problems';
+    return `${entry.solvedCount || 0} ${problems} solved, ${entry.penalty || 0} penalty minutes`;
+  }
+  return `${entry.totalScore} points`;
+};
+
+// @desc    Why a contest cannot issue certificates yet, or null when it can
+export const getCertificateBlock = (contest, now = new Date()) => {
+  if (now < contest.endTime) {
+    return 'Certificates are available after the contest ends';
+  }
+  if (isFrozen(contest, now)) {
+    return 'Certificates are available once the final standings are published';
+  }
+  return null;
+};
+
+// @desc    Issue certificates from a contest's final standings
+// Picks results by resultIds, by rank (top N) or, with neither, everyone ranked.
+// A result keeps its certificate while rank and score hold; when a rejudge
+// changes them a new certificate is issued and the old one is revoked.
+export const issueCertificates = async (contest, { resultIds = null, top = null, issuedBy = null } = {}) => {
+  const { board } = await getLeaderboardSnapshot(contest._id);
+
+  const wanted = resultIds && new Set(resultIds.map(id => id.toString()));
+  const entries = board.leaderboard.filter(entry =>
+    entry.userId &&
+    (!wanted || wanted.has(entry._id.toString())) &&
+    (!top || entry.rank <= top)
+  );
+
+  const existing = await Certificate.find({
+    resultId: { $in: entries.map(entry => entry._id) },
+    revokedAt: null
+  });
+  const current = new Map(existing.map(certificate => [certificate.resultId.toString(), certificate]));
+
+  const kept = [];
+  const created = [];
+  const replaced = [];
+  const issuedAt = new Date();
+  for (const entry of entries) {
+    const team = entry.teamId;
+    const fields = {
+      resultId: entry._id,
+      userId: entry.userId._id.toString(),
+      contestId: contest._id.toString(),
+      userName: team ? team.name : entry.userId.name,
+      teamId: team?._id ?? null,
+      memberIds: team ? team.members.map(member => member._id) : [],
+      memberNames: team ? team.members.map(member => member.name) : [],
+      contestTitle: contest.title,
+      rank: entry.rank,
+      participants: board.leaderboard.length,
+      score: entry.totalScore,
+      scoreLabel: formatScore(entry, board.scoringMode),
+      issuedAt,
+      issuedBy
+    };
+
+    const previous = current.get(entry._id.toString());
+    const unchanged = previous && ['userName', 'contestTitle', 'rank', 'participants', 'score', 'scoreLabel']
+      .every(field => previous[field] === fields[field]) &&
+      previous.memberNames.join(',') === fields.memberNames.join(',');
+    if (unchanged) {
+      kept.push(previous);
+      continue;
+    }
+
+    const serial = crypto.randomBytes(5).toString('hex').toUpperCase();
+    const certificateId = `CERT-${serial}-${sign(serial, fields)}`;
+    created.push({ ...fields, certificateId });
+    if (previous) replaced.push({ _id: previous._id, replacedBy: certificateId });
+  }
+
+  const inserted = created.length ? await Certificate.insertMany(created) : [];
+  if (replaced.length) {
+    await Certificate.bulkWrite(replaced.map(({ _id, replacedBy }) => ({
+      updateOne: { filter: { _id }, update: { revokedAt: issuedAt, replacedBy } }
+    })));
+  }
+
+  const certificates = [...kept, ...inserted];
+  const issued = inserted.length;
+  return { certificates, issued, unchanged: certificates.length - issued };
+};
+
+// @desc    Look up a certificate and check its signature
+// Returns { valid, reason, certificate }; reason is NOT_FOUND, TAMPERED or REVOKED when invalid.
+export const verifyCertificate = async (certificateId) => {
+  const match = parseCertificateId(String(certificateId).toUpperCase());
+  const certificate = match && await Certificate.findOne({ certificateId: match[0] });
+  if (!certificate) {
+    return { valid: false, reason: 'NOT_FOUND', certificate: null };
+  }
+
+  const expected = Buffer.from(sign(match[1], {
+    ...certificate.toObject(),
+    userId: certificate.userId.toString(),
+    contestId: certificate.contestId.toString()
+  }));
+  if (!crypto.timingSafeEqual(expected, Buffer.from(match[2]))) {
+    return { valid: false, reason: 'TAMPERED', certificate: null };
+  }
+
+  if (certificate.revokedAt) {
+    return { valid: false, reason: 'REVOKED', certificate };
+  }
+
+  return { valid: true, reason: null, certificate };
+};
+
+// @desc    Render a certificate as a one-page landscape A4 PDF
+// Returns the ended PDFKit document, ready to pipe.
+export const createCertificatePdf = async (certificate) => {
+  const verifyUrl = getVerifyUrl(certificate.certificateId);
+  const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0,
+    info: {
+      Title: `${certificate.contestTitle} - ${certificate.userName}`,
+      Author: PLATFORM_NAME,
+      Subject: `Certificate ${certificate.certificateId}`
+    }
+  });
+  const { width, height } = doc.page;
+  const center = (text, y, options = {}) => doc.text(text, 60, y, { width: width - 120, align: 'center', ...options });
+  // Long names and titles shrink to stay on one line
+  const fitted = (text, size) => {
+    doc.fontSize(size);
+    while (size > 12 && doc.widthOfString(text) > width - 160) doc.fontSize(--size);
+    return doc;
+  };
+
+  // Frame
+  doc.rect(20, 20, width - 40, height - 40).lineWidth(6).stroke(BRAND_COLOR);
+  doc.rect(34, 34, width - 68, height - 68).lineWidth(1).stroke('#d1d5db');
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14);
+  center(PLATFORM_NAME.toUpperCase(), 70, { characterSpacing: 4 });
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(40);
+  center('Certificate of Achievement', 100);
+
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(15);
+  center('This certifies that', 172);
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold');
+  fitted(certificate.userName, 34);
+  center(certificate.userName, 200);
+  doc.moveTo(width / 2 - 160, 246).lineTo(width / 2 + 160, 246).lineWidth(1).stroke(BRAND_COLOR);
+
+  // Team certificates name the members under the team and push the rest down
+  let shift = 0;
+  if (certificate.memberNames?.length) {
+    const members = `Team members: ${certificate.memberNames.join(', ')}`;
+    doc.fillColor(TEXT_COLOR).font('Helvetica');
+    fitted(members, 13);
+    center(members, 256);
+    shift = 22;
+  }
+
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(15);
+  center('has successfully completed', 264 + shift);
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold');
+  fitted(certificate.contestTitle, 24);
+  center(certificate.contestTitle, 290 + shift);
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(16);
+  center(
+    certificate.rank
+      ? `securing ${ordinal(certificate.rank)} place of ${certificate.participants} with ${certificate.scoreLabel}`
+      : `with ${certificate.scoreLabel}`,
+    334 + shift
+  );
+
+  // Footer: issue date, signature line, QR code and ID
+  const footerY = height - 150;
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10).text('Issue Date', 80, footerY + 40);
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(13)
+    .text(new Date(certificate.issuedAt).toLocaleDateString('en-US', { dateStyle: 'long' }), 80, footerY + 56);
+
+  doc.moveTo(width / 2 - 100, footerY + 60).lineTo(width / 2 + 100, footerY + 60).lineWidth(1).stroke(TEXT_COLOR);
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11)
+    .text('Authorized Signature', width / 2 - 100, footerY + 68, { width: 200, align: 'center' });
+
+  doc.image(qrCode, width - 170, footerY - 10, { width: 90 });
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+    .text('Scan to verify', width - 170, footerY + 84, { width: 90, align: 'center' });
+  doc.fillColor(TEXT_COLOR).font('Courier').fontSize(8)
+    .text(certificate.certificateId, width - 290, footerY + 98, { width: 210, align: 'right' });
+
+  doc.end();
+  return doc;
+};
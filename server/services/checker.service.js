@@ -0,0 +1,115 @@
+import { executeBatch } from './executor.service.js';
+import { isFinished } from './judge0.service.js';
+
+const CHECKER_LIMITS = {
+  cpuTimeLimit: 5, // seconds
+  memoryLimit: 256000 // KB
+};
+
+const lines = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim()
+  .split('\n');
+
+const tokens = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+const sameTokens = (expected, output, equals) => {
+  const expectedTokens = tokens(expected);
+  const outputTokens = tokens(output);
+
+  if (expectedTokens.length !== outputTokens.length) return false;
+  return expectedTokens.every((token, index) => equals(token, outputTokens[index]));
+};
+
+// @desc    Numbers match within the absolute or relative epsilon; other tokens must be equal
+const floatEquals = (absoluteEpsilon, relativeEpsilon) => (expected, actual) => {
+  const a = Number(expected);
+  const b = Number(actual);
+
+  if (Number.isNaN(a) || Number.isNaN(b)) return expected === actual;
+
+  const diff = Math.abs(a - b);
+  return diff <= absoluteEpsilon || diff <= relativeEpsilon * Math.abs(a);
+};
+
+const COMPARATORS = {
+  EXACT: (expected, output) => lines(expected).join('\n') === lines(output).join('\n'),
+  TOKEN: (expected, output) => sameTokens(expected, output, (a, b) => a === b),
+  CASE_INSENSITIVE: (expected, output) => sameTokens(expected, output, (a, b) => a.toLowerCase() === b.toLowerCase()),
+  FLOAT: (expected, output, checker) => sameTokens(
+    expected,
+    output,
+    floatEquals(checker.absoluteEpsilon ?? 1e-6, checker.relativeEpsilon ?? 1e-6)
+  ),
+  UNORDERED_LINES: (expected, output) => {
+    const sort = (text) => lines(text).filter(Boolean).sort().join('\n');
+    return sort(expected) === sort(output);
+  }
+};
+
+// @desc    Whether the executor can compare output itself (Judge0's expected_output)
+export const usesJudgeComparison = (problem) => !problem.checker?.mode || problem.checker.mode === 'EXACT';
+
+// @desc    Parse a custom checker's stdout
+// The first token is AC, WA or PARTIAL followed by a score between 0 and 1;
+// anything after that is a message shown to admins.
+const parseCheckerOutput = (stdout) => {
+  const [verdictToken, ...rest] = tokens(stdout);
+
+  switch ((verdictToken || '').toUpperCase()) {
+    case 'AC':
+      return { score: 1, message: rest.join(' ') || null };
+    case 'WA':
+      return { score: 0, message: rest.join(' ') || null };
+    case 'PARTIAL': {
+      const score = Number(rest[0]);
+      if (Number.isNaN(score) || score < 0 || score > 1) {
+        return { error: `Checker returned an invalid partial score: ${rest[0]}` };
+      }
+      return { score, message: rest.slice(1).join(' ') || null };
+    }
+    default:
+      return { error: `Checker returned an unknown verdict: ${verdictToken || '(empty)'}` };
+  }
+};
+
+// @desc    Check contestant outputs for a problem's testcases
+// cases: [{ input, expected, output }]
+// Returns [{ score (0..1), message, error }] in the same order; `error` is
+// set when the checker itself failed, which is a judge fault, not a WA.
+export const checkOutputs = async (problem, cases) => {
+  const checker = problem.checker || {};
+  const mode = checker.mode || 'EXACT';
+
+  if (mode !== 'CUSTOM') {
+    const compare = COMPARATORS[mode];
+    return cases.map(({ expected, output }) => ({
+      score: compare(expected, output, checker) ? 1 : 0,
+      message: null
+    }));
+  }
+
+  if (cases.length === 0) return [];
+
+  const results = await executeBatch(cases.map(({ input, expected, output }) => ({
+    sourceCode: checker.sourceCode,
+    languageId: checker.languageId,
+    stdin: JSON.stringify({ input, expected, output }),
+    expectedOutput: null,
+    ...CHECKER_LIMITS
+  })));
+
+  return results.map((result) => {
+    if (!isFinished(result)) {
+      return { error: 'Checker did not finish on the judge' };
+    }
+    if (result.status.id !== 3) {
+      return {
+        error: `Checker failed (${result.status.description}): ${result.compile_output || result.stderr || result.message || ''}`.trim()
+      };
+    }
+    return parseCheckerOutput(result.stdout);
+  });
+};
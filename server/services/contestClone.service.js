@@ -0,0 +1,92 @@
+import Contest from '../models/Contest.js';
+import MCQ from '../models/MCQ.js';
+import CodingProblem from '../models/CodingProblem.js';
+
+const ONE_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// @desc    The reusable part of a contest: settings without dates, people or questions
+export const getContestLayout = (contest) => {
+  const { mcq = {}, coding = {} } = contest.sections || {};
+
+  return {
+    title: contest.title,
+    description: contest.description,
+    duration: contest.duration,
+    maxParticipants: contest.maxParticipants ?? null,
+    scoringMode: contest.scoringMode,
+    penaltyMinutes: contest.penaltyMinutes,
+    isRated: contest.isRated,
+    participationMode: contest.participationMode || 'INDIVIDUAL',
+    maxTeamSize: contest.maxTeamSize ?? 3,
+    sections: {
+      mcq: {
+        enabled: mcq.enabled,
+        duration: mcq.duration,
+        totalMarks: mcq.totalMarks,
+        drawRules: (mcq.drawRules || []).map(({ bankId, category, difficulty, count }) => ({
+          bankId, category, difficulty, count
+        })),
+        shuffle: mcq.shuffle
+      },
+      coding: {
+        enabled: coding.enabled,
+        duration: coding.duration,
+        totalMarks: coding.totalMarks
+      }
+    },
+    rules: [...(contest.rules || [])],
+    prizes: [...(contest.prizes || [])]
+  };
+};
+
+// Copies of questions start fresh: new ids, no owner, no judging stats
+const copyDocuments = (documents, contestId) => documents.map(document => {
+  const { _id, __v, createdAt, updatedAt, submissionCount, acceptedCount, ...fields } = document;
+  return { ...fields, contestId };
+});
+
+// @desc    Copy a contest with its MCQs and coding problems into an unpublished draft
+// Times keep their length and shift to startTime, or one week later by default.
+// Without transactions, a failed copy deletes whatever it already created.
+export const cloneContest = async (source, { title, startTime, includeQuestions = true, createdBy }) => {
+  const start = startTime ? new Date(startTime) : new Date(source.startTime.getTime() + ONE_WEEK);
+  const shift = start.getTime() - source.startTime.getTime();
+
+  const contest = await Contest.create({
+    ...getContestLayout(source),
+    title: title || `${source.title} (Copy)`,
+    banner: source.banner,
+    startTime: start,
+    endTime: new Date(source.endTime.getTime() + shift),
+    freezeTime: source.freezeTime ? new Date(source.freezeTime.getTime() + shift) : null,
+    status: 'UPCOMING',
+    isPublished: false,
+    createdBy
+  });
+
+  if (!includeQuestions) {
+    contest.sections.mcq.totalMarks = 0;
+    contest.sections.coding.totalMarks = 0;
+    await contest.save();
+    return { contest, mcqCount: 0, problemCount: 0 };
+  }
+
+  try {
+    const [mcqs, problems] = await Promise.all([
+      MCQ.find({ contestId: source._id }).lean(),
+      CodingProblem.find({ contestId: source._id }).lean()
+    ]);
+
+    await MCQ.insertMany(copyDocuments(mcqs, contest._id));
+    await CodingProblem.insertMany(copyDocuments(problems, contest._id));
+
+    return { contest, mcqCount: mcqs.length, problemCount: problems.length };
+  } catch (error) {
+    await Promise.all([
+      MCQ.deleteMany({ contestId: contest._id }),
+      CodingProblem.deleteMany({ contestId: contest._id }),
+      Contest.deleteOne({ _id: contest._id })
+    ]);
+    throw error;
+  }
+};
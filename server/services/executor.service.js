@@ -0,0 +1,32 @@
+import { judge0Executor } from './judge0.service.js';
+import { localExecutor } from './localExecutor.service.js';
+
+// Every executor exposes the same interface:
+//   execute({ sourceCode, languageId, stdin, expectedOutput, cpuTimeLimit, memoryLimit })
+//     -> { status: { id, description }, stdout, stderr, compile_output, time, memory }
+//   executeBatch(runs, onProgress) -> results in the same order as runs
+//     onProgress(finishedCount, totalCount) is called as results come in.
+//     Runs the backend could not finish keep status 1 (queued) or 2 (processing).
+// cpuTimeLimit is in seconds, memoryLimit and memory in KB, and status ids
+// follow Judge0 so mapStatusToVerdict works for every backend.
+const EXECUTORS = {
+  judge0: judge0Executor,
+  local: localExecutor
+};
+
+// @desc    Get the executor selected by CODE_EXECUTOR (default: judge0)
+export const getExecutor = () => {
+  const name = (process.env.CODE_EXECUTOR || 'judge0').toLowerCase();
+  const executor = EXECUTORS[name];
+
+  if (!executor) {
+    throw new Error(`Unknown CODE_EXECUTOR "${name}", expected one of: ${Object.keys(EXECUTORS).join(', ')}`);
+  }
+  return executor;
+};
+
+// @desc    Run code on the configured backend
+export const executeCode = (options) => getExecutor().execute(options);
+
+// @desc    Run several programs (e.g. every testcase of a submission) at once
+export const executeBatch = (runs, onProgress) => getExecutor().executeBatch(runs, onProgress);
@@ -1,39 +1,67 @@
 import judge0Client, { LANGUAGE_MAP } from '../config/judge0.js';
 
-// @desc    Submit code to Judge0
-// @route   POST /api/judge0/submit
-export const submitToJudge0 = async (sourceCode, languageId, input, expectedOutput) => {
-  try {
-    // Create submission
-    const response = await judge0Client.post('/submissions', {
-      source_code: sourceCode,
-      language_id: languageId,
-      stdin: input,
-      expected_output: expectedOutput,
-      cpu_time_limit: 2,
-      memory_limit: 256000 // 256 MB in KB
-    });
-
-    const token = response.data.token;
+const POLL_INITIAL_DELAY = 500; // ms
+const POLL_MAX_DELAY = 5000; // ms
+const POLL_BACKOFF = 1.5;
+const POLL_TIMEOUT = parseInt(process.env.JUDGE0_POLL_TIMEOUT, 10) || 120000; // ms
+const MAX_BATCH_SIZE = parseInt(process.env.JUDGE0_MAX_BATCH_SIZE, 10) || 20; // Judge0 default
+const RESULT_FIELDS = 'token,stdout,stderr,compile_output,message,status,time,memory';
+
+// Status > 2 means completed
+export const isFinished = (result) => result?.status?.id > 2;
+
+// @desc    Poll tokens with backoff until every one finishes or the timeout
+// hits. Tokens still queued/processing are returned with their last status.
+const pollTokens = async (tokens, onProgress) => {
+  const results = new Map();
+  const deadline = Date.now() + POLL_TIMEOUT;
+  let delay = POLL_INITIAL_DELAY;
+
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    const pending = tokens.filter(token => !isFinished(results.get(token)));
+    for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+      const chunk = pending.slice(i, i + MAX_BATCH_SIZE);
+      const response = await judge0Client.get('/submissions/batch', {
+        params: { tokens: chunk.join(','), fields: RESULT_FIELDS }
+      });
+      response.data.submissions.forEach((result, index) => results.set(chunk[index], result));
+    }
 
-    // Poll for result
-    let result;
-    let attempts = 0;
-    const maxAttempts = 10;
+    const finished = tokens.filter(token => isFinished(results.get(token))).length;
+    if (onProgress) onProgress(finished, tokens.length);
 
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+    if (finished === tokens.length || Date.now() + delay > deadline) break;
+    delay = Math.min(delay * POLL_BACKOFF, POLL_MAX_DELAY);
+  }
 
-      const resultResponse = await judge0Client.get(`/submissions/${token}`);
-      result = resultResponse.data;
+  return tokens.map(token => results.get(token) || { token, status: { id: 1, description: 'In Queue' } });
+};
 
-      if (result.status.id > 2) { // Status > 2 means completed
-        break;
-      }
+const toJudge0Submission = ({ sourceCode, languageId, stdin, expectedOutput, cpuTimeLimit = 2, memoryLimit = 256000 }) => ({
+  source_code: sourceCode,
+  language_id: languageId,
+  stdin,
+  expected_output: expectedOutput,
+  cpu_time_limit: cpuTimeLimit, // seconds
+  memory_limit: memoryLimit // KB
+});
 
-      attempts++;
-    }
+// @desc    Submit code to Judge0
+// @route   POST /api/judge0/submit
+export const submitToJudge0 = async (sourceCode, languageId, input, expectedOutput, limits = {}) => {
+  try {
+    // Create submission
+    const response = await judge0Client.post('/submissions', toJudge0Submission({
+      sourceCode,
+      languageId,
+      stdin: input,
+      expectedOutput,
+      ...limits
+    }));
 
+    const [result] = await pollTokens([response.data.token]);
     return result;
   } catch (error) {
     console.error('Judge0 submission error:', error);
@@ -42,31 +70,39 @@ export const submitToJudge0 = async (sourceCode, languageId, input, expectedOutp
 };
 
 // @desc    Batch submit to Judge0
-export const batchSubmitToJudge0 = async (submissions) => {
+// Results come back in submission order; unfinished ones keep status 1/2.
+export const batchSubmitToJudge0 = async (submissions, onProgress) => {
   try {
-    const response = await judge0Client.post('/submissions/batch', {
-      submissions
-    });
-
-    const tokens = response.data.map(s => s.token);
-
-    // Poll for results
-    await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-
-    const results = await Promise.all(
-      tokens.map(token => 
-        judge0Client.get(`/submissions/${token}`)
-          .then(res => res.data)
-      )
-    );
+    const tokens = [];
+    for (let i = 0; i < submissions.length; i += MAX_BATCH_SIZE) {
+      const response = await judge0Client.post('/submissions/batch', {
+        submissions: submissions.slice(i, i + MAX_BATCH_SIZE).map(toJudge0Submission)
+      });
+
+      const rejected = response.data.find(s => !s.token);
+      if (rejected) {
+        throw new Error(`Judge0 rejected batch submission: ${JSON.stringify(rejected)}`);
+      }
+      tokens.push(...response.data.map(s => s.token));
+    }
 
-    return results;
+    return await pollTokens(tokens, onProgress);
   } catch (error) {
     console.error('Judge0 batch submission error:', error);
     throw error;
   }
 };
 
+// @desc    Judge0 implementation of the code executor interface
+export const judge0Executor = {
+  name: 'judge0',
+
+  execute: ({ sourceCode, languageId, stdin, expectedOutput, cpuTimeLimit, memoryLimit }) =>
+    submitToJudge0(sourceCode, languageId, stdin, expectedOutput, { cpuTimeLimit, memoryLimit }),
+
+  executeBatch: (runs, onProgress) => batchSubmitToJudge0(runs, onProgress)
+};
+
 // @desc    Get Judge0 status
 export const getJudge0Status = async () => {
   try {
@@ -106,6 +142,9 @@ export const mapStatusToVerdict = (statusId) => {
       return 'TIME_LIMIT_EXCEEDED';
     case 6:
       return 'COMPILATION_ERROR';
+    case 13:
+    case 14:
+      return 'INTERNAL_ERROR';
     default:
       if (statusId >= 7 && statusId <= 12) {
         return 'RUNTIME_ERROR';
@@ -0,0 +1,148 @@
+import os from 'os';
+import JudgeJob from '../models/JudgeJob.js';
+import { judgeSubmission, markSubmissionFailed } from './judging.service.js';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL = parseInt(process.env.JUDGE_POLL_INTERVAL, 10) || 1000; // ms
+const CONCURRENCY = parseInt(process.env.JUDGE_WORKER_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.JUDGE_MAX_ATTEMPTS, 10) || 3;
+const LOCK_TIMEOUT = parseInt(process.env.JUDGE_LOCK_TIMEOUT, 10) || 10 * 60 * 1000; // ms
+const RETRY_BASE_DELAY = 5000; // ms, doubled on every retry
+
+let pollTimer = null;
+let polling = false;
+let activeJobs = 0;
+
+// @desc    Queue a submission for judging
+export const enqueueSubmission = async (submissionId) => {
+  return JudgeJob.create({
+    submissionId,
+    maxAttempts: MAX_ATTEMPTS
+  });
+};
+
+// @desc    Queue already judged submissions to run again
+// submissions: [{ _id, verdict, score }] as they were before the rejudge
+// The jobs are held (runAt null) until releaseRejudge, so no worker picks one
+// up before its submission has been reset to PENDING.
+export const enqueueRejudge = async (rejudgeId, submissions) => {
+  return JudgeJob.insertMany(submissions.map(submission => ({
+    submissionId: submission._id,
+    maxAttempts: MAX_ATTEMPTS,
+    runAt: null,
+    rejudgeId,
+    previousVerdict: submission.verdict,
+    previousScore: submission.score
+  })));
+};
+
+// @desc    Let a rejudge's held jobs run
+export const releaseRejudge = async (rejudgeId) => {
+  return JudgeJob.updateMany({ rejudgeId, status: 'QUEUED', runAt: null }, { runAt: new Date() });
+};
+
+// @desc    Atomically claim the next job that is due
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return JudgeJob.findOneAndUpdate(
+    { status: 'QUEUED', runAt: { $lte: now } },
+    {
+      $set: { status: 'PROCESSING', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// @desc    Put jobs whose worker died mid-run back in the queue
+// Rejudge jobs still held after the lock timeout lost their release to a
+// crash; releasing them lets their submissions finish either way.
+const releaseStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT);
+
+  await Promise.all([
+    JudgeJob.updateMany(
+      {
+        status: 'PROCESSING',
+        lockedAt: { $lte: staleBefore }
+      },
+      {
+        $set: { status: 'QUEUED', lockedAt: null, lockedBy: null, runAt: new Date() }
+      }
+    ),
+    JudgeJob.updateMany(
+      { status: 'QUEUED', runAt: null, createdAt: { $lte: staleBefore } },
+      { $set: { runAt: new Date() } }
+    )
+  ]);
+};
+
+const runJob = async (job) => {
+  // A rejudged submission was already counted, so totals are rebuilt instead
+  const options = { recompute: Boolean(job.rejudgeId) };
+
+  try {
+    await judgeSubmission(job.submissionId, options);
+
+    job.status = 'COMPLETED';
+    job.completedAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+  } catch (error) {
+    console.error(`❌ Judge job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    job.lastError = error.message;
+    job.lockedAt = null;
+    job.lockedBy = null;
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = 'QUEUED';
+      job.runAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (job.attempts - 1));
+    } else {
+      job.status = 'FAILED';
+      job.completedAt = new Date();
+      await markSubmissionFailed(job.submissionId, `Judging failed: ${error.message}`, options);
+    }
+
+    await job.save();
+  }
+};
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    await releaseStaleJobs();
+
+    while (activeJobs < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+      });
+    }
+  } catch (error) {
+    console.error('❌ Judge queue poll error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+export const startJudgeWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(poll, POLL_INTERVAL);
+  console.log(`✅ Judge worker started (concurrency: ${CONCURRENCY})`);
+};
+
+export const stopJudgeWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,331 @@
+import Submission from '../models/Submission.js';
+import CodingProblem from '../models/CodingProblem.js';
+import Result from '../models/Result.js';
+import Contest from '../models/Contest.js';
+import { mapStatusToVerdict, isFinished } from './judge0.service.js';
+import { executeBatch } from './executor.service.js';
+import { checkOutputs, usesJudgeComparison } from './checker.service.js';
+import { publish } from './realtime.service.js';
+import { findParticipantResult } from './team.service.js';
+import { scheduleLeaderboardRefresh } from './leaderboard.service.js';
+import { JUDGED_FILTER, buildCodingEntries, applyScoring } from './scoring.service.js';
+
+// @desc    Push a submission event to its owner
+const publishSubmission = (submission, event, data = {}) => {
+  publish(`user:${submission.userId}`, event, {
+    submissionId: submission._id,
+    problemId: submission.problemId,
+    contestId: submission.contestId,
+    ...data
+  });
+};
+
+// Judge0's default max_cpu_time_limit, in seconds
+export const MAX_TIME_LIMIT = 15;
+
+// @desc    A problem's time limit in seconds
+// Problems saved before the form switched to seconds hold milliseconds (e.g.
+// 2000), which Judge0 rejects; anything above the maximum is read as such.
+export const getTimeLimitSeconds = (timeLimit) => timeLimit > MAX_TIME_LIMIT
+  ? Math.min(timeLimit / 1000, MAX_TIME_LIMIT)
+  : timeLimit;
+
+// @desc    Executor limits for a problem (timeLimit in seconds, memoryLimit in MB)
+export const getProblemLimits = (problem) => ({
+  cpuTimeLimit: getTimeLimitSeconds(problem.timeLimit),
+  memoryLimit: problem.memoryLimit * 1024 // KB
+});
+
+// @desc    Verdict for one finished testcase
+// Judges report memory-limit kills as runtime errors (or not at all), so the
+// reported peak memory is checked against the problem's limit directly.
+export const getTestcaseVerdict = (result, memoryLimitKB) => {
+  const verdict = mapStatusToVerdict(result.status.id);
+
+  if (verdict !== 'COMPILATION_ERROR' && verdict !== 'INTERNAL_ERROR' &&
+      memoryLimitKB && result.memory > memoryLimitKB) {
+    return 'MEMORY_LIMIT_EXCEEDED';
+  }
+  return verdict;
+};
+
+// @desc    Score IOI-style subtasks from testcase results
+// A subtask earns its score times the lowest credit among its own testcases
+// and its dependencies, so one failing case zeroes the whole group.
+export const scoreSubtasks = (problem, testcaseResults) => {
+  const credits = new Map(); // subtask name -> own credit in [0, 1]
+
+  for (const subtask of problem.subtasks) {
+    const results = problem.testcases
+      .map((testcase, index) => ({ testcase, result: testcaseResults[index] }))
+      .filter(({ testcase }) => testcase.subtask === subtask.name);
+
+    const credit = results.length === 0 ? 0 : Math.min(...results.map(({ testcase, result }) => {
+      if (result.passed) return 1;
+      // Partial checker credit, relative to the testcase's points
+      return testcase.points > 0 ? (result.score || 0) / testcase.points : 0;
+    }));
+
+    credits.set(subtask.name, {
+      credit,
+      testcasesPassed: results.filter(({ result }) => result.passed).length,
+      totalTestcases: results.length
+    });
+  }
+
+  const byName = new Map(problem.subtasks.map(st => [st.name, st]));
+  const effective = new Map();
+  const effectiveCredit = (name, seen = new Set()) => {
+    if (effective.has(name)) return effective.get(name);
+    if (seen.has(name)) return 0; // cycles are rejected on save; be safe anyway
+    seen.add(name);
+
+    const credit = Math.min(
+      credits.get(name).credit,
+      ...(byName.get(name).dependencies || []).map(dep => byName.has(dep) ? effectiveCredit(dep, seen) : 0)
+    );
+    effective.set(name, credit);
+    return credit;
+  };
+
+  return problem.subtasks.map(subtask => {
+    const credit = effectiveCredit(subtask.name);
+    return {
+      name: subtask.name,
+      score: subtask.score * credit,
+      maxScore: subtask.score,
+      passed: credit === 1,
+      testcasesPassed: credits.get(subtask.name).testcasesPassed,
+      totalTestcases: credits.get(subtask.name).totalTestcases
+    };
+  });
+};
+
+// @desc    Rebuild a problem's submission and accepted counts from its submissions
+export const recomputeProblemStats = async (problemId) => {
+  const [submissionCount, acceptedCount] = await Promise.all([
+    Submission.countDocuments({ problemId, ...JUDGED_FILTER }),
+    Submission.countDocuments({ problemId, verdict: 'ACCEPTED' })
+  ]);
+
+  await CodingProblem.updateOne({ _id: problemId }, { submissionCount, acceptedCount });
+};
+
+// @desc    Rebuild a participant's coding entries and scores from their submissions
+// Rebuilding from every judged submission keeps first-accept times and wrong
+// attempts right even when judging finishes out of submission order.
+// In team contests the team's result is rebuilt from every member's submissions.
+export const recomputeResult = async (userId, contestId) => {
+  const [result, contest] = await Promise.all([
+    findParticipantResult(contestId, userId),
+    Contest.findById(contestId).select('scoringMode penaltyMinutes startTime')
+  ]);
+  if (!result || !contest) return;
+
+  const owner = result.teamId ? { teamId: result.teamId } : { userId };
+  const submissions = await Submission.find({ ...owner, contestId, ...JUDGED_FILTER })
+    .select('problemId verdict score subtaskResults submittedAt')
+    .sort({ submittedAt: 1 });
+
+  result.codingSubmissions = buildCodingEntries(submissions);
+  applyScoring(result, contest);
+
+  // Pipeline form so an MCQ submit landing meanwhile keeps its score in the total
+  await Result.updateOne({ _id: result._id }, [{
+    $set: {
+      codingSubmissions: { $literal: result.codingSubmissions.map(entry => entry.toObject()) },
+      codingScore: result.codingScore,
+      solvedCount: result.solvedCount,
+      penalty: result.penalty,
+      totalScore: { $add: ['$mcqScore', result.codingScore] }
+    }
+  }]);
+  scheduleLeaderboardRefresh(contestId);
+};
+
+// @desc    Run a pending submission against its problem's testcases
+// Executor errors are not caught here so the queue can retry the job.
+// With `recompute`, problem stats and the result are rebuilt from all
+// submissions instead of counting this one on top (used by rejudges).
+export const judgeSubmission = async (submissionId, { recompute = false } = {}) => {
+  const submission = await Submission.findById(submissionId);
+  if (!submission) {
+    throw new Error(`Submission ${submissionId} not found`);
+  }
+
+  // Already judged by an earlier attempt. That attempt may have failed after
+  // saving the verdict, so bring the stats and the result up to date again.
+  if (submission.verdict !== 'PENDING') {
+    await recomputeProblemStats(submission.problemId);
+    await recomputeResult(submission.userId, submission.contestId);
+    return submission;
+  }
+
+  const problem = await CodingProblem.findById(submission.problemId);
+  if (!problem) {
+    throw new Error(`Problem ${submission.problemId} not found`);
+  }
+
+  const totalTestcases = problem.testcases.length;
+  publishSubmission(submission, 'submission:progress', {
+    testcasesJudged: 0,
+    totalTestcases
+  });
+
+  // All testcases go to the executor as one batch with the problem's limits.
+  // Non-exact comparison modes check the output here instead of on the judge.
+  const limits = getProblemLimits(problem);
+  const judgeCompares = usesJudgeComparison(problem);
+  const results = await executeBatch(
+    problem.testcases.map(testcase => ({
+      sourceCode: submission.sourceCode,
+      languageId: submission.languageId,
+      stdin: testcase.input,
+      expectedOutput: judgeCompares ? testcase.output : null,
+      ...limits
+    })),
+    (finished) => publishSubmission(submission, 'submission:progress', {
+      testcasesJudged: finished,
+      totalTestcases
+    })
+  );
+
+  const unfinished = [];
+  const testcaseResults = problem.testcases.map((testcase, index) => {
+    const result = results[index];
+
+    if (!isFinished(result)) {
+      unfinished.push(index + 1);
+      return {
+        testcaseId: testcase._id,
+        passed: false,
+        verdict: 'PENDING',
+        statusId: result?.status?.id ?? null,
+        error: 'Testcase did not finish on the judge'
+      };
+    }
+
+    const verdict = getTestcaseVerdict(result, limits.memoryLimit);
+    return {
+      testcaseId: testcase._id,
+      passed: verdict === 'ACCEPTED',
+      verdict,
+      statusId: result.status.id,
+      score: verdict === 'ACCEPTED' ? testcase.points : 0,
+      executionTime: result.time ? parseFloat(result.time) * 1000 : 0,
+      memoryUsed: result.memory || 0,
+      error: result.compile_output || result.stderr || result.message || null
+    };
+  });
+
+  // Keep the verdict PENDING and let the queue retry; the per-testcase
+  // results show exactly which cases the judge never finished.
+  if (unfinished.length > 0) {
+    submission.testcaseResults = testcaseResults;
+    await submission.save();
+    throw new Error(`${unfinished.length} testcase(s) still pending on the judge: #${unfinished.join(', #')}`);
+  }
+
+  if (!judgeCompares) {
+    const ran = testcaseResults
+      .map((testcaseResult, index) => ({ testcaseResult, index }))
+      .filter(({ testcaseResult }) => testcaseResult.verdict === 'ACCEPTED');
+
+    const checks = await checkOutputs(problem, ran.map(({ index }) => ({
+      input: problem.testcases[index].input,
+      expected: problem.testcases[index].output,
+      output: results[index].stdout || ''
+    })));
+
+    ran.forEach(({ testcaseResult, index }, i) => {
+      const check = checks[i];
+
+      if (check.error) {
+        testcaseResult.verdict = 'INTERNAL_ERROR';
+        testcaseResult.error = check.error;
+      } else {
+        testcaseResult.verdict = check.score === 1 ? 'ACCEPTED' : 'WRONG_ANSWER';
+        testcaseResult.checkerMessage = check.message;
+      }
+      testcaseResult.passed = testcaseResult.verdict === 'ACCEPTED';
+      testcaseResult.score = check.error ? 0 : problem.testcases[index].points * check.score;
+    });
+  }
+
+  const passedCount = testcaseResults.filter(t => t.passed).length;
+  const firstFailure = testcaseResults.find(t => !t.passed);
+  const subtaskResults = problem.subtasks?.length > 0
+    ? scoreSubtasks(problem, testcaseResults)
+    : [];
+  const totalScore = subtaskResults.length > 0
+    ? subtaskResults.reduce((sum, st) => sum + st.score, 0)
+    : testcaseResults.reduce((sum, t) => sum + (t.score || 0), 0);
+
+  // The first failing testcase decides the verdict
+  const finalVerdict = firstFailure ? firstFailure.verdict : 'ACCEPTED';
+
+  // Update submission
+  submission.verdict = finalVerdict;
+  submission.score = totalScore;
+  submission.testcasesPassed = passedCount;
+  submission.totalTestcases = totalTestcases;
+  submission.testcaseResults = testcaseResults;
+  submission.subtaskResults = subtaskResults;
+  submission.errorMessage = firstFailure?.error || firstFailure?.checkerMessage || null;
+  submission.executionTime = testcaseResults.reduce((max, t) => Math.max(max, t.executionTime || 0), 0);
+  submission.memoryUsed = testcaseResults.reduce((max, t) => Math.max(max, t.memoryUsed || 0), 0);
+  await submission.save();
+
+  if (recompute) {
+    await recomputeProblemStats(problem._id);
+    await recomputeResult(submission.userId, submission.contestId);
+  } else if (finalVerdict !== 'INTERNAL_ERROR') {
+    // Update problem stats; judge failures are not the contestant's attempt
+    await CodingProblem.updateOne(
+      { _id: problem._id },
+      { $inc: { submissionCount: 1, acceptedCount: finalVerdict === 'ACCEPTED' ? 1 : 0 } }
+    );
+
+    await recomputeResult(submission.userId, submission.contestId);
+  }
+
+  publishSubmission(submission, 'submission:verdict', {
+    verdict: submission.verdict,
+    score: submission.score,
+    testcasesPassed: submission.testcasesPassed,
+    totalTestcases: submission.totalTestcases,
+    executionTime: submission.executionTime,
+    memoryUsed: submission.memoryUsed
+  });
+
+  return submission;
+};
+
+// @desc    Mark a submission whose judging job ran out of retries
+export const markSubmissionFailed = async (submissionId, errorMessage, { recompute = false } = {}) => {
+  const submission = await Submission.findOneAndUpdate(
+    { _id: submissionId, verdict: 'PENDING' },
+    {
+      verdict: 'INTERNAL_ERROR',
+      errorMessage
+    },
+    { new: true }
+  );
+
+  if (submission && recompute) {
+    await recomputeProblemStats(submission.problemId);
+    await recomputeResult(submission.userId, submission.contestId);
+  }
+
+  if (submission) {
+    publishSubmission(submission, 'submission:verdict', {
+      verdict: submission.verdict,
+      score: submission.score,
+      testcasesPassed: submission.testcasesPassed,
+      totalTestcases: submission.totalTestcases,
+      errorMessage
+    });
+  }
+
+  return submission;
+};
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import Result from '../models/Result.js';
+import Contest from '../models/Contest.js';
+import CodingProblem from '../models/CodingProblem.js';
+import Submission from '../models/Submission.js';
+import { RANKING_KEYS, JUDGED_FILTER, buildCodingEntries, applyScoring } from './scoring.service.js';
+import { publish, hasSubscribers } from './realtime.service.js';
+import { saveContestRanks, updateUserTotals } from './rank.service.js';
+import { SECTIONS } from './attempt.service.js';
+
+const REFRESH_DEBOUNCE = 2000; // ms
+const SNAPSHOT_TTL = 60 * 1000; // ms, picks up changes no event reports, like a freeze starting
+const MAX_SNAPSHOTS = 100;
+
+const pendingRefreshes = new Map(); // contestId -> timeout
+const lastRanks = new Map(); // channel -> Map<resultId, rank>
+const lastScores = new Map(); // contestId -> Map<resultId, totalScore>
+const snapshots = new Map(); // "<contestId>:public|live" -> { board, etag, builtAt }
+const building = new Map(); // snapshot key -> promise, so concurrent misses build once
+
+// Leaderboard entries leave out answers, drafts and question sets
+const BOARD_FIELDS = 'userId teamId mcqScore codingScore codingSubmissions solvedCount penalty totalScore rank timeTaken sections status';
+
+// @desc    Assign ranks to sorted results; results equal on every ranking key share a rank
+export const assignRanks = (results, keys = RANKING_KEYS.POINTS) => {
+  const fields = Object.keys(keys);
+
+  results.forEach((result, i) => {
+    const prev = results[i - 1];
+    const tied = prev && fields.every(field => (result[field] ?? 0) === (prev[field] ?? 0));
+    result.rank = tied ? prev.rank : i + 1;
+  });
+  return results;
+};
+
+// @desc    Whether public standings are frozen right now
+// From freezeTime until the resolver has opened every cell, or an admin unfreezes.
+export const isFrozen = (contest, now = new Date()) =>
+  Boolean(contest?.freezeTime && now >= contest.freezeTime && !contest.unfrozenAt);
+
+const compareByKeys = (keys) => (a, b) => {
+  for (const [field, direction] of Object.entries(keys)) {
+    const diff = (a[field] ?? 0) - (b[field] ?? 0);
+    if (diff !== 0) return diff * direction;
+  }
+  return 0;
+};
+
+const cellKey = (resultId, problemId) => `${resultId}:${problemId}`;
+
+// Team submissions belong to the team's result, the rest to the submitter's
+const ownerKey = ({ teamId, userId }) => (teamId?._id || teamId || userId?._id || userId).toString();
+
+// @desc    Re-score results as of the freeze; later submissions show as pending
+// Cells the resolver has opened count every submission for that problem.
+// MCQ scores submitted after the freeze stay hidden until the board unfreezes.
+const applyFreeze = async (contest, results) => {
+  const submissions = await Submission.find({ contestId: contest._id })
+    .select('userId teamId problemId verdict score subtaskResults submittedAt')
+    .sort({ submittedAt: 1 })
+    .lean();
+
+  const byOwner = new Map();
+  for (const submission of submissions) {
+    const owner = ownerKey(submission);
+    if (!byOwner.has(owner)) byOwner.set(owner, []);
+    byOwner.get(owner).push(submission);
+  }
+
+  const revealed = new Set((contest.revealedCells || []).map(cell => cellKey(cell.resultId, cell.problemId)));
+  const unjudged = JUDGED_FILTER.verdict.$nin;
+
+  return results.map(result => {
+    const visible = [];
+    const pending = new Map(); // problemId -> submissions after the freeze
+
+    for (const submission of byOwner.get(ownerKey(result)) || []) {
+      const problemId = submission.problemId.toString();
+      if (submission.submittedAt < contest.freezeTime || revealed.has(cellKey(result._id, problemId))) {
+        if (!unjudged.includes(submission.verdict)) visible.push(submission);
+      } else {
+        pending.set(problemId, (pending.get(problemId) || 0) + 1);
+      }
+    }
+
+    const entries = buildCodingEntries(visible);
+    for (const [problemId, count] of pending) {
+      let entry = entries.find(e => e.problemId.toString() === problemId);
+      if (entry?.solved) continue; // nothing left to decide
+
+      if (!entry) {
+        entry = {
+          problemId, score: 0, attempts: 0, solved: false,
+          firstAcceptedAt: null, wrongAttempts: 0, subtaskScores: []
+        };
+        entries.push(entry);
+      }
+      entry.pending = count;
+    }
+
+    const mcqSubmittedAt = result.sections?.mcq?.submittedAt;
+    const mcqVisible = mcqSubmittedAt && mcqSubmittedAt < contest.freezeTime;
+
+    return applyScoring({
+      ...result,
+      mcqScore: mcqVisible ? result.mcqScore : 0,
+      codingSubmissions: entries
+    }, contest);
+  });
+};
+
+// Finished attempts plus everyone still competing who has opened a section
+const onBoardFilter = (contestId) => ({
+  contestId,
+  $or: [
+    { status: { $in: ['SUBMITTED', 'EVALUATED'] } },
+    {
+      status: 'IN_PROGRESS',
+      $or: SECTIONS.map(section => ({ [`sections.${section}.startedAt`]: { $ne: null } }))
+    }
+  ]
+});
+
+// @desc    Build the ranked leaderboard for a contest
+// Returns the contest's scoring mode and problem list alongside the entries so
+// clients can lay out per-problem columns. While the contest is frozen this is
+// the public view unless live is set.
+export const buildLeaderboard = async (contestId, { live = false } = {}) => {
+  const [contest, problems] = await Promise.all([
+    Contest.findById(contestId)
+      .select('scoringMode penaltyMinutes startTime endTime freezeTime unfrozenAt revealedCells')
+      .lean(),
+    CodingProblem.find({ contestId }).sort({ order: 1 }).select('title order').lean()
+  ]);
+  const scoringMode = contest?.scoringMode || 'POINTS';
+  const keys = RANKING_KEYS[scoringMode];
+  const frozen = !live && isFrozen(contest);
+
+  let results = await Result.find(onBoardFilter(contestId))
+    .select(BOARD_FIELDS)
+    .populate('userId', 'name email college avatar')
+    .populate({ path: 'teamId', select: 'name members', populate: { path: 'members', select: 'name college' } })
+    .sort(keys)
+    .lean();
+
+  if (frozen) {
+    results = (await applyFreeze(contest, results)).sort(compareByKeys(keys));
+  }
+
+  return {
+    scoringMode,
+    penaltyMinutes: contest?.penaltyMinutes ?? 20,
+    startTime: contest?.startTime,
+    endTime: contest?.endTime,
+    freezeTime: contest?.freezeTime || null,
+    frozen,
+    problems,
+    leaderboard: assignRanks(results, keys)
+  };
+};
+
+// @desc    Open the next frozen cell, ICPC-resolver style
+// Works from the bottom of the public board up: the lowest-ranked participant
+// with pending cells has their first pending problem opened. Once nothing is
+// pending the contest is marked unfrozen and null is returned.
+export const revealNextCell = async (contestId) => {
+  const board = await buildLeaderboard(contestId);
+  const problemOrder = new Map(board.problems.map((problem, index) => [problem._id.toString(), index]));
+
+  for (const entry of [...board.leaderboard].reverse()) {
+    const pending = entry.codingSubmissions
+      .filter(submission => submission.pending)
+      .sort((a, b) => (problemOrder.get(a.problemId.toString()) ?? Infinity) - (problemOrder.get(b.problemId.toString()) ?? Infinity));
+
+    if (pending.length > 0) {
+      const cell = { resultId: entry._id, problemId: pending[0].problemId };
+      await Contest.updateOne({ _id: contestId }, { $addToSet: { revealedCells: cell } });
+      return cell;
+    }
+  }
+
+  await Contest.updateOne({ _id: contestId, unfrozenAt: null }, { unfrozenAt: new Date() });
+  return null;
+};
+
+// Ranks last pushed per channel, to report who moved
+const diffRanks = (channel, leaderboard) => {
+  const previous = lastRanks.get(channel) || new Map();
+  const changes = [];
+  for (const entry of leaderboard) {
+    const id = entry._id.toString();
+    const from = previous.get(id) ?? null;
+    if (from !== entry.rank) {
+      changes.push({ resultId: id, userId: entry.userId?._id, from, to: entry.rank });
+    }
+  }
+  lastRanks.set(channel, new Map(leaderboard.map(e => [e._id.toString(), e.rank])));
+  return changes;
+};
+
+const storeSnapshot = (key, board) => {
+  const snapshot = {
+    board,
+    etag: crypto.createHash('sha1').update(JSON.stringify(board)).digest('hex').slice(0, 20),
+    builtAt: Date.now()
+  };
+
+  // Oldest first, so the least recently rebuilt contest is dropped
+  snapshots.delete(key);
+  snapshots.set(key, snapshot);
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+  return snapshot;
+};
+
+// @desc    The cached leaderboard for a contest, built on a miss; nothing is written
+// Returns { board, etag, builtAt }, or null for a contest that does not exist,
+// which is never cached.
+export const getLeaderboardSnapshot = async (contestId, { live = false } = {}) => {
+  const key = `${contestId}:${live ? 'live' : 'public'}`;
+
+  const cached = snapshots.get(key);
+  if (cached && Date.now() - cached.builtAt < SNAPSHOT_TTL) return cached;
+
+  if (!building.has(key)) {
+    building.set(key, Contest.exists({ _id: contestId })
+      .then(exists => exists && buildLeaderboard(contestId, { live }).then(board => storeSnapshot(key, board)))
+      .then(snapshot => snapshot || null)
+      .finally(() => building.delete(key)));
+  }
+  return building.get(key);
+};
+
+// @desc    Rebuild a contest's boards, save ranks and overall scores, and publish
+// extra is merged into the public payload, e.g. the cell a resolver step opened.
+// Admins following the live channel get the live board while the public one is frozen.
+export const refreshLeaderboard = async (contestId, extra = {}) => {
+  const key = contestId.toString();
+  clearTimeout(pendingRefreshes.get(key));
+  pendingRefreshes.delete(key);
+
+  try {
+    const board = await buildLeaderboard(key);
+    const live = board.frozen ? await buildLeaderboard(key, { live: true }) : board;
+    storeSnapshot(`${key}:public`, board);
+    storeSnapshot(`${key}:live`, live);
+
+    // Stored ranks are always the real ones; only the public view is frozen
+    await saveContestRanks(key, live.leaderboard);
+
+    const previousScores = lastScores.get(key);
+    const scored = live.leaderboard.filter(entry =>
+      previousScores?.get(entry._id.toString()) !== entry.totalScore && entry.userId
+    );
+    await updateUserTotals(key, scored.flatMap(entry =>
+      entry.teamId ? entry.teamId.members.map(member => member._id) : [entry.userId._id]
+    ));
+    lastScores.set(key, new Map(live.leaderboard.map(e => [e._id.toString(), e.totalScore])));
+
+    const channel = `contest:${key}`;
+    publish(channel, 'leaderboard:update', { contestId: key, ...board, ...extra, changes: diffRanks(channel, board.leaderboard) });
+
+    const adminChannel = `admin:contest:${key}`;
+    if (hasSubscribers(adminChannel)) {
+      publish(adminChannel, 'leaderboard:update', { contestId: key, ...live, changes: diffRanks(adminChannel, live.leaderboard) });
+    }
+  } catch (error) {
+    console.error('❌ Leaderboard refresh error:', error);
+  }
+};
+
+// @desc    Refresh a contest's leaderboard shortly after its results change
+// Bursts of result updates for one contest collapse into a single refresh.
+export const scheduleLeaderboardRefresh = (contestId) => {
+  const key = contestId.toString();
+  if (pendingRefreshes.has(key)) return;
+
+  pendingRefreshes.set(key, setTimeout(() => refreshLeaderboard(key), REFRESH_DEBOUNCE));
+};
@@ -0,0 +1,288 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { STATUS_MAP } from './judge0.service.js';
+
+// Runs code in a local subprocess with ulimit-based limits. This is meant for
+// offline contests and CI, it is not a security boundary like Judge0's isolate.
+const MAX_OUTPUT = parseInt(process.env.LOCAL_EXECUTOR_MAX_OUTPUT, 10) || 1024 * 1024; // bytes
+const COMPILE_TIME_LIMIT = parseInt(process.env.LOCAL_EXECUTOR_COMPILE_TIME_LIMIT, 10) || 15; // seconds
+const SAMPLE_INTERVAL = 20; // ms between /proc samples
+const CLOCK_TICKS = 100; // USER_HZ on Linux
+
+// Keyed by Judge0 language id so stored submissions run unchanged.
+// Runtimes that reserve large virtual address spaces (JVM, V8, Go) cannot run
+// under `ulimit -v`, so they rely on resident-memory sampling instead.
+const LANGUAGES = {
+  50: { file: 'main.c', compile: ['gcc', '-O2', '-std=c11', '-o', 'main', 'main.c', '-lm'], run: ['./main'], limitVirtualMemory: true },
+  54: { file: 'main.cpp', compile: ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp'], run: ['./main'], limitVirtualMemory: true },
+  62: { file: 'Main.java', compile: ['javac', 'Main.java'], run: ['java', '-Xss64m', '-cp', '.', 'Main'], limitVirtualMemory: false },
+  71: { file: 'main.py', run: ['python3', 'main.py'], limitVirtualMemory: true },
+  63: { file: 'main.js', run: ['node', 'main.js'], limitVirtualMemory: false },
+  60: { file: 'main.go', compile: ['go', 'build', '-o', 'main', 'main.go'], run: ['./main'], limitVirtualMemory: false },
+  73: { file: 'main.rs', compile: ['rustc', '-O', '-o', 'main', 'main.rs'], run: ['./main'], limitVirtualMemory: true }
+};
+
+const SIGNAL_STATUS = {
+  SIGSEGV: 7,
+  SIGXFSZ: 8,
+  SIGFPE: 9,
+  SIGABRT: 10,
+  SIGXCPU: 5
+};
+
+const quote = (arg) => `'${arg.replace(/'/g, `'\\''`)}'`;
+
+const buildResult = (statusId, fields = {}) => ({
+  status: { id: statusId, description: STATUS_MAP[statusId] },
+  stdout: null,
+  stderr: null,
+  compile_output: null,
+  message: null,
+  time: null,
+  memory: null,
+  ...fields
+});
+
+// @desc    Read peak resident memory (KB) and CPU time (s) of a running process
+const sampleProcess = (pid) => {
+  try {
+    const status = readFileSync(`/proc/${pid}/status`, 'utf8');
+    const peak = status.match(/VmHWM:\s+(\d+)/);
+
+    // utime and stime are fields 14 and 15, counted after the "(comm)" field
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const cpuTicks = parseInt(fields[11], 10) + parseInt(fields[12], 10);
+
+    return {
+      memory: peak ? parseInt(peak[1], 10) : null,
+      cpuTime: cpuTicks / CLOCK_TICKS
+    };
+  } catch (error) {
+    return null; // process already exited
+  }
+};
+
+// @desc    Spawn a command under resource limits and collect its output
+const runProcess = ({ command, cwd, stdin, cpuTimeLimit, wallTimeLimit, memoryLimit, limitVirtualMemory, limitFileSize }) => {
+  // The CPU rlimit is a backstop one second above the limit the sampler enforces
+  const limits = [`ulimit -t ${Math.ceil(cpuTimeLimit) + 1}`];
+  if (limitFileSize) {
+    limits.push(`ulimit -f ${Math.ceil(MAX_OUTPUT / 1024)}`);
+  }
+  if (memoryLimit && limitVirtualMemory) {
+    limits.push(`ulimit -v ${memoryLimit}`);
+  }
+  const script = `${limits.join('; ')}; exec ${command.map(quote).join(' ')}`;
+
+  return new Promise((resolve) => {
+    const startedAt = process.hrtime.bigint();
+    const child = spawn('sh', ['-c', script], {
+      cwd,
+      detached: true, // own process group, so the whole tree can be killed
+      env: { PATH: process.env.PATH, HOME: cwd, LANG: 'C.UTF-8' }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let outputSize = 0;
+    let killedFor = null;
+    let peakMemory = 0;
+    let cpuTime = 0;
+
+    const kill = (reason) => {
+      if (killedFor) return;
+      killedFor = reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // already gone
+      }
+    };
+
+    const collect = (chunk, isStdout) => {
+      outputSize += chunk.length;
+      if (outputSize > MAX_OUTPUT) {
+        return kill('OUTPUT');
+      }
+      if (isStdout) stdout += chunk;
+      else stderr += chunk;
+    };
+
+    child.stdout.on('data', chunk => collect(chunk, true));
+    child.stderr.on('data', chunk => collect(chunk, false));
+
+    const sampler = setInterval(() => {
+      const sample = sampleProcess(child.pid);
+      if (!sample) return;
+
+      peakMemory = Math.max(peakMemory, sample.memory || 0);
+      cpuTime = Math.max(cpuTime, sample.cpuTime);
+
+      if (memoryLimit && peakMemory > memoryLimit) kill('MEMORY');
+      else if (cpuTime > cpuTimeLimit) kill('TIME');
+    }, SAMPLE_INTERVAL);
+
+    const wallTimer = setTimeout(() => kill('TIME'), wallTimeLimit * 1000);
+
+    child.on('error', (error) => {
+      clearInterval(sampler);
+      clearTimeout(wallTimer);
+      resolve({ error });
+    });
+
+    child.on('close', (code, signal) => {
+      clearInterval(sampler);
+      clearTimeout(wallTimer);
+
+      const wallTime = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      resolve({
+        code,
+        signal,
+        killedFor,
+        stdout,
+        stderr,
+        memory: peakMemory || null,
+        // Short runs can finish between samples; fall back to wall time
+        time: cpuTime || wallTime
+      });
+    });
+
+    // Programs that never read stdin close the pipe early
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin || '');
+  });
+};
+
+const normalizeOutput = (output) => (output || '')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+// @desc    Map a finished run to a Judge0 status id
+// An empty expected output is still compared; only null/undefined skips it.
+const getStatusId = (run, expectedOutput, cpuTimeLimit) => {
+  if (run.killedFor === 'TIME' || run.time > cpuTimeLimit) return 5;
+  if (run.killedFor === 'OUTPUT') return 8;
+  if (run.killedFor === 'MEMORY') return 12;
+  if (run.signal === 'SIGKILL' && run.time >= cpuTimeLimit) return 5;
+  if (run.signal) return SIGNAL_STATUS[run.signal] || 12;
+  if (run.code !== 0) return 11;
+
+  if (expectedOutput === undefined || expectedOutput === null) {
+    return 3;
+  }
+  return normalizeOutput(run.stdout) === normalizeOutput(expectedOutput) ? 3 : 4;
+};
+
+// @desc    Write a program to its work dir and compile it
+// Returns null when it is ready to run, else the result every run of it gets.
+const prepareProgram = async (language, sourceCode, workDir) => {
+  await fs.writeFile(path.join(workDir, language.file), sourceCode);
+
+  if (language.compile) {
+    const compile = await runProcess({
+      command: language.compile,
+      cwd: workDir,
+      cpuTimeLimit: COMPILE_TIME_LIMIT,
+      wallTimeLimit: COMPILE_TIME_LIMIT * 2,
+      memoryLimit: null,
+      limitVirtualMemory: false
+    });
+
+    // sh exits with 127 when the compiler is not installed
+    if (compile.error || compile.code === 127) {
+      return buildResult(13, { message: `Compiler unavailable: ${compile.error?.message || compile.stderr}` });
+    }
+    if (compile.code !== 0 || compile.killedFor) {
+      return buildResult(6, { compile_output: compile.stderr || compile.stdout || 'Compilation failed' });
+    }
+  }
+
+  return null;
+};
+
+// @desc    Run an already compiled program on one input
+const runProgram = async (language, workDir, { stdin, expectedOutput, cpuTimeLimit = 2, wallTimeLimit, memoryLimit = 256000 }) => {
+  const run = await runProcess({
+    command: language.run,
+    cwd: workDir,
+    stdin,
+    cpuTimeLimit,
+    wallTimeLimit: wallTimeLimit || cpuTimeLimit * 3,
+    memoryLimit,
+    limitVirtualMemory: language.limitVirtualMemory,
+    limitFileSize: true
+  });
+
+  if (run.error || run.code === 127) {
+    return buildResult(13, { message: `Runtime unavailable: ${run.error?.message || run.stderr}` });
+  }
+
+  return buildResult(getStatusId(run, expectedOutput, cpuTimeLimit), {
+    stdout: run.stdout,
+    stderr: run.stderr || null,
+    time: run.time.toFixed(3),
+    memory: run.memory
+  });
+};
+
+export const localExecutor = {
+  name: 'local',
+
+  // @desc    Compile and run one program, returning a Judge0-shaped result
+  execute: async (options) => {
+    const [result] = await localExecutor.executeBatch([options]);
+    return result;
+  },
+
+  // @desc    Run testcases one after another; a local box has no judge farm
+  // Each distinct program in the batch is compiled once and reused for all of its runs.
+  executeBatch: async (runs, onProgress) => {
+    const results = new Array(runs.length);
+    const programs = new Map(); // language id + source -> indexes of its runs
+    runs.forEach((run, index) => {
+      const key = `${run.languageId}\0${run.sourceCode}`;
+      if (!programs.has(key)) programs.set(key, []);
+      programs.get(key).push(index);
+    });
+
+    let finished = 0;
+    const done = (index, result) => {
+      results[index] = result;
+      finished++;
+      if (onProgress) onProgress(finished, runs.length);
+    };
+
+    for (const indexes of programs.values()) {
+      const { sourceCode, languageId } = runs[indexes[0]];
+      const language = LANGUAGES[languageId];
+      if (!language) {
+        const unsupported = buildResult(13, { message: `Language ${languageId} is not supported by the local executor` });
+        indexes.forEach(index => done(index, unsupported));
+        continue;
+      }
+
+      let workDir = null;
+      try {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kk-run-'));
+        const failure = await prepareProgram(language, sourceCode, workDir);
+
+        for (const index of indexes) {
+          done(index, failure || await runProgram(language, workDir, runs[index]));
+        }
+      } catch (error) {
+        const failed = buildResult(13, { message: error.message });
+        indexes.filter(index => !results[index]).forEach(index => done(index, failed));
+      } finally {
+        if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+      }
+    }
+
+    return results;
+  }
+};
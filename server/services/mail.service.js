@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+const PLATFORM_NAME = 'Contest Platform';
+
+// @desc    Build the transport named by MAIL_TRANSPORT
+// file (default) writes each message as an .eml file to MAIL_OUTBOX_DIR;
+// smtp sends through SMTP_HOST, which defaults to a local stand-in such as
+// Mailpit or MailHog on port 1025.
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'file') => {
+  if (name === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return { name, send: (message) => transporter.sendMail(message) };
+  }
+
+  if (name === 'file') {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const outbox = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+    return {
+      name,
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+        const file = path.join(outbox, `${Date.now()}-${recipient}.eml`);
+        await fs.mkdir(outbox, { recursive: true });
+        await fs.writeFile(file, info.message);
+        return { ...info, file };
+      }
+    };
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected smtp or file`);
+};
+
+let transport = null;
+
+// @desc    Replace the mail transport, e.g. with an in-memory one in tests
+// Any object with send(message) works; pass null to go back to MAIL_TRANSPORT.
+export const setMailTransport = (custom) => {
+  transport = custom;
+};
+
+// @desc    Send one message through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  transport ??= createTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || `${PLATFORM_NAME} <no-reply@localhost>`,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain-text and HTML bodies with one call-to-action link
+const actionMail = ({ name, intro, action, url, outro }) => ({
+  text: `Hi ${name},\n\n${intro}\n\n${url}\n\n${outro}\n\n${PLATFORM_NAME}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>
+<p style="color:#6b7280">${escapeHtml(outro)}</p>
+<p>${PLATFORM_NAME}</p>`
+});
+
+// @desc    Email a link that verifies the user's address
+export const sendVerificationEmail = (user, token, expiresInHours) => sendMail({
+  to: user.email,
+  subject: `Verify your email for ${PLATFORM_NAME}`,
+  ...actionMail({
+    name: user.name,
+    intro: 'Please confirm your email address by opening the link below.',
+    action: 'Verify email',
+    url: `${process.env.CLIENT_URL}/verify-email/${token}`,
+    outro: `The link expires in ${expiresInHours} hours. If you did not create an account, ignore this email.`
+  })
+});
+
+// @desc    Email a single-use password reset link
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => sendMail({
+  to: user.email,
+  subject: `Reset your ${PLATFORM_NAME} password`,
+  ...actionMail({
+    name: user.name,
+    intro: 'We received a request to reset your password. Open the link below to choose a new one.',
+    action: 'Reset password',
+    url: `${process.env.CLIENT_URL}/reset-password/${token}`,
+    outro: `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for a reset, ignore this email.`
+  })
+});
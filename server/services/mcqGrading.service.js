@@ -0,0 +1,82 @@
+import MCQ from '../models/MCQ.js';
+import { resolveOptionOrder } from './questionSet.service.js';
+
+// @desc    Marks for one answer; unanswered questions score 0
+export const scoreAnswer = (mcq, { selectedOptions = [], value = null }) => {
+  const type = mcq.type || 'SINGLE';
+
+  if (type === 'NUMERIC' || type === 'INTEGER') {
+    if (value === null) return 0;
+    if (type === 'INTEGER' && !Number.isInteger(value)) return -mcq.negativeMarks;
+    // A little slack so 0.1 + 0.2 style float noise never flips a verdict
+    const withinTolerance = Math.abs(value - mcq.numericAnswer) <= (mcq.tolerance || 0) + 1e-9;
+    return withinTolerance ? mcq.marks : -mcq.negativeMarks;
+  }
+
+  if (selectedOptions.length === 0) return 0;
+
+  // Questions saved before correctAnswers was derived only mark their options
+  const correct = new Set(mcq.correctAnswers?.length > 0
+    ? mcq.correctAnswers
+    : (mcq.options || []).map((option, index) => (option.isCorrect ? index : null)).filter(i => i !== null));
+  const correctPicked = selectedOptions.filter(option => correct.has(option)).length;
+  const wrongPicked = selectedOptions.length - correctPicked;
+
+  if (wrongPicked === 0 && correctPicked === correct.size) return mcq.marks;
+
+  if (type === 'MULTIPLE' && mcq.partialCredit) {
+    const marks = (mcq.marks * correctPicked) / correct.size - (mcq.wrongOptionPenalty || 0) * wrongPicked;
+    return Math.max(Math.round(marks * 100) / 100, -mcq.negativeMarks);
+  }
+
+  return -mcq.negativeMarks;
+};
+
+// @desc    Grade MCQ answers against a contest's questions
+// answers: [{ questionId, selectedOptions, value, timeTaken }]; questions from other
+// contests are ignored and a repeated question counts once (last answer wins).
+// With a user's mcqSet only their drawn questions count, and selectedOptions are
+// the displayed positions, mapped back to the original options before scoring.
+export const gradeMCQAnswers = async (contestId, answers = [], mcqSet = null) => {
+  const latest = new Map();
+  for (const answer of answers) {
+    if (answer?.questionId) latest.set(answer.questionId.toString(), answer);
+  }
+
+  const setEntries = mcqSet ? new Map(mcqSet.map(entry => [entry.questionId.toString(), entry])) : null;
+  const filter = setEntries
+    ? { _id: { $in: [...latest.keys()].filter(id => setEntries.has(id)) } }
+    : { _id: { $in: [...latest.keys()] }, contestId };
+
+  const mcqs = await MCQ.find(filter)
+    .select('type options.isCorrect marks negativeMarks correctAnswers numericAnswer tolerance partialCredit wrongOptionPenalty');
+
+  let score = 0;
+  const mcqAnswers = [];
+
+  for (const mcq of mcqs) {
+    const answer = latest.get(mcq._id.toString());
+    const entry = setEntries?.get(mcq._id.toString());
+    const optionOrder = entry ? resolveOptionOrder(entry.optionOrder, mcq.options.length) : null;
+    const picks = (answer.selectedOptions || [])
+      .filter(Number.isInteger)
+      .map(option => (optionOrder ? optionOrder[option] : option))
+      .filter(option => option !== undefined);
+    const selectedOptions = [...new Set(picks)].sort((a, b) => a - b);
+    const value = typeof answer.value === 'number' && Number.isFinite(answer.value) ? answer.value : null;
+
+    const marksAwarded = scoreAnswer(mcq, { selectedOptions, value });
+
+    score += marksAwarded;
+    mcqAnswers.push({
+      questionId: mcq._id,
+      selectedOptions,
+      value,
+      isCorrect: marksAwarded === mcq.marks,
+      marksAwarded,
+      timeTaken: answer.timeTaken || 0
+    });
+  }
+
+  return { score, mcqAnswers };
+};
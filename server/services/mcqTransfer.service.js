@@ -0,0 +1,143 @@
+import MCQ, { CHOICE_TYPES } from '../models/MCQ.js';
+import { parseCSVObjects, toCSV } from '../utils/csv.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Fields carried between deployments; ids, owners and stats stay behind
+const MCQ_FIELDS = [
+  'type', 'question', 'options', 'numericAnswer', 'tolerance', 'marks', 'negativeMarks',
+  'partialCredit', 'wrongOptionPenalty', 'difficulty', 'category', 'explanation', 'order'
+];
+
+const CSV_COLUMNS = [
+  'type', 'question', 'correct', 'numericAnswer', 'tolerance', 'marks', 'negativeMarks',
+  'partialCredit', 'wrongOptionPenalty', 'difficulty', 'category', 'explanation', 'order'
+];
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+const toNumber = (value) => (value === undefined || value.trim() === '' ? undefined : Number(value));
+
+const toBoolean = (value) => ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+
+// "A;C" or "1;3" -> [0, 2]
+const parseCorrect = (value, optionCount) =>
+  String(value || '').split(';').map(token => token.trim().toUpperCase()).filter(Boolean).map(token => {
+    const index = /^[A-Z]$/.test(token) ? token.charCodeAt(0) - 65 : Number(token) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= optionCount) {
+      throw new Error(`"correct" refers to option "${token}" which does not exist`);
+    }
+    return index;
+  });
+
+// @desc    One CSV row to MCQ fields; option1..optionN columns, correct as letters or 1-based numbers
+const rowToMCQ = (row) => {
+  const optionTexts = Object.keys(row)
+    .filter(key => /^option\d+$/i.test(key))
+    .sort((a, b) => Number(a.slice(6)) - Number(b.slice(6)))
+    .map(key => row[key])
+    .filter(text => text.trim() !== '');
+
+  const type = row.type?.trim().toUpperCase() || 'SINGLE';
+  const correct = CHOICE_TYPES.includes(type) ? parseCorrect(row.correct, optionTexts.length) : [];
+
+  const data = {
+    type,
+    question: row.question,
+    options: optionTexts.map((text, index) => ({ text, isCorrect: correct.includes(index) })),
+    numericAnswer: toNumber(row.numericAnswer),
+    tolerance: toNumber(row.tolerance),
+    marks: toNumber(row.marks),
+    negativeMarks: toNumber(row.negativeMarks),
+    partialCredit: toBoolean(row.partialCredit),
+    wrongOptionPenalty: toNumber(row.wrongOptionPenalty),
+    difficulty: row.difficulty?.trim().toUpperCase() || undefined,
+    category: row.category?.trim().toUpperCase() || undefined,
+    explanation: row.explanation || undefined,
+    order: toNumber(row.order)
+  };
+
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
+const pickFields = (record) => {
+  const fields = Object.fromEntries(
+    MCQ_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+  );
+  if (Array.isArray(fields.options)) {
+    fields.options = fields.options.map(({ text, isCorrect }) => ({ text, isCorrect: Boolean(isCorrect) }));
+  }
+  return fields;
+};
+
+// @desc    Read MCQ rows from a CSV or JSON upload
+// Returns [{ row, data }] or [{ row, error }]; rows are numbered as the author sees them
+// (CSV line numbers after the header, JSON array positions from 1).
+export const parseMCQFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed.mcqs;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON must be an array of questions or { "mcqs": [...] }');
+    }
+    return records.map((record, index) => ({ row: index + 1, data: pickFields(record || {}) }));
+  }
+
+  return parseCSVObjects(text).map((row, index) => {
+    try {
+      return { row: index + 2, data: rowToMCQ(row) };
+    } catch (error) {
+      return { row: index + 2, error: error.message };
+    }
+  });
+};
+
+// @desc    Build MCQ documents for a contest or bank and collect every row's problems
+// Nothing is written; callers insert the documents only when errors is empty.
+export const validateMCQRows = async (rows, owner) => {
+  const documents = [];
+  const errors = [];
+
+  for (const { row, data, error } of rows) {
+    if (error) {
+      errors.push({ row, message: error });
+      continue;
+    }
+
+    const mcq = new MCQ({ ...data, ...owner });
+    try {
+      await mcq.validate(); // runs the type checks in the pre('validate') hook
+      documents.push(mcq);
+    } catch (validationError) {
+      errors.push({
+        row,
+        message: validationError.errors
+          ? Object.values(validationError.errors).map(e => e.message).join(', ')
+          : validationError.message
+      });
+    }
+  }
+
+  return { documents, errors };
+};
+
+// @desc    Serialize questions as CSV or JSON in the same shape the importer reads
+export const exportMCQs = (mcqs, format) => {
+  if (format === 'json') {
+    return JSON.stringify({ version: 1, mcqs: mcqs.map(mcq => pickFields(mcq.toObject())) }, null, 2);
+  }
+
+  const optionCount = Math.max(0, ...mcqs.map(mcq => mcq.options.length));
+  const optionColumns = Array.from({ length: optionCount }, (_, index) => `option${index + 1}`);
+
+  const records = mcqs.map(mcq => ({
+    ...pickFields(mcq.toObject()),
+    ...Object.fromEntries(mcq.options.map((option, index) => [`option${index + 1}`, option.text])),
+    correct: mcq.options.map((option, index) => (option.isCorrect ? optionLetter(index) : null)).filter(Boolean).join(';')
+  }));
+
+  const [type, question, ...rest] = CSV_COLUMNS;
+  return toCSV([type, question, ...optionColumns, ...rest], records);
+};
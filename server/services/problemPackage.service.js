@@ -0,0 +1,206 @@
+import path from 'path';
+import AdmZip from 'adm-zip';
+import CodingProblem from '../models/CodingProblem.js';
+
+const MAX_UNPACKED_SIZE = 200 * 1024 * 1024; // 200 MB, guards against zip bombs
+
+// problem.json fields; the statement and testcases live in their own files
+const PROBLEM_FIELDS = [
+  'title', 'inputFormat', 'outputFormat', 'constraints', 'examples', 'score', 'difficulty',
+  'timeLimit', 'memoryLimit', 'tags', 'order', 'subtasks', 'checker'
+];
+
+const byNaturalName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'problem';
+
+// @desc    Pair tests/NN.in with NN.ans or NN.out, or Polygon's tests/NN with NN.a
+const findTests = (files, prefix) => {
+  const tests = [];
+  const errors = [];
+
+  const names = [...files.keys()]
+    .filter(name => name.startsWith(`${prefix}tests/`))
+    .map(name => name.slice(`${prefix}tests/`.length))
+    .filter(name => !name.includes('/'));
+  const present = new Set(names);
+
+  for (const name of names.sort(byNaturalName)) {
+    let base = null;
+    let outputs = [];
+
+    if (name.endsWith('.in')) {
+      base = name.slice(0, -3);
+      outputs = [`${base}.ans`, `${base}.out`];
+    } else if (!name.includes('.')) {
+      base = name;
+      outputs = [`${base}.a`];
+    } else {
+      continue;
+    }
+
+    const output = outputs.find(candidate => present.has(candidate));
+    if (!output) {
+      errors.push(`tests/${name} has no matching ${outputs.join(' or ')} file`);
+      continue;
+    }
+
+    tests.push({ name: base, input: `${prefix}tests/${name}`, output: `${prefix}tests/${output}` });
+  }
+
+  return { tests, errors };
+};
+
+// @desc    Turn one package directory into CodingProblem fields
+const readPackage = (files, prefix) => {
+  const read = (name) => files.get(`${prefix}${name}`)?.getData().toString('utf8');
+  const errors = [];
+
+  let meta = {};
+  try {
+    meta = JSON.parse(read('problem.json'));
+  } catch (error) {
+    return { errors: [`problem.json is not valid JSON: ${error.message}`] };
+  }
+
+  if (meta === null || typeof meta !== 'object' || Array.isArray(meta)) {
+    return { errors: ['problem.json must contain a JSON object'] };
+  }
+
+  const problem = Object.fromEntries(
+    PROBLEM_FIELDS.filter(field => meta[field] !== undefined).map(field => [field, meta[field]])
+  );
+  problem.description = read('statement.md') ?? meta.description;
+
+  if (problem.checker?.mode === 'CUSTOM' && problem.checker.sourceFile) {
+    problem.checker.sourceCode = read(problem.checker.sourceFile);
+    if (problem.checker.sourceCode === undefined) {
+      errors.push(`Checker source ${problem.checker.sourceFile} is missing`);
+    }
+  }
+
+  const { tests, errors: testErrors } = findTests(files, prefix);
+  errors.push(...testErrors);
+  if (tests.length === 0 && testErrors.length === 0) {
+    errors.push('No testcases found under tests/');
+  }
+
+  // Without per-test points the problem score is split evenly
+  const testMeta = meta.tests || {};
+  const evenPoints = tests.length > 0 ? Math.round(((problem.score ?? 100) / tests.length) * 100) / 100 : 0;
+
+  problem.testcases = tests.map(test => ({
+    input: read(test.input.slice(prefix.length)),
+    output: read(test.output.slice(prefix.length)),
+    hidden: testMeta[test.name]?.hidden ?? true,
+    points: testMeta[test.name]?.points ?? evenPoints,
+    subtask: testMeta[test.name]?.subtask ?? null
+  }));
+
+  return { problem, errors };
+};
+
+// @desc    Read every problem package in a zip; a package is any directory holding problem.json
+// Returns [{ name, problem, errors }] in directory order. Throws for unreadable archives.
+export const readProblemPackages = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new Error('File is not a valid zip archive');
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'));
+  const unpackedSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (unpackedSize > MAX_UNPACKED_SIZE) {
+    throw new Error(`Archive unpacks to more than ${MAX_UNPACKED_SIZE / 1024 / 1024} MB`);
+  }
+
+  const files = new Map(entries.map(entry => [entry.entryName.replace(/\\/g, '/'), entry]));
+  const roots = [...files.keys()]
+    .filter(name => path.posix.basename(name) === 'problem.json')
+    .map(name => name.slice(0, -'problem.json'.length))
+    .sort(byNaturalName);
+
+  if (roots.length === 0) {
+    throw new Error('No problem.json found in the archive');
+  }
+
+  return roots.map(prefix => ({
+    name: prefix.replace(/\/$/, '') || 'problem.json',
+    ...readPackage(files, prefix)
+  }));
+};
+
+// @desc    Validate packages as contest problems; nothing is written
+export const validateProblemPackages = async (packages, contestId, firstOrder = 0) => {
+  const documents = [];
+  const errors = [];
+
+  for (const [index, { name, problem, errors: packageErrors }] of packages.entries()) {
+    if (packageErrors.length > 0) {
+      errors.push(...packageErrors.map(message => ({ package: name, message })));
+      continue;
+    }
+
+    const document = new CodingProblem({ order: firstOrder + index, ...problem, contestId });
+    try {
+      await document.validate(); // also checks subtask references and cycles
+      documents.push(document);
+    } catch (validationError) {
+      errors.push({
+        package: name,
+        message: validationError.errors
+          ? Object.values(validationError.errors).map(e => e.message).join(', ')
+          : validationError.message
+      });
+    }
+  }
+
+  return { documents, errors };
+};
+
+// @desc    Add one problem's package to a zip under the given directory
+const addPackage = (zip, problem, prefix = '') => {
+  const width = Math.max(2, String(problem.testcases.length).length);
+  const testName = (index) => String(index + 1).padStart(width, '0');
+
+  const meta = Object.fromEntries(
+    PROBLEM_FIELDS.filter(field => problem[field] !== undefined).map(field => [field, problem[field]])
+  );
+  meta.examples = (problem.examples || []).map(({ input, output, explanation }) => ({ input, output, explanation }));
+  meta.subtasks = (problem.subtasks || []).map(({ name, score, dependencies }) => ({ name, score, dependencies }));
+  meta.tests = Object.fromEntries(problem.testcases.map((testcase, index) => [
+    testName(index),
+    { hidden: testcase.hidden, points: testcase.points, subtask: testcase.subtask || null }
+  ]));
+
+  const { sourceCode, ...checker } = problem.checker || {};
+  meta.checker = checker;
+  if (checker.mode === 'CUSTOM' && sourceCode) {
+    meta.checker.sourceFile = 'checker.src';
+    zip.addFile(`${prefix}checker.src`, Buffer.from(sourceCode));
+  }
+
+  zip.addFile(`${prefix}problem.json`, Buffer.from(JSON.stringify(meta, null, 2)));
+  zip.addFile(`${prefix}statement.md`, Buffer.from(problem.description || ''));
+  problem.testcases.forEach((testcase, index) => {
+    zip.addFile(`${prefix}tests/${testName(index)}.in`, Buffer.from(testcase.input));
+    zip.addFile(`${prefix}tests/${testName(index)}.ans`, Buffer.from(testcase.output));
+  });
+};
+
+// @desc    Zip problems in the importer's layout; several problems get a directory each
+export const buildProblemsZip = (problems) => {
+  const zip = new AdmZip();
+
+  if (problems.length === 1) {
+    addPackage(zip, problems[0].toObject());
+  } else {
+    problems.forEach((problem, index) => {
+      addPackage(zip, problem.toObject(), `${String(index + 1).padStart(2, '0')}-${slugify(problem.title)}/`);
+    });
+  }
+
+  return zip.toBuffer();
+};
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import MCQ from '../models/MCQ.js';
+import Result from '../models/Result.js';
+
+// Answer keys never reach participants
+export const PARTICIPANT_HIDDEN_FIELDS = '-correctAnswers -explanation -options.isCorrect -numericAnswer -tolerance';
+
+// Seeded PRNG (mulberry32) so the same contest and user always give the same draw
+const createRandom = (...parts) => {
+  let seed = crypto.createHash('sha256').update(parts.join(':')).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffled = (items, random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// @desc    Whether participants get their own question set instead of the contest's list
+export const usesQuestionSet = (contest) =>
+  Boolean(contest.sections?.mcq?.shuffle || contest.sections?.mcq?.drawRules?.length);
+
+// @desc    Displayed-to-original option mapping; falls back to the stored order if options changed since the draw
+export const resolveOptionOrder = (optionOrder = [], optionCount = 0) => {
+  const valid = optionOrder.length === optionCount
+    && [...optionOrder].sort((a, b) => a - b).every((original, index) => original === index);
+  return valid ? optionOrder : Array.from({ length: optionCount }, (_, index) => index);
+};
+
+// @desc    Draw a user's questions: the contest's own MCQs plus each draw rule's picks
+export const drawQuestionSet = async (contest, userId) => {
+  const random = createRandom(contest._id, userId);
+  const { drawRules = [], shuffle = false } = contest.sections.mcq;
+
+  const own = await MCQ.find({ contestId: contest._id }).sort({ order: 1 }).select('type options');
+  const picked = [...own];
+  const seen = new Set(own.map(mcq => mcq._id.toString()));
+
+  for (const rule of drawRules) {
+    const filter = { bankId: rule.bankId };
+    if (rule.category) filter.category = rule.category;
+    if (rule.difficulty) filter.difficulty = rule.difficulty;
+
+    // A stable pool order keeps the draw reproducible for the same seed
+    const pool = (await MCQ.find(filter).sort({ _id: 1 }).select('type options'))
+      .filter(mcq => !seen.has(mcq._id.toString()));
+
+    for (const mcq of shuffled(pool, random).slice(0, rule.count)) {
+      picked.push(mcq);
+      seen.add(mcq._id.toString());
+    }
+  }
+
+  return (shuffle ? shuffled(picked, random) : picked).map(mcq => {
+    const indexes = (mcq.options || []).map((_, index) => index);
+    return {
+      questionId: mcq._id,
+      // True/False always reads True first
+      optionOrder: shuffle && mcq.type !== 'TRUE_FALSE' ? shuffled(indexes, random) : indexes
+    };
+  });
+};
+
+// @desc    The user's stored question set, drawn on first use; null when the contest doesn't randomize
+// The set is stored once, so later edits to banks or rules never change what a user was shown.
+export const ensureQuestionSet = async (contest, result) => {
+  if (!usesQuestionSet(contest)) return null;
+  if (result.mcqSet?.length > 0) return result.mcqSet;
+
+  const mcqSet = await drawQuestionSet(contest, result.userId);
+  await Result.updateOne(
+    { _id: result._id, 'mcqSet.0': { $exists: false } },
+    { $set: { mcqSet } }
+  );
+
+  // Re-read in case a parallel request stored its set first
+  const stored = await Result.findById(result._id).select('mcqSet');
+  return stored.mcqSet;
+};
+
+// @desc    Questions as a participant sees them, in their order and option permutation
+export const getParticipantMCQs = async (contest, result) => {
+  const mcqSet = result ? await ensureQuestionSet(contest, result) : null;
+
+  if (!mcqSet) {
+    return MCQ.find({ contestId: contest._id })
+      .sort({ order: 1 })
+      .select(PARTICIPANT_HIDDEN_FIELDS);
+  }
+
+  const mcqs = await MCQ.find({ _id: { $in: mcqSet.map(entry => entry.questionId) } })
+    .select(PARTICIPANT_HIDDEN_FIELDS);
+  const byId = new Map(mcqs.map(mcq => [mcq._id.toString(), mcq]));
+
+  return mcqSet
+    .filter(entry => byId.has(entry.questionId.toString())) // deleted since the draw
+    .map((entry, index) => {
+      const question = byId.get(entry.questionId.toString()).toObject();
+      question.options = resolveOptionOrder(entry.optionOrder, question.options.length)
+        .map(original => question.options[original]);
+      question.order = index;
+      return question;
+    });
+};
@@ -0,0 +1,72 @@
+import Result from '../models/Result.js';
+import User from '../models/User.js';
+
+const FINISHED_STATUSES = ['SUBMITTED', 'EVALUATED'];
+
+// @desc    Save a contest's ranks from its live leaderboard
+// Only results whose rank moved are written. Returns the number of writes.
+export const saveContestRanks = async (contestId, leaderboard) => {
+  const stored = await Result.find({ contestId }).select('rank').lean();
+  const storedRanks = new Map(stored.map(result => [result._id.toString(), result.rank]));
+
+  const writes = leaderboard
+    .filter(entry => storedRanks.get(entry._id.toString()) !== entry.rank)
+    .map(entry => ({
+      updateOne: { filter: { _id: entry._id }, update: { rank: entry.rank } }
+    }));
+
+  if (writes.length > 0) {
+    await Result.bulkWrite(writes, { ordered: false });
+  }
+  return writes.length;
+};
+
+// @desc    Recalculate the overall score of users from all their finished results
+// Team results count as participation for every member but not toward scores.
+export const updateUserTotals = async (contestId, userIds) => {
+  if (userIds.length === 0) return;
+
+  const totals = await Result.aggregate([
+    { $match: { userId: { $in: userIds }, teamId: null, status: { $in: FINISHED_STATUSES } } },
+    { $group: { _id: '$userId', totalScore: { $sum: '$totalScore' } } }
+  ]);
+  const byUser = new Map(totals.map(total => [total._id.toString(), total.totalScore]));
+
+  await User.bulkWrite(userIds.map(userId => ({
+    updateOne: {
+      filter: { _id: userId },
+      update: {
+        $set: { totalScore: byUser.get(userId.toString()) ?? 0 },
+        $addToSet: { contestsParticipated: contestId }
+      }
+    }
+  })), { ordered: false });
+};
+
+// @desc    Rank users by overall score; ties share a rank, users without points have none
+// Returns the number of users whose rank changed.
+export const updateUserRanks = async () => {
+  const users = await User.find({ role: 'USER' })
+    .select('totalScore rank')
+    .sort({ totalScore: -1 })
+    .lean();
+
+  const writes = [];
+  let previous = null;
+  users.forEach((user, index) => {
+    let rank = null;
+    if (user.totalScore > 0) {
+      rank = previous && previous.totalScore === user.totalScore ? previous.rank : index + 1;
+      previous = { totalScore: user.totalScore, rank };
+    }
+
+    if (rank !== user.rank) {
+      writes.push({ updateOne: { filter: { _id: user._id }, update: { rank } } });
+    }
+  });
+
+  if (writes.length > 0) {
+    await User.bulkWrite(writes, { ordered: false });
+  }
+  return writes.length;
+};
@@ -0,0 +1,195 @@
+import Contest from '../models/Contest.js';
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+import Result from '../models/Result.js';
+import RatingChange from '../models/RatingChange.js';
+import { buildLeaderboard } from './leaderboard.service.js';
+import { SECTIONS } from './attempt.service.js';
+import { markSubmissionFailed } from './judging.service.js';
+
+const MIN_RATING = 1;
+const MAX_RATING = 8000;
+const RATING_GRACE_PERIOD = 6 * 60 * 60 * 1000; // ms after the end to wait for judging and open attempts
+
+// Chance that someone rated a finishes ahead of someone rated b
+const winProbability = (a, b) => 1 / (1 + Math.pow(10, (b - a) / 400));
+
+// Expected place of a participant rated `rating` against everyone but `self`.
+// The field-wide part is shared by every participant's search, so it is cached.
+const seedCalculator = (participants) => {
+  const fieldSeeds = new Map();
+
+  return (rating, self) => {
+    if (!fieldSeeds.has(rating)) {
+      fieldSeeds.set(rating, participants.reduce((seed, other) => seed + winProbability(other.rating, rating), 1));
+    }
+    return fieldSeeds.get(rating) - winProbability(participants[self].rating, rating);
+  };
+};
+
+// @desc    Codeforces-style rating changes from one contest's final places
+// participants: [{ userId, rating, rank }], where tied participants share
+// their lowest place. Each aims for the rating whose expected place is the
+// geometric mean of their seed and actual place, and moves halfway there.
+// Changes are then shifted so the total is slightly negative, and so the
+// top of the field does not gain from the correction.
+export const calculateRatingChanges = (participants) => {
+  const n = participants.length;
+  if (n < 2) return [];
+
+  const expectedSeed = seedCalculator(participants);
+  const deltas = participants.map((participant, index) => {
+    const seed = expectedSeed(participant.rating, index);
+    const target = Math.sqrt(seed * participant.rank);
+
+    let low = MIN_RATING;
+    let high = MAX_RATING;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (expectedSeed(mid, index) < target) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    return Math.trunc((low - participant.rating) / 2);
+  });
+
+  const total = deltas.reduce((sum, delta) => sum + delta, 0);
+  const inflation = Math.trunc(-total / n) - 1;
+  deltas.forEach((_, index) => { deltas[index] += inflation; });
+
+  const topCount = Math.min(n, Math.round(4 * Math.sqrt(n)));
+  const top = participants
+    .map((participant, index) => ({ rating: participant.rating, delta: deltas[index] }))
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, topCount);
+  const topTotal = top.reduce((sum, entry) => sum + entry.delta, 0);
+  const correction = Math.min(Math.max(Math.trunc(-topTotal / topCount), -10), 0);
+
+  return participants.map((participant, index) => {
+    const delta = deltas[index] + correction;
+    return {
+      userId: participant.userId,
+      rank: participant.rank,
+      oldRating: participant.rating,
+      newRating: participant.rating + delta,
+      delta
+    };
+  });
+};
+
+// @desc    Rate one ended contest from its live final standings
+// Admins and deleted users are left out. Returns the number of rated users.
+export const rateContest = async (contest) => {
+  const { leaderboard } = await buildLeaderboard(contest._id, { live: true });
+
+  const users = await User.find({
+    _id: { $in: leaderboard.map(entry => entry.userId?._id).filter(Boolean) },
+    role: 'USER'
+  }).select('rating');
+  const ratings = new Map(users.map(user => [user._id.toString(), user.rating]));
+  const entries = leaderboard.filter(entry => entry.userId && ratings.has(entry.userId._id.toString()));
+
+  // Tied participants share their lowest place
+  const places = new Map();
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const next = entries[i + 1];
+    places.set(i, next && next.rank === entries[i].rank ? places.get(i + 1) : i + 1);
+  }
+
+  const changes = calculateRatingChanges(entries.map((entry, index) => ({
+    userId: entry.userId._id,
+    rating: ratings.get(entry.userId._id.toString()),
+    rank: places.get(index)
+  })));
+  if (changes.length === 0) return 0;
+
+  const ratedAt = new Date();
+  await RatingChange.insertMany(changes.map(change => ({
+    ...change,
+    contestId: contest._id,
+    contestTitle: contest.title,
+    participants: changes.length,
+    ratedAt
+  })));
+
+  await User.bulkWrite(changes.map(change => ({
+    updateOne: {
+      filter: { _id: change.userId },
+      update: {
+        $set: { rating: change.newRating },
+        $max: { maxRating: change.newRating },
+        $inc: { ratedContests: 1 }
+      }
+    }
+  })), { ordered: false });
+
+  return changes.length;
+};
+
+// @desc    Submissions still being judged and started attempts still open
+const findOpenWork = async (contestId) => {
+  const [pending, openAttempts] = await Promise.all([
+    Submission.find({ contestId, verdict: 'PENDING' }).select('_id').lean(),
+    Result.countDocuments({
+      contestId,
+      status: 'IN_PROGRESS',
+      $or: SECTIONS.map(section => ({ [`sections.${section}.startedAt`]: { $ne: null } }))
+    })
+  ]);
+  return { pending, openAttempts };
+};
+
+// @desc    Rate every ended rated contest that has not been rated yet, oldest first
+// Ratings build on each other, so a contest still judging submissions, or with
+// attempts not yet auto-submitted, holds back itself and every later one.
+// Past the grace period whatever is still open is stuck, e.g. a submission
+// that lost its job or an attempt whose only started section was disabled,
+// so stale submissions fail and the contest is rated from the board as it is.
+// Claiming ratedAt first keeps two servers from rating the same contest; a
+// failed run drops its history and retries.
+// Team contests are never rated: a shared result says nothing about one person.
+export const rateEndedContests = async () => {
+  const contests = await Contest.find({
+    status: 'ENDED',
+    isRated: true,
+    ratedAt: null,
+    participationMode: { $ne: 'TEAM' }
+  })
+    .select('title endTime')
+    .sort({ endTime: 1 });
+
+  let rated = 0;
+  for (const contest of contests) {
+    const { pending, openAttempts } = await findOpenWork(contest._id);
+    if (pending.length > 0 || openAttempts > 0) {
+      if (Date.now() - contest.endTime < RATING_GRACE_PERIOD) break;
+
+      console.error(
+        `❌ Rating ${contest.title} past the grace period with ${pending.length} unjudged submissions` +
+        ` and ${openAttempts} open attempts`
+      );
+      for (const submission of pending) {
+        await markSubmissionFailed(submission._id, 'Judging did not finish before the contest was rated');
+      }
+    }
+
+    const claimed = await Contest.findOneAndUpdate(
+      { _id: contest._id, ratedAt: null },
+      { ratedAt: new Date() }
+    );
+    if (!claimed) continue;
+
+    try {
+      rated += await rateContest(contest);
+    } catch (error) {
+      await RatingChange.deleteMany({ contestId: contest._id });
+      await Contest.updateOne({ _id: contest._id }, { ratedAt: null });
+      throw error;
+    }
+  }
+
+  return rated;
+};
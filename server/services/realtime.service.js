@@ -0,0 +1,147 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import User from '../models/User.js';
+import { verifyToken } from '../utils/generateToken.js';
+
+// Channels:
+//   user:<userId>        - private submission verdict/progress events
+//   contest:<contestId>  - public leaderboard updates and status flips
+//   contests             - public status flips for every contest
+//   admin:contest:<id>   - live leaderboard for admins while public standings are frozen
+const HEARTBEAT_INTERVAL = 30000; // ms
+
+let wss = null;
+const channels = new Map(); // channel -> Set<WebSocket>
+
+const canSubscribe = (socket, channel) => {
+  if (channel.startsWith('admin:')) {
+    return socket.user?.role === 'ADMIN';
+  }
+
+  if (channel === 'contests' || channel.startsWith('contest:')) {
+    return true;
+  }
+
+  if (channel.startsWith('user:')) {
+    return socket.user && (socket.user.role === 'ADMIN' || `user:${socket.user.id}` === channel);
+  }
+
+  return false;
+};
+
+const subscribe = (socket, channel) => {
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(socket);
+  socket.channels.add(channel);
+};
+
+const unsubscribe = (socket, channel) => {
+  const subscribers = channels.get(channel);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) {
+      channels.delete(channel);
+    }
+  }
+  socket.channels.delete(channel);
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const authenticate = async (socket, token) => {
+  try {
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.id).select('role status suspendedUntil statusReason tokenVersion');
+    if (user && decoded.tv === user.tokenVersion && !user.getAccessBlock()) {
+      socket.user = { id: user._id.toString(), role: user.role };
+    }
+  } catch (error) {
+    send(socket, { event: 'error', data: { message: 'Invalid token' } });
+  }
+};
+
+const handleMessage = async (socket, raw) => {
+  // Wait for the token lookup so private channels are not rejected early
+  await socket.authenticated;
+  if (socket.readyState !== WebSocket.OPEN) return;
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { event: 'error', data: { message: 'Invalid message' } });
+  }
+
+  const { type, channel } = message;
+  if (typeof channel !== 'string') {
+    return send(socket, { event: 'error', data: { message: 'Channel is required' } });
+  }
+
+  if (type === 'subscribe') {
+    if (!canSubscribe(socket, channel)) {
+      return send(socket, { channel, event: 'error', data: { message: 'Not authorized for this channel' } });
+    }
+    subscribe(socket, channel);
+    send(socket, { channel, event: 'subscribed' });
+  } else if (type === 'unsubscribe') {
+    unsubscribe(socket, channel);
+  }
+};
+
+// @desc    Attach the WebSocket server to the HTTP server at /ws
+export const attachRealtime = (server) => {
+  wss = new WebSocketServer({ server, path: '/ws' });
+
+  wss.on('connection', (socket, req) => {
+    socket.isAlive = true;
+    socket.channels = new Set();
+    socket.user = null;
+
+    // Anonymous sockets may only follow public channels
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    socket.authenticated = token ? authenticate(socket, token) : Promise.resolve();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, raw));
+    socket.on('close', () => {
+      for (const channel of [...socket.channels]) {
+        unsubscribe(socket, channel);
+      }
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log('✅ WebSocket server listening on /ws');
+  return wss;
+};
+
+// @desc    Push an event to every subscriber of a channel
+export const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+
+  for (const socket of subscribers) {
+    send(socket, { channel, event, data });
+  }
+};
+
+// @desc    Whether anyone follows a channel, to skip building unused payloads
+export const hasSubscribers = (channel) => channels.has(channel);
@@ -0,0 +1,119 @@
+import Rejudge from '../models/Rejudge.js';
+import JudgeJob from '../models/JudgeJob.js';
+import Submission from '../models/Submission.js';
+import CodingProblem from '../models/CodingProblem.js';
+import { enqueueRejudge, releaseRejudge } from './judgeQueue.service.js';
+
+// @desc    Clear the verdicts of submissions about to be rejudged
+const resetSubmissions = async (submissions, problems) => {
+  for (const problem of problems) {
+    await Submission.updateMany(
+      {
+        _id: { $in: submissions.filter(s => s.problemId.toString() === problem._id.toString()).map(s => s._id) },
+        verdict: { $ne: 'PENDING' }
+      },
+      {
+        verdict: 'PENDING',
+        score: 0,
+        testcasesPassed: 0,
+        totalTestcases: problem.testcases.length,
+        executionTime: null,
+        memoryUsed: null,
+        errorMessage: null,
+        testcaseResults: [],
+        subtaskResults: []
+      }
+    );
+  }
+};
+
+// @desc    Reset submissions to PENDING and queue them against the current testcases
+// filter selects the submissions; ones still waiting for their first verdict
+// are skipped because their queued job already uses the current testcases.
+// Jobs are created (held) before any submission is reset, so a failed enqueue
+// leaves nothing PENDING without a job.
+export const startRejudge = async ({ scope, contestId, problemId = null, submissionId = null, requestedBy, filter }) => {
+  const candidates = await Submission.find(filter).select('problemId verdict score');
+  const submissions = candidates.filter(s => s.verdict !== 'PENDING');
+
+  const rejudge = await Rejudge.create({
+    scope,
+    contestId,
+    problemId,
+    submissionId,
+    requestedBy,
+    totalSubmissions: submissions.length,
+    skippedSubmissions: candidates.length - submissions.length
+  });
+
+  if (submissions.length === 0) {
+    return rejudge;
+  }
+
+  // Testcase counts may have changed since the original run
+  const problemIds = [...new Set(submissions.map(s => s.problemId.toString()))];
+  const problems = await CodingProblem.find({ _id: { $in: problemIds } }).select('testcases');
+
+  await enqueueRejudge(rejudge._id, submissions);
+
+  try {
+    await resetSubmissions(submissions, problems);
+  } finally {
+    // Submissions the reset missed keep their verdict; their job only recomputes totals
+    await releaseRejudge(rejudge._id);
+  }
+
+  return rejudge;
+};
+
+// @desc    Progress of a rejudge and the submissions whose verdict or score changed
+export const getRejudgeReport = async (rejudgeId) => {
+  const rejudge = await Rejudge.findById(rejudgeId)
+    .populate('problemId', 'title')
+    .populate('requestedBy', 'name');
+  if (!rejudge) return null;
+
+  const jobs = await JudgeJob.find({ rejudgeId })
+    .populate({
+      path: 'submissionId',
+      select: 'userId problemId verdict score testcasesPassed totalTestcases',
+      populate: [
+        { path: 'userId', select: 'name email' },
+        { path: 'problemId', select: 'title' }
+      ]
+    })
+    .lean();
+
+  const progress = { total: jobs.length, queued: 0, processing: 0, completed: 0, failed: 0 };
+  const changes = [];
+
+  for (const job of jobs) {
+    progress[job.status.toLowerCase()]++;
+
+    const submission = job.submissionId;
+    if (!submission || !['COMPLETED', 'FAILED'].includes(job.status)) continue;
+
+    if (submission.verdict !== job.previousVerdict || submission.score !== job.previousScore) {
+      changes.push({
+        submissionId: submission._id,
+        user: submission.userId,
+        problem: submission.problemId,
+        previousVerdict: job.previousVerdict,
+        previousScore: job.previousScore,
+        verdict: submission.verdict,
+        score: submission.score,
+        testcasesPassed: submission.testcasesPassed,
+        totalTestcases: submission.totalTestcases
+      });
+    }
+  }
+
+  return {
+    rejudge,
+    progress: {
+      ...progress,
+      finished: progress.completed + progress.failed === progress.total
+    },
+    changes
+  };
+};
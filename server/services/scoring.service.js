@@ -0,0 +1,111 @@
+import Result from '../models/Result.js';
+
+// Verdicts that count as an attempt; judge failures wait for a rejudge
+export const JUDGED_FILTER = { verdict: { $nin: ['PENDING', 'INTERNAL_ERROR'] } };
+
+// Compile errors never cost ICPC penalty time
+const NO_PENALTY_VERDICTS = ['COMPILATION_ERROR'];
+
+// @desc    Leaderboard order per scoring mode; results equal on every key share a rank
+export const RANKING_KEYS = {
+  POINTS: { totalScore: -1, timeTaken: 1 },
+  ICPC: { solvedCount: -1, penalty: 1 },
+  IOI: { totalScore: -1 }
+};
+
+// @desc    Fold judged submissions, oldest first, into one entry per problem
+// The earliest highest score is the best submission. Wrong attempts only
+// count until the first accept.
+export const buildCodingEntries = (submissions) => {
+  const entries = new Map();
+
+  for (const submission of submissions) {
+    const problemId = submission.problemId.toString();
+    const accepted = submission.verdict === 'ACCEPTED';
+
+    if (!entries.has(problemId)) {
+      entries.set(problemId, {
+        problemId: submission.problemId,
+        bestSubmission: submission._id,
+        score: submission.score,
+        attempts: 0,
+        solved: false,
+        firstAcceptedAt: null,
+        wrongAttempts: 0,
+        subtaskScores: []
+      });
+    }
+    const entry = entries.get(problemId);
+
+    if (submission.score > entry.score) {
+      entry.score = submission.score;
+      entry.bestSubmission = submission._id;
+    }
+    entry.attempts++;
+
+    if (!entry.solved) {
+      if (accepted) {
+        entry.solved = true;
+        entry.firstAcceptedAt = submission.submittedAt;
+      } else if (!NO_PENALTY_VERDICTS.includes(submission.verdict)) {
+        entry.wrongAttempts++;
+      }
+    }
+
+    for (const subtask of submission.subtaskResults || []) {
+      const best = entry.subtaskScores.find(s => s.name === subtask.name);
+      if (!best) {
+        entry.subtaskScores.push({ name: subtask.name, score: subtask.score });
+      } else if (subtask.score > best.score) {
+        best.score = subtask.score;
+      }
+    }
+  }
+
+  return [...entries.values()];
+};
+
+// @desc    A problem's contribution to the coding score under a scoring mode
+export const getProblemScore = (entry, scoringMode) => {
+  if (scoringMode === 'IOI' && entry.subtaskScores?.length > 0) {
+    return entry.subtaskScores.reduce((sum, subtask) => sum + subtask.score, 0);
+  }
+  return entry.score || 0;
+};
+
+// @desc    Recalculate a result's derived scores from its coding entries
+// Penalty time runs from the user's own coding start, or the contest start.
+export const applyScoring = (result, contest) => {
+  const scoringMode = contest.scoringMode || 'POINTS';
+  const start = result.sections?.coding?.startedAt || contest.startTime;
+  const penaltyMinutes = contest.penaltyMinutes ?? 20;
+
+  const solved = result.codingSubmissions.filter(entry => entry.solved && entry.firstAcceptedAt);
+
+  result.solvedCount = solved.length;
+  result.penalty = solved.reduce((total, entry) => {
+    const minutes = Math.max(0, Math.floor((entry.firstAcceptedAt - start) / 60000));
+    return total + minutes + penaltyMinutes * (entry.wrongAttempts || 0);
+  }, 0);
+  result.codingScore = result.codingSubmissions.reduce(
+    (sum, entry) => sum + getProblemScore(entry, scoringMode),
+    0
+  );
+  result.totalScore = result.mcqScore + result.codingScore;
+
+  return result;
+};
+
+// @desc    Re-apply scoring to every result of a contest, e.g. after its mode changes
+export const rescoreContest = async (contest) => {
+  const results = await Result.find({ contestId: contest._id });
+
+  for (const result of results) {
+    applyScoring(result, contest);
+    if (result.isModified()) {
+      await result.save();
+    }
+  }
+
+  return results.length;
+};
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+import User, { hashToken } from '../models/User.js';
+import { generateToken } from '../utils/generateToken.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+// Two tabs refreshing at once both present the same token; the slower one
+// gets a sibling instead of tripping reuse detection
+const REUSE_GRACE_MS = 10 * 1000;
+
+const getRefreshTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'lax',
+  path: '/api/auth'
+});
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), maxAge: getRefreshTtlMs() });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+const createRefreshToken = async (userId, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+    userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+  });
+  return { token, record };
+};
+
+// @desc    Start a session: set the refresh cookie and return an access token
+export const startSession = async (req, res, user) => {
+  const { token } = await createRefreshToken(user._id, crypto.randomUUID(), req);
+  setRefreshCookie(res, token);
+  return generateToken(user);
+};
+
+// @desc    Swap the refresh cookie for a new one and a fresh access token
+// Returns { user, token } or { error } when the session cannot continue.
+export const refreshSession = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  const record = presented && await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+  const now = new Date();
+
+  if (!record || record.expiresAt <= now) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  if (record.revokedAt && !record.replacedBy) {
+    return { error: 'Session has been revoked, please log in again' };
+  }
+
+  // A rotated token showing up again outside the grace window was copied
+  if (record.revokedAt && now - record.revokedAt >= REUSE_GRACE_MS) {
+    await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: now });
+    console.error(`❌ Refresh token reuse detected for user ${record.userId}, session revoked`);
+    return { error: 'Session has been revoked, please log in again' };
+  }
+
+  const user = await User.findById(record.userId).select('-password');
+  const block = user ? user.getAccessBlock() : 'User not found';
+  if (block) {
+    return { error: block };
+  }
+
+  const { token, record: next } = await createRefreshToken(user._id, record.family, req);
+  if (!record.revokedAt) {
+    // Only the first caller retires the old token; a concurrent one inside the grace window leaves it be
+    await RefreshToken.updateOne(
+      { _id: record._id, revokedAt: null },
+      { revokedAt: now, replacedBy: next._id }
+    );
+  }
+  setRefreshCookie(res, token);
+
+  return { user, token: generateToken(user) };
+};
+
+// @desc    End the session behind the refresh cookie on this device
+export const endSession = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (presented) {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+    if (record) {
+      await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date() });
+    }
+  }
+  clearRefreshCookie(res);
+};
+
+// @desc    Sign a user out everywhere: refresh tokens stop working and
+// outstanding access tokens fail their tokenVersion check
+// Returns the new tokenVersion.
+export const revokeAllSessions = async (userId) => {
+  const [user] = await Promise.all([
+    User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select('tokenVersion'),
+    RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() })
+  ]);
+  return user?.tokenVersion;
+};
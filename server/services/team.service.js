@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import Team from '../models/Team.js';
+import Result from '../models/Result.js';
+import Contest from '../models/Contest.js';
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+export const generateJoinCode = () => Array.from(
+  crypto.randomBytes(CODE_LENGTH),
+  byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+export const isTeamContest = (contest) => contest?.participationMode === 'TEAM';
+
+// @desc    Why a contest's teams cannot change right now, or null when they can
+export const getTeamLock = (contest, now = new Date()) => {
+  if (!isTeamContest(contest)) {
+    return 'This contest is not a team contest';
+  }
+  if (now >= contest.startTime) {
+    return 'Teams are locked once the contest starts';
+  }
+  return null;
+};
+
+// @desc    The user's team in a contest, or null
+export const findUserTeam = (contestId, userId) => Team.findOne({ contestId, members: userId });
+
+// @desc    Query for the result a user works on: their team's in team contests, else their own
+export const getResultFilter = async (contestId, userId) => {
+  const team = await Team.findOne({ contestId, members: userId }).select('_id');
+  return team ? { contestId, teamId: team._id } : { contestId, userId };
+};
+
+// @desc    The result a user works on in a contest, shared with their team if they have one
+export const findParticipantResult = async (contestId, userId) =>
+  Result.findOne(await getResultFilter(contestId, userId));
+
+// @desc    Create a team captained by the user and register it for the contest
+export const createTeam = async (contest, userId, name) => {
+  const team = await Team.create({
+    name,
+    contestId: contest._id,
+    captain: userId,
+    members: [userId],
+    joinCode: generateJoinCode()
+  });
+
+  try {
+    await Result.create({
+      userId,
+      teamId: team._id,
+      contestId: contest._id,
+      status: 'IN_PROGRESS'
+    });
+    await Contest.updateOne({ _id: contest._id }, { $addToSet: { participants: userId } });
+  } catch (error) {
+    await Promise.all([
+      Team.deleteOne({ _id: team._id }),
+      Result.deleteOne({ teamId: team._id })
+    ]);
+    throw error;
+  }
+
+  return team;
+};
+
+// @desc    Add a user to a team, dropping any invite they had to it
+// The conditional update keeps concurrent joins from overfilling the team.
+// Returns the updated team, or null when it was full.
+export const addMember = async (team, contest, userId) => {
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id, members: { $ne: userId }, [`members.${contest.maxTeamSize - 1}`]: { $exists: false } },
+    { $push: { members: userId }, $pull: { invites: { userId } } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await Contest.updateOne({ _id: contest._id }, { $addToSet: { participants: userId } });
+  return updated;
+};
+
+// @desc    Take a user off a team and unregister them
+// The captaincy and the team's result pass to the next member; the last
+// member leaving deletes the team and its result.
+// Returns the updated team, or null when it was deleted.
+export const removeMember = async (team, userId) => {
+  const updated = await Team.findOneAndUpdate(
+    { _id: team._id },
+    { $pull: { members: userId } },
+    { new: true }
+  );
+  await Contest.updateOne({ _id: team.contestId }, { $pull: { participants: userId } });
+
+  if (!updated || updated.members.length === 0) {
+    await Promise.all([
+      Team.deleteOne({ _id: team._id }),
+      Result.deleteOne({ teamId: team._id })
+    ]);
+    return null;
+  }
+
+  if (updated.captain.equals(userId)) {
+    updated.captain = updated.members[0];
+    await updated.save();
+    await Result.updateOne({ teamId: team._id }, { userId: updated.captain });
+  }
+  return updated;
+};
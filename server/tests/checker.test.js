@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkOutputs, usesJudgeComparison } from '../services/checker.service.js';
+
+process.env.CODE_EXECUTOR = 'local';
+
+const check = async (checker, expected, output) => {
+  const [result] = await checkOutputs({ checker }, [{ input: '', expected, output }]);
+  return result;
+};
+
+test('only exact comparison runs on the judge', () => {
+  assert.equal(usesJudgeComparison({}), true);
+  assert.equal(usesJudgeComparison({ checker: { mode: 'EXACT' } }), true);
+  assert.equal(usesJudgeComparison({ checker: { mode: 'TOKEN' } }), false);
+  assert.equal(usesJudgeComparison({ checker: { mode: 'CUSTOM' } }), false);
+});
+
+test('EXACT ignores trailing whitespace but not line breaks', async () => {
+  assert.equal((await check({ mode: 'EXACT' }, '1 2\n3', '1 2  \n3\n\n')).score, 1);
+  assert.equal((await check({ mode: 'EXACT' }, '1 2\n3', '1 2 3')).score, 0);
+});
+
+test('TOKEN compares whitespace-separated tokens', async () => {
+  assert.equal((await check({ mode: 'TOKEN' }, '1 2\n3', '1   2 3')).score, 1);
+  assert.equal((await check({ mode: 'TOKEN' }, '1 2 3', '1 2')).score, 0);
+});
+
+test('CASE_INSENSITIVE ignores letter case', async () => {
+  assert.equal((await check({ mode: 'CASE_INSENSITIVE' }, 'YES', 'yes')).score, 1);
+  assert.equal((await check({ mode: 'CASE_INSENSITIVE' }, 'YES', 'no')).score, 0);
+});
+
+test('FLOAT accepts numbers within epsilon', async () => {
+  const checker = { mode: 'FLOAT', absoluteEpsilon: 1e-3, relativeEpsilon: 0 };
+  assert.equal((await check(checker, '3.14159 done', '3.1419 done')).score, 1);
+  assert.equal((await check(checker, '3.14159', '3.15')).score, 0);
+  assert.equal((await check(checker, 'done', 'DONE')).score, 0);
+});
+
+test('FLOAT applies the relative epsilon to large values', async () => {
+  const checker = { mode: 'FLOAT', absoluteEpsilon: 0, relativeEpsilon: 1e-6 };
+  assert.equal((await check(checker, '1000000000', '1000000500')).score, 1);
+});
+
+test('UNORDERED_LINES accepts lines in any order', async () => {
+  assert.equal((await check({ mode: 'UNORDERED_LINES' }, 'a\nb\nc', 'c\na\nb\n')).score, 1);
+  assert.equal((await check({ mode: 'UNORDERED_LINES' }, 'a\nb', 'a\na')).score, 0);
+});
+
+// Reads { input, expected, output } and grades by how many tokens match
+const CUSTOM_CHECKER = `
+const { expected, output } = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+if (output === 'garbage') { console.log('MAYBE'); process.exit(0); }
+if (output === 'crash') process.exit(2);
+const want = expected.trim().split(/\\s+/);
+const got = output.trim().split(/\\s+/);
+const matched = want.filter((token, index) => got[index] === token).length;
+if (matched === want.length) console.log('AC all tokens match');
+else if (matched === 0) console.log('WA nothing matches');
+else console.log('PARTIAL ' + matched / want.length + ' some tokens match');
+`;
+
+test('CUSTOM runs the checker program and parses its verdict', async () => {
+  const problem = { checker: { mode: 'CUSTOM', languageId: 63, sourceCode: CUSTOM_CHECKER } };
+  const results = await checkOutputs(problem, [
+    { input: '', expected: '1 2', output: '1 2' },
+    { input: '', expected: '1 2', output: '3 4' },
+    { input: '', expected: '1 2', output: '1 4' },
+    { input: '', expected: '1 2', output: 'garbage' },
+    { input: '', expected: '1 2', output: 'crash' }
+  ]);
+
+  assert.deepEqual(results[0], { score: 1, message: 'all tokens match' });
+  assert.deepEqual(results[1], { score: 0, message: 'nothing matches' });
+  assert.deepEqual(results[2], { score: 0.5, message: 'some tokens match' });
+  assert.match(results[3].error, /unknown verdict: MAYBE/);
+  assert.match(results[4].error, /Checker failed/);
+});
+
+test('CUSTOM with no cases runs nothing', async () => {
+  assert.deepEqual(await checkOutputs({ checker: { mode: 'CUSTOM' } }, []), []);
+});
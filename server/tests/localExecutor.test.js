@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execSync } from 'child_process';
+import { localExecutor } from '../services/localExecutor.service.js';
+
+const NODE = 63;
+const C = 50;
+
+const hasGcc = (() => {
+  try {
+    execSync('gcc --version', { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const SUM = `
+const [a, b] = require('fs').readFileSync(0, 'utf8').trim().split(/\\s+/).map(Number);
+console.log(a + b);
+`;
+
+const run = (sourceCode, fields = {}) => localExecutor.execute({ sourceCode, languageId: NODE, stdin: '', ...fields });
+
+test('accepts output matching the expected output', async () => {
+  const result = await run(SUM, { stdin: '2 3', expectedOutput: '5' });
+  assert.equal(result.status.id, 3);
+  assert.equal(result.stdout.trim(), '5');
+});
+
+test('ignores trailing whitespace when comparing', async () => {
+  const result = await run('console.log("5   \\n\\n")', { expectedOutput: '5\n' });
+  assert.equal(result.status.id, 3);
+});
+
+test('reports a wrong answer', async () => {
+  const result = await run(SUM, { stdin: '2 3', expectedOutput: '6' });
+  assert.equal(result.status.id, 4);
+});
+
+test('compares against an empty expected output', async () => {
+  assert.equal((await run('console.log("extra")', { expectedOutput: '' })).status.id, 4);
+  assert.equal((await run('', { expectedOutput: '' })).status.id, 3);
+});
+
+test('skips the comparison without an expected output', async () => {
+  assert.equal((await run('console.log("anything")', { expectedOutput: null })).status.id, 3);
+  assert.equal((await run('console.log("anything")')).status.id, 3);
+});
+
+test('reports a runtime error on a non-zero exit', async () => {
+  const result = await run('process.exit(1)', { expectedOutput: '' });
+  assert.equal(result.status.id, 11);
+});
+
+test('stops a program that runs past the time limit', async () => {
+  const result = await run('while (true) {}', { cpuTimeLimit: 0.5 });
+  assert.equal(result.status.id, 5);
+});
+
+test('rejects unsupported languages', async () => {
+  const result = await localExecutor.execute({ sourceCode: 'x', languageId: 9999, stdin: '' });
+  assert.equal(result.status.id, 13);
+});
+
+test('keeps batch results in order and reports progress', async () => {
+  const progress = [];
+  const results = await localExecutor.executeBatch(
+    ['1 1', '2 2', '3 3'].map((stdin, index) => ({
+      sourceCode: SUM,
+      languageId: NODE,
+      stdin,
+      expectedOutput: index === 1 ? '5' : String((index + 1) * 2)
+    })),
+    (finished, total) => progress.push([finished, total])
+  );
+
+  assert.deepEqual(results.map(result => result.status.id), [3, 4, 3]);
+  assert.deepEqual(progress, [[1, 3], [2, 3], [3, 3]]);
+});
+
+test('compiles each program once per batch', { skip: !hasGcc && 'gcc is not installed' }, async () => {
+  // Each run bumps a counter file next to the binary, so a shared build shows 1, 2, 3
+  const counter = `
+#include <stdio.h>
+int main(void) {
+  int count = 0;
+  FILE *file = fopen("count", "r");
+  if (file) { fscanf(file, "%d", &count); fclose(file); }
+  file = fopen("count", "w");
+  fprintf(file, "%d", ++count);
+  fclose(file);
+  printf("%d\\n", count);
+  return 0;
+}
+`;
+  const results = await localExecutor.executeBatch(
+    [1, 2, 3].map(() => ({ sourceCode: counter, languageId: C, stdin: '' }))
+  );
+
+  assert.deepEqual(results.map(result => result.stdout.trim()), ['1', '2', '3']);
+});
+
+test('gives every run the compile error', { skip: !hasGcc && 'gcc is not installed' }, async () => {
+  const results = await localExecutor.executeBatch(
+    [1, 2].map(() => ({ sourceCode: 'int main( {', languageId: C, stdin: '' }))
+  );
+
+  assert.deepEqual(results.map(result => result.status.id), [6, 6]);
+  assert.ok(results[0].compile_output);
+});
@@ -1,5 +1,29 @@
 import cron from 'node-cron';
 import Contest from '../models/Contest.js';
+import { publish } from '../services/realtime.service.js';
+import { closeExpiredAttempts } from '../services/attempt.service.js';
+import { updateUserRanks as rankUsers } from '../services/rank.service.js';
+import { rateEndedContests } from '../services/rating.service.js';
+
+// @desc    Move matching contests to a new status and announce each flip
+const flipContestStatus = async (filter, status) => {
+  const contests = await Contest.find(filter).select('_id');
+  if (contests.length === 0) return;
+
+  const ids = contests.map(c => c._id);
+  await Contest.updateMany(
+    { _id: { $in: ids } },
+    {
+      $set: { status }
+    }
+  );
+
+  for (const id of ids) {
+    const payload = { contestId: id, status };
+    publish(`contest:${id}`, 'contest:status', payload);
+    publish('contests', 'contest:status', payload);
+  }
+};
 
 // Run every minute to check contest status
 export const updateContestStatus = cron.schedule('* * * * *', async () => {
@@ -7,26 +31,22 @@ export const updateContestStatus = cron.schedule('* * * * *', async () => {
     const now = new Date();
 
     // Update contests to LIVE
-    await Contest.updateMany(
+    await flipContestStatus(
       {
         status: 'UPCOMING',
         startTime: { $lte: now },
         isPublished: true
       },
-      {
-        $set: { status: 'LIVE' }
-      }
+      'LIVE'
     );
 
     // Update contests to ENDED
-    await Contest.updateMany(
+    await flipContestStatus(
       {
         status: 'LIVE',
         endTime: { $lte: now }
       },
-      {
-        $set: { status: 'ENDED' }
-      }
+      'ENDED'
     );
 
     console.log('✅ Contest status updated');
@@ -35,7 +55,45 @@ export const updateContestStatus = cron.schedule('* * * * *', async () => {
   }
 });
 
+// Run every minute to auto-submit sections whose time ran out, then rate
+// contests that just ended. Rating runs second so every attempt of an ended
+// contest is closed and counted first.
+export const closeAttemptsAndRate = cron.schedule('* * * * *', async () => {
+  try {
+    const closed = await closeExpiredAttempts();
+    if (closed > 0) {
+      console.log(`✅ Auto-submitted ${closed} expired section(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error closing expired attempts:', error);
+  }
+
+  try {
+    const rated = await rateEndedContests();
+    if (rated > 0) {
+      console.log(`✅ Updated ratings for ${rated} participant(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error rating contests:', error);
+  }
+});
+
+// Run every 10 minutes to re-rank users by overall score; contest ranks are
+// saved whenever their leaderboard refreshes
+export const updateUserRanks = cron.schedule('*/10 * * * *', async () => {
+  try {
+    const changed = await rankUsers();
+    if (changed > 0) {
+      console.log(`✅ Updated ${changed} user rank(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error updating user ranks:', error);
+  }
+});
+
 export const startCronJobs = () => {
   updateContestStatus.start();
+  closeAttemptsAndRate.start();
+  updateUserRanks.start();
   console.log('✅ Cron jobs started');
 };
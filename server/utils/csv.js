@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines
+
+// @desc    Parse CSV text into rows of string cells
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// @desc    Parse CSV into objects keyed by the trimmed header row
+export const parseCSVObjects = (text) => {
+  const [header = [], ...rows] = parseCSV(text);
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])));
+};
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @desc    Serialize objects to CSV using the given column order
+export const toCSV = (columns, records) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
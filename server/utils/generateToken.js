@@ -1,10 +1,12 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (userId) => {
+// Access tokens are short-lived; the session lives on in the refresh cookie.
+// tv is the user's tokenVersion, bumped to revoke every outstanding token.
+export const generateToken = (user) => {
   return jwt.sign(
-    { id: userId },
+    { id: user._id, tv: user.tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 